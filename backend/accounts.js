@@ -0,0 +1,303 @@
+import { createHash, randomBytes, randomUUID, scrypt, timingSafeEqual } from 'crypto';
+import { promisify } from 'util';
+import { getDatabase } from './database.js';
+import { claimUnownedRecordings } from './recordingStore.js';
+
+const scryptAsync = promisify(scrypt);
+
+export const SESSION_COOKIE = 'pitch_session';
+
+// Read on use, .env is loaded after the imports run
+const getSessionTtlMs = () => Number(process.env.SESSION_TTL_DAYS || 30) * 24 * 60 * 60 * 1000;
+
+// Account the operator names to own recordings stored before accounts existed
+const getRecordingStoreOwner = () => process.env.RECORDING_STORE_OWNER?.trim().toLowerCase() || null;
+
+const MIN_PASSWORD_LENGTH = 8;
+const KEY_LENGTH = 64;
+
+/**
+ * Hash a password with a random salt ("scrypt:<salt>:<hash>", hex)
+ * @param {string} password
+ * @returns {Promise<string>}
+ */
+export async function hashPassword(password) {
+  const salt = randomBytes(16).toString('hex');
+  const hash = await scryptAsync(password, salt, KEY_LENGTH);
+  return `scrypt:${salt}:${hash.toString('hex')}`;
+}
+
+/**
+ * Check a password against a stored hash in constant time
+ * @param {string} password
+ * @param {string} stored - Output of hashPassword
+ * @returns {Promise<boolean>}
+ */
+export async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = stored.split(':');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual = await scryptAsync(password, salt, expected.length);
+  return timingSafeEqual(expected, actual);
+}
+
+// Sessions are looked up by a hash so a leaked database doesn't leak live tokens
+const hashToken = (token) => createHash('sha256').update(token).digest('hex');
+
+const toUser = (row) => ({ id: row.id, email: row.email, name: row.name, createdAt: row.created_at });
+
+/**
+ * Validate sign-up input
+ * @param {Object} input - {email, name, password}
+ * @returns {{account: Object|null, errors: string[]}} Normalized fields, or validation errors
+ */
+export function validateRegistration(input) {
+  const errors = [];
+  const email = typeof input?.email === 'string' ? input.email.trim().toLowerCase() : '';
+  const name = typeof input?.name === 'string' ? input.name.trim() : '';
+  const password = typeof input?.password === 'string' ? input.password : '';
+
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) errors.push('A valid email is required');
+  if (!name) errors.push('name is required');
+  if (name.length > 100) errors.push('name must be at most 100 characters');
+  if (password.length < MIN_PASSWORD_LENGTH) errors.push(`password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+
+  return errors.length > 0 ? { account: null, errors } : { account: { email, name, password }, errors };
+}
+
+/**
+ * Create a local account. The RECORDING_STORE_OWNER account also takes over recordings stored before accounts existed.
+ * @param {{email: string, name: string, password: string}} account - Validated sign-up fields
+ * @returns {Promise<Object|null>} User, or null if the email is taken
+ */
+export async function createUser({ email, name, password }) {
+  const database = getDatabase();
+  if (database.prepare('SELECT 1 FROM users WHERE email = ?').get(email)) return null;
+
+  const passwordHash = await hashPassword(password);
+  const user = { id: randomUUID(), email, name, created_at: Date.now() };
+  database
+    .prepare('INSERT INTO users (id, email, name, password_hash, created_at) VALUES (?, ?, ?, ?, ?)')
+    .run(user.id, email, name, passwordHash, user.created_at);
+
+  if (email === getRecordingStoreOwner()) assignUnownedRecordings();
+  return toUser(user);
+}
+
+/**
+ * Give recordings stored before accounts existed to the RECORDING_STORE_OWNER account, if it exists.
+ * Without that setting they stay unowned, and no account can read them.
+ * @returns {number} Number of recordings assigned
+ */
+export function assignUnownedRecordings() {
+  const email = getRecordingStoreOwner();
+  const owner = email && getDatabase().prepare('SELECT id FROM users WHERE email = ?').get(email);
+  if (!owner) return 0;
+  const claimed = claimUnownedRecordings(owner.id);
+  if (claimed > 0) console.log(`👤 Assigned ${claimed} recordings stored before accounts existed to RECORDING_STORE_OWNER`);
+  return claimed;
+}
+
+/**
+ * Check email and password
+ * @param {string} email
+ * @param {string} password
+ * @returns {Promise<Object|null>} User, or null if the credentials don't match
+ */
+export async function authenticate(email, password) {
+  if (typeof email !== 'string' || typeof password !== 'string') return null;
+  const row = getDatabase().prepare('SELECT * FROM users WHERE email = ?').get(email.trim().toLowerCase());
+  if (!row || !await verifyPassword(password, row.password_hash)) return null;
+  return toUser(row);
+}
+
+/**
+ * Start a session
+ * @param {string} userId
+ * @returns {{token: string, expiresAt: number}} The token only exists in the cookie
+ */
+export function createSession(userId) {
+  const token = randomBytes(32).toString('base64url');
+  const now = Date.now();
+  const expiresAt = now + getSessionTtlMs();
+  getDatabase()
+    .prepare('INSERT INTO sessions (token_hash, user_id, created_at, expires_at) VALUES (?, ?, ?, ?)')
+    .run(hashToken(token), userId, now, expiresAt);
+  return { token, expiresAt };
+}
+
+/**
+ * User behind a session token
+ * @param {string} token
+ * @returns {Object|null} User, or null for unknown or expired sessions
+ */
+export function getSessionUser(token) {
+  if (!token) return null;
+  const database = getDatabase();
+  const row = database.prepare(`
+    SELECT users.*, sessions.expires_at FROM sessions JOIN users ON users.id = sessions.user_id
+    WHERE sessions.token_hash = ?
+  `).get(hashToken(token));
+  if (!row) return null;
+  if (row.expires_at < Date.now()) {
+    database.prepare('DELETE FROM sessions WHERE token_hash = ?').run(hashToken(token));
+    return null;
+  }
+  return toUser(row);
+}
+
+/**
+ * End a session
+ * @param {string} token
+ */
+export function deleteSession(token) {
+  if (token) getDatabase().prepare('DELETE FROM sessions WHERE token_hash = ?').run(hashToken(token));
+}
+
+/**
+ * Parse a Cookie header
+ * @param {string|undefined} header
+ * @returns {Object<string, string>}
+ */
+export function parseCookies(header) {
+  const cookies = {};
+  for (const part of (header || '').split(';')) {
+    const index = part.indexOf('=');
+    if (index < 0) continue;
+    const name = part.slice(0, index).trim();
+    try {
+      cookies[name] = decodeURIComponent(part.slice(index + 1).trim());
+    } catch {
+      // Ignore malformed values
+    }
+  }
+  return cookies;
+}
+
+/**
+ * Validate a workspace name
+ * @param {unknown} name
+ * @returns {string|null} Trimmed name, or null if invalid
+ */
+export function validateWorkspaceName(name) {
+  if (typeof name !== 'string' || !name.trim() || name.trim().length > 100) return null;
+  return name.trim();
+}
+
+/**
+ * Workspaces a user belongs to
+ * @param {string} userId
+ * @returns {Object[]} {id, name, ownerId, role, memberCount, createdAt}
+ */
+export function listWorkspaces(userId) {
+  return getDatabase().prepare(`
+    SELECT workspaces.*, mine.role,
+      (SELECT COUNT(*) FROM workspace_members WHERE workspace_id = workspaces.id) AS member_count
+    FROM workspaces JOIN workspace_members AS mine ON mine.workspace_id = workspaces.id
+    WHERE mine.user_id = ?
+    ORDER BY workspaces.name
+  `).all(userId).map(row => ({
+    id: row.id,
+    name: row.name,
+    ownerId: row.owner_id,
+    role: row.role,
+    memberCount: row.member_count,
+    createdAt: row.created_at
+  }));
+}
+
+/**
+ * Create a workspace owned by a user
+ * @param {string} userId
+ * @param {string} name - Validated name
+ * @returns {Object} Workspace with members
+ */
+export function createWorkspace(userId, name) {
+  const database = getDatabase();
+  const id = randomUUID();
+  const now = Date.now();
+  database.transaction(() => {
+    database.prepare('INSERT INTO workspaces (id, name, owner_id, created_at) VALUES (?, ?, ?, ?)').run(id, name, userId, now);
+    database.prepare('INSERT INTO workspace_members (workspace_id, user_id, role, joined_at) VALUES (?, ?, ?, ?)').run(id, userId, 'owner', now);
+  })();
+  return getWorkspace(id);
+}
+
+/**
+ * Get a workspace with its members
+ * @param {string} id
+ * @returns {Object|null}
+ */
+export function getWorkspace(id) {
+  const database = getDatabase();
+  const row = database.prepare('SELECT * FROM workspaces WHERE id = ?').get(id);
+  if (!row) return null;
+  const members = database.prepare(`
+    SELECT users.id, users.name, users.email, workspace_members.role, workspace_members.joined_at
+    FROM workspace_members JOIN users ON users.id = workspace_members.user_id
+    WHERE workspace_members.workspace_id = ?
+    ORDER BY workspace_members.role DESC, users.name
+  `).all(id);
+  return {
+    id: row.id,
+    name: row.name,
+    ownerId: row.owner_id,
+    createdAt: row.created_at,
+    members: members.map(member => ({ id: member.id, name: member.name, email: member.email, role: member.role, joinedAt: member.joined_at }))
+  };
+}
+
+/**
+ * A user's role in a workspace
+ * @param {string} workspaceId
+ * @param {string} userId
+ * @returns {'owner'|'member'|null} Null if not a member
+ */
+export function getMembershipRole(workspaceId, userId) {
+  return getDatabase()
+    .prepare('SELECT role FROM workspace_members WHERE workspace_id = ? AND user_id = ?')
+    .get(workspaceId, userId)?.role ?? null;
+}
+
+/**
+ * Add an existing account to a workspace by email
+ * @param {string} workspaceId
+ * @param {string} email
+ * @returns {{workspace: Object|null, error: string|null}}
+ */
+export function addWorkspaceMember(workspaceId, email) {
+  const database = getDatabase();
+  const user = database.prepare('SELECT id FROM users WHERE email = ?').get(String(email || '').trim().toLowerCase());
+  if (!user) return { workspace: null, error: 'No account with this email' };
+  if (getMembershipRole(workspaceId, user.id)) return { workspace: null, error: 'Already a member' };
+
+  database
+    .prepare('INSERT INTO workspace_members (workspace_id, user_id, role, joined_at) VALUES (?, ?, ?, ?)')
+    .run(workspaceId, user.id, 'member', Date.now());
+  return { workspace: getWorkspace(workspaceId), error: null };
+}
+
+/**
+ * Remove a member; their recordings shared to the workspace become private again
+ * @param {string} workspaceId
+ * @param {string} userId
+ * @returns {boolean} False if not a member (the owner can't be removed)
+ */
+export function removeWorkspaceMember(workspaceId, userId) {
+  const database = getDatabase();
+  if (getMembershipRole(workspaceId, userId) !== 'member') return false;
+  database.transaction(() => {
+    database.prepare('DELETE FROM workspace_members WHERE workspace_id = ? AND user_id = ?').run(workspaceId, userId);
+    database.prepare('UPDATE recordings SET workspace_id = NULL WHERE workspace_id = ? AND owner_id = ?').run(workspaceId, userId);
+  })();
+  return true;
+}
+
+/**
+ * Delete a workspace; recordings shared to it become private again
+ * @param {string} id
+ * @returns {boolean} False if not found
+ */
+export function deleteWorkspace(id) {
+  return getDatabase().prepare('DELETE FROM workspaces WHERE id = ?').run(id).changes > 0;
+}
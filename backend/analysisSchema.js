@@ -0,0 +1,216 @@
+/**
+ * JSON Schema for the content analysis returned by the LLM, plus a small
+ * validator for the subset of JSON Schema we use (type, properties, required,
+ * additionalProperties, items, minimum, maximum, minLength, minItems, maxItems).
+ */
+
+export const DEFAULT_CRITERIA = ['storytelling', 'audienceConnection', 'persuasiveness'];
+
+/**
+ * Build the analysis schema for a set of criteria
+ * @param {Array<string|{key: string, scoreRange: {min: number, max: number}}>} [criteria] -
+ *   Criterion keys the model must score (plain keys use a 1-5 range)
+ * @returns {Object} JSON Schema
+ */
+export function buildAnalysisSchema(criteria = DEFAULT_CRITERIA) {
+  const properties = {};
+  const criterionKeys = [];
+
+  for (const criterion of criteria) {
+    const key = typeof criterion === 'string' ? criterion : criterion.key;
+    const scoreRange = (typeof criterion === 'object' && criterion.scoreRange) || { min: 1, max: 5 };
+
+    criterionKeys.push(key);
+    properties[key] = {
+      type: 'object',
+      properties: {
+        score: { type: 'number', minimum: scoreRange.min, maximum: scoreRange.max },
+        feedback: { type: 'string', minLength: 1 },
+        strengths: { type: 'array', items: { type: 'string' } },
+        improvements: { type: 'array', items: { type: 'string' } }
+      },
+      required: ['score', 'feedback', 'strengths', 'improvements'],
+      additionalProperties: false
+    };
+  }
+
+  return {
+    type: 'object',
+    properties: {
+      ...properties,
+      overallFeedback: { type: 'string', minLength: 1 },
+      keyMessages: { type: 'array', items: { type: 'string' }, minItems: 1 },
+      emotionalTone: { type: 'string', minLength: 1 }
+    },
+    required: [...criterionKeys, 'overallFeedback', 'keyMessages', 'emotionalTone'],
+    additionalProperties: false
+  };
+}
+
+/**
+ * Build the schema for short per-segment comments on the feedback timeline
+ * @returns {Object} JSON Schema
+ */
+export function buildSegmentCommentSchema() {
+  return {
+    type: 'object',
+    properties: {
+      segments: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            index: { type: 'integer', minimum: 0 },
+            comment: { type: 'string', minLength: 1 }
+          },
+          required: ['index', 'comment'],
+          additionalProperties: false
+        }
+      }
+    },
+    required: ['segments'],
+    additionalProperties: false
+  };
+}
+
+/**
+ * Build the schema for likely investor questions about a pitch
+ * @param {number} count - Most questions the model may return
+ * @returns {Object} JSON Schema
+ */
+export function buildQuestionSchema(count) {
+  return {
+    type: 'object',
+    properties: {
+      questions: {
+        type: 'array',
+        minItems: 1,
+        maxItems: count,
+        items: {
+          type: 'object',
+          properties: {
+            category: { type: 'string', minLength: 1 },
+            question: { type: 'string', minLength: 1 },
+            rationale: { type: 'string', minLength: 1 }
+          },
+          required: ['category', 'question', 'rationale'],
+          additionalProperties: false
+        }
+      }
+    },
+    required: ['questions'],
+    additionalProperties: false
+  };
+}
+
+/**
+ * Build the schema for a revision of a pitch, as edits to passages of its transcript
+ * @param {number} maxChanges - Most edits the model may propose
+ * @returns {Object} JSON Schema
+ */
+export function buildRevisionSchema(maxChanges) {
+  return {
+    type: 'object',
+    properties: {
+      changes: {
+        type: 'array',
+        minItems: 1,
+        maxItems: maxChanges,
+        items: {
+          type: 'object',
+          properties: {
+            original: { type: 'string', minLength: 1 },
+            revised: { type: 'string' },
+            reason: { type: 'string', minLength: 1 }
+          },
+          required: ['original', 'revised', 'reason'],
+          additionalProperties: false
+        }
+      },
+      summary: { type: 'string', minLength: 1 }
+    },
+    required: ['changes', 'summary'],
+    additionalProperties: false
+  };
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'string':
+      return typeof value === 'string';
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'boolean':
+      return typeof value === 'boolean';
+    default:
+      return true;
+  }
+}
+
+function validateNode(value, schema, path, errors) {
+  const label = path || '(root)';
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    errors.push(`${label}: expected ${schema.type}`);
+    return;
+  }
+
+  if (schema.type === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) {
+        errors.push(`${path ? `${path}.` : ''}${key}: is required`);
+      }
+    }
+    for (const [key, child] of Object.entries(value)) {
+      const childPath = path ? `${path}.${key}` : key;
+      if (schema.properties?.[key]) {
+        validateNode(child, schema.properties[key], childPath, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${childPath}: is not allowed`);
+      }
+    }
+  }
+
+  if (schema.type === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${label}: must have at least ${schema.minItems} item(s)`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${label}: must have at most ${schema.maxItems} item(s)`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => validateNode(item, schema.items, `${label}[${index}]`, errors));
+    }
+  }
+
+  if (schema.type === 'string' && schema.minLength !== undefined && value.trim().length < schema.minLength) {
+    errors.push(`${label}: must not be empty`);
+  }
+
+  if (schema.type === 'number' || schema.type === 'integer') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${label}: must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${label}: must be <= ${schema.maximum}`);
+    }
+  }
+}
+
+/**
+ * Validate a value against a schema
+ * @param {*} value - Parsed model output
+ * @param {Object} schema - JSON Schema from buildAnalysisSchema
+ * @returns {{valid: boolean, errors: string[]}} Validation result
+ */
+export function validateAgainstSchema(value, schema) {
+  const errors = [];
+  validateNode(value, schema, '', errors);
+  return { valid: errors.length === 0, errors };
+}
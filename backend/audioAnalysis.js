@@ -1,24 +1,62 @@
 import fs from 'fs-extra';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { decodeAudio } from './audioDecoder.js';
+import { tokenizeTranscript } from './transcriptUtils.js';
+import { DEFAULT_PRESET } from './pitchPresets.js';
+
+// Silence that counts as a pause for the pause score and the pause regions in the contours
+export const PAUSE_SILENCE_THRESHOLD = 0.01;
+export const MIN_PAUSE_SECONDS = 0.2;
+
+// Contours are downsampled to at most this many frames
+const MAX_CONTOUR_FRAMES = 600;
+const MIN_CONTOUR_FRAME_SECONDS = 0.05;
+
+// Below this window energy a frame is treated as unvoiced (same threshold as speech detection)
+export const VOICED_ENERGY_THRESHOLD = 0.001;
+
+// Pitch varying less than this (standard deviation / mean) over MONOTONE_WINDOW_SECONDS is monotone,
+// matching the "Monotone" band of the tonal variation score
+export const MONOTONE_VARIATION_RATIO = 0.05;
+export const MONOTONE_WINDOW_SECONDS = 3;
+
+// With a measured noise floor, clarity is read from windows at least this far above it (speech, not room noise)
+const SPEECH_MARGIN_DB = 10;
+const CLARITY_WINDOW_SIZE = 1024;
+const MAX_CLARITY_WINDOWS = 8;
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-export async function analyzeAudioProperties(audioBuffer) {
+/**
+ * Analyze delivery metrics from the uploaded audio
+ * @param {Buffer|Object} audioBuffer - Raw uploaded audio bytes, or audio already decoded by decodeAudio
+ * @param {Object} [transcript] - `{ text, words }` from the transcription layer, used for speaking rate
+ * @param {Object} [preset] - Pitch preset with the pace and pause ratio targets
+ * @param {{noiseFloorDb: number}|null} [calibration] - Room noise measured by the browser's mic check, in dBFS
+ * @returns {Promise<Object>} Audio metrics (1-5 scores plus raw speaking rate numbers)
+ */
+export async function analyzeAudioProperties(audioBuffer, transcript = null, preset = DEFAULT_PRESET, calibration = null) {
   try {
-    // Convert WebM/audio buffer to WAV for analysis
+    // Decode the uploaded container to real PCM for analysis
     const audioData = await processAudioBuffer(audioBuffer);
-    console.log(audioData)
+    const speakingRate = calculateSpeakingRate(audioData, transcript, preset.paceRange);
     const audioMetrics = {
       // Real audio analysis metrics
-      pace: await calculateRealPace(audioData),
-      volume: calculateRealVolume(audioData),
-      clarity: calculateRealClarity(audioData),
-      pauseDuration: calculateRealPauses(audioData),
+      pace: await calculateRealPace(audioData, speakingRate, preset.paceRange),
+      volume: calculateRealVolume(audioData, calibration),
+      clarity: calculateRealClarity(audioData, calibration),
+      pauseDuration: calculateRealPauses(audioData, preset.pauseRatioRange),
       tonalVariation: calculateRealTonalVariation(audioData),
       confidence: 0, // Will be calculated from other metrics
-      enthusiasm: 0  // Will be calculated from other metrics
+      enthusiasm: 0, // Will be calculated from other metrics
+      speakingRate,
+      audioInfo: {
+        sampleRate: audioData.sampleRate,
+        channels: audioData.channels,
+        duration: Math.round(audioData.duration * 100) / 100
+      }
     };
 
     // Calculate derived metrics
@@ -44,17 +82,13 @@ export async function analyzeAudioProperties(audioBuffer) {
 
 async function processAudioBuffer(audioBuffer) {
   try {
-    // For WebM files, we'll analyze the buffer directly
-    // In a production environment, you might want to convert to WAV first
-    
-    const audioData = {
-      buffer: audioBuffer,
-      sampleRate: 44100, // Assume standard sample rate
-      channels: 1, // Assume mono
-      duration: audioBuffer.length / (44100 * 2), // Rough duration calculation
-      samples: extractSamplesFromBuffer(audioBuffer)
-    };
-    
+    const audioData = Buffer.isBuffer(audioBuffer) ? await decodeAudio(audioBuffer) : audioBuffer;
+
+    if (audioData.samples.length === 0) {
+      throw new Error('Decoded audio contains no samples');
+    }
+
+    console.log(`Decoded audio: ${audioData.sampleRate} Hz, ${audioData.channels} channel(s), ${audioData.duration.toFixed(2)}s`);
     return audioData;
   } catch (error) {
     console.error('Error processing audio buffer:', error);
@@ -62,22 +96,28 @@ async function processAudioBuffer(audioBuffer) {
   }
 }
 
-function extractSamplesFromBuffer(buffer) {
-  // Convert buffer to samples (simplified approach)
-  const samples = new Float32Array(buffer.length / 2);
-  
-  for (let i = 0; i < samples.length; i++) {
-    // Convert 16-bit PCM to float
-    const sample = buffer.readInt16LE(i * 2);
-    samples[i] = sample / 32768.0; // Normalize to -1 to 1
-  }
-  
-  return samples;
-}
-
-async function calculateRealPace(audioData) {
+/**
+ * Calculate pace score from the transcript speaking rate
+ * Falls back to counting energy bursts when no transcript is available
+ * @param {Object} audioData - Processed audio data
+ * @param {Object|null} speakingRate - Result of calculateSpeakingRate
+ * @param {{min: number, max: number}} paceRange - Target words per minute
+ * @returns {number} Pace score (1-5)
+ */
+async function calculateRealPace(audioData, speakingRate, paceRange) {
   try {
-    const { samples, duration, sampleRate } = audioData;
+    if (speakingRate) {
+      const wpm = speakingRate.wordsPerMinute;
+      if (wpm < paceRange.min - 30) return 2; // Too slow
+      if (wpm < paceRange.min - 10) return 3; // Slow
+      if (wpm < paceRange.min) return 4; // Slightly slow
+      if (wpm <= paceRange.max) return 5; // Good pace
+      if (wpm <= paceRange.max + 20) return 4; // Slightly fast
+      if (wpm <= paceRange.max + 40) return 3; // Fast
+      return 2; // Too fast
+    }
+
+    const { samples, sampleRate } = audioData;
     
     // Detect speech segments by analyzing energy levels
     const speechSegments = detectSpeechSegments(samples, sampleRate);
@@ -86,13 +126,7 @@ async function calculateRealPace(audioData) {
     
     // Estimate speaking rate (syllables per second)
     const speechRate = totalSpeechTime > 0 ? speechSegments.length / totalSpeechTime : 0;
-    
-    // Convert to pace score (1-5 scale)
-    if (speechRate < 1.5) return 2; // Too slow
-    if (speechRate < 2.5) return 3; // Slightly slow  
-    if (speechRate < 4.0) return 5; // Good pace
-    if (speechRate < 5.0) return 4; // Slightly fast
-    return 3; // Too fast
+    return scoreBurstRate(speechRate);
     
   } catch (error) {
     console.error('Error calculating pace:', error);
@@ -100,12 +134,116 @@ async function calculateRealPace(audioData) {
   }
 }
 
+/**
+ * Pace score from energy bursts (roughly syllables) per second of speech
+ * @param {number} speechRate - Bursts per second of speech
+ * @returns {number} Pace score (1-5)
+ */
+export function scoreBurstRate(speechRate) {
+  if (speechRate < 1.5) return 2; // Too slow
+  if (speechRate < 2.5) return 3; // Slightly slow
+  if (speechRate < 4.0) return 5; // Good pace
+  if (speechRate < 5.0) return 4; // Slightly fast
+  return 3; // Too fast
+}
+
+/**
+ * Calculate words-per-minute metrics from the transcript and speech segment timing
+ * @param {Object} audioData - Processed audio data
+ * @param {Object|null} transcript - `{ text, words }` from the transcription layer
+ * @param {{min: number, max: number}} paceRange - Target words per minute, reported with the result
+ * @returns {Object|null} Speaking rate numbers, or null without a transcript
+ */
+function calculateSpeakingRate(audioData, transcript, paceRange) {
+  try {
+    if (!transcript) return null;
+
+    const { samples, sampleRate, duration } = audioData;
+    const hasTimestamps = transcript.words.length > 0;
+    const wordCount = hasTimestamps ? transcript.words.length : tokenizeTranscript(transcript.text).length;
+
+    if (wordCount === 0 || duration <= 0) return null;
+
+    // Bridge gaps shorter than a real pause so syllable breaks don't count as pauses
+    const speechSegments = mergeSegments(detectSpeechSegments(samples, sampleRate), 0.25);
+    const speakingTime = speechSegments.reduce((total, segment) =>
+      total + (segment.end - segment.start), 0);
+
+    const wordsPerMinute = wordCount / (duration / 60);
+    const articulationRate = speakingTime > 0 ? wordCount / (speakingTime / 60) : wordsPerMinute;
+
+    return {
+      wordCount,
+      wordsPerMinute: Math.round(wordsPerMinute),
+      articulationRate: Math.round(articulationRate),
+      speakingTime: Math.round(speakingTime * 10) / 10,
+      pauseTime: Math.round(Math.max(0, duration - speakingTime) * 10) / 10,
+      rollingWordsPerMinute: calculateRollingWpm(transcript, wordCount, speechSegments, duration),
+      targetRange: paceRange
+    };
+  } catch (error) {
+    console.error('Error calculating speaking rate:', error);
+    return null;
+  }
+}
+
+/**
+ * Words per minute over a rolling window.
+ * Uses word timestamps when available, otherwise spreads the words evenly over speaking time.
+ */
+function calculateRollingWpm(transcript, wordCount, speechSegments, duration, windowSeconds = 30, stepSeconds = 10) {
+  const windows = [];
+  const speakingTime = speechSegments.reduce((total, segment) => total + (segment.end - segment.start), 0);
+  const wordsPerSpeechSecond = speakingTime > 0 ? wordCount / speakingTime : 0;
+  const window = Math.min(windowSeconds, duration);
+
+  for (let start = 0; start + window <= duration + 1e-6; start += stepSeconds) {
+    const end = start + window;
+    let words;
+
+    if (transcript.words.length > 0) {
+      words = transcript.words.filter(word => word.start >= start && word.start < end).length;
+    } else {
+      const speechInWindow = speechSegments.reduce((total, segment) =>
+        total + Math.max(0, Math.min(segment.end, end) - Math.max(segment.start, start)), 0);
+      words = speechInWindow * wordsPerSpeechSecond;
+    }
+
+    windows.push({
+      start: Math.round(start * 10) / 10,
+      end: Math.round(end * 10) / 10,
+      wordsPerMinute: Math.round(words / (window / 60))
+    });
+
+    if (window >= duration) break;
+  }
+
+  return windows;
+}
+
+/**
+ * Merge segments separated by gaps shorter than maxGap seconds
+ */
+function mergeSegments(segments, maxGap) {
+  const merged = [];
+  for (const segment of segments) {
+    const last = merged[merged.length - 1];
+    if (last && segment.start - last.end < maxGap) {
+      last.end = segment.end;
+    } else {
+      merged.push({ ...segment });
+    }
+  }
+  return merged;
+}
+
 /**
  * Calculate real volume/loudness using RMS analysis
  * @param {Object} audioData - Processed audio data
+ * @param {{noiseFloorDb: number}|null} [calibration] - When given, the room noise's power is taken out of the level
  * @returns {number} Volume score (1-5)
  */
-function calculateRealVolume(audioData) {
+export function calculateRealVolume(audioData, calibration = null) {
   try {
     const { samples } = audioData;
     
@@ -115,15 +253,14 @@ function calculateRealVolume(audioData) {
       sumSquares += samples[i] * samples[i];
     }
     
-    const rms = Math.sqrt(sumSquares / samples.length);
+    let meanSquare = sumSquares / samples.length;
+    if (calibration) {
+      // A noisy room shouldn't make the speaker sound louder than they are
+      meanSquare = Math.max(0, meanSquare - Math.pow(10, calibration.noiseFloorDb / 10));
+    }
+    const rms = Math.sqrt(meanSquare);
     const dbLevel = 20 * Math.log10(rms + 1e-10); // Add small value to avoid log(0)
-    
-    // Convert dB to score (typical speech is around -20 to -10 dB)
-    if (dbLevel < -40) return 2; // Too quiet
-    if (dbLevel < -25) return 3; // Slightly quiet
-    if (dbLevel < -10) return 5; // Good volume
-    if (dbLevel < -5) return 4;  // Slightly loud
-    return 3; // Too loud
+    return scoreLoudness(dbLevel);
     
   } catch (error) {
     console.error('Error calculating volume:', error);
@@ -131,25 +268,32 @@ function calculateRealVolume(audioData) {
   }
 }
 
+/**
+ * Volume score from an RMS level (typical speech is around -20 to -10 dB)
+ * @param {number} dbLevel - RMS level in dBFS
+ * @returns {number} Volume score (1-5)
+ */
+export function scoreLoudness(dbLevel) {
+  if (dbLevel < -40) return 2; // Too quiet
+  if (dbLevel < -25) return 3; // Slightly quiet
+  if (dbLevel < -10) return 5; // Good volume
+  if (dbLevel < -5) return 4;  // Slightly loud
+  return 3; // Too loud
+}
+
 /**
  * Calculate speech clarity using frequency analysis
  * @param {Object} audioData - Processed audio data
+ * @param {{noiseFloorDb: number}|null} [calibration] - When given, only windows clearly above the room noise are analyzed
  * @returns {number} Clarity score (1-5)
  */
-function calculateRealClarity(audioData) {
+function calculateRealClarity(audioData, calibration = null) {
   try {
     const { samples, sampleRate } = audioData;
     
-    // Perform basic frequency analysis
-    const fftResult = performFFT(samples);
-    const frequencySpectrum = fftResult.magnitude;
-    
-    // Analyze clarity based on frequency distribution
-    const speechFreqRange = getFrequencyRange(frequencySpectrum, 300, 3400, sampleRate);
-    const noiseFreqRange = getFrequencyRange(frequencySpectrum, 0, 300, sampleRate) + 
-                          getFrequencyRange(frequencySpectrum, 3400, 8000, sampleRate);
-    
-    const clarityRatio = speechFreqRange / (noiseFreqRange + speechFreqRange + 1e-10);
+    const windows = calibration ? findSpeechWindows(samples, calibration.noiseFloorDb + SPEECH_MARGIN_DB) : [];
+    if (windows.length === 0) windows.push(samples);
+    const clarityRatio = windows.reduce((sum, window) => sum + calculateClarityRatio(window, sampleRate), 0) / windows.length;
     
     // Convert ratio to score
     if (clarityRatio > 0.8) return 5; // Excellent clarity
@@ -164,30 +308,57 @@ function calculateRealClarity(audioData) {
   }
 }
 
+// Share of the spectrum's energy in the speech band (300-3400 Hz)
+function calculateClarityRatio(samples, sampleRate) {
+  // Perform basic frequency analysis
+  const fftResult = performFFT(samples);
+  const frequencySpectrum = fftResult.magnitude;
+  
+  // Analyze clarity based on frequency distribution
+  const speechFreqRange = getFrequencyRange(frequencySpectrum, 300, 3400, sampleRate);
+  const noiseFreqRange = getFrequencyRange(frequencySpectrum, 0, 300, sampleRate) + 
+                        getFrequencyRange(frequencySpectrum, 3400, 8000, sampleRate);
+  
+  return speechFreqRange / (noiseFreqRange + speechFreqRange + 1e-10);
+}
+
+// Up to MAX_CLARITY_WINDOWS FFT-sized windows louder than minDb, spread across the recording
+function findSpeechWindows(samples, minDb) {
+  const minEnergy = Math.pow(10, minDb / 10);
+  const candidates = [];
+  for (let i = 0; i + CLARITY_WINDOW_SIZE <= samples.length; i += CLARITY_WINDOW_SIZE) {
+    const window = samples.subarray(i, i + CLARITY_WINDOW_SIZE);
+    if (calculateWindowEnergy(window) >= minEnergy) candidates.push(window);
+  }
+  const step = Math.max(1, candidates.length / MAX_CLARITY_WINDOWS);
+  const windows = [];
+  for (let i = 0; i < candidates.length && windows.length < MAX_CLARITY_WINDOWS; i += step) {
+    windows.push(candidates[Math.floor(i)]);
+  }
+  return windows;
+}
+
 /**
  * Calculate pause patterns using silence detection
  * @param {Object} audioData - Processed audio data  
+ * @param {{min: number, max: number}} pauseRatioRange - Ideal share of silence in the recording
  * @returns {number} Pause score (1-5)
  */
-function calculateRealPauses(audioData) {
+function calculateRealPauses(audioData, pauseRatioRange) {
   try {
     const { samples, sampleRate } = audioData;
     
     // Detect silent segments
-    const silenceThreshold = 0.01; // Threshold for silence
-    const minPauseDuration = 0.2; // Minimum pause duration in seconds
-    
-    const silentSegments = detectSilentSegments(samples, sampleRate, silenceThreshold, minPauseDuration);
+    const silentSegments = detectSilentSegments(samples, sampleRate, PAUSE_SILENCE_THRESHOLD, MIN_PAUSE_SECONDS);
     const totalSilenceTime = silentSegments.reduce((total, segment) => 
       total + (segment.end - segment.start), 0);
     
     const silenceRatio = totalSilenceTime / audioData.duration;
     
-    // Optimal pause ratio is around 10-20% of speech
-    if (silenceRatio < 0.05) return 2; // Too few pauses
-    if (silenceRatio < 0.15) return 5; // Good pause usage
-    if (silenceRatio < 0.25) return 4; // Acceptable pauses
-    if (silenceRatio < 0.35) return 3; // Too many pauses
+    if (silenceRatio < pauseRatioRange.min) return 2; // Too few pauses
+    if (silenceRatio < pauseRatioRange.max) return 5; // Good pause usage
+    if (silenceRatio < pauseRatioRange.max + 0.1) return 4; // Acceptable pauses
+    if (silenceRatio < pauseRatioRange.max + 0.2) return 3; // Too many pauses
     return 2; // Excessive pauses
     
   } catch (error) {
@@ -201,7 +372,7 @@ function calculateRealPauses(audioData) {
  * @param {Object} audioData - Processed audio data
  * @returns {number} Tonal variation score (1-5)
  */
-function calculateRealTonalVariation(audioData) {
+export function calculateRealTonalVariation(audioData) {
   try {
     const { samples, sampleRate } = audioData;
     
@@ -237,6 +408,102 @@ function calculateRealTonalVariation(audioData) {
   }
 }
 
+/**
+ * Downsampled loudness envelope, pitch contour and pause/monotone regions for charts
+ * @param {Object} audioData - Processed audio data
+ * @returns {Object|null} `{ frameSeconds, loudness, pitch, voiced, pauses, monotoneRegions }`.
+ *   loudness is RMS in dBFS per frame, pitch is Hz per frame (null when unvoiced), regions are in seconds.
+ */
+export function calculateDeliveryContours(audioData) {
+  try {
+    const { samples, sampleRate, duration } = audioData;
+    const frameSeconds = Math.max(MIN_CONTOUR_FRAME_SECONDS, duration / MAX_CONTOUR_FRAMES);
+    const frameSize = Math.max(1, Math.floor(sampleRate * frameSeconds));
+    const pitchWindowSize = Math.min(frameSize, Math.floor(sampleRate * 0.04)); // 40ms, enough for 80 Hz
+
+    const loudness = [];
+    const pitch = [];
+    const voiced = [];
+
+    for (let i = 0; i < samples.length; i += frameSize) {
+      const frame = samples.subarray(i, Math.min(i + frameSize, samples.length));
+      loudness.push(Math.round(20 * Math.log10(Math.sqrt(calculateWindowEnergy(frame)) + 1e-10) * 10) / 10);
+
+      // Estimate pitch on a short window in the middle of the frame
+      const windowStart = i + Math.floor((frame.length - pitchWindowSize) / 2);
+      const window = samples.subarray(Math.max(0, windowStart), Math.max(0, windowStart) + pitchWindowSize);
+      const isVoiced = window.length === pitchWindowSize && calculateWindowEnergy(window) > VOICED_ENERGY_THRESHOLD;
+      const framePitch = isVoiced ? estimatePitch(window, sampleRate) : 0;
+
+      voiced.push(framePitch > 0);
+      pitch.push(framePitch > 0 ? Math.round(framePitch) : null);
+    }
+
+    const smoothedPitch = smoothPitch(pitch);
+    const round = segment => ({ start: Math.round(segment.start * 100) / 100, end: Math.round(segment.end * 100) / 100 });
+
+    return {
+      frameSeconds: Math.round(frameSeconds * 1000) / 1000,
+      loudness,
+      pitch: smoothedPitch,
+      voiced,
+      pauses: detectSilentSegments(samples, sampleRate, PAUSE_SILENCE_THRESHOLD, MIN_PAUSE_SECONDS).map(round),
+      monotoneRegions: findMonotoneRegions(smoothedPitch, frameSeconds).map(round)
+    };
+  } catch (error) {
+    console.error('Error calculating delivery contours:', error);
+    return null;
+  }
+}
+
+/**
+ * Median filter over neighbouring voiced frames. Autocorrelation sometimes locks onto
+ * half the real pitch for a single frame; this removes those octave drops.
+ */
+export function smoothPitch(pitch, radius = 2) {
+  return pitch.map((value, index) => {
+    if (value === null) return null;
+    const neighbours = pitch
+      .slice(Math.max(0, index - radius), index + radius + 1)
+      .filter(neighbour => neighbour !== null)
+      .sort((a, b) => a - b);
+    return neighbours[Math.floor(neighbours.length / 2)];
+  });
+}
+
+/**
+ * Stretches where the voiced pitch barely moves
+ */
+function findMonotoneRegions(pitch, frameSeconds) {
+  const windowFrames = Math.max(2, Math.round(MONOTONE_WINDOW_SECONDS / frameSeconds));
+  const monotone = new Array(pitch.length).fill(false);
+
+  for (let start = 0; start + windowFrames <= pitch.length; start++) {
+    const values = pitch.slice(start, start + windowFrames).filter(value => value !== null);
+    // Need most of the window voiced, otherwise it is a pause rather than flat speech
+    if (values.length < windowFrames * 0.6) continue;
+
+    const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+    const deviation = Math.sqrt(values.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / values.length);
+    if (deviation / mean < MONOTONE_VARIATION_RATIO) {
+      monotone.fill(true, start, start + windowFrames);
+    }
+  }
+
+  const regions = [];
+  monotone.forEach((isMonotone, index) => {
+    const last = regions[regions.length - 1];
+    if (!isMonotone) return;
+    if (last && last.endFrame === index) {
+      last.endFrame = index + 1;
+    } else {
+      regions.push({ startFrame: index, endFrame: index + 1 });
+    }
+  });
+
+  return regions.map(region => ({ start: region.startFrame * frameSeconds, end: region.endFrame * frameSeconds }));
+}
+
 /**
  * Calculate confidence based on audio characteristics
  */
@@ -295,7 +562,7 @@ function calculateEnthusiasmFromMetrics(audioMetrics) {
 /**
  * Detect speech segments in audio samples
  */
-function detectSpeechSegments(samples, sampleRate) {
+export function detectSpeechSegments(samples, sampleRate) {
   const segments = [];
   const windowSize = Math.floor(sampleRate * 0.02); // 20ms windows
   const energyThreshold = 0.001;
@@ -319,13 +586,21 @@ function detectSpeechSegments(samples, sampleRate) {
     }
   }
   
+  // Close a segment still open at the end of the recording
+  if (inSpeech) {
+    segments.push({
+      start: segmentStart,
+      end: samples.length / sampleRate
+    });
+  }
+  
   return segments;
 }
 
 /**
  * Calculate energy of audio window
  */
-function calculateWindowEnergy(window) {
+export function calculateWindowEnergy(window) {
   let energy = 0;
   for (let i = 0; i < window.length; i++) {
     energy += window[i] * window[i];
@@ -336,7 +611,7 @@ function calculateWindowEnergy(window) {
 /**
  * Detect silent segments in audio
  */
-function detectSilentSegments(samples, sampleRate, threshold, minDuration) {
+export function detectSilentSegments(samples, sampleRate, threshold, minDuration) {
   const segments = [];
   const windowSize = Math.floor(sampleRate * 0.01); // 10ms windows
   
@@ -414,11 +689,11 @@ function getFrequencyRange(spectrum, freqMin, freqMax, sampleRate) {
 /**
  * Estimate pitch using autocorrelation
  */
-function estimatePitch(window, sampleRate) {
+export function estimatePitch(window, sampleRate) {
   const minPeriod = Math.floor(sampleRate / 800); // ~800 Hz max
   const maxPeriod = Math.floor(sampleRate / 80);  // ~80 Hz min
   
-  let bestPeriod = 0;
+  const correlations = [];
   let bestCorrelation = 0;
   
   for (let period = minPeriod; period <= maxPeriod; period++) {
@@ -430,16 +705,22 @@ function estimatePitch(window, sampleRate) {
       count++;
     }
     
-    if (count > 0) {
-      correlation /= count;
-      if (correlation > bestCorrelation) {
-        bestCorrelation = correlation;
-        bestPeriod = period;
-      }
+    correlations[period] = count > 0 ? correlation / count : 0;
+    bestCorrelation = Math.max(bestCorrelation, correlations[period]);
+  }
+  
+  if (bestCorrelation <= 0) return 0;
+  
+  // Multiples of the real period correlate almost as well, so take the first
+  // peak close to the best one rather than the best one (avoids octave drops)
+  for (let period = minPeriod + 1; period < maxPeriod; period++) {
+    const isPeak = correlations[period] >= correlations[period - 1] && correlations[period] >= correlations[period + 1];
+    if (isPeak && correlations[period] >= bestCorrelation * 0.9) {
+      return sampleRate / period;
     }
   }
   
-  return bestPeriod > 0 ? sampleRate / bestPeriod : 0;
+  return 0;
 }
 
 
@@ -0,0 +1,122 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import ffmpeg from 'fluent-ffmpeg';
+import ffmpegStatic from 'ffmpeg-static';
+import wavefile from 'wavefile';
+
+const { WaveFile } = wavefile;
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+ffmpeg.setFfmpegPath(ffmpegStatic);
+
+/**
+ * Convert any audio container ffmpeg understands (webm, ogg, mp3, m4a, wav...)
+ * to a 16-bit PCM WAV buffer.
+ * @param {Buffer} audioBuffer - Raw uploaded audio bytes
+ * @param {Object} [options]
+ * @param {number} [options.sampleRate] - Resample to this rate (keeps source rate if omitted)
+ * @param {number} [options.channels] - Mix to this many channels (keeps source layout if omitted)
+ * @returns {Promise<Buffer>} WAV file buffer
+ */
+export async function convertToWav(audioBuffer, options = {}) {
+  const { sampleRate, channels } = options;
+  const tempDir = path.join(__dirname, 'temp');
+  await fs.ensureDir(tempDir);
+
+  // ffmpeg probes the real container from the bytes, the extension is only a hint
+  const fileId = `${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+  const inputPath = path.join(tempDir, `input_${fileId}.webm`);
+  const outputPath = path.join(tempDir, `output_${fileId}.wav`);
+
+  await fs.writeFile(inputPath, audioBuffer);
+
+  try {
+    await new Promise((resolve, reject) => {
+      const command = ffmpeg(inputPath)
+        .toFormat('wav')
+        .audioCodec('pcm_s16le');
+
+      if (channels) command.audioChannels(channels);
+      if (sampleRate) command.audioFrequency(sampleRate);
+
+      command
+        .on('end', resolve)
+        .on('error', reject)
+        .save(outputPath);
+    });
+
+    return await fs.readFile(outputPath);
+  } finally {
+    // Clean up temp files
+    await fs.remove(inputPath);
+    await fs.remove(outputPath);
+  }
+}
+
+/**
+ * Check for a RIFF/WAVE header so WAV uploads can skip ffmpeg
+ */
+function isWavBuffer(buffer) {
+  return buffer.length > 12 &&
+    buffer.toString('ascii', 0, 4) === 'RIFF' &&
+    buffer.toString('ascii', 8, 12) === 'WAVE';
+}
+
+/**
+ * Decode a WAV buffer to normalized mono samples
+ * @param {Buffer} wavBuffer - WAV file buffer (any PCM or float bit depth)
+ * @returns {Object} Decoded audio: samples (mono, -1 to 1), sampleRate, channels, duration
+ */
+export function decodeWav(wavBuffer) {
+  const wav = new WaveFile(wavBuffer);
+  const sampleRate = wav.fmt.sampleRate;
+  const channels = wav.fmt.numChannels;
+
+  // Normalize every bit depth to floats in the -1 to 1 range
+  if (wav.bitDepth !== '32f') {
+    wav.toBitDepth('32f');
+  }
+
+  const channelData = channels > 1
+    ? wav.getSamples(false, Float32Array)
+    : [wav.getSamples(false, Float32Array)];
+
+  // Downmix to mono for analysis
+  const length = channelData[0].length;
+  const samples = new Float32Array(length);
+  for (let i = 0; i < length; i++) {
+    let sum = 0;
+    for (let c = 0; c < channelData.length; c++) {
+      sum += channelData[c][i];
+    }
+    samples[i] = sum / channelData.length;
+  }
+
+  return {
+    samples,
+    sampleRate,
+    channels,
+    duration: sampleRate > 0 ? length / sampleRate : 0
+  };
+}
+
+/**
+ * Decode any uploaded audio (webm, ogg, mp3, m4a, wav) into real PCM samples
+ * @param {Buffer} audioBuffer - Raw uploaded audio bytes
+ * @returns {Promise<Object>} Decoded audio: samples (mono, -1 to 1), sampleRate, channels, duration
+ */
+export async function decodeAudio(audioBuffer) {
+  if (isWavBuffer(audioBuffer)) {
+    try {
+      return decodeWav(audioBuffer);
+    } catch (error) {
+      console.log('Direct WAV decode failed, converting with FFmpeg...', error.message);
+    }
+  }
+
+  const wavBuffer = await convertToWav(audioBuffer);
+  return decodeWav(wavBuffer);
+}
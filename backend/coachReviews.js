@@ -0,0 +1,305 @@
+import { randomUUID } from 'crypto';
+import { getDatabase } from './database.js';
+import { DEFAULT_RUBRIC, calculateRubricScore } from './rubrics.js';
+
+export const VOTES = ['agree', 'disagree'];
+
+const MAX_COMMENTS = 200;
+const MAX_COMMENT_LENGTH = 2000;
+const MAX_SUMMARY_LENGTH = 5000;
+
+function parseJson(value, fallback) {
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+}
+
+const toReview = (row) => ({
+  recordingId: row.recording_id,
+  reviewer: { id: row.reviewer_id, name: row.reviewer_name ?? null },
+  scores: parseJson(row.scores, {}),
+  votes: parseJson(row.votes, {}),
+  comments: parseJson(row.comments, []),
+  summary: row.summary,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+// Results saved before rubrics existed were scored like the default rubric
+const getRubric = (result) => result.rubric || DEFAULT_RUBRIC;
+
+/**
+ * Criteria a coach can score, with the AI's score for each
+ * @param {Object} result - Evaluation result
+ * @returns {Array} {key, name, type, metric, max, weight, aiScore}
+ */
+export function getReviewCriteria(result) {
+  const rubric = getRubric(result);
+  const { breakdown } = calculateRubricScore(rubric, { delivery: result.delivery || {}, engagement: result.engagement || {} });
+  return breakdown.map((item, index) => ({
+    key: item.key,
+    name: item.name,
+    type: item.type,
+    metric: rubric.criteria[index].metric ?? null,
+    max: item.max,
+    weight: item.weight,
+    aiScore: item.score
+  }));
+}
+
+/**
+ * AI feedback items a coach can agree or disagree with.
+ * Ids: "overall", "criterion:<key>" for per-criterion feedback, "timeline:<index>" for timeline comments.
+ * @param {Object} result - Evaluation result
+ * @returns {{id: string, kind: string, text: string}[]}
+ */
+export function getFeedbackItems(result) {
+  const items = [];
+  const analysis = result.detailedAnalysis || {};
+  if (analysis.overallFeedback) {
+    items.push({ id: 'overall', kind: 'overall', text: analysis.overallFeedback });
+  }
+  for (const criterion of getRubric(result).criteria) {
+    const feedback = analysis[criterion.key]?.feedback;
+    if (criterion.type === 'content' && feedback) {
+      items.push({ id: `criterion:${criterion.key}`, kind: 'criterion', text: feedback });
+    }
+  }
+  for (const segment of result.timeline?.segments || []) {
+    if (segment.comment) {
+      items.push({ id: `timeline:${segment.index}`, kind: 'timeline', text: segment.comment });
+    }
+  }
+  return items;
+}
+
+/**
+ * Validate a coach review against the evaluation it reviews
+ * @param {Object} input - {scores, votes, comments, summary}
+ * @param {Object} result - Evaluation result of the recording
+ * @returns {{review: Object|null, errors: string[]}} Normalized review, or validation errors
+ */
+export function validateReview(input, result) {
+  if (!input || typeof input !== 'object') {
+    return { review: null, errors: ['Review must be an object'] };
+  }
+
+  const errors = [];
+  const criteria = new Map(getReviewCriteria(result).map(criterion => [criterion.key, criterion]));
+  const feedbackIds = new Set(getFeedbackItems(result).map(item => item.id));
+
+  const scores = {};
+  for (const [key, score] of Object.entries(input.scores || {})) {
+    const criterion = criteria.get(key);
+    if (!criterion) {
+      errors.push(`scores.${key}: not a criterion of this evaluation`);
+    } else if (score === null) {
+      continue;
+    } else if (typeof score !== 'number' || !Number.isFinite(score) || score < 0 || score > criterion.max) {
+      errors.push(`scores.${key}: must be a number from 0 to ${criterion.max}`);
+    } else {
+      scores[key] = score;
+    }
+  }
+
+  const votes = {};
+  for (const [id, vote] of Object.entries(input.votes || {})) {
+    if (!feedbackIds.has(id)) {
+      errors.push(`votes.${id}: not a feedback item of this evaluation`);
+    } else if (vote !== null && !VOTES.includes(vote)) {
+      errors.push(`votes.${id}: must be "agree" or "disagree"`);
+    } else if (vote) {
+      votes[id] = vote;
+    }
+  }
+
+  const comments = [];
+  const inputComments = input.comments ?? [];
+  if (!Array.isArray(inputComments) || inputComments.length > MAX_COMMENTS) {
+    errors.push(`comments: must be an array of at most ${MAX_COMMENTS} comments`);
+  } else {
+    inputComments.forEach((comment, index) => {
+      const text = typeof comment?.text === 'string' ? comment.text.trim() : '';
+      if (typeof comment?.time !== 'number' || !Number.isFinite(comment.time) || comment.time < 0) {
+        errors.push(`comments[${index}].time: must be a non-negative number of seconds`);
+      }
+      if (!text || text.length > MAX_COMMENT_LENGTH) {
+        errors.push(`comments[${index}].text: must be 1-${MAX_COMMENT_LENGTH} characters`);
+      }
+      comments.push({
+        id: typeof comment?.id === 'string' && comment.id ? comment.id : randomUUID(),
+        time: comment?.time,
+        text,
+        createdAt: Number.isFinite(comment?.createdAt) ? comment.createdAt : Date.now()
+      });
+    });
+  }
+
+  const summary = typeof input.summary === 'string' ? input.summary.trim() : '';
+  if (summary.length > MAX_SUMMARY_LENGTH) {
+    errors.push(`summary: must be at most ${MAX_SUMMARY_LENGTH} characters`);
+  }
+
+  if (errors.length > 0) {
+    return { review: null, errors };
+  }
+  comments.sort((a, b) => a.time - b.time);
+  return { review: { scores, votes, comments, summary }, errors: [] };
+}
+
+/**
+ * Coach reviews of a recording, oldest first
+ * @param {string} recordingId
+ * @returns {Object[]}
+ */
+export function listReviews(recordingId) {
+  return getDatabase().prepare(`
+    SELECT reviews.*, users.name AS reviewer_name
+    FROM reviews LEFT JOIN users ON users.id = reviews.reviewer_id
+    WHERE reviews.recording_id = ?
+    ORDER BY reviews.created_at
+  `).all(recordingId).map(toReview);
+}
+
+/**
+ * Create or replace a reviewer's review of a recording
+ * @param {string} recordingId
+ * @param {string} reviewerId
+ * @param {Object} review - Output of validateReview
+ */
+export function saveReview(recordingId, reviewerId, { scores, votes, comments, summary }) {
+  const now = Date.now();
+  getDatabase().prepare(`
+    INSERT INTO reviews (recording_id, reviewer_id, scores, votes, comments, summary, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT (recording_id, reviewer_id) DO UPDATE SET
+      scores = excluded.scores, votes = excluded.votes, comments = excluded.comments,
+      summary = excluded.summary, updated_at = excluded.updated_at
+  `).run(recordingId, reviewerId, JSON.stringify(scores), JSON.stringify(votes), JSON.stringify(comments), summary, now, now);
+}
+
+/**
+ * Delete a reviewer's review of a recording
+ * @param {string} recordingId
+ * @param {string} reviewerId
+ * @returns {boolean} False if there was none
+ */
+export function deleteReview(recordingId, reviewerId) {
+  return getDatabase()
+    .prepare('DELETE FROM reviews WHERE recording_id = ? AND reviewer_id = ?')
+    .run(recordingId, reviewerId).changes > 0;
+}
+
+const average = (values) => values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+const round = (value, digits = 2) => value === null ? null : Number(value.toFixed(digits));
+
+/**
+ * Coach scores next to the AI's: per-criterion averages across reviews, and the overall
+ * score recomputed with the rubric weights (criteria no coach scored keep the AI score)
+ * @param {Object} result - Evaluation result
+ * @param {Object[]} reviews - Reviews of the recording
+ * @returns {{reviewCount: number, aiScore: number, coachScore: number|null, criteria: Array, feedback: Object}}
+ */
+export function summarizeReviews(result, reviews) {
+  const criteria = getReviewCriteria(result).map(criterion => {
+    const coachScores = reviews.map(review => review.scores[criterion.key]).filter(score => typeof score === 'number');
+    return { ...criterion, coachScore: round(average(coachScores)), coachCount: coachScores.length };
+  });
+
+  const delivery = { ...result.delivery };
+  const engagement = { ...result.engagement };
+  for (const criterion of criteria) {
+    if (criterion.coachScore === null) continue;
+    if (criterion.type === 'delivery') delivery[criterion.metric] = criterion.coachScore;
+    else engagement[criterion.key] = criterion.coachScore;
+  }
+
+  const feedback = {};
+  for (const review of reviews) {
+    for (const [id, vote] of Object.entries(review.votes)) {
+      feedback[id] ??= { agree: 0, disagree: 0 };
+      feedback[id][vote]++;
+    }
+  }
+
+  const rubric = getRubric(result);
+  const scored = criteria.some(criterion => criterion.coachCount > 0);
+  return {
+    reviewCount: reviews.length,
+    aiScore: calculateRubricScore(rubric, { delivery: result.delivery || {}, engagement: result.engagement || {} }).overallScore,
+    coachScore: scored ? calculateRubricScore(rubric, { delivery, engagement }).overallScore : null,
+    criteria,
+    feedback
+  };
+}
+
+/**
+ * Where coaches disagree with the AI, across every review of recordings the user can see.
+ * Differences are coach minus AI, in criterion points; per provider they're scaled to 0-10.
+ * @param {string} userId
+ * @returns {{reviews: number, criteria: Array, feedback: Object, providers: Array}}
+ */
+export function getAgreementStats(userId) {
+  const rows = getDatabase().prepare(`
+    SELECT reviews.scores, reviews.votes, recordings.result
+    FROM reviews JOIN recordings ON recordings.id = reviews.recording_id
+    WHERE recordings.owner_id = ?
+      OR recordings.workspace_id IN (SELECT workspace_id FROM workspace_members WHERE user_id = ?)
+  `).all(userId, userId);
+
+  const criteria = new Map();
+  const providers = new Map();
+  const feedback = { agree: 0, disagree: 0, byKind: {} };
+
+  for (const row of rows) {
+    const result = parseJson(row.result, null);
+    if (!result) continue;
+    const scores = parseJson(row.scores, {});
+    const votes = parseJson(row.votes, {});
+    const provider = result.analyzedBy?.provider || 'unknown';
+    const model = result.analyzedBy?.model || null;
+    const providerKey = `${provider}/${model}`;
+    if (!providers.has(providerKey)) {
+      providers.set(providerKey, { provider, model, reviews: 0, differences: [], agree: 0, disagree: 0 });
+    }
+    const providerStats = providers.get(providerKey);
+    providerStats.reviews++;
+
+    for (const criterion of getReviewCriteria(result)) {
+      const coachScore = scores[criterion.key];
+      if (typeof coachScore !== 'number' || criterion.aiScore === null) continue;
+      if (!criteria.has(criterion.key)) criteria.set(criterion.key, { key: criterion.key, name: criterion.name, differences: [] });
+      criteria.get(criterion.key).differences.push(coachScore - criterion.aiScore);
+      providerStats.differences.push(((coachScore - criterion.aiScore) / criterion.max) * 10);
+    }
+
+    for (const [id, vote] of Object.entries(votes)) {
+      const kind = id.split(':')[0];
+      feedback.byKind[kind] ??= { agree: 0, disagree: 0 };
+      feedback.byKind[kind][vote]++;
+      feedback[vote]++;
+      providerStats[vote]++;
+    }
+  }
+
+  return {
+    reviews: rows.length,
+    criteria: [...criteria.values()].map(({ key, name, differences }) => ({
+      key,
+      name,
+      reviews: differences.length,
+      meanDifference: round(average(differences)),
+      meanAbsoluteDifference: round(average(differences.map(Math.abs)))
+    })),
+    feedback,
+    providers: [...providers.values()].map(({ provider, model, reviews, differences, agree, disagree }) => ({
+      provider,
+      model,
+      reviews,
+      meanAbsoluteDifference: round(average(differences.map(Math.abs))),
+      agreementRate: agree + disagree > 0 ? round(agree / (agree + disagree)) : null
+    }))
+  };
+}
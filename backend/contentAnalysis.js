@@ -0,0 +1,429 @@
+import { generateText, resolveLLMSelection } from './llmProviders.js';
+import { buildAnalysisSchema, buildSegmentCommentSchema, validateAgainstSchema } from './analysisSchema.js';
+import { DEFAULT_RUBRIC, getContentCriteria } from './rubrics.js';
+import { DEFAULT_PRESET, evaluateTimeBox } from './pitchPresets.js';
+import { DEFAULT_LANGUAGE, describeLanguages, getLanguageName, localize } from './languages.js';
+
+// How many times an invalid response is sent back to the model for repair.
+// Read on use, .env is loaded after the imports run
+const getMaxRepairAttempts = () => {
+  const attempts = Number(process.env.LLM_MAX_REPAIR_ATTEMPTS);
+  return process.env.LLM_MAX_REPAIR_ATTEMPTS?.trim() && Number.isInteger(attempts) && attempts >= 0 ? attempts : 2;
+};
+
+// Words that make the fallback heuristics call a pitch persuasive, per spoken language
+const EMOTIONAL_WORDS = {
+  en: /excited|passionate|believe|important|amazing/i,
+  es: /emocionad|apasionad|creemos|creo|importante|increíble|increible/i,
+  hi: /उत्साहित|जुनून|विश्वास|ज़रूरी|जरूरी|महत्वपूर्ण|शानदार|कमाल|excited|believe/i
+};
+
+// Built-in feedback of the fallback analysis and segment comments, per feedback language
+const FALLBACK_TEXT = {
+  en: {
+    storytelling: {
+      feedback: (wordCount, isLong) => `Your pitch contains ${wordCount} words. ${isLong ? 'Good length for storytelling.' : 'Consider expanding your narrative.'}`,
+      strengths: ['Clear communication', 'Structured approach'],
+      improvements: ['Add more narrative elements', 'Include personal examples']
+    },
+    audienceConnection: {
+      feedback: (hasQuestions) => hasQuestions ? 'Good use of questions to engage audience' : 'Consider adding questions to engage your audience',
+      strengths: ['Direct communication'],
+      improvements: ['Add more audience interaction', 'Include relatable examples']
+    },
+    persuasiveness: {
+      feedback: (hasEmotionalWords) => hasEmotionalWords ? 'Good use of persuasive language' : 'Consider adding more compelling language',
+      strengths: ['Clear message delivery'],
+      improvements: ['Strengthen call to action', 'Add supporting evidence']
+    },
+    neutral: (name) => `No AI analysis available for ${name}; neutral score assigned.`,
+    overallFeedback: (reason) => `Fallback analysis (not AI-generated): ${reason}. Scores come from simple transcript heuristics.`,
+    keyMessages: ['Main pitch delivered clearly'],
+    emotionalTone: (hasEmotionalWords) => hasEmotionalWords ? 'Enthusiastic and engaging' : 'Professional and measured',
+    steadySegment: 'Steady delivery in this part.'
+  },
+  es: {
+    storytelling: {
+      feedback: (wordCount, isLong) => `Tu pitch tiene ${wordCount} palabras. ${isLong ? 'Buena extensión para contar una historia.' : 'Considera desarrollar más tu narrativa.'}`,
+      strengths: ['Comunicación clara', 'Enfoque estructurado'],
+      improvements: ['Añade más elementos narrativos', 'Incluye ejemplos personales']
+    },
+    audienceConnection: {
+      feedback: (hasQuestions) => hasQuestions ? 'Buen uso de preguntas para involucrar a la audiencia' : 'Considera añadir preguntas para involucrar a tu audiencia',
+      strengths: ['Comunicación directa'],
+      improvements: ['Añade más interacción con la audiencia', 'Incluye ejemplos con los que la audiencia se identifique']
+    },
+    persuasiveness: {
+      feedback: (hasEmotionalWords) => hasEmotionalWords ? 'Buen uso de lenguaje persuasivo' : 'Considera usar un lenguaje más convincente',
+      strengths: ['Mensaje transmitido con claridad'],
+      improvements: ['Refuerza la llamada a la acción', 'Añade evidencia que respalde tus afirmaciones']
+    },
+    neutral: (name) => `No hay análisis de IA disponible para ${name}; se asignó una puntuación neutral.`,
+    overallFeedback: (reason) => `Análisis de respaldo (no generado por IA): ${reason}. Las puntuaciones vienen de heurísticas simples sobre la transcripción.`,
+    keyMessages: ['Pitch principal transmitido con claridad'],
+    emotionalTone: (hasEmotionalWords) => hasEmotionalWords ? 'Entusiasta y cautivador' : 'Profesional y mesurado',
+    steadySegment: 'Entrega estable en esta parte.'
+  },
+  hi: {
+    storytelling: {
+      feedback: (wordCount, isLong) => `आपकी पिच में ${wordCount} शब्द हैं। ${isLong ? 'कहानी कहने के लिए अच्छी लंबाई है।' : 'अपनी कहानी को थोड़ा और विस्तार देने पर विचार करें।'}`,
+      strengths: ['स्पष्ट संवाद', 'व्यवस्थित तरीका'],
+      improvements: ['कहानी के और तत्व जोड़ें', 'निजी उदाहरण शामिल करें']
+    },
+    audienceConnection: {
+      feedback: (hasQuestions) => hasQuestions ? 'श्रोताओं को जोड़ने के लिए सवालों का अच्छा इस्तेमाल' : 'श्रोताओं को जोड़ने के लिए सवाल पूछने पर विचार करें',
+      strengths: ['सीधा संवाद'],
+      improvements: ['श्रोताओं से और संवाद करें', 'ऐसे उदाहरण दें जिनसे श्रोता जुड़ सकें']
+    },
+    persuasiveness: {
+      feedback: (hasEmotionalWords) => hasEmotionalWords ? 'प्रभावशाली भाषा का अच्छा इस्तेमाल' : 'और असरदार भाषा जोड़ने पर विचार करें',
+      strengths: ['संदेश स्पष्ट रूप से पहुँचा'],
+      improvements: ['कॉल टू एक्शन को मज़बूत करें', 'अपनी बातों के समर्थन में सबूत जोड़ें']
+    },
+    neutral: (name) => `${name} के लिए AI विश्लेषण उपलब्ध नहीं है; तटस्थ स्कोर दिया गया।`,
+    overallFeedback: (reason) => `वैकल्पिक विश्लेषण (AI द्वारा नहीं बनाया गया): ${reason}। स्कोर ट्रांसक्रिप्ट पर आधारित सरल अनुमानों से हैं।`,
+    keyMessages: ['मुख्य पिच स्पष्ट रूप से प्रस्तुत की गई'],
+    emotionalTone: (hasEmotionalWords) => hasEmotionalWords ? 'उत्साही और आकर्षक' : 'पेशेवर और संतुलित',
+    steadySegment: 'इस हिस्से में स्थिर प्रस्तुति।'
+  }
+};
+
+/**
+ * Analyze transcription and audio metrics with an LLM for content evaluation
+ * @param {string} transcriptionText - The transcribed text from Whisper
+ * @param {Object} audioMetrics - Audio analysis results
+ * @param {Object} [options]
+ * @param {Object} [options.llm] - `{ provider, model }`, defaults come from configuration
+ * @param {Object} [options.rubric] - Rubric whose content criteria the model scores
+ * @param {Object} [options.preset] - Pitch preset giving the prompt focus, expected structure and time box
+ * @param {Object} [options.question] - `{ text, category, keyMessages }` when the recording answers an investor question
+ * @param {string} [options.language] - Language id the pitch is spoken in
+ * @param {string} [options.feedbackLanguage] - Language id the feedback is written in, the spoken one by default
+ * @returns {Promise<Object>} Content analysis results, with `analyzedBy` recording provider and model
+ */
+export async function analyzeContent(transcriptionText, audioMetrics, { llm = {}, rubric = DEFAULT_RUBRIC, preset = DEFAULT_PRESET, question = null, language = DEFAULT_LANGUAGE, feedbackLanguage = language } = {}) {
+  const selection = resolveLLMSelection(llm);
+  const criteria = getContentCriteria(rubric);
+  const fallback = (reason) => getFallbackAnalysis(transcriptionText, criteria, reason, language, feedbackLanguage);
+
+  if (!selection) {
+    console.error("❌ No LLM provider configured! Set GEMINI_API_KEY, LLM_API_URL or OLLAMA_MODEL in .env");
+    return fallback('No LLM provider is configured');
+  }
+
+  try {
+    console.log(`🟢 Requesting AI Analysis using ${selection.provider} (${selection.model}) for pitch evaluation`);
+
+    const schema = buildAnalysisSchema(criteria);
+    const prompt = createAnalysisPrompt(transcriptionText, audioMetrics, criteria, preset, question, language, feedbackLanguage);
+    const { value, attempts, errors } = await generateValidatedJson(selection, prompt, schema);
+
+    if (value) {
+      console.log(`✅ AI Analysis Generated Successfully (attempt ${attempts})`);
+      return {
+        ...value,
+        analyzedBy: selection,
+        isFallback: false,
+        validation: { attempts, repaired: attempts > 1 }
+      };
+    }
+
+    return fallback(
+      `${selection.provider} (${selection.model}) returned invalid output after ${attempts} attempts: ${errors.slice(0, 5).join('; ')}`
+    );
+
+  } catch (error) {
+    console.error(`❌ ${selection.provider} API Error:`, error.message || error);
+    
+    // Return fallback analysis if the provider fails
+    return fallback(`${selection.provider} request failed: ${error.message || error}`);
+  }
+}
+
+/**
+ * Ask the model for JSON matching the schema, sending validation errors back for repair
+ * @returns {Promise<{value: Object|null, attempts: number, errors: string[]}>} Valid JSON, or the last errors
+ */
+export async function generateValidatedJson(selection, prompt, schema) {
+  const messages = [{ role: 'user', content: prompt }];
+  let errors = [];
+  const maxAttempts = getMaxRepairAttempts() + 1;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const responseText = await generateText({ ...selection, messages, schema });
+
+    if (!responseText) {
+      errors = ['Model returned an empty response'];
+    } else {
+      const parsed = parseAnalysisResponse(responseText, schema);
+      if (parsed.analysis) {
+        return { value: parsed.analysis, attempts: attempt, errors: [] };
+      }
+      errors = parsed.errors;
+      messages.push({ role: 'assistant', content: responseText });
+    }
+
+    console.error(`❌ Invalid response from ${selection.provider} (attempt ${attempt}):`, errors);
+    messages.push({ role: 'user', content: createRepairPrompt(errors) });
+  }
+
+  return { value: null, attempts: maxAttempts, errors };
+}
+
+/**
+ * Add a short coaching comment to each timeline segment.
+ * Segments the model skips (or all of them, if no provider works) get a comment built from their flags.
+ * @param {Array<Object>} segments - Result of analyzeSegments
+ * @param {Object} [options]
+ * @param {Object} [options.llm] - `{ provider, model }`, defaults come from configuration
+ * @param {Object} [options.preset] - Pitch preset, for context in the prompt
+ * @param {string} [options.language] - Language id the pitch is spoken in
+ * @param {string} [options.feedbackLanguage] - Language id the comments are written in, the spoken one by default
+ * @returns {Promise<{segments: Array<Object>, analyzedBy: Object, isFallback: boolean}>} Segments with `comment`
+ */
+export async function commentOnSegments(segments, { llm = {}, preset = DEFAULT_PRESET, language = DEFAULT_LANGUAGE, feedbackLanguage = language } = {}) {
+  const selection = resolveLLMSelection(llm);
+  let comments = new Map();
+
+  if (selection && segments.length > 0) {
+    try {
+      const { value, errors } = await generateValidatedJson(
+        selection,
+        createSegmentPrompt(segments, preset, language, feedbackLanguage),
+        buildSegmentCommentSchema()
+      );
+      if (value) {
+        comments = new Map(value.segments.map(entry => [entry.index, entry.comment]));
+      } else {
+        console.error(`❌ No valid segment comments from ${selection.provider}:`, errors.slice(0, 5));
+      }
+    } catch (error) {
+      console.error(`❌ ${selection.provider} segment comments failed:`, error.message || error);
+    }
+  }
+
+  return {
+    segments: segments.map(segment => ({
+      ...segment,
+      comment: comments.get(segment.index) || getFallbackSegmentComment(segment, feedbackLanguage)
+    })),
+    analyzedBy: comments.size > 0 ? selection : { provider: 'fallback', model: null },
+    isFallback: comments.size === 0
+  };
+}
+
+/**
+ * Prompt for per-segment comments: each segment's words and measured delivery
+ */
+function createSegmentPrompt(segments, preset, language, feedbackLanguage) {
+  const lines = segments.map(segment => {
+    const { volume, wordsPerMinute, pitchVariation, fillerCount } = segment.metrics;
+    const flags = segment.flags.map(flag => flag.message).join('; ') || 'none';
+    return `[${segment.index}] ${segment.start}s-${segment.end}s | volume ${volume}/5, ${wordsPerMinute} wpm, pitch variation ${pitchVariation}/5, ${fillerCount} fillers | flags: ${flags}
+"${segment.text}"`;
+  });
+
+  return `
+You are coaching a speaker through a recording of their ${preset.name.toLowerCase()}, split into segments.
+Target pace is ${preset.paceRange.min}-${preset.paceRange.max} wpm.
+${describeLanguages(language, feedbackLanguage, 'every comment')}
+
+SEGMENTS:
+${lines.join('\n\n')}
+
+For every segment, write one short comment (max 25 words) on what worked or what to change in that moment,
+based on its words and delivery numbers. Mention the flags when there are any.
+
+Respond with only a JSON object: {"segments": [{"index": 0, "comment": "..."}]}
+`;
+}
+
+/**
+ * Comment for a segment from its flags alone
+ */
+function getFallbackSegmentComment(segment, feedbackLanguage) {
+  if (segment.flags.length === 0) {
+    return localize(FALLBACK_TEXT, feedbackLanguage).steadySegment;
+  }
+  return `${segment.flags.map(flag => flag.message).join('. ')}.`;
+}
+
+/**
+ * Describe the pitch type, expected structure and time box for the prompt
+ */
+function describePreset(preset, audioMetrics) {
+  const lines = [`PITCH TYPE: ${preset.name}`, preset.promptFocus];
+
+  if (preset.structure.length > 0) {
+    lines.push(`Expected structure: ${preset.structure.join(' -> ')}. Point out sections that are missing, out of order or too thin.`);
+  }
+
+  const timeBox = evaluateTimeBox(preset, audioMetrics.audioInfo?.duration);
+  if (timeBox) {
+    const verdict = timeBox.status === 'within'
+      ? 'within the time box'
+      : `${timeBox.difference}s ${timeBox.status} the time box`;
+    lines.push(`Length: ${timeBox.duration}s, time box ${timeBox.min}-${timeBox.max}s (${verdict}). If it is outside, say what to cut or expand.`);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Describe the investor question being answered and the pitch it follows up on
+ */
+function describeQuestion(question) {
+  const lines = [`QUESTION ASKED (${question.category}): "${question.text}"`];
+  if (question.keyMessages.length > 0) {
+    lines.push(`Key messages of the speaker's pitch: ${question.keyMessages.join('; ')}`);
+  }
+  lines.push('The transcription is the spoken answer. Judge it as an answer to this question, not as a pitch.');
+  return lines.join('\n');
+}
+
+/**
+ * Create a structured prompt for content analysis from the rubric's content criteria
+ */
+function createAnalysisPrompt(transcriptionText, audioMetrics, criteria, preset, question, language, feedbackLanguage) {
+  const rate = audioMetrics.speakingRate;
+  const speakingRateLine = rate
+    ? `\n- Speaking Rate: ${rate.wordsPerMinute} wpm (articulation ${rate.articulationRate} wpm, target ${rate.targetRange.min}-${rate.targetRange.max} wpm)`
+    : '';
+
+  const criteriaNames = criteria.map(criterion => criterion.name).join(', ');
+  const criteriaFormat = criteria.map(criterion => `  "${criterion.key}": {
+    "score": [${criterion.scoreRange.min}-${criterion.scoreRange.max}],
+    "feedback": "specific feedback about ${criterion.name.toLowerCase()}",
+    "strengths": ["strength1", "strength2"],
+    "improvements": ["improvement1", "improvement2"]
+  },`).join('\n');
+  const criteriaFocus = criteria
+    .map((criterion, index) => `${index + 1}. ${criterion.name}${criterion.description ? `: ${criterion.description}` : ''} (score ${criterion.scoreRange.min}-${criterion.scoreRange.max})`)
+    .join('\n');
+
+  return `
+Analyze this ${question ? 'answer to an investor question' : 'pitch presentation'} for ${criteriaNames}. 
+
+${describePreset(preset, audioMetrics)}
+${question ? `\n${describeQuestion(question)}\n` : ''}
+${describeLanguages(language, feedbackLanguage, 'every feedback string (feedback, strengths, improvements, overallFeedback, keyMessages, emotionalTone)')}
+Judge wording, fillers and rhythm by the norms of spoken ${getLanguageName(language)}, not by English ones.
+
+TRANSCRIPTION:
+"${transcriptionText}"
+
+AUDIO METRICS:
+- Pace: ${audioMetrics.pace}/5
+- Volume: ${audioMetrics.volume}/5  
+- Clarity: ${audioMetrics.clarity}/5
+- Pause Usage: ${audioMetrics.pauseDuration}/5
+- Tonal Variation: ${audioMetrics.tonalVariation}/5
+- Confidence: ${audioMetrics.confidence}/5
+- Enthusiasm: ${audioMetrics.enthusiasm}/5${speakingRateLine}
+
+Respond with only a JSON object (no other text) in the following format:
+
+{
+${criteriaFormat}
+  "overallFeedback": "comprehensive summary and key recommendations",
+  "keyMessages": ["main message 1", "main message 2"],
+  "emotionalTone": "description of emotional tone and effectiveness"
+}
+
+Focus on:
+${criteriaFocus}
+
+Consider both the content (transcription) and delivery (audio metrics) in your analysis.
+`;
+}
+
+/**
+ * Ask the model to fix its previous answer
+ */
+function createRepairPrompt(errors) {
+  return `Your previous response did not match the required JSON schema.
+
+VALIDATION ERRORS:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Reply again with only the corrected JSON object. Do not include any other text.`;
+}
+
+/**
+ * Parse the model response and validate it against the schema
+ * @returns {{analysis: Object|null, errors: string[]}} Parsed analysis, or the validation errors
+ */
+function parseAnalysisResponse(responseText, schema) {
+  let analysis;
+  try {
+    // Models without structured output sometimes wrap the JSON in text or code fences
+    const jsonMatch = responseText.match(/\{[\s\S]*\}/);
+    if (!jsonMatch) {
+      return { analysis: null, errors: ['Response does not contain a JSON object'] };
+    }
+    analysis = JSON.parse(jsonMatch[0]);
+  } catch (error) {
+    return { analysis: null, errors: [`Response is not valid JSON: ${error.message}`] };
+  }
+
+  const { valid, errors } = validateAgainstSchema(analysis, schema);
+  return valid ? { analysis, errors: [] } : { analysis: null, errors };
+}
+
+/**
+ * Provide fallback analysis when no LLM provider is available or its output stays invalid.
+ * The result is marked with `isFallback` so it is never mistaken for model output.
+ */
+function getFallbackAnalysis(transcriptionText, criteria, reason, language, feedbackLanguage) {
+  const wordCount = transcriptionText.split(' ').length;
+  const hasQuestions = /[?¿]/.test(transcriptionText);
+  const hasEmotionalWords = localize(EMOTIONAL_WORDS, language).test(transcriptionText);
+  const text = localize(FALLBACK_TEXT, feedbackLanguage);
+
+  // Heuristics for the standard criteria, scored on a 1-5 scale
+  const heuristics = {
+    storytelling: {
+      score: wordCount > 50 ? 4 : 3,
+      feedback: text.storytelling.feedback(wordCount, wordCount > 50),
+      strengths: text.storytelling.strengths,
+      improvements: text.storytelling.improvements
+    },
+    audienceConnection: {
+      score: hasQuestions ? 4 : 3,
+      feedback: text.audienceConnection.feedback(hasQuestions),
+      strengths: text.audienceConnection.strengths,
+      improvements: text.audienceConnection.improvements
+    },
+    persuasiveness: {
+      score: hasEmotionalWords ? 4 : 3,
+      feedback: text.persuasiveness.feedback(hasEmotionalWords),
+      strengths: text.persuasiveness.strengths,
+      improvements: text.persuasiveness.improvements
+    }
+  };
+
+  const analysis = {};
+  for (const criterion of criteria) {
+    const { min, max } = criterion.scoreRange;
+    const heuristic = heuristics[criterion.key];
+
+    analysis[criterion.key] = heuristic
+      ? { ...heuristic, score: Math.round((min + (heuristic.score - 1) / 4 * (max - min)) * 10) / 10 }
+      : {
+        score: Math.round((min + max) / 2),
+        feedback: text.neutral(criterion.name),
+        strengths: [],
+        improvements: []
+      };
+  }
+
+  return {
+    ...analysis,
+    overallFeedback: text.overallFeedback(reason),
+    keyMessages: text.keyMessages,
+    emotionalTone: text.emotionalTone(hasEmotionalWords),
+    analyzedBy: { provider: 'fallback', model: null },
+    isFallback: true,
+    fallbackReason: reason
+  };
+}
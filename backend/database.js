@@ -0,0 +1,128 @@
+import fs from 'fs-extra';
+import path from 'path';
+import Database from 'better-sqlite3';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Schema changes, applied in order; PRAGMA user_version records how many have run
+const MIGRATIONS = [
+  `CREATE TABLE recordings (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    timestamp INTEGER NOT NULL,
+    audio_file TEXT,
+    audio_type TEXT,
+    audio_size INTEGER,
+    transcript TEXT,
+    result TEXT,
+    overall_score REAL,
+    notes TEXT NOT NULL DEFAULT '',
+    tags TEXT NOT NULL DEFAULT '[]',
+    project TEXT NOT NULL DEFAULT '',
+    created_at INTEGER NOT NULL,
+    updated_at INTEGER NOT NULL
+  );
+  CREATE INDEX recordings_timestamp ON recordings(timestamp);
+  CREATE INDEX recordings_updated_at ON recordings(updated_at);`,
+
+  // Accounts, sessions and workspaces; recordings get an owner and sharing settings
+  `CREATE TABLE users (
+    id TEXT PRIMARY KEY,
+    email TEXT NOT NULL UNIQUE COLLATE NOCASE,
+    name TEXT NOT NULL,
+    password_hash TEXT NOT NULL,
+    created_at INTEGER NOT NULL
+  );
+  CREATE TABLE sessions (
+    token_hash TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    created_at INTEGER NOT NULL,
+    expires_at INTEGER NOT NULL
+  );
+  CREATE INDEX sessions_user ON sessions(user_id);
+  CREATE TABLE workspaces (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    owner_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    created_at INTEGER NOT NULL
+  );
+  CREATE TABLE workspace_members (
+    workspace_id TEXT NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+    user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    role TEXT NOT NULL CHECK (role IN ('owner', 'member')),
+    joined_at INTEGER NOT NULL,
+    PRIMARY KEY (workspace_id, user_id)
+  );
+  CREATE INDEX workspace_members_user ON workspace_members(user_id);
+  ALTER TABLE recordings ADD COLUMN owner_id TEXT REFERENCES users(id) ON DELETE CASCADE;
+  ALTER TABLE recordings ADD COLUMN workspace_id TEXT REFERENCES workspaces(id) ON DELETE SET NULL;
+  ALTER TABLE recordings ADD COLUMN share_token TEXT;
+  CREATE INDEX recordings_owner ON recordings(owner_id);
+  CREATE INDEX recordings_workspace ON recordings(workspace_id);
+  CREATE UNIQUE INDEX recordings_share_token ON recordings(share_token);`,
+
+  // Coach reviews: one per reviewer and recording, scores/votes/comments as JSON
+  `CREATE TABLE reviews (
+    recording_id TEXT NOT NULL REFERENCES recordings(id) ON DELETE CASCADE,
+    reviewer_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    scores TEXT NOT NULL DEFAULT '{}',
+    votes TEXT NOT NULL DEFAULT '{}',
+    comments TEXT NOT NULL DEFAULT '[]',
+    summary TEXT NOT NULL DEFAULT '',
+    created_at INTEGER NOT NULL,
+    updated_at INTEGER NOT NULL,
+    PRIMARY KEY (recording_id, reviewer_id)
+  );
+  CREATE INDEX reviews_reviewer ON reviews(reviewer_id);`
+];
+
+let db = null;
+
+/**
+ * The server-side store (recordings and accounts) is opt-in: RECORDING_STORE=sqlite
+ * @returns {boolean}
+ */
+export function isRecordingStoreEnabled() {
+  return process.env.RECORDING_STORE === 'sqlite';
+}
+
+/**
+ * Directory holding recordings.db and the recordings/ audio folder
+ * @returns {string}
+ */
+export function getStoreDir() {
+  return process.env.RECORDING_STORE_DIR || path.join(__dirname, 'data');
+}
+
+/**
+ * Open the database on first use and bring its schema up to date
+ * @returns {Database.Database}
+ */
+export function getDatabase() {
+  if (db) return db;
+
+  fs.ensureDirSync(getStoreDir());
+  db = new Database(path.join(getStoreDir(), 'recordings.db'));
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+
+  const version = db.pragma('user_version', { simple: true });
+  for (let i = version; i < MIGRATIONS.length; i++) {
+    db.transaction(() => {
+      db.exec(MIGRATIONS[i]);
+      db.pragma(`user_version = ${i + 1}`);
+    })();
+    console.log(`🗄️ Recording store migrated to schema ${i + 1}`);
+  }
+  return db;
+}
+
+/**
+ * Close the database (tests and shutdown)
+ */
+export function closeDatabase() {
+  db?.close();
+  db = null;
+}
@@ -0,0 +1,164 @@
+import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
+
+/**
+ * Pipeline stages in the order they run, with labels for the UI
+ */
+export const EVALUATION_STAGES = [
+  { id: 'converting', label: 'Converting audio' },
+  { id: 'transcribing', label: 'Transcribing' },
+  { id: 'analyzing_audio', label: 'Analyzing delivery' },
+  { id: 'llm_analysis', label: 'AI content analysis' }
+];
+
+// Finished jobs are kept this long so clients can still fetch the result
+const JOB_TTL_MS = 60 * 60 * 1000;
+
+const jobs = new Map();
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+/**
+ * Public view of a job (what GET /api/jobs/:id and the SSE stream return)
+ */
+function toPublicJob(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    stage: job.stage,
+    stages: job.stages,
+    result: job.result,
+    overallScore: job.overallScore,
+    error: job.error,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    processingTime: job.processingTime
+  };
+}
+
+function publish(job) {
+  job.updatedAt = Date.now();
+  emitter.emit(job.id, toPublicJob(job));
+}
+
+function scheduleExpiry(job) {
+  const timer = setTimeout(() => jobs.delete(job.id), JOB_TTL_MS);
+  timer.unref();
+}
+
+/**
+ * Create a queued evaluation job
+ * @returns {Object} Public job
+ */
+export function createJob() {
+  const now = Date.now();
+  const job = {
+    id: randomUUID(),
+    status: 'queued',
+    stage: null,
+    stages: EVALUATION_STAGES.map(stage => ({ ...stage, status: 'pending', startedAt: null, finishedAt: null })),
+    result: null,
+    overallScore: null,
+    error: null,
+    createdAt: now,
+    updatedAt: now,
+    processingTime: null
+  };
+  jobs.set(job.id, job);
+  return toPublicJob(job);
+}
+
+/**
+ * Get a job by id
+ * @returns {Object|null} Public job, or null if unknown or expired
+ */
+export function getJob(id) {
+  const job = jobs.get(id);
+  return job ? toPublicJob(job) : null;
+}
+
+/**
+ * Mark a stage as started (and the previous one as finished)
+ */
+export function startStage(id, stageId) {
+  const job = jobs.get(id);
+  if (!job) return;
+
+  const now = Date.now();
+  for (const stage of job.stages) {
+    if (stage.status === 'active') {
+      stage.status = 'done';
+      stage.finishedAt = now;
+    }
+    if (stage.id === stageId) {
+      stage.status = 'active';
+      stage.startedAt = now;
+    }
+  }
+  job.status = 'running';
+  job.stage = stageId;
+  publish(job);
+}
+
+/**
+ * Finish a job with its evaluation result
+ */
+export function completeJob(id, { result, overallScore }) {
+  const job = jobs.get(id);
+  if (!job) return;
+
+  const now = Date.now();
+  for (const stage of job.stages) {
+    if (stage.status === 'active') {
+      stage.status = 'done';
+      stage.finishedAt = now;
+    }
+  }
+  job.status = 'done';
+  job.stage = 'done';
+  job.result = result;
+  job.overallScore = overallScore;
+  job.processingTime = now - job.createdAt;
+  publish(job);
+  scheduleExpiry(job);
+}
+
+/**
+ * Fail a job, marking the active stage as failed
+ */
+export function failJob(id, error) {
+  const job = jobs.get(id);
+  if (!job) return;
+
+  const now = Date.now();
+  for (const stage of job.stages) {
+    if (stage.status === 'active') {
+      stage.status = 'failed';
+      stage.finishedAt = now;
+    }
+  }
+  job.status = 'failed';
+  job.stage = 'failed';
+  job.error = error?.message || String(error);
+  job.processingTime = now - job.createdAt;
+  publish(job);
+  scheduleExpiry(job);
+}
+
+/**
+ * Subscribe to job updates
+ * @param {string} id - Job id
+ * @param {Function} listener - Called with the public job on every change
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToJob(id, listener) {
+  emitter.on(id, listener);
+  return () => emitter.off(id, listener);
+}
+
+/**
+ * Check whether a job has reached a final state
+ */
+export function isJobFinished(job) {
+  return job.status === 'done' || job.status === 'failed';
+}
@@ -0,0 +1,136 @@
+import { normalizeWord, tokenizeTranscript } from './transcriptUtils.js';
+import { localize } from './languages.js';
+
+/**
+ * Filler words and phrases we coach against. Multi-word phrases are matched
+ * as consecutive words.
+ */
+export const DEFAULT_FILLERS = [
+  'um', 'umm', 'uh', 'uhh', 'er', 'erm', 'ah',
+  'like', 'you know', 'basically', 'i mean', 'kind of', 'sort of'
+];
+
+/**
+ * Fillers per spoken language. `pauseOnly` words are ordinary words too ("este" is also
+ * "this"), so they only count when the transcript shows a pause after them ("este,", "accha...").
+ */
+export const LANGUAGE_FILLERS = {
+  en: { fillers: DEFAULT_FILLERS, pauseOnly: [] },
+  es: {
+    fillers: ['eh', 'ehm', 'em', 'mm', 'mmm', 'este', 'o sea', 'pues', 'bueno', 'digamos', 'tipo', 'en plan', 'sabes', 'vale'],
+    pauseOnly: ['este', 'pues', 'bueno', 'tipo', 'vale']
+  },
+  hi: {
+    // Hindi transcripts come in Devanagari or romanized, often mixed with English fillers
+    fillers: [
+      'अ', 'अं', 'उम', 'उम्म', 'हम्म', 'मतलब', 'यानी', 'है ना', 'क्या है कि', 'अच्छा', 'तो', 'बस',
+      'matlab', 'yaani', 'hai na', 'kya hai ki', 'accha', 'toh', 'bas',
+      'um', 'umm', 'uh', 'basically', 'you know', 'i mean', 'like'
+    ],
+    pauseOnly: ['अच्छा', 'तो', 'बस', 'accha', 'toh', 'bas']
+  }
+};
+
+/**
+ * Fillers to look for in a pitch spoken in the given language (English when it has no list)
+ * @param {string} [language] - Spoken language id
+ * @returns {{fillers: string[], pauseOnly: string[]}}
+ */
+export function getLanguageFillers(language) {
+  return localize(LANGUAGE_FILLERS, language);
+}
+
+// Punctuation a transcriber writes for a pause
+const PAUSE_MARK = /(?:[,;…]|\.\.\.)$/;
+
+// Words before "like" that make it a verb rather than a filler ("I would like to...")
+const LIKE_VERB_PREFIXES = new Set(['would', "i'd", "we'd", "you'd", "they'd", 'really', 'i', 'we', 'you', 'they', "don't", 'feel', 'feels', 'look', 'looks', 'sounds']);
+
+/**
+ * Detect filler words in a transcript
+ * @param {Object} transcript - `{ text, words }` from the transcription layer
+ * @param {number} durationSeconds - Length of the recording in seconds
+ * @param {string[]} [fillers] - Filler words/phrases to look for
+ * @param {Object} [options]
+ * @param {string[]} [options.pauseOnly] - Fillers that only count when followed by a pause
+ * @returns {Object} Filler analysis: score (1-5), totalCount, ratePerMinute, counts and occurrences
+ */
+export function analyzeFillerWords(transcript, durationSeconds, fillers = DEFAULT_FILLERS, { pauseOnly = [] } = {}) {
+  try {
+    const hasTimestamps = transcript.words.length > 0;
+    const tokens = hasTimestamps
+      ? transcript.words.map(entry => ({ ...entry, normalized: normalizeWord(entry.word) }))
+      : tokenizeTranscript(transcript.text).map(word => ({ word, start: null, end: null, normalized: normalizeWord(word) }));
+
+    // Match longest phrases first so "you know" is not also counted as "you"
+    const phrases = fillers
+      .map(filler => filler.toLowerCase().split(/\s+/))
+      .sort((a, b) => b.length - a.length);
+
+    const occurrences = [];
+    const counts = {};
+
+    for (let i = 0; i < tokens.length; i++) {
+      const match = phrases.find(parts =>
+        parts.every((part, offset) => tokens[i + offset]?.normalized === part)
+      );
+      if (!match) continue;
+
+      const filler = match.join(' ');
+      if (filler === 'like' && i > 0 && LIKE_VERB_PREFIXES.has(tokens[i - 1].normalized)) {
+        continue;
+      }
+
+      const last = tokens[i + match.length - 1];
+      if (pauseOnly.includes(filler) && !PAUSE_MARK.test(last.word.trim())) {
+        continue;
+      }
+
+      occurrences.push({
+        filler,
+        wordIndex: i,
+        start: tokens[i].start,
+        end: last.end
+      });
+      counts[filler] = (counts[filler] || 0) + 1;
+      i += match.length - 1;
+    }
+
+    // Fall back to the last word timing when the audio duration is unknown
+    const duration = durationSeconds > 0 ? durationSeconds : (tokens[tokens.length - 1]?.end || 0);
+    const minutes = duration > 0 ? duration / 60 : 0;
+    const ratePerMinute = minutes > 0 ? Math.round((occurrences.length / minutes) * 10) / 10 : 0;
+
+    return {
+      score: calculateFillerScore(ratePerMinute),
+      totalCount: occurrences.length,
+      ratePerMinute,
+      wordCount: tokens.length,
+      counts,
+      occurrences,
+      hasTimestamps
+    };
+  } catch (error) {
+    console.error('Error analyzing filler words:', error);
+    return {
+      score: 3,
+      totalCount: 0,
+      ratePerMinute: 0,
+      wordCount: 0,
+      counts: {},
+      occurrences: [],
+      hasTimestamps: false
+    };
+  }
+}
+
+/**
+ * Convert fillers per minute to a 1-5 score
+ */
+function calculateFillerScore(ratePerMinute) {
+  if (ratePerMinute <= 2) return 5;  // Barely noticeable
+  if (ratePerMinute <= 4) return 4;  // Occasional
+  if (ratePerMinute <= 7) return 3;  // Noticeable
+  if (ratePerMinute <= 10) return 2; // Distracting
+  return 1; // Constant fillers
+}
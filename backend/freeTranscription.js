@@ -2,59 +2,45 @@ import { HfInference } from '@huggingface/inference';
 import fs from 'fs-extra';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import ffmpeg from 'fluent-ffmpeg';
-import ffmpegStatic from 'ffmpeg-static';
+import { convertToWav } from './audioDecoder.js';
+import {
+  isWhisperCppConfigured,
+  isOpenAICompatibleConfigured,
+  isOpenAICompatiblePrivate,
+  transcribeWithWhisperCpp,
+  transcribeWithOpenAICompatible
+} from './localTranscription.js';
+import { createTranscript } from './transcriptUtils.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-ffmpeg.setFfmpegPath(ffmpegStatic);
-
 const hf = new HfInference(process.env.HUGGINGFACE_API_KEY); // Free API key
 
-
-async function convertToWav(audioBuffer) {
-  return new Promise(async (resolve, reject) => {
-    try {
-      const tempDir = path.join(__dirname, 'temp');
-      await fs.ensureDir(tempDir);
-      
-      const inputPath = path.join(tempDir, `input_${Date.now()}.webm`);
-      const outputPath = path.join(tempDir, `output_${Date.now()}.wav`);
-      
-      // Write input buffer to file
-      await fs.writeFile(inputPath, audioBuffer);
-      
-      // Convert to WAV using FFmpeg
-      ffmpeg(inputPath)
-        .toFormat('wav')
-        .audioCodec('pcm_s16le')
-        .audioChannels(1)
-        .audioFrequency(16000)
-        .on('end', async () => {
-          try {
-            const wavBuffer = await fs.readFile(outputPath);
-            // Clean up temp files
-            await fs.remove(inputPath);
-            await fs.remove(outputPath);
-            resolve(wavBuffer);
-          } catch (error) {
-            reject(error);
-          }
-        })
-        .on('error', (error) => {
-          reject(error);
-        })
-        .save(outputPath);
-        
-    } catch (error) {
-      reject(error);
-    }
-  });
+/**
+ * Convert a Hugging Face ASR result (`chunks` with `[start, end]` timestamps) to a transcript.
+ * Hugging Face doesn't report the language, so only a forced one is known.
+ */
+function toTranscriptFromHuggingFace(result, language = null) {
+  const words = (result.chunks || []).map(chunk => ({
+    word: chunk.text,
+    start: chunk.timestamp?.[0],
+    end: chunk.timestamp?.[1]
+  }));
+  return createTranscript(result.text, words, language);
 }
 
+/**
+ * Whisper pipeline parameters: word timestamps, and the language when it is forced
+ */
+function getHuggingFaceParameters(language) {
+  return {
+    return_timestamps: 'word',
+    ...(language && { generate_kwargs: { language, task: 'transcribe' } })
+  };
+}
 
-export async function transcribeWithHuggingFaceHTTP(audioBuffer) {
+export async function transcribeWithHuggingFaceHTTP(audioBuffer, { language = null } = {}) {
   try {
     console.log('Starting transcription with Hugging Face HTTP API...');
     
@@ -64,7 +50,7 @@ export async function transcribeWithHuggingFaceHTTP(audioBuffer) {
     
     // Convert to WAV for better compatibility
     console.log('Converting audio to WAV format...');
-    const wavBuffer = await convertToWav(audioBuffer);
+    const wavBuffer = await convertToWav(audioBuffer, { sampleRate: 16000, channels: 1 });
     
     const response = await fetch(
       'https://api-inference.huggingface.co/models/openai/whisper-large-v3',
@@ -72,9 +58,12 @@ export async function transcribeWithHuggingFaceHTTP(audioBuffer) {
         method: 'POST',
         headers: {
           'Authorization': `Bearer ${process.env.HUGGINGFACE_API_KEY}`,
-          'Content-Type': 'audio/wav',
+          'Content-Type': 'application/json',
         },
-        body: wavBuffer,
+        body: JSON.stringify({
+          inputs: wavBuffer.toString('base64'),
+          parameters: getHuggingFaceParameters(language)
+        }),
       }
     );
     
@@ -85,7 +74,7 @@ export async function transcribeWithHuggingFaceHTTP(audioBuffer) {
     
     const result = await response.json();
     console.log('Hugging Face HTTP transcription completed:', result.text.substring(0, 100) + '...');
-    return result.text;
+    return toTranscriptFromHuggingFace(result, language);
     
   } catch (error) {
     console.error('Hugging Face HTTP transcription failed:', error);
@@ -96,14 +85,16 @@ export async function transcribeWithHuggingFaceHTTP(audioBuffer) {
 /**
  * Transcribe audio using Hugging Face Whisper models (FREE)
  * @param {Buffer} audioBuffer - The audio file buffer
- * @returns {Promise<string>} Transcribed text
+ * @param {Object} [options]
+ * @param {string} [options.language] - Language id to force, otherwise Whisper detects it
+ * @returns {Promise<{text: string, words: Array, language: string|null}>} Transcript with word timings when available
  */
-export async function transcribeWithHuggingFace(audioBuffer) {
+export async function transcribeWithHuggingFace(audioBuffer, { language = null } = {}) {
   // Try multiple approaches in order of preference
   
   // 1. Try HTTP API with WAV conversion (best quality)
   try {
-    return await transcribeWithHuggingFaceHTTP(audioBuffer);
+    return await transcribeWithHuggingFaceHTTP(audioBuffer, { language });
   } catch (httpError) {
     console.log('HTTP method with conversion failed, trying simple method...');
     
@@ -121,7 +112,7 @@ export async function transcribeWithHuggingFace(audioBuffer) {
         
         // Convert to WAV format first
         console.log('Converting audio to WAV for SDK...');
-        const wavBuffer = await convertToWav(audioBuffer);
+        const wavBuffer = await convertToWav(audioBuffer, { sampleRate: 16000, channels: 1 });
         
         // Save WAV buffer to temporary file for HuggingFace API
         const tempDir = path.join(__dirname, 'temp');
@@ -135,11 +126,12 @@ export async function transcribeWithHuggingFace(audioBuffer) {
         // Use Whisper model on Hugging Face (completely free)
         const response = await hf.automaticSpeechRecognition({
           data: audioStream,
-          model: "openai/whisper-large-v3" // Free Whisper model
+          model: "openai/whisper-large-v3", // Free Whisper model
+          parameters: getHuggingFaceParameters(language)
         });
         
         console.log('Hugging Face SDK transcription completed:', response.text.substring(0, 100) + '...');
-        return response.text;
+        return toTranscriptFromHuggingFace(response, language);
         
       } catch (sdkError) {
         console.error('All HuggingFace methods failed');
@@ -154,6 +146,7 @@ export async function transcribeWithHuggingFace(audioBuffer) {
   }
 }
 
+// Posts the raw upload, so there's no way to force the language; Whisper detects it
 export async function transcribeWithHuggingFaceSimple(audioBuffer) {
   try {
     console.log('Trying simple Hugging Face transcription...');
@@ -181,7 +174,7 @@ export async function transcribeWithHuggingFaceSimple(audioBuffer) {
     
     const result = await response.json();
     console.log('Simple Hugging Face transcription completed:', result.text.substring(0, 100) + '...');
-    return result.text;
+    return toTranscriptFromHuggingFace(result);
     
   } catch (error) {
     console.error('Simple Hugging Face transcription failed:', error);
@@ -208,30 +201,92 @@ export function getWebSpeechTranscription() {
 }
 
 /**
- * Simple speech-to-text using pattern recognition (Offline, FREE)
- * This is a very basic implementation for demo purposes
+ * Registry of transcription providers.
+ * Each provider reports whether it is configured and how to transcribe.
  */
+const TRANSCRIPTION_PROVIDERS = {
+  huggingface: {
+    name: 'Hugging Face Whisper',
+    cost: 'Free (rate limited)',
+    accuracy: 'High',
+    offline: false,
+    description: 'Free Whisper model via Hugging Face',
+    isConfigured: () => Boolean(process.env.HUGGINGFACE_API_KEY),
+    transcribe: transcribeWithHuggingFace
+  },
+  'whisper-cpp': {
+    name: 'Local Whisper (whisper.cpp)',
+    cost: 'Free',
+    accuracy: 'High (depends on model)',
+    offline: true,
+    description: 'Runs a local whisper.cpp binary, audio never leaves this machine',
+    isConfigured: isWhisperCppConfigured,
+    transcribe: transcribeWithWhisperCpp
+  },
+  'openai-compatible': {
+    name: 'Self-hosted Whisper API',
+    cost: 'Self-hosted',
+    accuracy: 'High (depends on model)',
+    // Only private when the endpoint is, it may as well be a hosted API
+    get offline() {
+      return isOpenAICompatiblePrivate();
+    },
+    description: 'Any OpenAI-compatible /audio/transcriptions endpoint you host',
+    isConfigured: isOpenAICompatibleConfigured,
+    transcribe: transcribeWithOpenAICompatible
+  }
+};
+
+// Provider by method id; ids come from requests, so inherited keys like "constructor" don't count
+const getProvider = (method) => Object.hasOwn(TRANSCRIPTION_PROVIDERS, method) ? TRANSCRIPTION_PROVIDERS[method] : null;
 
 /**
- * Main transcription function with fallback options
+ * Pick the default transcription method: TRANSCRIPTION_METHOD if it is configured,
+ * otherwise the first configured provider (offline providers first)
+ */
+export function getDefaultTranscriptionMethod() {
+  const preferred = process.env.TRANSCRIPTION_METHOD;
+  if (preferred && getProvider(preferred)?.isConfigured()) {
+    return preferred;
+  }
+
+  const available = getAvailableTranscriptionMethods();
+  const offline = available.find(method => method.offline);
+  return (offline || available[0])?.id || null;
+}
+
+/**
+ * Check that a method id exists and is configured
+ */
+export function isTranscriptionMethodAvailable(method) {
+  return Boolean(getProvider(method)?.isConfigured());
+}
+
+/**
+ * Main transcription function
  * @param {Buffer} audioBuffer - Audio file buffer
- * @param {string} method - Transcription method ('huggingface', 'offline', 'openai')
- * @returns {Promise<string>} Transcribed text
+ * @param {string} [method] - Transcription method ('huggingface', 'whisper-cpp', 'openai-compatible')
+ * @param {Object} [options]
+ * @param {string} [options.language] - Language id the pitch is spoken in; without it the provider detects it
+ * @returns {Promise<{text: string, words: Array<{word: string, start: number, end: number}>, language: string|null}>} Transcript
  */
-export async function transcribeAudio(audioBuffer, method = 'huggingface') {
-  console.log(`Starting transcription using method: ${method}`);
-  
+export async function transcribeAudio(audioBuffer, method = getDefaultTranscriptionMethod(), { language = null } = {}) {
+  console.log(`Starting transcription using method: ${method} (language: ${language || 'detect'})`);
+
+  const provider = getProvider(method);
+
+  if (!provider) {
+    throw new Error(`Unknown transcription method: ${method}`);
+  }
+  if (!provider.isConfigured()) {
+    throw new Error(`Transcription method not configured: ${method}`);
+  }
+
   try {
-    switch (method) {
-      case 'huggingface':
-        return await transcribeWithHuggingFace(audioBuffer);
-      
-      default:
-        throw new Error(`Unknown transcription method: ${method}`);
-    }
+    return await provider.transcribe(audioBuffer, { language });
   } catch (error) {
     console.error(`Transcription failed with method ${method}:`, error);
-    
+    throw error;
   }
 }
 
@@ -239,20 +294,14 @@ export async function transcribeAudio(audioBuffer, method = 'huggingface') {
  * Get available transcription methods based on configuration
  */
 export function getAvailableTranscriptionMethods() {
-  const methods = [];
-  
-  // Check if Hugging Face is configured
-  if (process.env.HUGGINGFACE_API_KEY) {
-    methods.push({
-      id: 'huggingface',
-      name: 'Hugging Face Whisper',
-      cost: 'Free (rate limited)',
-      accuracy: 'High',
-      description: 'Free Whisper model via Hugging Face'
-    });
-  }
-  
-
-  
-  return methods;
+  return Object.entries(TRANSCRIPTION_PROVIDERS)
+    .filter(([, provider]) => provider.isConfigured())
+    .map(([id, provider]) => ({
+      id,
+      name: provider.name,
+      cost: provider.cost,
+      accuracy: provider.accuracy,
+      offline: provider.offline,
+      description: provider.description
+    }));
 }
@@ -0,0 +1,217 @@
+import { randomUUID } from 'crypto';
+import { resolveLLMSelection } from './llmProviders.js';
+import { generateValidatedJson } from './contentAnalysis.js';
+import { buildQuestionSchema } from './analysisSchema.js';
+import { DEFAULT_PRESET } from './pitchPresets.js';
+import { DEFAULT_LANGUAGE, describeLanguages, getLanguageName, localize } from './languages.js';
+
+// What investors probe after a pitch; 'other' catches anything the model files elsewhere
+export const QUESTION_CATEGORIES = ['competition', 'unitEconomics', 'team', 'market', 'traction', 'product', 'risk', 'fundraising', 'other'];
+
+export const DEFAULT_QUESTION_COUNT = 5;
+export const MAX_QUESTIONS = 8;
+
+const MAX_TRANSCRIPTION_LENGTH = 50000;
+const MAX_QUESTION_LENGTH = 500;
+const MAX_KEY_MESSAGES = 20;
+const MAX_KEY_MESSAGE_LENGTH = 500;
+
+// Used when no model is available, the questions investors ask most often first
+const FALLBACK_CATEGORIES = ['competition', 'unitEconomics', 'team', 'traction', 'market', 'fundraising', 'risk', 'product'];
+
+// The fallback questions per language, in FALLBACK_CATEGORIES order
+const FALLBACK_QUESTIONS = {
+  en: [
+    { text: 'Who else is solving this problem, and why will you win against them?', rationale: 'Investors want to know what stops a better-funded competitor from copying you.' },
+    { text: 'What does it cost you to acquire a customer, and how much do they pay you over their lifetime?', rationale: 'Checks that growth makes money rather than burning it.' },
+    { text: 'Why is your team the one to build this?', rationale: 'Early-stage bets are largely bets on the founders.' },
+    { text: 'What traction do you have so far, and how fast is it growing?', rationale: 'Evidence that customers want this beyond the pitch.' },
+    { text: 'How big is the market you can realistically reach in the next three years?', rationale: 'Tests whether the opportunity is large enough for a venture return.' },
+    { text: 'How much are you raising, and what milestones will it get you to?', rationale: 'Investors want a plan for the money, not just an amount.' },
+    { text: 'What is the biggest risk to this business, and how are you reducing it?', rationale: 'Shows whether the founders see their weak spots.' },
+    { text: 'What does the product do today, and what is still on the roadmap?', rationale: 'Separates what exists from what is promised.' }
+  ],
+  es: [
+    { text: '¿Quién más está resolviendo este problema y por qué les van a ganar?', rationale: 'Los inversores quieren saber qué impide que un competidor con más financiación los copie.' },
+    { text: '¿Cuánto les cuesta conseguir un cliente y cuánto les paga ese cliente a lo largo del tiempo?', rationale: 'Comprueba que el crecimiento genera dinero en lugar de quemarlo.' },
+    { text: '¿Por qué su equipo es el indicado para construir esto?', rationale: 'En etapas tempranas, la apuesta es en gran parte por los fundadores.' },
+    { text: '¿Qué tracción tienen hasta ahora y a qué ritmo está creciendo?', rationale: 'Evidencia de que los clientes quieren esto más allá del pitch.' },
+    { text: '¿Qué tamaño tiene el mercado que pueden alcanzar de forma realista en los próximos tres años?', rationale: 'Pone a prueba si la oportunidad es lo bastante grande para un retorno de capital de riesgo.' },
+    { text: '¿Cuánto están levantando y a qué hitos les llevará ese dinero?', rationale: 'Los inversores quieren un plan para el dinero, no solo una cifra.' },
+    { text: '¿Cuál es el mayor riesgo para este negocio y cómo lo están reduciendo?', rationale: 'Muestra si los fundadores ven sus puntos débiles.' },
+    { text: '¿Qué hace el producto hoy y qué sigue pendiente en la hoja de ruta?', rationale: 'Separa lo que existe de lo que se promete.' }
+  ],
+  hi: [
+    { text: 'इस समस्या को और कौन हल कर रहा है, और आप उनसे कैसे जीतेंगे?', rationale: 'निवेशक जानना चाहते हैं कि ज़्यादा फंडिंग वाला प्रतिस्पर्धी आपकी नकल क्यों नहीं कर सकता।' },
+    { text: 'एक ग्राहक पाने में आपका कितना खर्च होता है, और वह पूरे समय में आपको कितना भुगतान करता है?', rationale: 'यह जाँचता है कि बढ़त से पैसा बनता है, न कि जलता है।' },
+    { text: 'इसे बनाने के लिए आपकी टीम ही सही क्यों है?', rationale: 'शुरुआती दौर का दांव काफ़ी हद तक संस्थापकों पर होता है।' },
+    { text: 'अब तक आपको कितना ट्रैक्शन मिला है, और यह कितनी तेज़ी से बढ़ रहा है?', rationale: 'इस बात का सबूत कि ग्राहक पिच से आगे भी इसे चाहते हैं।' },
+    { text: 'अगले तीन साल में आप असल में कितने बड़े बाज़ार तक पहुँच सकते हैं?', rationale: 'यह परखता है कि मौका वेंचर रिटर्न के लिए काफ़ी बड़ा है या नहीं।' },
+    { text: 'आप कितना फंड जुटा रहे हैं, और इससे आप किन पड़ावों तक पहुँचेंगे?', rationale: 'निवेशक सिर्फ़ रकम नहीं, पैसे की योजना चाहते हैं।' },
+    { text: 'इस बिज़नेस के लिए सबसे बड़ा जोखिम क्या है, और आप उसे कैसे कम कर रहे हैं?', rationale: 'दिखाता है कि संस्थापक अपनी कमज़ोरियाँ देखते हैं या नहीं।' },
+    { text: 'प्रोडक्ट आज क्या करता है, और रोडमैप पर अभी क्या बाकी है?', rationale: 'जो मौजूद है उसे उससे अलग करता है जिसका वादा किया गया है।' }
+  ]
+};
+
+const CATEGORY_LOOKUP = new Map(QUESTION_CATEGORIES.map(category => [category.toLowerCase(), category]));
+
+// Model categories come back as "Unit economics", "unit_economics" and so on
+const normalizeCategory = (category) => CATEGORY_LOOKUP.get(String(category).toLowerCase().replace(/[^a-z]/g, '')) || 'other';
+
+const isStringList = (value) => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+function validateKeyMessages(keyMessages, label, errors) {
+  if (keyMessages === undefined) return [];
+  if (!isStringList(keyMessages)) {
+    errors.push(`${label}: must be an array of strings`);
+    return [];
+  }
+  if (keyMessages.length > MAX_KEY_MESSAGES) errors.push(`${label}: must have at most ${MAX_KEY_MESSAGES} entries`);
+  if (keyMessages.some(message => message.length > MAX_KEY_MESSAGE_LENGTH)) {
+    errors.push(`${label}: entries must be at most ${MAX_KEY_MESSAGE_LENGTH} characters`);
+  }
+  return keyMessages.map(message => message.trim()).filter(Boolean);
+}
+
+/**
+ * Validate a request for investor questions about an evaluated pitch
+ * @param {Object} input - `{ transcription, keyMessages, count }` from the request body
+ * @returns {{request: Object|null, errors: string[]}} Normalized request, or validation errors
+ */
+export function validateQuestionRequest(input) {
+  if (!input || typeof input !== 'object') {
+    return { request: null, errors: ['Request must be an object'] };
+  }
+  const errors = [];
+  const transcription = typeof input.transcription === 'string' ? input.transcription.trim() : '';
+  if (!transcription) errors.push('transcription: is required');
+  if (transcription.length > MAX_TRANSCRIPTION_LENGTH) errors.push(`transcription: must be at most ${MAX_TRANSCRIPTION_LENGTH} characters`);
+
+  const keyMessages = validateKeyMessages(input.keyMessages, 'keyMessages', errors);
+
+  const count = input.count ?? DEFAULT_QUESTION_COUNT;
+  if (!Number.isInteger(count) || count < 1 || count > MAX_QUESTIONS) {
+    errors.push(`count: must be a whole number from 1 to ${MAX_QUESTIONS}`);
+  }
+
+  return errors.length > 0 ? { request: null, errors } : { request: { transcription, keyMessages, count }, errors: [] };
+}
+
+/**
+ * Validate the question an answer recording responds to
+ * @param {Object} input - `{ id, text, category, parentId, keyMessages }`
+ * @returns {{question: Object|null, errors: string[]}} Normalized question, or validation errors
+ */
+export function validateQuestion(input) {
+  if (!input || typeof input !== 'object') {
+    return { question: null, errors: ['question: must be an object'] };
+  }
+  const errors = [];
+  const text = typeof input.text === 'string' ? input.text.trim() : '';
+  if (!text) errors.push('question.text: is required');
+  if (text.length > MAX_QUESTION_LENGTH) errors.push(`question.text: must be at most ${MAX_QUESTION_LENGTH} characters`);
+  if (typeof input.id !== 'string' || !input.id) errors.push('question.id: is required');
+  if (!QUESTION_CATEGORIES.includes(input.category)) errors.push(`question.category: must be one of ${QUESTION_CATEGORIES.join(', ')}`);
+  if (input.parentId !== undefined && input.parentId !== null && typeof input.parentId !== 'string') {
+    errors.push('question.parentId: must be a string');
+  }
+  const keyMessages = validateKeyMessages(input.keyMessages, 'question.keyMessages', errors);
+
+  if (errors.length > 0) return { question: null, errors };
+  return {
+    question: { id: input.id, text, category: input.category, parentId: input.parentId ?? null, keyMessages },
+    errors: []
+  };
+}
+
+/**
+ * Prompt for the questions a skeptical investor would ask after this pitch
+ */
+function createQuestionPrompt(transcription, keyMessages, preset, count, language, feedbackLanguage) {
+  const keyMessageLines = keyMessages.length > 0
+    ? `\nKEY MESSAGES THE SPEAKER WANTED TO LAND:\n${keyMessages.map(message => `- ${message}`).join('\n')}\n`
+    : '';
+
+  return `
+You are a skeptical early-stage investor who has just heard this ${preset.name.toLowerCase()}.
+
+TRANSCRIPTION:
+"${transcription}"
+${keyMessageLines}
+Write the ${count} toughest questions you would ask the speaker next. Go after claims that were vague,
+unsupported or missing, such as competition, unit economics, team, market size, traction, product or risks.
+Each question is one sentence a founder could answer in under a minute. Do not repeat a question.
+
+${describeLanguages(language, feedbackLanguage, 'each rationale')}
+Ask the questions themselves in ${getLanguageName(language)}, the language the speaker will answer in.
+
+Use one of these categories for each: ${QUESTION_CATEGORIES.join(', ')}.
+
+Respond with only a JSON object:
+{"questions": [{"category": "competition", "question": "...", "rationale": "what the question is testing"}]}
+`;
+}
+
+function getFallbackQuestions(count, reason, language, feedbackLanguage) {
+  const questions = localize(FALLBACK_QUESTIONS, language);
+  const rationales = localize(FALLBACK_QUESTIONS, feedbackLanguage);
+  return {
+    questions: FALLBACK_CATEGORIES.slice(0, count).map((category, index) => ({
+      id: randomUUID(),
+      category,
+      text: questions[index].text,
+      rationale: rationales[index].rationale
+    })),
+    analyzedBy: { provider: 'fallback', model: null },
+    isFallback: true,
+    fallbackReason: reason
+  };
+}
+
+/**
+ * Generate likely tough investor questions about an evaluated pitch
+ * @param {string} transcription - Transcript of the pitch
+ * @param {string[]} keyMessages - `keyMessages` from the pitch's content analysis
+ * @param {Object} [options]
+ * @param {Object} [options.llm] - `{ provider, model }`, defaults come from configuration
+ * @param {Object} [options.preset] - Preset the pitch was evaluated with
+ * @param {number} [options.count] - How many questions to ask for
+ * @param {string} [options.language] - Language id the pitch is spoken in; the questions are asked in it
+ * @param {string} [options.feedbackLanguage] - Language id for the rationales, the spoken one by default
+ * @returns {Promise<Object>} `{ questions: [{ id, category, text, rationale }], analyzedBy, isFallback }`;
+ *   without a working model the questions come from a fixed list and `isFallback` is set
+ */
+export async function generateInvestorQuestions(transcription, keyMessages, { llm = {}, preset = DEFAULT_PRESET, count = DEFAULT_QUESTION_COUNT, language = DEFAULT_LANGUAGE, feedbackLanguage = language } = {}) {
+  const selection = resolveLLMSelection(llm);
+  const fallback = (reason) => getFallbackQuestions(count, reason, language, feedbackLanguage);
+  if (!selection) {
+    return fallback('No LLM provider is configured');
+  }
+
+  try {
+    console.log(`🟢 Requesting investor questions using ${selection.provider} (${selection.model})`);
+    const { value, errors } = await generateValidatedJson(
+      selection,
+      createQuestionPrompt(transcription, keyMessages, preset, count, language, feedbackLanguage),
+      buildQuestionSchema(count)
+    );
+    if (!value) {
+      console.error(`❌ No valid investor questions from ${selection.provider}:`, errors.slice(0, 5));
+      return fallback(`${selection.provider} (${selection.model}) returned invalid output: ${errors.slice(0, 5).join('; ')}`);
+    }
+
+    return {
+      questions: value.questions.map(entry => ({
+        id: randomUUID(),
+        category: normalizeCategory(entry.category),
+        text: entry.question.trim(),
+        rationale: entry.rationale.trim()
+      })),
+      analyzedBy: selection,
+      isFallback: false
+    };
+  } catch (error) {
+    console.error(`❌ ${selection.provider} investor questions failed:`, error.message || error);
+    return fallback(`${selection.provider} request failed: ${error.message || error}`);
+  }
+}
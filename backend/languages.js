@@ -0,0 +1,120 @@
+import { normalizeWord, tokenizeTranscript } from './transcriptUtils.js';
+
+/**
+ * Languages a pitch can be spoken in and feedback can be written in.
+ * `whisperName` is how Whisper and OpenAI-compatible servers report the language.
+ * Adding one here makes it selectable; modules with built-in text (fallback feedback,
+ * filler lists, segment flags, live nudges) fall back to English until they get an entry.
+ */
+export const LANGUAGES = {
+  en: { id: 'en', name: 'English', nativeName: 'English', whisperName: 'english' },
+  es: { id: 'es', name: 'Spanish', nativeName: 'Español', whisperName: 'spanish' },
+  hi: { id: 'hi', name: 'Hindi', nativeName: 'हिन्दी', whisperName: 'hindi' }
+};
+
+export const DEFAULT_LANGUAGE = 'en';
+
+// Spoken language setting that leaves it to the transcription model
+export const AUTO_LANGUAGE = 'auto';
+
+// Short, frequent words that give a transcript's language away; romanized Hindi included for Hinglish transcripts
+const FUNCTION_WORDS = {
+  en: new Set(['the', 'and', 'to', 'of', 'is', 'we', 'our', 'that', 'in', 'for', 'it', 'with', 'you', 'this', 'are', 'have', 'what', 'they']),
+  es: new Set(['el', 'la', 'de', 'que', 'y', 'en', 'los', 'las', 'es', 'por', 'para', 'con', 'una', 'nuestro', 'nuestra', 'del', 'como', 'pero', 'somos', 'más']),
+  hi: new Set(['hai', 'hain', 'ka', 'ki', 'ke', 'ko', 'aur', 'mein', 'nahi', 'hum', 'yeh', 'kya', 'toh', 'bhi', 'se', 'ek'])
+};
+
+// Share of letters in Devanagari above which a transcript is taken as Hindi
+const DEVANAGARI_RATIO = 0.3;
+
+/**
+ * List the supported languages for the API
+ * @returns {Array<{id: string, name: string, nativeName: string}>}
+ */
+export function listLanguages() {
+  return Object.values(LANGUAGES).map(({ id, name, nativeName }) => ({ id, name, nativeName }));
+}
+
+/**
+ * Map a language as reported by a provider or sent by a client ('es', 'es-MX', 'Spanish') to a supported id
+ * @param {string} value - Language code or English name
+ * @returns {string|null} Supported language id, or null when it isn't one
+ */
+export function toLanguageId(value) {
+  if (typeof value !== 'string') return null;
+  const normalized = value.trim().toLowerCase();
+  const code = normalized.split(/[-_]/)[0];
+  if (LANGUAGES[code]) return code;
+  return Object.values(LANGUAGES).find(language => language.whisperName === normalized)?.id || null;
+}
+
+/**
+ * English name of a language for prompts
+ */
+export function getLanguageName(id) {
+  return (LANGUAGES[id] || LANGUAGES[DEFAULT_LANGUAGE]).name;
+}
+
+/**
+ * Pick the entry for a language from a map keyed by language id, falling back to English
+ * @param {Object} entries - `{ en: ..., es: ..., ... }`
+ * @param {string} [language] - Language id
+ */
+export function localize(entries, language) {
+  return entries[language] ?? entries[DEFAULT_LANGUAGE];
+}
+
+/**
+ * Guess a transcript's language from its script and function words, for providers that don't report it
+ * @param {string} text - Transcript text
+ * @returns {string} Supported language id, English when nothing stands out
+ */
+export function detectLanguage(text) {
+  const letters = (text || '').match(/\p{L}/gu) || [];
+  const devanagari = (text || '').match(/\p{Script=Devanagari}/gu) || [];
+  if (letters.length > 0 && devanagari.length / letters.length > DEVANAGARI_RATIO) return 'hi';
+
+  const counts = Object.fromEntries(Object.keys(FUNCTION_WORDS).map(id => [id, 0]));
+  for (const word of tokenizeTranscript(text).map(normalizeWord)) {
+    for (const [id, words] of Object.entries(FUNCTION_WORDS)) {
+      if (words.has(word)) counts[id]++;
+    }
+  }
+  const [best, bestCount] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+  return bestCount > counts[DEFAULT_LANGUAGE] ? best : DEFAULT_LANGUAGE;
+}
+
+/**
+ * Validate the language settings of a request
+ * @param {Object} input - `{ language, feedbackLanguage }`; both optional
+ * @param {Object} [options]
+ * @param {boolean} [options.allowAuto] - Accept 'auto' for the spoken language (transcription detects it)
+ * @returns {{languages: {language: string, feedbackLanguage: string|null}|null, errors: string[]}}
+ *   Spoken language (English by default) and feedback language (null: same as spoken), or validation errors
+ */
+export function validateLanguages(input, { allowAuto = false } = {}) {
+  const errors = [];
+  const supported = Object.keys(LANGUAGES).join(', ');
+  const language = input?.language || (allowAuto ? AUTO_LANGUAGE : DEFAULT_LANGUAGE);
+  const feedbackLanguage = input?.feedbackLanguage || null;
+
+  if (!LANGUAGES[language] && !(allowAuto && language === AUTO_LANGUAGE)) {
+    errors.push(`language: must be one of ${allowAuto ? `${AUTO_LANGUAGE}, ` : ''}${supported}`);
+  }
+  if (feedbackLanguage !== null && !LANGUAGES[feedbackLanguage]) {
+    errors.push(`feedbackLanguage: must be one of ${supported}`);
+  }
+  return errors.length > 0 ? { languages: null, errors } : { languages: { language, feedbackLanguage }, errors: [] };
+}
+
+/**
+ * Prompt lines naming the language the speaker uses and the one the model should write in
+ * @param {string} language - Spoken language id
+ * @param {string} feedbackLanguage - Language id for what the model writes
+ * @param {string} written - What the model writes, e.g. 'every feedback string'
+ * @returns {string}
+ */
+export function describeLanguages(language, feedbackLanguage, written) {
+  return `LANGUAGE: The speaker talks in ${getLanguageName(language)}.
+Write ${written} in ${getLanguageName(feedbackLanguage)}. Keep the JSON keys exactly as shown.`;
+}
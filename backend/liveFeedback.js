@@ -0,0 +1,256 @@
+import { WebSocketServer } from 'ws';
+import {
+  MIN_PAUSE_SECONDS,
+  MONOTONE_VARIATION_RATIO,
+  MONOTONE_WINDOW_SECONDS,
+  VOICED_ENERGY_THRESHOLD,
+  calculateWindowEnergy,
+  estimatePitch,
+  scoreBurstRate,
+  scoreLoudness,
+  smoothPitch
+} from './audioAnalysis.js';
+import { localize } from './languages.js';
+
+// Clients stream mono 16-bit PCM; 16 kHz is plenty for energy and pitch
+export const LIVE_SAMPLE_RATE = 16000;
+
+// Analysis step (same 20ms windows as speech detection); pitch is estimated over the last two (40ms, enough for 80 Hz)
+const WINDOW_SECONDS = 0.02;
+
+// How far back each live metric looks
+const LEVEL_SECONDS = 0.25;
+const VOLUME_SECONDS = 3;
+const PACE_SECONDS = 15;
+const MIN_PACE_SPEECH_SECONDS = 3;
+const HISTORY_SECONDS = Math.max(PACE_SECONDS, MONOTONE_WINDOW_SECONDS, VOLUME_SECONDS);
+
+// When to nudge
+const LONG_PAUSE_SECONDS = 3;
+const NO_PAUSE_SECONDS = 25;
+const MONOTONE_NUDGE_SECONDS = 20;
+
+// Nudge text per feedback language
+const NUDGES = {
+  en: {
+    monotone: (seconds) => `You've been monotone for ${seconds}s, vary your pitch`,
+    longPause: (seconds) => `Long pause (${seconds}s), pick the thread back up`,
+    noPause: (seconds) => `No pause for ${seconds}s, take a breath`,
+    quiet: 'Speak up a little',
+    loud: 'Ease off the volume a little',
+    fast: 'Slow down',
+    slow: 'Pick up the pace'
+  },
+  es: {
+    monotone: (seconds) => `Llevas ${seconds}s en un tono monótono, varía la entonación`,
+    longPause: (seconds) => `Pausa larga (${seconds}s), retoma el hilo`,
+    noPause: (seconds) => `Sin pausa desde hace ${seconds}s, respira`,
+    quiet: 'Habla un poco más alto',
+    loud: 'Baja un poco el volumen',
+    fast: 'Más despacio',
+    slow: 'Acelera un poco el ritmo'
+  },
+  hi: {
+    monotone: (seconds) => `आप ${seconds} सेकंड से एक ही सुर में बोल रहे हैं, आवाज़ में उतार-चढ़ाव लाएँ`,
+    longPause: (seconds) => `लंबा ठहराव (${seconds} सेकंड), बात फिर से शुरू करें`,
+    noPause: (seconds) => `${seconds} सेकंड से कोई ठहराव नहीं, साँस लें`,
+    quiet: 'थोड़ा ऊँचा बोलें',
+    loud: 'आवाज़ थोड़ी धीमी करें',
+    fast: 'धीरे बोलें',
+    slow: 'थोड़ा तेज़ बोलें'
+  }
+};
+
+// Metrics are sent at most this often
+const UPDATE_SECONDS = 0.25;
+const MAX_SESSION_SECONDS = 30 * 60;
+
+const round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+const describeVolume = (score, dbLevel) => score === 5 ? 'good' : dbLevel < -25 ? 'quiet' : 'loud';
+const describePace = (burstRate) => burstRate < 2.5 ? 'slow' : burstRate < 4 ? 'good' : 'fast';
+
+/**
+ * Rolling delivery analysis of a live PCM stream, using the same energy, pitch,
+ * volume and pace rules as the full analysis in audioAnalysis.js
+ * @param {{sampleRate?: number, language?: string}} options - `language` is the feedback language of the nudges
+ * @returns {{push: (samples: Float32Array) => Object|null, elapsed: () => number}}
+ *   push returns the latest metrics once UPDATE_SECONDS of audio has come in, otherwise null
+ */
+export function createLiveAnalyzer({ sampleRate = LIVE_SAMPLE_RATE, language } = {}) {
+  const text = localize(NUDGES, language);
+  const windowSize = Math.floor(sampleRate * WINDOW_SECONDS);
+  const pitchWindowSize = windowSize * 2;
+  const maxWindows = Math.ceil(HISTORY_SECONDS / WINDOW_SECONDS);
+
+  let pending = new Float32Array(0);
+  let previousWindow = new Float32Array(windowSize);
+  // {energy, speech, onset, pitch} per 20ms window, newest last
+  const history = [];
+  let windowCount = 0;
+  let lastUpdateWindow = 0;
+  let inSpeech = false;
+  let hasSpoken = false;
+  let pauseWindows = 0;
+  let lastPauseEnd = 0;
+  let monotoneSeconds = 0;
+
+  const analyzeWindow = (window) => {
+    const energy = calculateWindowEnergy(window);
+    const speech = energy > VOICED_ENERGY_THRESHOLD;
+    let pitch = null;
+    if (speech) {
+      const pitchWindow = new Float32Array(pitchWindowSize);
+      pitchWindow.set(previousWindow);
+      pitchWindow.set(window, windowSize);
+      const estimate = estimatePitch(pitchWindow, sampleRate);
+      pitch = estimate > 0 ? Math.round(estimate) : null;
+    }
+
+    if (speech) {
+      // A pause only counts once it lasts as long as the pause detection's minimum
+      if (hasSpoken && pauseWindows * WINDOW_SECONDS >= MIN_PAUSE_SECONDS) lastPauseEnd = windowCount;
+      pauseWindows = 0;
+      hasSpoken = true;
+    } else {
+      pauseWindows++;
+    }
+
+    history.push({ energy, speech, onset: speech && !inSpeech, pitch });
+    if (history.length > maxWindows) history.shift();
+    inSpeech = speech;
+    previousWindow = window;
+    windowCount++;
+  };
+
+  // Pitch barely moving over the last MONOTONE_WINDOW_SECONDS of mostly voiced speech
+  const updateMonotone = (elapsedSeconds) => {
+    const recent = history.slice(-Math.round(MONOTONE_WINDOW_SECONDS / WINDOW_SECONDS));
+    const pitch = smoothPitch(recent.map(entry => entry.pitch)).filter(value => value !== null);
+    // Mostly silent: a pause, neither monotone nor varied
+    if (pitch.length < recent.length * 0.6) return;
+
+    const mean = pitch.reduce((sum, value) => sum + value, 0) / pitch.length;
+    const deviation = Math.sqrt(pitch.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / pitch.length);
+    monotoneSeconds = deviation / mean < MONOTONE_VARIATION_RATIO ? monotoneSeconds + elapsedSeconds : 0;
+  };
+
+  const buildMetrics = () => {
+    const levelWindows = history.slice(-Math.round(LEVEL_SECONDS / WINDOW_SECONDS));
+    // Digital silence would be -200 dB, the meter bottoms out at -100
+    const level = Math.max(-100, 20 * Math.log10(Math.sqrt(levelWindows.reduce((sum, entry) => sum + entry.energy, 0) / levelWindows.length) + 1e-10));
+
+    const speechEnergy = history.slice(-Math.round(VOLUME_SECONDS / WINDOW_SECONDS)).filter(entry => entry.speech).map(entry => entry.energy);
+    let volume = null;
+    if (speechEnergy.length > 0) {
+      const dbLevel = 20 * Math.log10(Math.sqrt(speechEnergy.reduce((sum, energy) => sum + energy, 0) / speechEnergy.length) + 1e-10);
+      const score = scoreLoudness(dbLevel);
+      volume = { dbLevel: round(dbLevel), score, label: describeVolume(score, dbLevel) };
+    }
+
+    const paceWindows = history.slice(-Math.round(PACE_SECONDS / WINDOW_SECONDS));
+    const speechSeconds = paceWindows.filter(entry => entry.speech).length * WINDOW_SECONDS;
+    let pace = null;
+    if (speechSeconds >= MIN_PACE_SPEECH_SECONDS) {
+      const burstRate = paceWindows.filter(entry => entry.onset).length / speechSeconds;
+      pace = { burstRate: round(burstRate), score: scoreBurstRate(burstRate), label: describePace(burstRate) };
+    }
+
+    const currentPause = hasSpoken ? pauseWindows * WINDOW_SECONDS : 0;
+    const sinceLastPause = hasSpoken && currentPause === 0 ? (windowCount - lastPauseEnd) * WINDOW_SECONDS : 0;
+
+    const nudges = [];
+    if (monotoneSeconds >= MONOTONE_NUDGE_SECONDS && currentPause === 0) nudges.push(text.monotone(Math.floor(monotoneSeconds)));
+    if (currentPause >= LONG_PAUSE_SECONDS) nudges.push(text.longPause(Math.floor(currentPause)));
+    if (sinceLastPause >= NO_PAUSE_SECONDS) nudges.push(text.noPause(Math.floor(sinceLastPause)));
+    if (volume && volume.label !== 'good') nudges.push(text[volume.label]);
+    if (pace && pace.label !== 'good') nudges.push(text[pace.label]);
+
+    return {
+      type: 'metrics',
+      time: round(windowCount * WINDOW_SECONDS),
+      level: round(level),
+      volume,
+      pace,
+      pause: { current: round(currentPause), sinceLast: round(sinceLastPause) },
+      monotoneSeconds: round(monotoneSeconds),
+      nudges
+    };
+  };
+
+  return {
+    push(samples) {
+      const combined = new Float32Array(pending.length + samples.length);
+      combined.set(pending);
+      combined.set(samples, pending.length);
+
+      let offset = 0;
+      for (; offset + windowSize <= combined.length; offset += windowSize) {
+        analyzeWindow(combined.slice(offset, offset + windowSize));
+      }
+      pending = combined.slice(offset);
+
+      const elapsedSeconds = (windowCount - lastUpdateWindow) * WINDOW_SECONDS;
+      if (history.length === 0 || elapsedSeconds < UPDATE_SECONDS) return null;
+      lastUpdateWindow = windowCount;
+      updateMonotone(elapsedSeconds);
+      return buildMetrics();
+    },
+    elapsed: () => windowCount * WINDOW_SECONDS
+  };
+}
+
+// 16-bit little-endian PCM -> samples in [-1, 1]
+function toSamples(buffer) {
+  const samples = new Float32Array(Math.floor(buffer.length / 2));
+  for (let i = 0; i < samples.length; i++) {
+    samples[i] = buffer.readInt16LE(i * 2) / 32768;
+  }
+  return samples;
+}
+
+/**
+ * Live coaching over WebSocket: clients send binary 16-bit mono PCM frames
+ * (sample rate in the `sampleRate` query parameter, default 16 kHz) and get
+ * JSON metrics back a few times per second. Nudges are written in the `language`
+ * query parameter's language (English by default).
+ * @param {import('http').Server} server - HTTP server to share the port with
+ * @param {{path: string, allowedOrigins: string[]}} options - Browsers from other origins are refused
+ * @returns {WebSocketServer}
+ */
+export function attachLiveFeedback(server, { path, allowedOrigins }) {
+  const wss = new WebSocketServer({
+    server,
+    path,
+    maxPayload: 1024 * 1024,
+    verifyClient: ({ origin }) => !origin || allowedOrigins.includes(origin)
+  });
+
+  wss.on('connection', (socket, req) => {
+    const params = new URL(req.url, 'http://localhost').searchParams;
+    const sampleRate = Number(params.get('sampleRate')) || LIVE_SAMPLE_RATE;
+    if (sampleRate < 8000 || sampleRate > 48000) {
+      socket.close(1008, 'sampleRate must be between 8000 and 48000');
+      return;
+    }
+
+    const analyzer = createLiveAnalyzer({ sampleRate, language: params.get('language') });
+    console.log('🎙️ Live feedback session started');
+
+    socket.on('message', (data, isBinary) => {
+      if (!isBinary) return;
+      try {
+        const metrics = analyzer.push(toSamples(Buffer.isBuffer(data) ? data : Buffer.concat(data)));
+        if (metrics) socket.send(JSON.stringify(metrics));
+        if (analyzer.elapsed() > MAX_SESSION_SECONDS) socket.close(1000, 'Session too long');
+      } catch (error) {
+        console.error('Error analyzing live audio:', error);
+        socket.close(1011, 'Analysis failed');
+      }
+    });
+
+    socket.on('close', () => console.log(`🎙️ Live feedback session ended after ${Math.round(analyzer.elapsed())}s`));
+  });
+
+  return wss;
+}
@@ -0,0 +1,243 @@
+import fetch from "node-fetch";
+
+// JSON Schema keywords Gemini's responseSchema does not accept
+const GEMINI_UNSUPPORTED_SCHEMA_KEYS = ['additionalProperties', 'minLength', '$schema', 'title'];
+
+/**
+ * Strip JSON Schema keywords that Gemini rejects in responseSchema
+ */
+function toGeminiSchema(schema) {
+  if (Array.isArray(schema)) return schema.map(toGeminiSchema);
+  if (!schema || typeof schema !== 'object') return schema;
+
+  const converted = {};
+  for (const [key, value] of Object.entries(schema)) {
+    if (GEMINI_UNSUPPORTED_SCHEMA_KEYS.includes(key)) continue;
+    converted[key] = key === 'properties'
+      ? Object.fromEntries(Object.entries(value).map(([name, child]) => [name, toGeminiSchema(child)]))
+      : toGeminiSchema(value);
+  }
+  return converted;
+}
+
+/**
+ * Call any OpenAI-compatible /chat/completions endpoint
+ */
+async function generateWithChatCompletions({ baseUrl, apiKey, model, messages, schema }) {
+  const headers = { "Content-Type": "application/json" };
+  if (apiKey) {
+    headers["Authorization"] = `Bearer ${apiKey}`;
+  }
+
+  const body = {
+    model,
+    messages,
+    temperature: 0.2,
+  };
+  if (schema) {
+    // Structured output: the server constrains generation to the schema
+    body.response_format = {
+      type: "json_schema",
+      json_schema: { name: "pitch_analysis", schema, strict: true }
+    };
+  }
+
+  const response = await fetch(`${baseUrl.replace(/\/+$/, '')}/chat/completions`, {
+    method: "POST",
+    headers,
+    body: JSON.stringify(body),
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Chat completions API error: ${response.status} - ${errorText}`);
+  }
+
+  const data = await response.json();
+  return data?.choices?.[0]?.message?.content || null;
+}
+
+/**
+ * Build a deterministic value for a schema node: numbers at the middle of their range,
+ * one item per array, placeholder strings named after their property
+ */
+function createMockValue(schema, name) {
+  switch (schema.type) {
+    case 'object':
+      return Object.fromEntries(
+        Object.entries(schema.properties || {}).map(([key, child]) => [key, createMockValue(child, key)])
+      );
+    case 'array':
+      return Array.from({ length: Math.max(1, schema.minItems || 0) }, () => createMockValue(schema.items || {}, name));
+    case 'number':
+    case 'integer':
+      return Math.round(((schema.minimum ?? 0) + (schema.maximum ?? schema.minimum ?? 0)) / 2);
+    case 'boolean':
+      return true;
+    default:
+      return `Mock ${name}`;
+  }
+}
+
+/**
+ * Deterministic response for tests and offline demos, shaped by the requested schema
+ */
+function createMockResponse(schema) {
+  return JSON.stringify(createMockValue(schema || { type: 'object' }, 'response'));
+}
+
+/**
+ * Registry of LLM providers for content analysis.
+ * Each provider reports whether it is configured and turns a prompt into response text.
+ */
+const LLM_PROVIDERS = {
+  gemini: {
+    name: 'Google Gemini',
+    defaultModel: () => process.env.GEMINI_MODEL || 'gemini-2.5-flash',
+    isConfigured: () => Boolean(process.env.GEMINI_API_KEY && process.env.GEMINI_API_KEY !== 'your_gemini_api_key_here'),
+    generate: async ({ messages, model, schema }) => {
+      const body = {
+        contents: messages.map(message => ({
+          role: message.role === 'assistant' ? 'model' : 'user',
+          parts: [{ text: message.content }],
+        })),
+      };
+      if (schema) {
+        body.generationConfig = {
+          responseMimeType: "application/json",
+          responseSchema: toGeminiSchema(schema),
+        };
+      }
+
+      const response = await fetch(
+        // The model comes from the request or .env: encode it so it can't change the path or the query
+        `https://generativelanguage.googleapis.com/v1beta/models/${encodeURIComponent(model)}:generateContent?key=${encodeURIComponent(process.env.GEMINI_API_KEY)}`,
+        {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify(body),
+        }
+      );
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(`Gemini API error: ${response.status} - ${errorText}`);
+      }
+
+      const data = await response.json();
+      const text = data?.candidates?.[0]?.content?.parts?.[0]?.text;
+      if (!text) {
+        console.error("❌ No response from Gemini:", data);
+      }
+      return text || null;
+    }
+  },
+  'openai-compatible': {
+    name: 'OpenAI-compatible API',
+    defaultModel: () => process.env.LLM_API_MODEL || 'gpt-4o-mini',
+    isConfigured: () => Boolean(process.env.LLM_API_URL),
+    generate: ({ messages, model, schema }) => generateWithChatCompletions({
+      baseUrl: process.env.LLM_API_URL,
+      apiKey: process.env.LLM_API_KEY,
+      model,
+      messages,
+      schema
+    })
+  },
+  ollama: {
+    name: 'Ollama (local)',
+    defaultModel: () => process.env.OLLAMA_MODEL || 'llama3.1',
+    isConfigured: () => Boolean(process.env.OLLAMA_MODEL || process.env.OLLAMA_URL),
+    generate: ({ messages, model, schema }) => generateWithChatCompletions({
+      baseUrl: `${(process.env.OLLAMA_URL || 'http://localhost:11434').replace(/\/+$/, '')}/v1`,
+      model,
+      messages,
+      schema
+    })
+  },
+  mock: {
+    name: 'Mock (deterministic)',
+    defaultModel: () => 'mock-v1',
+    isConfigured: () => process.env.LLM_PROVIDER === 'mock' || process.env.NODE_ENV === 'test',
+    generate: async ({ schema }) => createMockResponse(schema)
+  }
+};
+
+// Provider by id; ids come from requests, so inherited keys like "constructor" don't count
+const getProvider = (providerId) => Object.hasOwn(LLM_PROVIDERS, providerId) ? LLM_PROVIDERS[providerId] : null;
+
+/**
+ * Pick the default LLM provider: LLM_PROVIDER if it is configured,
+ * otherwise the first configured provider
+ */
+export function getDefaultLLMProvider() {
+  const preferred = process.env.LLM_PROVIDER;
+  if (preferred && getProvider(preferred)?.isConfigured()) {
+    return preferred;
+  }
+  return getAvailableLLMProviders().find(provider => provider.id !== 'mock')?.id || null;
+}
+
+/**
+ * Check that a provider id exists and is configured
+ */
+export function isLLMProviderAvailable(providerId) {
+  return Boolean(getProvider(providerId)?.isConfigured());
+}
+
+/**
+ * Resolve which provider and model to use for a request
+ * @param {Object} [options]
+ * @param {string} [options.provider] - Provider id (defaults to the configured default)
+ * @param {string} [options.model] - Model name (defaults to the provider's default model)
+ * @returns {{provider: string, model: string}|null} Null when no provider is configured
+ */
+export function resolveLLMSelection({ provider, model } = {}) {
+  const providerId = provider || getDefaultLLMProvider();
+  const llm = providerId && getProvider(providerId);
+  if (!llm) return null;
+  return {
+    provider: providerId,
+    model: model || llm.defaultModel()
+  };
+}
+
+/**
+ * Generate text with the selected provider
+ * @param {Object} options
+ * @param {string} options.provider - Provider id
+ * @param {string} options.model - Model name
+ * @param {string} [options.prompt] - Prompt text (shorthand for a single user message)
+ * @param {Array<{role: 'user'|'assistant', content: string}>} [options.messages] - Conversation so far
+ * @param {Object} [options.schema] - JSON Schema to request structured output with
+ * @returns {Promise<string|null>} Response text, or null if the provider returned nothing
+ */
+export async function generateText({ provider, model, prompt, messages, schema }) {
+  const llm = getProvider(provider);
+  if (!llm) {
+    throw new Error(`Unknown LLM provider: ${provider}`);
+  }
+  if (!llm.isConfigured()) {
+    throw new Error(`LLM provider not configured: ${provider}`);
+  }
+  return llm.generate({
+    model,
+    schema,
+    messages: messages || [{ role: 'user', content: prompt }]
+  });
+}
+
+/**
+ * Get available LLM providers based on configuration
+ */
+export function getAvailableLLMProviders() {
+  return Object.entries(LLM_PROVIDERS)
+    .filter(([, provider]) => provider.isConfigured())
+    .map(([id, provider]) => ({
+      id,
+      name: provider.name,
+      defaultModel: provider.defaultModel()
+    }));
+}
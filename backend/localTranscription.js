@@ -0,0 +1,179 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { convertToWav } from './audioDecoder.js';
+import { createTranscript } from './transcriptUtils.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const execFileAsync = promisify(execFile);
+
+// Read on use, .env is loaded after the imports run
+const getWhisperCppTimeoutMs = () => Number(process.env.WHISPER_CPP_TIMEOUT_MS) || 10 * 60 * 1000;
+
+/**
+ * Check whether a local whisper.cpp binary and model are configured
+ */
+export function isWhisperCppConfigured() {
+  return Boolean(process.env.WHISPER_CPP_PATH && process.env.WHISPER_CPP_MODEL);
+}
+
+/**
+ * Check whether a self-hosted OpenAI-compatible transcription endpoint is configured
+ */
+export function isOpenAICompatibleConfigured() {
+  return Boolean(process.env.TRANSCRIPTION_API_URL);
+}
+
+/**
+ * Whether the OpenAI-compatible endpoint is on this machine or a private network (loopback,
+ * RFC 1918 or IPv6 unique local address), so audio sent to it stays in your infrastructure
+ */
+export function isOpenAICompatiblePrivate() {
+  let hostname;
+  try {
+    hostname = new URL(process.env.TRANSCRIPTION_API_URL).hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  } catch {
+    return false;
+  }
+  if (hostname === 'localhost' || hostname.endsWith('.localhost') || hostname === '::1') return true;
+  if (/^f[cd][0-9a-f]{2}:/.test(hostname)) return true;
+  const octets = hostname.match(/^(\d+)\.(\d+)\.\d+\.\d+$/)?.slice(1).map(Number);
+  if (!octets) return false;
+  const [first, second] = octets;
+  return first === 127 || first === 10 || (first === 192 && second === 168) || (first === 172 && second >= 16 && second <= 31);
+}
+
+/**
+ * Transcribe audio offline with a local whisper.cpp binary (no network access)
+ * @param {Buffer} audioBuffer - The audio file buffer
+ * @param {Object} [options]
+ * @param {string} [options.language] - Language id to force, otherwise whisper.cpp detects it
+ * @returns {Promise<{text: string, words: Array, language: string|null}>} Transcript with word timings
+ */
+export async function transcribeWithWhisperCpp(audioBuffer, { language = null } = {}) {
+  if (!isWhisperCppConfigured()) {
+    throw new Error('WHISPER_CPP_PATH and WHISPER_CPP_MODEL not configured');
+  }
+
+  const tempDir = path.join(__dirname, 'temp');
+  await fs.ensureDir(tempDir);
+
+  const fileId = `${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+  const wavPath = path.join(tempDir, `whisper_${fileId}.wav`);
+  const outputBase = path.join(tempDir, `whisper_${fileId}`);
+  const jsonPath = `${outputBase}.json`;
+
+  try {
+    console.log('Starting transcription with local whisper.cpp...');
+
+    // whisper.cpp only reads 16 kHz mono WAV
+    const wavBuffer = await convertToWav(audioBuffer, { sampleRate: 16000, channels: 1 });
+    await fs.writeFile(wavPath, wavBuffer);
+
+    const args = [
+      '-m', process.env.WHISPER_CPP_MODEL,
+      '-f', wavPath,
+      '-t', process.env.WHISPER_CPP_THREADS || '4',
+      '-oj',
+      '-of', outputBase,
+      // whisper.cpp assumes English unless told otherwise
+      '-l', language || 'auto',
+      // One segment per word gives word-level timestamps
+      '-ml', '1',
+      '-sow',
+      '-np'
+    ];
+
+    const timeout = getWhisperCppTimeoutMs();
+    try {
+      await execFileAsync(process.env.WHISPER_CPP_PATH, args, {
+        maxBuffer: 10 * 1024 * 1024,
+        timeout,
+        killSignal: 'SIGKILL'
+      });
+    } catch (error) {
+      // A hung process is killed once the timeout passes
+      if (error.killed) {
+        throw new Error(`whisper.cpp did not finish within ${Math.round(timeout / 1000)}s and was stopped (WHISPER_CPP_TIMEOUT_MS)`);
+      }
+      throw error;
+    }
+
+    const output = await fs.readJson(jsonPath);
+    const segments = output.transcription || [];
+    const text = segments.map(segment => segment.text).join('');
+    const words = segments.map(segment => ({
+      word: segment.text,
+      start: segment.offsets?.from / 1000,
+      end: segment.offsets?.to / 1000
+    }));
+
+    console.log('whisper.cpp transcription completed:', text.trim().substring(0, 100) + '...');
+    return createTranscript(text, words, output.result?.language || language);
+
+  } catch (error) {
+    console.error('whisper.cpp transcription failed:', error);
+    throw error;
+  } finally {
+    await fs.remove(wavPath);
+    await fs.remove(jsonPath);
+  }
+}
+
+/**
+ * Transcribe audio with a self-hosted OpenAI-compatible endpoint
+ * (faster-whisper-server, LocalAI, vLLM, ...)
+ * @param {Buffer} audioBuffer - The audio file buffer
+ * @param {Object} [options]
+ * @param {string} [options.language] - Language id to force, otherwise the server detects it
+ * @returns {Promise<{text: string, words: Array, language: string|null}>} Transcript with word timings when supported
+ */
+export async function transcribeWithOpenAICompatible(audioBuffer, { language = null } = {}) {
+  try {
+    console.log('Starting transcription with OpenAI-compatible endpoint...');
+
+    if (!isOpenAICompatibleConfigured()) {
+      throw new Error('TRANSCRIPTION_API_URL not configured');
+    }
+
+    const wavBuffer = await convertToWav(audioBuffer, { sampleRate: 16000, channels: 1 });
+
+    const formData = new FormData();
+    formData.append('file', new Blob([wavBuffer], { type: 'audio/wav' }), 'audio.wav');
+    formData.append('model', process.env.TRANSCRIPTION_API_MODEL || 'whisper-1');
+    formData.append('response_format', 'verbose_json');
+    formData.append('timestamp_granularities[]', 'word');
+    if (language) {
+      formData.append('language', language);
+    }
+
+    const headers = {};
+    if (process.env.TRANSCRIPTION_API_KEY) {
+      headers['Authorization'] = `Bearer ${process.env.TRANSCRIPTION_API_KEY}`;
+    }
+
+    const baseUrl = process.env.TRANSCRIPTION_API_URL.replace(/\/+$/, '');
+    const response = await fetch(`${baseUrl}/audio/transcriptions`, {
+      method: 'POST',
+      headers,
+      body: formData,
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`Transcription API error: ${response.status} - ${errorText}`);
+    }
+
+    const result = await response.json();
+    console.log('OpenAI-compatible transcription completed:', result.text.substring(0, 100) + '...');
+    return createTranscript(result.text, result.words || [], result.language || language);
+
+  } catch (error) {
+    console.error('OpenAI-compatible transcription failed:', error);
+    throw error;
+  }
+}
@@ -0,0 +1,110 @@
+import { analyzeAudioProperties, calculateDeliveryContours } from './audioAnalysis.js';
+import { decodeAudio } from './audioDecoder.js';
+import { analyzeContent, commentOnSegments } from './contentAnalysis.js';
+import { analyzeFillerWords, getLanguageFillers } from './fillerAnalysis.js';
+import { transcribeAudio } from './freeTranscription.js';
+import { analyzeSegments } from './segmentAnalysis.js';
+import { DEFAULT_RUBRIC, calculateRubricScore, getContentCriteria } from './rubrics.js';
+import { DEFAULT_PRESET, evaluateTimeBox } from './pitchPresets.js';
+import { checkScriptAdherence } from './scriptAdherence.js';
+import { AUTO_LANGUAGE, detectLanguage, toLanguageId } from './languages.js';
+
+/**
+ * Run the full evaluation pipeline on an uploaded recording
+ * @param {Object} options
+ * @param {Buffer} options.audioBuffer - Raw uploaded audio bytes
+ * @param {string} options.method - Transcription method id
+ * @param {Object} [options.llm] - `{ provider, model }` for content analysis
+ * @param {Object} [options.rubric] - Rubric driving the prompt and the overall score
+ * @param {Object} [options.preset] - Pitch preset with delivery targets, prompt focus and time box
+ * @param {Object} [options.calibration] - `{ noiseFloorDb }` from the browser's mic check, calibrates volume and clarity
+ * @param {string} [options.script] - Script or outline the pitch was rehearsed from, checked against the transcript
+ * @param {Object} [options.question] - Investor question the recording answers, from validateQuestion
+ * @param {string} [options.language] - Language id the pitch is spoken in, or 'auto' to detect it
+ * @param {string} [options.feedbackLanguage] - Language id for the feedback, the spoken one when not set
+ * @param {Function} [onStage] - Called with the stage id as each stage starts
+ * @returns {Promise<{result: Object, overallScore: number}>} Evaluation result
+ */
+export async function evaluatePitch({ audioBuffer, method, llm = {}, rubric = DEFAULT_RUBRIC, preset = DEFAULT_PRESET, calibration = null, script = null, question = null, language = AUTO_LANGUAGE, feedbackLanguage = null }, onStage = () => {}) {
+  // Step 1: Decode the upload once so delivery analysis works on real PCM
+  onStage('converting');
+  let audioData = null;
+  try {
+    audioData = await decodeAudio(audioBuffer);
+  } catch (error) {
+    console.error('Audio decoding failed, delivery analysis will use defaults:', error.message);
+  }
+
+  // Step 2: Transcription with the requested (or default) provider
+  onStage('transcribing');
+  console.log(`Starting transcription with ${method}...`);
+  const transcript = await transcribeAudio(audioBuffer, method, { language: language === AUTO_LANGUAGE ? null : language });
+  const transcription = transcript.text;
+  console.log('Transcription completed:', transcription.substring(0, 100) + '...');
+
+  // Providers that don't report the language (or report one we can't coach in) leave it to the transcript
+  const spokenLanguage = language !== AUTO_LANGUAGE
+    ? language
+    : toLanguageId(transcript.language) || detectLanguage(transcription);
+  const languages = { language: spokenLanguage, feedbackLanguage: feedbackLanguage || spokenLanguage };
+  console.log(`Pitch language: ${languages.language}${language === AUTO_LANGUAGE ? ' (detected)' : ''}, feedback in ${languages.feedbackLanguage}`);
+
+  // Step 3: Audio analysis for delivery metrics
+  onStage('analyzing_audio');
+  console.log('Analyzing audio properties...');
+  const audioMetrics = await analyzeAudioProperties(audioData || audioBuffer, transcript, preset, calibration);
+  const { fillers, pauseOnly } = getLanguageFillers(languages.language);
+  const fillerAnalysis = analyzeFillerWords(transcript, audioMetrics.audioInfo?.duration, fillers, { pauseOnly });
+  const segments = audioData ? analyzeSegments(audioData, transcript, fillerAnalysis, preset, languages.feedbackLanguage) : [];
+  const contours = audioData ? calculateDeliveryContours(audioData) : null;
+  const scriptAdherence = script ? checkScriptAdherence(script, transcript) : null;
+
+  // Step 4: Content analysis with the selected LLM provider
+  onStage('llm_analysis');
+  console.log('Starting content analysis...');
+  const [contentAnalysis, timeline] = await Promise.all([
+    analyzeContent(transcription, audioMetrics, { llm, rubric, preset, question, ...languages }),
+    commentOnSegments(segments, { llm, preset, ...languages })
+  ]);
+
+  // Step 5: Combine results
+  const result = {
+    delivery: {
+      pace: audioMetrics.pace,
+      tone: audioMetrics.tonalVariation,
+      clarity: audioMetrics.clarity,
+      confidence: audioMetrics.confidence,
+      enthusiasm: audioMetrics.enthusiasm,
+      fillerWords: fillerAnalysis.score,
+    },
+    engagement: Object.fromEntries(
+      getContentCriteria(rubric).map(criterion => [criterion.key, contentAnalysis[criterion.key].score])
+    ),
+    // Additional AI insights
+    transcription: transcription,
+    transcriptionMethod: method,
+    language: { spoken: languages.language, feedback: languages.feedbackLanguage, detected: language === AUTO_LANGUAGE },
+    words: transcript.words,
+    fillerAnalysis: fillerAnalysis,
+    speakingRate: audioMetrics.speakingRate || null,
+    timeline: timeline,
+    contours: contours,
+    detailedAnalysis: contentAnalysis,
+    analyzedBy: contentAnalysis.analyzedBy,
+    audioMetrics: audioMetrics,
+    rubric: { id: rubric.id, name: rubric.name, criteria: rubric.criteria },
+    preset: { id: preset.id, name: preset.name, structure: preset.structure },
+    timeBox: evaluateTimeBox(preset, audioMetrics.audioInfo?.duration),
+    calibration: calibration,
+    script: script,
+    scriptAdherence: scriptAdherence,
+    question: question && { id: question.id, text: question.text, category: question.category, parentId: question.parentId }
+  };
+
+  // Weighted overall score (0-10) from the rubric
+  const { overallScore, breakdown } = calculateRubricScore(rubric, result);
+  result.scoreBreakdown = breakdown;
+
+  console.log('AI analysis completed successfully');
+  return { result, overallScore };
+}
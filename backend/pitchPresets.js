@@ -0,0 +1,119 @@
+/**
+ * Pitch-type presets. Each preset sets the delivery targets used by audio
+ * analysis (pace, pause ratio, duration) and the focus and expected structure
+ * given to the content analysis prompt.
+ */
+
+export const PITCH_PRESETS = {
+  general: {
+    id: 'general',
+    name: 'General pitch',
+    description: 'No particular format, standard delivery targets',
+    paceRange: { min: 130, max: 150 },
+    pauseRatioRange: { min: 0.05, max: 0.15 },
+    durationRange: null,
+    promptFocus: 'A general pitch presentation.',
+    structure: []
+  },
+  elevator: {
+    id: 'elevator',
+    name: 'Elevator pitch',
+    description: '30-90 seconds, one idea and a clear hook',
+    paceRange: { min: 140, max: 160 },
+    pauseRatioRange: { min: 0.05, max: 0.12 },
+    durationRange: { min: 30, max: 90 },
+    promptFocus: 'A short elevator pitch. Reward a strong opening hook, one memorable idea and brevity; penalize detail that does not fit the time box.',
+    structure: ['Hook', 'Problem', 'Solution', 'Ask']
+  },
+  investor: {
+    id: 'investor',
+    name: 'Investor pitch',
+    description: '5-10 minutes covering problem through the ask',
+    paceRange: { min: 125, max: 145 },
+    pauseRatioRange: { min: 0.08, max: 0.2 },
+    durationRange: { min: 300, max: 600 },
+    promptFocus: 'A startup pitch to investors. Look for evidence of market size, traction, business model and a specific funding ask.',
+    structure: ['Problem', 'Solution', 'Market', 'Traction', 'Business model', 'Team', 'Ask']
+  },
+  salesDemo: {
+    id: 'salesDemo',
+    name: 'Sales demo',
+    description: '3-15 minutes, customer pain to next step',
+    paceRange: { min: 130, max: 150 },
+    pauseRatioRange: { min: 0.08, max: 0.2 },
+    durationRange: { min: 180, max: 900 },
+    promptFocus: 'A product sales demo. Look for how well the speaker ties features to the customer\'s pain and handles likely objections.',
+    structure: ['Customer pain', 'Demo of the solution', 'Value and proof', 'Next step']
+  },
+  interviewAnswer: {
+    id: 'interviewAnswer',
+    name: 'Interview answer',
+    description: '1-3 minutes, STAR-style answer',
+    paceRange: { min: 120, max: 150 },
+    pauseRatioRange: { min: 0.08, max: 0.2 },
+    durationRange: { min: 60, max: 180 },
+    promptFocus: 'An answer to a behavioral job interview question. Look for a concrete example, the speaker\'s own contribution and a measurable result.',
+    structure: ['Situation', 'Task', 'Action', 'Result']
+  },
+  // Used for answers recorded in investor Q&A practice, not offered for standalone pitches
+  investorAnswer: {
+    id: 'investorAnswer',
+    name: 'Follow-up answer',
+    description: '20-90 seconds answering an investor question, answer first, then the evidence',
+    paceRange: { min: 130, max: 150 },
+    pauseRatioRange: { min: 0.05, max: 0.15 },
+    durationRange: { min: 20, max: 90 },
+    promptFocus: 'A founder answering a tough investor question after their pitch. Reward answering in the first sentence, concrete numbers and names, and stopping once the question is answered; penalize dodging, hedging and repeating the pitch.',
+    structure: ['Direct answer', 'Evidence', 'Tie back to the pitch'],
+    qaOnly: true
+  }
+};
+
+export const DEFAULT_PRESET = PITCH_PRESETS.general;
+
+/**
+ * Get a user-selectable preset by id (falsy id -> default, unknown or Q&A-only id -> null)
+ */
+export function getPreset(id) {
+  if (!id) return DEFAULT_PRESET;
+  return Object.hasOwn(PITCH_PRESETS, id) && !PITCH_PRESETS[id].qaOnly ? PITCH_PRESETS[id] : null;
+}
+
+/**
+ * List presets for the API (the Q&A answer preset is picked by the app, not the user)
+ */
+export function listPresets() {
+  return Object.values(PITCH_PRESETS).filter(preset => !preset.qaOnly);
+}
+
+/**
+ * Check the recording length against the preset's time box
+ * @param {Object} preset - Pitch preset
+ * @param {number} [duration] - Recording length in seconds
+ * @returns {Object|null} `{ duration, min, max, status, difference }`, or null when the
+ *   preset has no time box or the duration is unknown. `difference` is how far outside
+ *   the box the recording is, in seconds.
+ */
+export function evaluateTimeBox(preset, duration) {
+  if (!preset.durationRange || !Number.isFinite(duration) || duration <= 0) return null;
+
+  const { min, max } = preset.durationRange;
+  let status = 'within';
+  let difference = 0;
+
+  if (duration < min) {
+    status = 'under';
+    difference = min - duration;
+  } else if (duration > max) {
+    status = 'over';
+    difference = duration - max;
+  }
+
+  return {
+    duration: Math.round(duration),
+    min,
+    max,
+    status,
+    difference: Math.round(difference)
+  };
+}
@@ -0,0 +1,279 @@
+import { resolveLLMSelection } from './llmProviders.js';
+import { generateValidatedJson } from './contentAnalysis.js';
+import { buildRevisionSchema } from './analysisSchema.js';
+import { DEFAULT_PRESET } from './pitchPresets.js';
+import { normalizeWord, tokenizeTranscript } from './transcriptUtils.js';
+import { DEFAULT_LANGUAGE, describeLanguages, getLanguageName, localize } from './languages.js';
+
+const MAX_TRANSCRIPTION_LENGTH = 50000;
+const MAX_WEAKNESSES = 30;
+const MAX_WEAKNESS_LENGTH = 500;
+const MAX_CHANGES = 12;
+const MIN_TARGET_DURATION = 10;
+const MAX_TARGET_DURATION = 3600;
+// Speaking rate assumed when the recording's rate is unknown
+const DEFAULT_WORDS_PER_MINUTE = 140;
+
+// Fillers that never carry meaning, so they can be cut without a model, per spoken language
+const HESITATIONS = {
+  en: new Set(['um', 'umm', 'uh', 'uhh', 'er', 'erm', 'ah']),
+  es: new Set(['eh', 'ehm', 'em', 'mm', 'mmm']),
+  hi: new Set(['अ', 'अं', 'उम', 'उम्म', 'हम्म', 'um', 'umm', 'uh'])
+};
+
+// Fallback revision text per feedback language
+const FALLBACK_TEXT = {
+  en: {
+    reason: 'Cut the hesitation; a short pause says the same thing with more confidence.',
+    summary: 'Fallback revision (not AI-generated): hesitation fillers are cut, everything else is left as spoken.'
+  },
+  es: {
+    reason: 'Se quita la vacilación; una pausa breve dice lo mismo con más seguridad.',
+    summary: 'Revisión de respaldo (no generada por IA): se quitan las vacilaciones y todo lo demás queda como se dijo.'
+  },
+  hi: {
+    reason: 'हिचकिचाहट हटाई गई; एक छोटा ठहराव वही बात ज़्यादा आत्मविश्वास से कहता है।',
+    summary: 'वैकल्पिक संशोधन (AI द्वारा नहीं बनाया गया): हिचकिचाहट वाले भराव शब्द हटाए गए, बाकी सब जैसा बोला गया वैसा ही है।'
+  }
+};
+
+const isPositiveNumber = (value) => typeof value === 'number' && Number.isFinite(value) && value > 0;
+
+/**
+ * Validate a request for a revised pitch
+ * @param {Object} input - `{ transcription, weaknesses, targetDuration, duration, wordsPerMinute }` from the request body
+ * @returns {{request: Object|null, errors: string[]}} Normalized request, or validation errors
+ */
+export function validateRevisionRequest(input) {
+  if (!input || typeof input !== 'object') {
+    return { request: null, errors: ['Request must be an object'] };
+  }
+  const errors = [];
+  const transcription = typeof input.transcription === 'string' ? input.transcription.trim() : '';
+  if (!transcription) errors.push('transcription: is required');
+  if (transcription.length > MAX_TRANSCRIPTION_LENGTH) errors.push(`transcription: must be at most ${MAX_TRANSCRIPTION_LENGTH} characters`);
+
+  const weaknesses = input.weaknesses ?? [];
+  if (!Array.isArray(weaknesses) || !weaknesses.every(entry => typeof entry === 'string')) {
+    errors.push('weaknesses: must be an array of strings');
+  } else {
+    if (weaknesses.length > MAX_WEAKNESSES) errors.push(`weaknesses: must have at most ${MAX_WEAKNESSES} entries`);
+    if (weaknesses.some(entry => entry.length > MAX_WEAKNESS_LENGTH)) errors.push(`weaknesses: entries must be at most ${MAX_WEAKNESS_LENGTH} characters`);
+  }
+
+  const targetDuration = input.targetDuration ?? null;
+  if (targetDuration !== null && (!isPositiveNumber(targetDuration) || targetDuration < MIN_TARGET_DURATION || targetDuration > MAX_TARGET_DURATION)) {
+    errors.push(`targetDuration: must be between ${MIN_TARGET_DURATION} and ${MAX_TARGET_DURATION} seconds`);
+  }
+  for (const field of ['duration', 'wordsPerMinute']) {
+    if (input[field] !== undefined && input[field] !== null && !isPositiveNumber(input[field])) {
+      errors.push(`${field}: must be a positive number`);
+    }
+  }
+
+  if (errors.length > 0) return { request: null, errors };
+  return {
+    request: {
+      transcription,
+      weaknesses: weaknesses.map(entry => entry.trim()).filter(Boolean),
+      targetDuration: targetDuration === null ? null : Math.round(targetDuration),
+      duration: input.duration ?? null,
+      wordsPerMinute: input.wordsPerMinute ?? null
+    },
+    errors: []
+  };
+}
+
+/**
+ * Find a passage in the transcript by its words (case and punctuation ignored)
+ * @returns {[number, number]|null} First and last token index, or null when it isn't there
+ */
+function findPassage(keyed, passage, from) {
+  const words = tokenizeTranscript(passage).map(normalizeWord).filter(Boolean);
+  if (words.length === 0) return null;
+  for (let start = from; start + words.length <= keyed.length; start++) {
+    if (words.every((word, offset) => keyed[start + offset].key === word)) {
+      return [keyed[start].token, keyed[start + words.length - 1].token];
+    }
+  }
+  return null;
+}
+
+/**
+ * Apply edits to the transcript. Each edit's `original` has to quote the transcript;
+ * edits that can't be found, or overlap an earlier one, are dropped.
+ * @param {string} transcription - Transcript text
+ * @param {Array<{original: string, revised: string, reason: string}>} proposed - Edits in transcript order
+ * @returns {{revision: string, changes: Array, segments: Array, dropped: number}} Revised text, the applied
+ *   edits, and the transcript split into unchanged text and changes for the annotated diff
+ */
+export function applyRevisionChanges(transcription, proposed) {
+  const tokens = tokenizeTranscript(transcription);
+  // Tokens that are only punctuation don't take part in matching
+  const keyed = tokens
+    .map((token, index) => ({ token: index, key: normalizeWord(token) }))
+    .filter(entry => entry.key);
+  const ranges = [];
+  let cursor = 0;
+
+  const overlaps = ([first, last]) => ranges.some(range => first <= range.last && last >= range.first);
+  for (const change of proposed) {
+    // Edits usually come in order, so look after the previous one first
+    const found = findPassage(keyed, change.original, cursor) || findPassage(keyed, change.original, 0);
+    if (!found || overlaps(found)) continue;
+    ranges.push({ first: found[0], last: found[1], revised: change.revised.trim(), reason: change.reason.trim() });
+    cursor = keyed.findIndex(entry => entry.token > found[1]);
+    if (cursor === -1) cursor = keyed.length;
+  }
+  ranges.sort((a, b) => a.first - b.first);
+
+  const segments = [];
+  const changes = [];
+  let position = 0;
+  for (const range of ranges) {
+    if (range.first > position) segments.push({ type: 'same', text: tokens.slice(position, range.first).join(' ') });
+    const change = {
+      index: changes.length,
+      original: tokens.slice(range.first, range.last + 1).join(' '),
+      revised: range.revised,
+      reason: range.reason
+    };
+    changes.push(change);
+    segments.push({ type: 'change', change: change.index });
+    position = range.last + 1;
+  }
+  if (position < tokens.length) segments.push({ type: 'same', text: tokens.slice(position).join(' ') });
+
+  const pieces = [];
+  let capitalizeNext = false;
+  for (const segment of segments) {
+    const text = segment.type === 'same' ? segment.text : changes[segment.change].revised;
+    if (!text) {
+      // Cutting the start of a sentence leaves the next word to start it
+      const previous = pieces[pieces.length - 1];
+      capitalizeNext = /^\p{Lu}/u.test(changes[segment.change].original) && (!previous || /[.!?]$/.test(previous));
+      continue;
+    }
+    pieces.push(capitalizeNext ? text[0].toUpperCase() + text.slice(1) : text);
+    capitalizeNext = false;
+  }
+  return { revision: pieces.join(' '), changes, segments, dropped: proposed.length - changes.length };
+}
+
+/**
+ * Prompt for targeted edits that fix the pitch's weaknesses and fit the target length
+ */
+function createRevisionPrompt(transcription, { weaknesses, preset, wordCount, targetWords, targetDuration, language, feedbackLanguage }) {
+  const lengthLine = targetWords
+    ? `The pitch is ${wordCount} words; the target is about ${targetWords} words (${targetDuration}s). ${
+      targetWords < wordCount * 0.9 ? 'Cut the least essential passages.' : targetWords > wordCount * 1.1 ? 'Expand the thinnest key points.' : 'Keep the length about the same.'
+    }`
+    : `The pitch is ${wordCount} words; keep the length about the same.`;
+  const weaknessLines = weaknesses.length > 0
+    ? weaknesses.map(weakness => `- ${weakness}`).join('\n')
+    : '- None recorded; tighten wording and strengthen the opening and close.';
+
+  return `
+You are editing the transcript of a spoken ${preset.name.toLowerCase()} so the speaker can rehearse a better version.
+${preset.promptFocus}
+
+TRANSCRIPT:
+"${transcription}"
+
+WEAKNESSES FOUND IN THE EVALUATION:
+${weaknessLines}
+
+${lengthLine}
+
+Propose up to ${MAX_CHANGES} targeted edits. Each edit replaces one passage of the transcript:
+- "original" must quote the transcript exactly, a phrase or a few sentences long.
+- "revised" is the replacement, or "" to cut the passage.
+- "reason" says in one sentence which weakness the edit fixes and how.
+Keep every fact, number and name the speaker used and do not invent new ones. Keep the speaker's voice:
+their words, tone and sentence style, written to be spoken aloud. Leave passages that work alone.
+List the edits in transcript order.
+
+${describeLanguages(language, feedbackLanguage, 'each "reason" and the "summary"')}
+Write "revised" in ${getLanguageName(language)}, the language of the transcript.
+
+Respond with only a JSON object:
+{"changes": [{"original": "...", "revised": "...", "reason": "..."}], "summary": "one or two sentences on what the revision changes overall"}
+`;
+}
+
+// Edits that need no model: cut the hesitations
+function getFallbackChanges(transcription, language, reason) {
+  const hesitations = localize(HESITATIONS, language);
+  return tokenizeTranscript(transcription)
+    .filter(token => hesitations.has(normalizeWord(token)))
+    .map(token => ({ original: token, revised: '', reason }));
+}
+
+/**
+ * Revise a pitch from its transcript, the weaknesses found in its evaluation and a target length
+ * @param {Object} request - Result of validateRevisionRequest
+ * @param {Object} [options]
+ * @param {Object} [options.llm] - `{ provider, model }`, defaults come from configuration
+ * @param {Object} [options.preset] - Preset the pitch was evaluated with
+ * @param {string} [options.language] - Language id the pitch is spoken in; the revision stays in it
+ * @param {string} [options.feedbackLanguage] - Language id for the reasons and summary, the spoken one by default
+ * @returns {Promise<Object>} `{ revision, changes, segments, summary, wordCount, revisedWordCount,
+ *   estimatedDuration, targetDuration, dropped, analyzedBy, isFallback }`; without a working model
+ *   only hesitation fillers are cut and `isFallback` is set
+ */
+export async function generatePitchRevision(
+  { transcription, weaknesses, targetDuration, duration, wordsPerMinute },
+  { llm = {}, preset = DEFAULT_PRESET, language = DEFAULT_LANGUAGE, feedbackLanguage = language } = {}
+) {
+  const wordCount = tokenizeTranscript(transcription).length;
+  const rate = wordsPerMinute || (duration ? (wordCount / duration) * 60 : DEFAULT_WORDS_PER_MINUTE);
+  const targetWords = targetDuration ? Math.round((targetDuration / 60) * rate) : null;
+
+  const build = (proposed, summary, analyzedBy, fallbackReason = null) => {
+    const applied = applyRevisionChanges(transcription, proposed);
+    const revisedWordCount = tokenizeTranscript(applied.revision).length;
+    return {
+      ...applied,
+      summary,
+      wordCount,
+      revisedWordCount,
+      estimatedDuration: Math.round((revisedWordCount / rate) * 60),
+      targetDuration,
+      analyzedBy,
+      isFallback: fallbackReason !== null,
+      ...(fallbackReason !== null && { fallbackReason })
+    };
+  };
+  const fallbackText = localize(FALLBACK_TEXT, feedbackLanguage);
+  const fallback = (reason) => build(
+    getFallbackChanges(transcription, language, fallbackText.reason),
+    fallbackText.summary,
+    { provider: 'fallback', model: null },
+    reason
+  );
+
+  const selection = resolveLLMSelection(llm);
+  if (!selection) return fallback('No LLM provider is configured');
+
+  try {
+    console.log(`🟢 Requesting pitch revision using ${selection.provider} (${selection.model})`);
+    const { value, errors } = await generateValidatedJson(
+      selection,
+      createRevisionPrompt(transcription, { weaknesses, preset, wordCount, targetWords, targetDuration, language, feedbackLanguage }),
+      buildRevisionSchema(MAX_CHANGES)
+    );
+    if (!value) {
+      console.error(`❌ No valid pitch revision from ${selection.provider}:`, errors.slice(0, 5));
+      return fallback(`${selection.provider} (${selection.model}) returned invalid output: ${errors.slice(0, 5).join('; ')}`);
+    }
+
+    const revision = build(value.changes, value.summary.trim(), selection);
+    if (revision.dropped > 0) {
+      console.log(`⚠️ Dropped ${revision.dropped} revision edits that don't quote the transcript`);
+    }
+    return revision;
+  } catch (error) {
+    console.error(`❌ ${selection.provider} pitch revision failed:`, error.message || error);
+    return fallback(`${selection.provider} request failed: ${error.message || error}`);
+  }
+}
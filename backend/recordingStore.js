@@ -0,0 +1,350 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { randomBytes, randomUUID } from 'crypto';
+import { getDatabase, getStoreDir } from './database.js';
+
+export const DEFAULT_PAGE_SIZE = 20;
+export const MAX_PAGE_SIZE = 100;
+
+// Audio types the store accepts, with the extension their files are saved under. Anything else is
+// refused: the type is sent back when the audio is served, so it must never be one a browser renders
+const AUDIO_EXTENSIONS = {
+  'audio/webm': 'webm',
+  'audio/ogg': 'ogg',
+  'audio/mp4': 'm4a',
+  'audio/x-m4a': 'm4a',
+  'audio/aac': 'aac',
+  'audio/mpeg': 'mp3',
+  'audio/wav': 'wav',
+  'audio/x-wav': 'wav',
+  'audio/wave': 'wav',
+  'audio/flac': 'flac',
+  'audio/x-flac': 'flac'
+};
+
+// Recordings joined with their owner's display name
+const SELECT_RECORDINGS = `
+  SELECT recordings.*, users.name AS owner_name
+  FROM recordings LEFT JOIN users ON users.id = recordings.owner_id`;
+
+function getAudioDir() {
+  return path.join(getStoreDir(), 'recordings');
+}
+
+function parseJson(value, fallback) {
+  if (value === null || value === undefined) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+}
+
+// Row -> API shape (audio stays on disk, clients fetch it from /audio)
+function toRecording(row) {
+  return {
+    ownerId: row.owner_id,
+    ownerName: row.owner_name ?? null,
+    workspaceId: row.workspace_id,
+    shareToken: row.share_token,
+    id: row.id,
+    name: row.name,
+    timestamp: row.timestamp,
+    transcript: row.transcript,
+    result: parseJson(row.result, null),
+    overallScore: row.overall_score,
+    notes: row.notes,
+    tags: parseJson(row.tags, []),
+    project: row.project,
+    audio: row.audio_file ? { type: row.audio_type, size: row.audio_size } : null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Check an uploaded audio file's type against the allowed audio types
+ * @param {{buffer: Buffer, mimetype: string}} file - Multer file
+ * @returns {{audio: {buffer: Buffer, type: string}|null, errors: string[]}} Audio with its bare type
+ *   (codec parameters dropped), or validation errors
+ */
+export function validateAudio(file) {
+  const type = (file?.mimetype || '').split(';')[0].trim().toLowerCase();
+  if (!isAllowedAudioType(type)) {
+    return { audio: null, errors: [`audio: type must be one of ${Object.keys(AUDIO_EXTENSIONS).join(', ')}`] };
+  }
+  return { audio: { buffer: file.buffer, type }, errors: [] };
+}
+
+/**
+ * Whether audio of this type may be stored and served as is
+ * @param {string} type - MIME type without parameters
+ * @returns {boolean}
+ */
+export function isAllowedAudioType(type) {
+  return Object.hasOwn(AUDIO_EXTENSIONS, type);
+}
+
+/**
+ * Validate recording metadata from the API
+ * @param {Object} input - Metadata fields from the request
+ * @param {{partial?: boolean}} options - Partial updates may omit required fields
+ * @returns {{recording: Object|null, errors: string[]}} Normalized fields, or validation errors
+ */
+export function validateRecording(input, { partial = false } = {}) {
+  const errors = [];
+  const recording = {};
+
+  if (!input || typeof input !== 'object') {
+    return { recording: null, errors: ['Recording metadata must be an object'] };
+  }
+
+  if (input.id !== undefined) {
+    if (typeof input.id !== 'string' || !/^[\w-]{1,64}$/.test(input.id)) {
+      errors.push('id must be 1-64 letters, digits, dashes or underscores');
+    } else {
+      recording.id = input.id;
+    }
+  }
+
+  if (input.name !== undefined || !partial) {
+    if (typeof input.name !== 'string' || !input.name.trim()) {
+      errors.push('name is required');
+    } else {
+      recording.name = input.name.trim().slice(0, 200);
+    }
+  }
+
+  // updatedAt lets syncing clients keep their own modification time, so an upload doesn't look newer than the local copy
+  for (const field of ['timestamp', 'updatedAt']) {
+    if (input[field] === undefined) continue;
+    if (!Number.isFinite(input[field])) errors.push(`${field} must be a number (ms since epoch)`);
+    else recording[field] = input[field];
+  }
+
+  if (input.overallScore !== undefined && input.overallScore !== null) {
+    if (!Number.isFinite(input.overallScore)) errors.push('overallScore must be a number');
+    else recording.overallScore = input.overallScore;
+  }
+
+  if (input.result !== undefined && input.result !== null) {
+    if (typeof input.result !== 'object') errors.push('result must be an object');
+    else recording.result = input.result;
+  }
+
+  for (const field of ['notes', 'project', 'transcript']) {
+    if (input[field] === undefined || input[field] === null) continue;
+    if (typeof input[field] !== 'string') errors.push(`${field} must be a string`);
+    else recording[field] = input[field];
+  }
+
+  if (input.tags !== undefined) {
+    if (!Array.isArray(input.tags) || input.tags.some(tag => typeof tag !== 'string')) {
+      errors.push('tags must be an array of strings');
+    } else {
+      recording.tags = [...new Set(input.tags.map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+    }
+  }
+
+  return errors.length > 0 ? { recording: null, errors } : { recording, errors };
+}
+
+/**
+ * List a user's own recordings, or the recordings shared to a workspace, newest first
+ * @param {{ownerId?: string, workspaceId?: string, page?: number, pageSize?: number, updatedSince?: number}} options - 1-based page; updatedSince filters by updatedAt (ms)
+ * @returns {{recordings: Object[], page: number, pageSize: number, total: number, totalPages: number}}
+ */
+export function listRecordings({ ownerId, workspaceId, page = 1, pageSize = DEFAULT_PAGE_SIZE, updatedSince = 0 } = {}) {
+  const database = getDatabase();
+  const size = Math.min(Math.max(1, Math.floor(pageSize) || DEFAULT_PAGE_SIZE), MAX_PAGE_SIZE);
+  const current = Math.max(1, Math.floor(page) || 1);
+  const [column, value] = workspaceId ? ['workspace_id', workspaceId] : ['owner_id', ownerId];
+
+  const { total } = database
+    .prepare(`SELECT COUNT(*) AS total FROM recordings WHERE ${column} = ? AND updated_at > ?`)
+    .get(value, updatedSince);
+  const rows = database
+    .prepare(`${SELECT_RECORDINGS} WHERE recordings.${column} = ? AND recordings.updated_at > ? ORDER BY timestamp DESC, id LIMIT ? OFFSET ?`)
+    .all(value, updatedSince, size, (current - 1) * size);
+
+  return {
+    recordings: rows.map(toRecording),
+    page: current,
+    pageSize: size,
+    total,
+    totalPages: Math.ceil(total / size)
+  };
+}
+
+/**
+ * Get one recording
+ * @param {string} id - Recording id
+ * @returns {Object|null} Recording, or null if not found
+ */
+export function getRecording(id) {
+  const row = getDatabase().prepare(`${SELECT_RECORDINGS} WHERE recordings.id = ?`).get(id);
+  return row ? toRecording(row) : null;
+}
+
+/**
+ * Get the recording behind a read-only share link
+ * @param {string} token - Share token
+ * @returns {Object|null} Recording, or null if the link doesn't exist (or was turned off)
+ */
+export function getRecordingByShareToken(token) {
+  const row = getDatabase().prepare(`${SELECT_RECORDINGS} WHERE recordings.share_token = ?`).get(token);
+  return row ? toRecording(row) : null;
+}
+
+/**
+ * Recordings are private to their owner unless shared to a workspace the user belongs to
+ * @param {Object} recording - Recording from getRecording
+ * @param {string} userId - Requesting user
+ * @returns {boolean}
+ */
+export function canReadRecording(recording, userId) {
+  if (!recording || !userId) return false;
+  if (recording.ownerId === userId) return true;
+  return Boolean(recording.workspaceId && getDatabase()
+    .prepare('SELECT 1 FROM workspace_members WHERE workspace_id = ? AND user_id = ?')
+    .get(recording.workspaceId, userId));
+}
+
+/**
+ * Share a recording to a workspace and/or through a read-only link
+ * @param {string} id - Recording id
+ * @param {{workspaceId?: string|null, link?: boolean}} sharing - null workspaceId makes it private again; link false revokes the link
+ * @returns {Object|null} Updated recording, or null if not found
+ */
+export function updateSharing(id, { workspaceId, link }) {
+  const existing = getRecording(id);
+  if (!existing) return null;
+
+  const shareToken = link === undefined
+    ? existing.shareToken
+    : link ? existing.shareToken || randomBytes(18).toString('base64url') : null;
+  getDatabase()
+    .prepare('UPDATE recordings SET workspace_id = ?, share_token = ? WHERE id = ?')
+    .run(workspaceId === undefined ? existing.workspaceId : workspaceId, shareToken, id);
+
+  return getRecording(id);
+}
+
+/**
+ * Give recordings stored before accounts existed to a user
+ * @param {string} userId - New owner
+ * @returns {number} Number of recordings claimed
+ */
+export function claimUnownedRecordings(userId) {
+  return getDatabase().prepare('UPDATE recordings SET owner_id = ? WHERE owner_id IS NULL').run(userId).changes;
+}
+
+/**
+ * Location and type of a recording's audio file
+ * @param {string} id - Recording id
+ * @returns {{path: string, type: string}|null} Null if the recording or its audio is missing
+ */
+export function getRecordingAudio(id) {
+  const row = getDatabase().prepare('SELECT audio_file, audio_type FROM recordings WHERE id = ?').get(id);
+  if (!row?.audio_file) return null;
+  return { path: path.join(getAudioDir(), row.audio_file), type: row.audio_type };
+}
+
+async function writeAudio(id, audio) {
+  await fs.ensureDir(getAudioDir());
+  const file = `${id}.${AUDIO_EXTENSIONS[audio.type]}`;
+  await fs.writeFile(path.join(getAudioDir(), file), audio.buffer);
+  return { file, type: audio.type, size: audio.buffer.length };
+}
+
+/**
+ * Create a recording (clients sync with their own ids)
+ * @param {Object} fields - Validated metadata (see validateRecording)
+ * @param {{buffer: Buffer, type: string}} audio - Audio file
+ * @param {string} ownerId - Owning user
+ * @returns {Promise<Object>} Stored recording
+ */
+export async function createRecording(fields, audio, ownerId) {
+  const database = getDatabase();
+  const id = fields.id || randomUUID();
+  const now = Date.now();
+  const stored = await writeAudio(id, audio);
+
+  database.prepare(`
+    INSERT INTO recordings
+      (id, owner_id, name, timestamp, audio_file, audio_type, audio_size, transcript, result, overall_score, notes, tags, project, created_at, updated_at)
+    VALUES
+      (@id, @ownerId, @name, @timestamp, @audioFile, @audioType, @audioSize, @transcript, @result, @overallScore, @notes, @tags, @project, @now, @updatedAt)
+  `).run({
+    id,
+    ownerId,
+    name: fields.name,
+    timestamp: fields.timestamp ?? now,
+    audioFile: stored.file,
+    audioType: stored.type,
+    audioSize: stored.size,
+    transcript: fields.transcript ?? fields.result?.transcription ?? null,
+    result: fields.result ? JSON.stringify(fields.result) : null,
+    overallScore: fields.overallScore ?? null,
+    notes: fields.notes ?? '',
+    tags: JSON.stringify(fields.tags ?? []),
+    project: fields.project ?? '',
+    now,
+    updatedAt: fields.updatedAt ?? now
+  });
+
+  return getRecording(id);
+}
+
+/**
+ * Update a recording's metadata and optionally its audio
+ * @param {string} id - Recording id
+ * @param {Object} fields - Validated partial metadata
+ * @param {{buffer: Buffer, type: string}|null} audio - Replacement audio, if any
+ * @returns {Promise<Object|null>} Updated recording, or null if not found
+ */
+export async function updateRecording(id, fields, audio = null) {
+  const existing = getRecording(id);
+  if (!existing) return null;
+
+  const updates = {};
+  if (fields.name !== undefined) updates.name = fields.name;
+  if (fields.timestamp !== undefined) updates.timestamp = fields.timestamp;
+  if (fields.notes !== undefined) updates.notes = fields.notes;
+  if (fields.project !== undefined) updates.project = fields.project;
+  if (fields.tags !== undefined) updates.tags = JSON.stringify(fields.tags);
+  if (fields.overallScore !== undefined) updates.overall_score = fields.overallScore;
+  if (fields.result !== undefined) {
+    updates.result = JSON.stringify(fields.result);
+    updates.transcript = fields.transcript ?? fields.result?.transcription ?? existing.transcript;
+  } else if (fields.transcript !== undefined) {
+    updates.transcript = fields.transcript;
+  }
+  if (audio) {
+    const previous = getRecordingAudio(id);
+    const stored = await writeAudio(id, audio);
+    if (previous && path.basename(previous.path) !== stored.file) await fs.remove(previous.path);
+    Object.assign(updates, { audio_file: stored.file, audio_type: stored.type, audio_size: stored.size });
+  }
+  updates.updated_at = fields.updatedAt ?? Date.now();
+
+  const columns = Object.keys(updates);
+  getDatabase()
+    .prepare(`UPDATE recordings SET ${columns.map(column => `${column} = @${column}`).join(', ')} WHERE id = @id`)
+    .run({ ...updates, id });
+
+  return getRecording(id);
+}
+
+/**
+ * Delete a recording and its audio file
+ * @param {string} id - Recording id
+ * @returns {Promise<boolean>} False if not found
+ */
+export async function deleteRecording(id) {
+  const audio = getRecordingAudio(id);
+  const { changes } = getDatabase().prepare('DELETE FROM recordings WHERE id = ?').run(id);
+  if (changes === 0) return false;
+  if (audio) await fs.remove(audio.path);
+  return true;
+}
@@ -0,0 +1,321 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { randomUUID } from 'crypto';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const RUBRICS_FILE = path.join(__dirname, 'data', 'rubrics.json');
+
+// Delivery metrics a rubric criterion can reference (scored 1-5 by audio analysis)
+export const DELIVERY_METRICS = ['pace', 'tone', 'clarity', 'confidence', 'enthusiasm', 'fillerWords'];
+
+// Keys the analysis JSON already uses, so criteria can't take them
+const RESERVED_KEYS = ['overallFeedback', 'keyMessages', 'emotionalTone', 'analyzedBy', 'isFallback', 'fallbackReason', 'validation'];
+
+const DELIVERY_SCORE_RANGE = { min: 1, max: 5 };
+
+/**
+ * Built-in rubric matching the original scoring: delivery and engagement each
+ * count for half of the overall score.
+ */
+export const DEFAULT_RUBRIC = {
+  id: 'default',
+  name: 'Standard pitch',
+  description: 'Balanced delivery and engagement scoring',
+  builtIn: true,
+  criteria: [
+    { key: 'pace', name: 'Pace', type: 'delivery', metric: 'pace', weight: 1 },
+    { key: 'tone', name: 'Tone', type: 'delivery', metric: 'tone', weight: 1 },
+    { key: 'clarity', name: 'Clarity', type: 'delivery', metric: 'clarity', weight: 1 },
+    { key: 'confidence', name: 'Confidence', type: 'delivery', metric: 'confidence', weight: 1 },
+    { key: 'enthusiasm', name: 'Enthusiasm', type: 'delivery', metric: 'enthusiasm', weight: 1 },
+    { key: 'fillerWords', name: 'Filler Words', type: 'delivery', metric: 'fillerWords', weight: 1 },
+    {
+      key: 'storytelling',
+      name: 'Storytelling',
+      type: 'content',
+      description: 'Narrative structure, hooks, emotional journey, flow',
+      weight: 2,
+      scoreRange: { min: 1, max: 5 }
+    },
+    {
+      key: 'audienceConnection',
+      name: 'Audience Connection',
+      type: 'content',
+      description: 'Relatability, addressing pain points, empathy, inclusivity',
+      weight: 2,
+      scoreRange: { min: 1, max: 5 }
+    },
+    {
+      key: 'persuasiveness',
+      name: 'Persuasiveness',
+      type: 'content',
+      description: 'Logical arguments, evidence, compelling case, clear call to action',
+      weight: 2,
+      scoreRange: { min: 1, max: 5 }
+    }
+  ]
+};
+
+/**
+ * Built-in rubric for answers to investor questions: whether the answer is
+ * direct and on topic counts double, delivery makes up the rest.
+ * Used only by Q&A practice, so it isn't listed with the other rubrics.
+ */
+export const ANSWER_RUBRIC = {
+  id: 'investor-answer',
+  name: 'Investor Q&A answer',
+  description: 'Directness and relevance of an answer, plus its delivery',
+  builtIn: true,
+  criteria: [
+    { key: 'pace', name: 'Pace', type: 'delivery', metric: 'pace', weight: 1 },
+    { key: 'clarity', name: 'Clarity', type: 'delivery', metric: 'clarity', weight: 1 },
+    { key: 'confidence', name: 'Confidence', type: 'delivery', metric: 'confidence', weight: 1 },
+    { key: 'fillerWords', name: 'Filler Words', type: 'delivery', metric: 'fillerWords', weight: 1 },
+    {
+      key: 'directness',
+      name: 'Directness',
+      type: 'content',
+      description: 'Answers the question in the first sentence or two, no hedging or dodging',
+      weight: 2,
+      scoreRange: { min: 1, max: 5 }
+    },
+    {
+      key: 'relevance',
+      name: 'Relevance',
+      type: 'content',
+      description: 'Stays on the question asked, backs the answer with specifics, consistent with the pitch',
+      weight: 2,
+      scoreRange: { min: 1, max: 5 }
+    }
+  ]
+};
+
+// Criterion keys end up as score field names, so keep them plain ASCII identifiers
+const CRITERION_KEY_PATTERN = /^[A-Za-z][A-Za-z0-9]*$/;
+
+/**
+ * Turn a criterion name into a camelCase key ("Market size evidence" -> "marketSizeEvidence",
+ * accents dropped: "Presentación" -> "presentacion")
+ */
+function toCriterionKey(name) {
+  const words = name
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '')
+    .replace(/[^A-Za-z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+    .filter(Boolean);
+  return words
+    .map((word, index) => index === 0 ? word.toLowerCase() : word[0].toUpperCase() + word.slice(1).toLowerCase())
+    .join('');
+}
+
+/**
+ * Validate and normalize rubric input from the API
+ * @param {Object} input - Rubric fields from the request body
+ * @returns {{rubric: Object|null, errors: string[]}} Normalized rubric, or validation errors
+ */
+export function validateRubric(input) {
+  const errors = [];
+
+  if (!input || typeof input !== 'object') {
+    return { rubric: null, errors: ['Rubric must be an object'] };
+  }
+  if (typeof input.name !== 'string' || !input.name.trim()) {
+    errors.push('name: is required');
+  }
+  if (!Array.isArray(input.criteria) || input.criteria.length === 0) {
+    errors.push('criteria: must be a non-empty array');
+    return { rubric: null, errors };
+  }
+
+  const keys = new Set();
+  const criteria = input.criteria.map((criterion, index) => {
+    const label = `criteria[${index}]`;
+    if (!criterion || typeof criterion !== 'object' || Array.isArray(criterion)) {
+      errors.push(`${label}: must be an object`);
+      return null;
+    }
+    const type = criterion.type || 'content';
+    const name = typeof criterion.name === 'string' ? criterion.name.trim() : '';
+    const hasKey = criterion.key !== undefined && criterion.key !== null;
+    const key = hasKey ? criterion.key : toCriterionKey(name || (typeof criterion.metric === 'string' ? criterion.metric : ''));
+    const weight = criterion.weight ?? 1;
+
+    if (!name) errors.push(`${label}.name: is required`);
+    if (!['content', 'delivery'].includes(type)) errors.push(`${label}.type: must be "content" or "delivery"`);
+    if (typeof key !== 'string' || !CRITERION_KEY_PATTERN.test(key)) {
+      errors.push(hasKey
+        ? `${label}.key: must start with a letter and contain only letters and digits`
+        : `${label}.key: could not be derived from the name, give it a key`);
+    }
+    if (keys.has(key)) errors.push(`${label}.key: "${key}" is used more than once`);
+    if (RESERVED_KEYS.includes(key)) errors.push(`${label}.key: "${key}" is reserved`);
+    if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0) {
+      errors.push(`${label}.weight: must be a non-negative number`);
+    }
+    keys.add(key);
+
+    if (type === 'delivery') {
+      if (!DELIVERY_METRICS.includes(criterion.metric)) {
+        errors.push(`${label}.metric: must be one of ${DELIVERY_METRICS.join(', ')}`);
+      }
+      return { key, name, type, metric: criterion.metric, weight };
+    }
+
+    const scoreRange = criterion.scoreRange || input.scoreRange || { min: 1, max: 5 };
+    if (!Number.isFinite(scoreRange.min) || !Number.isFinite(scoreRange.max) || scoreRange.min >= scoreRange.max || scoreRange.max <= 0) {
+      errors.push(`${label}.scoreRange: min must be below max, and max must be positive`);
+    }
+
+    return {
+      key,
+      name,
+      type,
+      description: typeof criterion.description === 'string' ? criterion.description.trim() : '',
+      weight,
+      scoreRange: { min: scoreRange.min, max: scoreRange.max }
+    };
+  });
+
+  if (criteria.every(criterion => criterion?.weight === 0)) {
+    errors.push('criteria: at least one criterion needs a weight above 0');
+  }
+
+  if (errors.length > 0) {
+    return { rubric: null, errors };
+  }
+
+  return {
+    rubric: {
+      name: input.name.trim(),
+      description: typeof input.description === 'string' ? input.description.trim() : '',
+      criteria
+    },
+    errors: []
+  };
+}
+
+async function readCustomRubrics() {
+  if (!await fs.pathExists(RUBRICS_FILE)) return [];
+  return fs.readJson(RUBRICS_FILE);
+}
+
+// Write to a temp file and rename it over the old one, so a crash never leaves half a file behind
+async function writeCustomRubrics(rubrics) {
+  await fs.ensureDir(path.dirname(RUBRICS_FILE));
+  const tempFile = `${RUBRICS_FILE}.${randomUUID()}.tmp`;
+  try {
+    await fs.writeJson(tempFile, rubrics, { spaces: 2 });
+    await fs.rename(tempFile, RUBRICS_FILE);
+  } finally {
+    await fs.remove(tempFile);
+  }
+}
+
+// Changes read, modify and rewrite the whole file: run them one at a time so none is lost
+let rubricWrites = Promise.resolve();
+
+function changeCustomRubrics(change) {
+  const run = rubricWrites.then(change);
+  rubricWrites = run.catch(() => {});
+  return run;
+}
+
+/**
+ * List the built-in rubric followed by custom rubrics
+ */
+export async function listRubrics() {
+  return [DEFAULT_RUBRIC, ...await readCustomRubrics()];
+}
+
+/**
+ * Get a rubric by id (null if it doesn't exist)
+ */
+export async function getRubric(id) {
+  if (!id || id === DEFAULT_RUBRIC.id) return DEFAULT_RUBRIC;
+  if (id === ANSWER_RUBRIC.id) return ANSWER_RUBRIC;
+  const rubrics = await readCustomRubrics();
+  return rubrics.find(rubric => rubric.id === id) || null;
+}
+
+/**
+ * Create a custom rubric from already validated fields
+ */
+export function createRubric(fields) {
+  return changeCustomRubrics(async () => {
+    const rubrics = await readCustomRubrics();
+    const now = Date.now();
+    const rubric = { id: randomUUID(), ...fields, builtIn: false, createdAt: now, updatedAt: now };
+    rubrics.push(rubric);
+    await writeCustomRubrics(rubrics);
+    return rubric;
+  });
+}
+
+/**
+ * Replace a custom rubric's fields (null if it doesn't exist)
+ */
+export function updateRubric(id, fields) {
+  return changeCustomRubrics(async () => {
+    const rubrics = await readCustomRubrics();
+    const index = rubrics.findIndex(rubric => rubric.id === id);
+    if (index === -1) return null;
+
+    rubrics[index] = { ...rubrics[index], ...fields, id, builtIn: false, updatedAt: Date.now() };
+    await writeCustomRubrics(rubrics);
+    return rubrics[index];
+  });
+}
+
+/**
+ * Delete a custom rubric (false if it doesn't exist)
+ */
+export function deleteRubric(id) {
+  return changeCustomRubrics(async () => {
+    const rubrics = await readCustomRubrics();
+    const remaining = rubrics.filter(rubric => rubric.id !== id);
+    if (remaining.length === rubrics.length) return false;
+    await writeCustomRubrics(remaining);
+    return true;
+  });
+}
+
+/**
+ * Content criteria the LLM has to score
+ */
+export function getContentCriteria(rubric) {
+  return rubric.criteria.filter(criterion => criterion.type === 'content');
+}
+
+/**
+ * Weighted overall score (0-10) for a rubric.
+ * Each criterion counts as score / max of its range, weighted by its weight.
+ * @param {Object} rubric - Rubric used for the evaluation
+ * @param {Object} scores - `{ delivery, engagement }` score maps from the result
+ * @returns {{overallScore: number, breakdown: Array}} Overall score and per-criterion contributions
+ */
+export function calculateRubricScore(rubric, { delivery, engagement }) {
+  let weightedSum = 0;
+  let totalWeight = 0;
+
+  const breakdown = rubric.criteria.map(criterion => {
+    const isDelivery = criterion.type === 'delivery';
+    const score = isDelivery ? delivery[criterion.metric] : engagement[criterion.key];
+    const range = isDelivery ? DELIVERY_SCORE_RANGE : criterion.scoreRange;
+
+    if (typeof score !== 'number' || !Number.isFinite(score)) {
+      return { key: criterion.key, name: criterion.name, type: criterion.type, score: null, max: range.max, weight: criterion.weight };
+    }
+
+    weightedSum += (score / range.max) * criterion.weight;
+    totalWeight += criterion.weight;
+    return { key: criterion.key, name: criterion.name, type: criterion.type, score, max: range.max, weight: criterion.weight };
+  });
+
+  const overallScore = totalWeight > 0 ? Math.round((weightedSum / totalWeight) * 10) : 0;
+  return { overallScore, breakdown };
+}
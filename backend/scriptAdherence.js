@@ -0,0 +1,298 @@
+import { LANGUAGE_FILLERS } from './fillerAnalysis.js';
+import { normalizeWord, tokenizeTranscript } from './transcriptUtils.js';
+
+export const MAX_SCRIPT_LENGTH = 20000;
+const MAX_SCRIPT_WORDS = 3000;
+
+// Share of a section's words delivered for it to count as covered, or at least touched on
+const COVERED_RATIO = 0.7;
+const PARTIAL_RATIO = 0.3;
+// Share of a key phrase's words delivered, in order, for it to count as said
+const KEY_PHRASE_RATIO = 0.8;
+// Unscripted runs shorter than this (fillers aside) are connective tissue, not ad-libs
+const MIN_AD_LIB_WORDS = 8;
+
+// Local alignment scores: ASR slips cost a mismatch, dropped or added words a gap
+const MATCH_SCORE = 3;
+const MISMATCH_SCORE = -2;
+const GAP_SCORE = -1;
+
+// Fillers of every language, the script doesn't say which one the pitch is in
+const FILLER_WORDS = new Set(
+  Object.values(LANGUAGE_FILLERS).flatMap(({ fillers }) => fillers).filter(filler => !filler.includes(' '))
+);
+
+const HEADING = /^#{1,6}\s+(.*)$/;
+const BULLET = /^\s*(?:[-*+]|\d+[.)])\s+/;
+const KEY_PHRASE = /\*\*(.+?)\*\*|__(.+?)__/g;
+
+// Markdown down to the words that are meant to be spoken
+const stripMarkdown = (line) => line
+  .replace(BULLET, '')
+  .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+  .replace(/\*\*|__|[*_`]/g, '');
+
+const toWords = (text) => tokenizeTranscript(text).map(word => ({ text: word, normalized: normalizeWord(word) }));
+
+/**
+ * Validate a script or outline attached to an evaluation
+ * @param {*} input - Script text (plain text or Markdown)
+ * @returns {{script: string|null, errors: string[]}} Trimmed script, or validation errors
+ */
+export function validateScript(input) {
+  if (typeof input !== 'string') {
+    return { script: null, errors: ['script: must be text'] };
+  }
+  const script = input.trim();
+  const errors = [];
+  if (!script) errors.push('script: must not be empty');
+  if (script.length > MAX_SCRIPT_LENGTH) errors.push(`script: must be at most ${MAX_SCRIPT_LENGTH} characters`);
+  if (tokenizeTranscript(script).length > MAX_SCRIPT_WORDS) errors.push(`script: must be at most ${MAX_SCRIPT_WORDS} words`);
+  return errors.length > 0 ? { script: null, errors } : { script, errors: [] };
+}
+
+/**
+ * Split a script into sections: Markdown headings when there are any, otherwise
+ * paragraphs, otherwise the bullets of a single-paragraph outline.
+ * Key phrases are the **bold** passages; without any, every sentence is one.
+ * @param {string} script - Script text
+ * @returns {{sections: Array<{title: string, words: Array}>, keyPhrases: Array<{text: string, section: number}>, keyPhraseSource: 'marked'|'sentences'}}
+ */
+export function parseScript(script) {
+  const lines = script.replace(/\r\n?/g, '\n').split('\n');
+  const hasHeadings = lines.some(line => HEADING.test(line));
+  const blocks = [];
+  let current = null;
+
+  const startBlock = (title = null) => {
+    current = { title, lines: [] };
+    blocks.push(current);
+  };
+
+  for (const line of lines) {
+    const heading = line.match(HEADING);
+    if (heading) {
+      startBlock(stripMarkdown(heading[1]).trim());
+    } else if (!line.trim()) {
+      if (!hasHeadings) current = null;
+    } else {
+      if (!current) startBlock();
+      current.lines.push(line);
+    }
+  }
+
+  // A single block of bullets is an outline: one section per bullet
+  if (!hasHeadings && blocks.length === 1 && blocks[0].lines.filter(line => BULLET.test(line)).length > 1) {
+    const outline = blocks.pop();
+    for (const line of outline.lines) {
+      if (BULLET.test(line) || blocks.length === 0) blocks.push({ title: null, lines: [line] });
+      else blocks[blocks.length - 1].lines.push(line);
+    }
+  }
+
+  const sections = [];
+  const markedPhrases = [];
+  for (const block of blocks) {
+    const raw = block.lines.join('\n');
+    const words = toWords(block.lines.map(stripMarkdown).join(' '));
+    if (words.length === 0) continue;
+    for (const match of raw.matchAll(KEY_PHRASE)) {
+      markedPhrases.push({ text: stripMarkdown(match[1] || match[2]).trim(), section: sections.length });
+    }
+    const title = block.title || `${words.slice(0, 6).map(word => word.text).join(' ')}${words.length > 6 ? '…' : ''}`;
+    sections.push({ title, words });
+  }
+
+  if (markedPhrases.length > 0) {
+    return { sections, keyPhrases: markedPhrases, keyPhraseSource: 'marked' };
+  }
+  const sentences = sections.flatMap((section, index) =>
+    (section.words.map(word => word.text).join(' ').match(/[^.!?]+[.!?]*/g) || [])
+      .map(text => ({ text: text.trim(), section: index }))
+      .filter(sentence => toWords(sentence.text).some(word => word.normalized))
+  );
+  return { sections, keyPhrases: sentences, keyPhraseSource: 'sentences' };
+}
+
+/**
+ * Smith-Waterman local alignment of script words against the transcript
+ * @param {string[]} script - Normalized script words
+ * @param {string[]} transcript - Normalized transcript words
+ * @returns {Array<[number, number]>} Matched [script index, transcript index] pairs, in order
+ */
+function alignLocal(script, transcript) {
+  const m = script.length;
+  const n = transcript.length;
+  if (m === 0 || n === 0) return [];
+
+  // 0 = start, 1 = diagonal, 2 = skip a script word, 3 = skip a transcript word
+  const direction = new Uint8Array((m + 1) * (n + 1));
+  let previous = new Int32Array(n + 1);
+  let row = new Int32Array(n + 1);
+  let best = 0;
+  let bestCell = [0, 0];
+
+  for (let i = 1; i <= m; i++) {
+    row[0] = 0;
+    for (let j = 1; j <= n; j++) {
+      const diagonal = previous[j - 1] + (script[i - 1] && script[i - 1] === transcript[j - 1] ? MATCH_SCORE : MISMATCH_SCORE);
+      const up = previous[j] + GAP_SCORE;
+      const left = row[j - 1] + GAP_SCORE;
+      let score = 0;
+      let step = 0;
+      if (diagonal > score) { score = diagonal; step = 1; }
+      if (up > score) { score = up; step = 2; }
+      if (left > score) { score = left; step = 3; }
+      row[j] = score;
+      direction[i * (n + 1) + j] = step;
+      if (score > best) {
+        best = score;
+        bestCell = [i, j];
+      }
+    }
+    [previous, row] = [row, previous];
+  }
+
+  const matches = [];
+  let [i, j] = bestCell;
+  while (i > 0 && j > 0) {
+    const step = direction[i * (n + 1) + j];
+    if (step === 0) break;
+    if (step === 1) {
+      if (script[i - 1] === transcript[j - 1]) matches.push([i - 1, j - 1]);
+      i--;
+      j--;
+    } else if (step === 2) {
+      i--;
+    } else {
+      j--;
+    }
+  }
+  return matches.reverse();
+}
+
+// Indices kept by the longest increasing run of values (patience sorting)
+function longestIncreasing(values) {
+  const tails = [];
+  const previous = new Array(values.length).fill(-1);
+  values.forEach((value, index) => {
+    let low = 0;
+    let high = tails.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (values[tails[mid]] < value) low = mid + 1;
+      else high = mid;
+    }
+    if (low > 0) previous[index] = tails[low - 1];
+    tails[low] = index;
+  });
+  const kept = new Set();
+  for (let index = tails[tails.length - 1]; index !== undefined && index >= 0; index = previous[index]) kept.add(index);
+  return kept;
+}
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Compare the delivered pitch with the script it was rehearsed from
+ * @param {string} script - Validated script text
+ * @param {Object} transcript - `{ text, words }` from the transcription layer
+ * @returns {Object} Overall coverage, per-section coverage with word-level highlights,
+ *   skipped and reordered sections, key phrases delivered and ad-libbed passages
+ */
+export function checkScriptAdherence(script, transcript) {
+  const { sections, keyPhrases, keyPhraseSource } = parseScript(script);
+  const tokens = transcript.words.length > 0
+    ? transcript.words.map(entry => ({ word: entry.word, start: entry.start, end: entry.end, normalized: normalizeWord(entry.word) }))
+    : tokenizeTranscript(transcript.text).map(word => ({ word, start: null, end: null, normalized: normalizeWord(word) }));
+  const spoken = tokens.map(token => token.normalized);
+  const scripted = new Set();
+
+  let totalWords = 0;
+  let totalDelivered = 0;
+  const sectionReports = sections.map((section, index) => {
+    const matches = alignLocal(section.words.map(word => word.normalized), spoken);
+    const delivered = new Set(matches.map(([scriptIndex]) => scriptIndex));
+    matches.forEach(([, transcriptIndex]) => scripted.add(transcriptIndex));
+
+    const countable = section.words.filter(word => word.normalized).length;
+    const coverage = countable > 0 ? delivered.size / countable : 0;
+    totalWords += countable;
+    totalDelivered += delivered.size;
+
+    const status = coverage >= COVERED_RATIO ? 'covered' : coverage >= PARTIAL_RATIO ? 'partial' : 'skipped';
+    // A skipped section's few matches are stray words, not where it was said
+    const first = matches.length > 0 && status !== 'skipped' ? matches[0][1] : null;
+    return {
+      index,
+      title: section.title,
+      status,
+      coverage: round(coverage),
+      reordered: false,
+      // Where in the transcript the section was delivered
+      position: first,
+      start: first !== null ? tokens[first].start : null,
+      words: section.words.map((word, wordIndex) => ({
+        text: word.text,
+        delivered: word.normalized ? delivered.has(wordIndex) : null
+      }))
+    };
+  });
+
+  // Sections delivered out of the script's order: not part of the longest in-order run
+  const delivered = sectionReports.filter(section => section.status !== 'skipped').sort((a, b) => a.position - b.position);
+  const inOrder = longestIncreasing(delivered.map(section => section.index));
+  delivered.forEach((section, order) => {
+    section.reordered = !inOrder.has(order);
+  });
+
+  const phraseReports = keyPhrases.map(phrase => {
+    const words = toWords(phrase.text).map(word => word.normalized).filter(Boolean);
+    const matches = alignLocal(words, spoken);
+    return {
+      text: phrase.text,
+      section: phrase.section,
+      delivered: words.length > 0 && matches.length / words.length >= KEY_PHRASE_RATIO,
+      start: matches.length > 0 ? tokens[matches[0][1]].start : null
+    };
+  });
+  const phrasesDelivered = phraseReports.filter(phrase => phrase.delivered).length;
+
+  const adLibs = [];
+  let run = [];
+  const closeRun = () => {
+    const wordCount = run.filter(token => !FILLER_WORDS.has(token.normalized)).length;
+    if (wordCount >= MIN_AD_LIB_WORDS) {
+      adLibs.push({
+        text: run.map(token => token.word).join(' '),
+        start: run[0].start,
+        end: run[run.length - 1].end,
+        wordCount
+      });
+    }
+    run = [];
+  };
+  tokens.forEach((token, index) => {
+    if (scripted.has(index)) closeRun();
+    else run.push(token);
+  });
+  closeRun();
+
+  for (const section of sectionReports) delete section.position;
+  return {
+    coverage: totalWords > 0 ? round(totalDelivered / totalWords) : 0,
+    sections: sectionReports,
+    skippedSections: sectionReports.filter(section => section.status === 'skipped').map(section => section.index),
+    reorderedSections: sectionReports.filter(section => section.reordered).map(section => section.index),
+    keyPhrases: {
+      source: keyPhraseSource,
+      total: phraseReports.length,
+      delivered: phrasesDelivered,
+      percentage: phraseReports.length > 0 ? Math.round((phrasesDelivered / phraseReports.length) * 100) : null,
+      items: phraseReports
+    },
+    adLibs,
+    adLibWordCount: adLibs.reduce((sum, passage) => sum + passage.wordCount, 0),
+    transcriptWordCount: tokens.length
+  };
+}
@@ -0,0 +1,218 @@
+import {
+  calculateRealTonalVariation,
+  calculateRealVolume,
+  detectSilentSegments,
+  detectSpeechSegments
+} from './audioAnalysis.js';
+import { tokenizeTranscript } from './transcriptUtils.js';
+import { DEFAULT_PRESET } from './pitchPresets.js';
+import { localize } from './languages.js';
+
+// Segments are cut at pauses, and kept between these lengths (seconds)
+const MIN_SEGMENT_SECONDS = 8;
+const MAX_SEGMENT_SECONDS = 30;
+
+// Silence long enough to count as a pause between thoughts
+const PAUSE_SECONDS = 0.5;
+const SILENCE_ENERGY_THRESHOLD = 0.001;
+
+// A segment this much quieter than the recording's median is flagged as an energy drop
+const ENERGY_DROP_DB = 6;
+
+// Flag messages in each feedback language
+const FLAG_MESSAGES = {
+  en: {
+    lowEnergy: () => 'Energy drops here',
+    fast: (wpm) => `Rushed (${wpm} wpm)`,
+    slow: (wpm) => `Slow (${wpm} wpm)`,
+    monotone: () => 'Flat, monotone delivery',
+    fillers: (count) => `${count} filler word${count === 1 ? '' : 's'}`
+  },
+  es: {
+    lowEnergy: () => 'La energía cae aquí',
+    fast: (wpm) => `Acelerado (${wpm} ppm)`,
+    slow: (wpm) => `Lento (${wpm} ppm)`,
+    monotone: () => 'Entrega plana y monótona',
+    fillers: (count) => `${count} ${count === 1 ? 'muletilla' : 'muletillas'}`
+  },
+  hi: {
+    lowEnergy: () => 'यहाँ ऊर्जा घट जाती है',
+    fast: (wpm) => `बहुत तेज़ (${wpm} शब्द/मिनट)`,
+    slow: (wpm) => `धीमा (${wpm} शब्द/मिनट)`,
+    monotone: () => 'सपाट, एक-सुर में बोलना',
+    fillers: (count) => `${count} भराव शब्द`
+  }
+};
+
+/**
+ * Split the recording into segments and measure delivery in each one
+ * @param {Object} audioData - Audio decoded by decodeAudio
+ * @param {Object} transcript - `{ text, words }` from the transcription layer
+ * @param {Object} fillerAnalysis - Result of analyzeFillerWords
+ * @param {Object} [preset] - Pitch preset with the pace target
+ * @param {string} [language] - Feedback language id for the flag messages
+ * @returns {Array<Object>} Segments with start/end (seconds), text, metrics and flags
+ */
+export function analyzeSegments(audioData, transcript, fillerAnalysis, preset = DEFAULT_PRESET, language) {
+  try {
+    const speechSegments = detectSpeechSegments(audioData.samples, audioData.sampleRate);
+    if (speechSegments.length === 0) return [];
+
+    const words = getTimedWords(transcript, speechSegments);
+    const boundaries = splitAtPauses(audioData, speechSegments, words);
+
+    const segments = boundaries.map(({ start, end }, index) => {
+      const segmentWords = words.filter(word => word.start >= start && word.start < end);
+      const firstWordIndex = segmentWords[0]?.index ?? null;
+      const lastWordIndex = segmentWords[segmentWords.length - 1]?.index ?? null;
+      const fillerCount = firstWordIndex === null
+        ? 0
+        : fillerAnalysis.occurrences.filter(occurrence =>
+          occurrence.wordIndex >= firstWordIndex && occurrence.wordIndex <= lastWordIndex
+        ).length;
+
+      const segmentAudio = sliceAudio(audioData, start, end);
+      const minutes = (end - start) / 60;
+
+      return {
+        index,
+        start: Math.round(start * 10) / 10,
+        end: Math.round(end * 10) / 10,
+        text: segmentWords.map(word => word.word).join(' '),
+        metrics: {
+          volume: calculateRealVolume(segmentAudio),
+          loudnessDb: Math.round(calculateLoudnessDb(segmentAudio.samples) * 10) / 10,
+          wordsPerMinute: Math.round(segmentWords.length / minutes),
+          pitchVariation: calculateRealTonalVariation(segmentAudio),
+          fillerCount
+        },
+        flags: []
+      };
+    });
+
+    addFlags(segments, preset, localize(FLAG_MESSAGES, language));
+    return segments;
+  } catch (error) {
+    console.error('Error analyzing segments:', error);
+    return [];
+  }
+}
+
+/**
+ * Words with start times. Uses transcript timestamps when available, otherwise
+ * spreads the words evenly over the detected speech.
+ */
+function getTimedWords(transcript, speechSegments) {
+  if (transcript.words.length > 0) {
+    return transcript.words.map((word, index) => ({ word: word.word, start: word.start, index }));
+  }
+
+  const tokens = tokenizeTranscript(transcript.text);
+  const speakingTime = speechSegments.reduce((total, segment) => total + (segment.end - segment.start), 0);
+  const secondsPerWord = tokens.length > 0 ? speakingTime / tokens.length : 0;
+
+  let segmentIndex = 0;
+  let offset = 0;
+  return tokens.map((word, index) => {
+    // Walk the speech segments, placing each word at its share of speaking time
+    let position = index * secondsPerWord - offset;
+    while (segmentIndex < speechSegments.length - 1 &&
+      position >= speechSegments[segmentIndex].end - speechSegments[segmentIndex].start) {
+      offset += speechSegments[segmentIndex].end - speechSegments[segmentIndex].start;
+      position = index * secondsPerWord - offset;
+      segmentIndex++;
+    }
+    return { word, start: speechSegments[segmentIndex].start + position, index };
+  });
+}
+
+/**
+ * Cut the speech into segments at pauses, keeping each between
+ * MIN_SEGMENT_SECONDS and MAX_SEGMENT_SECONDS where the pauses allow
+ */
+function splitAtPauses(audioData, speechSegments, words) {
+  const speechStart = speechSegments[0].start;
+  const speechEnd = speechSegments[speechSegments.length - 1].end;
+  const cuts = detectSilentSegments(audioData.samples, audioData.sampleRate, SILENCE_ENERGY_THRESHOLD, PAUSE_SECONDS)
+    .map(pause => (pause.start + pause.end) / 2)
+    .filter(cut => cut > speechStart && cut < speechEnd);
+
+  const segments = [];
+  let start = speechStart;
+
+  const forceCutsUntil = (limit) => {
+    // No pause in a long stretch: cut at the last word boundary instead
+    while (limit - start > MAX_SEGMENT_SECONDS) {
+      const target = start + MAX_SEGMENT_SECONDS;
+      const wordStart = [...words].reverse().find(word => word.start < target && word.start > start + MIN_SEGMENT_SECONDS)?.start;
+      const cut = wordStart ?? target;
+      segments.push({ start, end: cut });
+      start = cut;
+    }
+  };
+
+  for (const cut of cuts) {
+    forceCutsUntil(cut);
+    if (cut - start >= MIN_SEGMENT_SECONDS) {
+      segments.push({ start, end: cut });
+      start = cut;
+    }
+  }
+  forceCutsUntil(speechEnd);
+
+  // Fold a short tail into the previous segment
+  if (segments.length > 0 && speechEnd - start < MIN_SEGMENT_SECONDS / 2) {
+    segments[segments.length - 1].end = speechEnd;
+  } else {
+    segments.push({ start, end: speechEnd });
+  }
+
+  return segments;
+}
+
+function sliceAudio(audioData, start, end) {
+  const { samples, sampleRate } = audioData;
+  return {
+    samples: samples.slice(Math.floor(start * sampleRate), Math.ceil(end * sampleRate)),
+    sampleRate,
+    channels: audioData.channels,
+    duration: end - start
+  };
+}
+
+function calculateLoudnessDb(samples) {
+  let sumSquares = 0;
+  for (let i = 0; i < samples.length; i++) {
+    sumSquares += samples[i] * samples[i];
+  }
+  return 20 * Math.log10(Math.sqrt(sumSquares / Math.max(1, samples.length)) + 1e-10);
+}
+
+/**
+ * Flag segments where delivery slips, relative to the preset and the rest of the recording
+ */
+function addFlags(segments, preset, messages) {
+  const loudness = segments.map(segment => segment.metrics.loudnessDb).sort((a, b) => a - b);
+  const medianLoudness = loudness[Math.floor(loudness.length / 2)];
+  const { min, max } = preset.paceRange;
+
+  for (const segment of segments) {
+    const { loudnessDb, wordsPerMinute, pitchVariation, fillerCount } = segment.metrics;
+    const minutes = (segment.end - segment.start) / 60;
+
+    if (segments.length > 1 && loudnessDb < medianLoudness - ENERGY_DROP_DB) {
+      segment.flags.push({ type: 'lowEnergy', message: messages.lowEnergy() });
+    }
+    if (wordsPerMinute > max + 20) {
+      segment.flags.push({ type: 'fast', message: messages.fast(wordsPerMinute) });
+    } else if (wordsPerMinute > 0 && wordsPerMinute < min - 30) {
+      segment.flags.push({ type: 'slow', message: messages.slow(wordsPerMinute) });
+    }
+    if (pitchVariation <= 2) {
+      segment.flags.push({ type: 'monotone', message: messages.monotone() });
+    }
+    if (fillerCount >= 3 || (fillerCount >= 2 && fillerCount / minutes > 6)) {
+      segment.flags.push({ type: 'fillers', message: messages.fillers(fillerCount) });
+    }
+  }
+}
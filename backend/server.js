@@ -2,27 +2,113 @@ import express from 'express';
 import cors from 'cors';
 import multer from 'multer';
 import dotenv from 'dotenv';
-import { analyzeAudioProperties, saveTemporaryAudioFile, cleanupTempFile } from './audioAnalysis.js';
-import { analyzeWithGemini } from './geminiAnalysis.js';
-import { transcribeAudio, getAvailableTranscriptionMethods } from './freeTranscription.js';
+import { evaluatePitch } from './pitchEvaluation.js';
+import {
+  createJob,
+  getJob,
+  startStage,
+  completeJob,
+  failJob,
+  subscribeToJob,
+  isJobFinished
+} from './evaluationJobs.js';
+import {
+  getAvailableTranscriptionMethods,
+  getDefaultTranscriptionMethod,
+  isTranscriptionMethodAvailable
+} from './freeTranscription.js';
+import { getAvailableLLMProviders, getDefaultLLMProvider, isLLMProviderAvailable } from './llmProviders.js';
+import {
+  listRubrics,
+  getRubric,
+  createRubric,
+  updateRubric,
+  deleteRubric,
+  validateRubric,
+  DEFAULT_RUBRIC,
+  ANSWER_RUBRIC
+} from './rubrics.js';
+import { listPresets, getPreset, DEFAULT_PRESET, PITCH_PRESETS } from './pitchPresets.js';
+import { isRecordingStoreEnabled } from './database.js';
+import {
+  listRecordings,
+  getRecording,
+  getRecordingAudio,
+  getRecordingByShareToken,
+  canReadRecording,
+  createRecording,
+  updateRecording,
+  updateSharing,
+  deleteRecording,
+  isAllowedAudioType,
+  validateAudio,
+  validateRecording
+} from './recordingStore.js';
+import {
+  SESSION_COOKIE,
+  validateRegistration,
+  createUser,
+  assignUnownedRecordings,
+  authenticate,
+  createSession,
+  getSessionUser,
+  deleteSession,
+  parseCookies,
+  validateWorkspaceName,
+  listWorkspaces,
+  createWorkspace,
+  getWorkspace,
+  getMembershipRole,
+  addWorkspaceMember,
+  removeWorkspaceMember,
+  deleteWorkspace
+} from './accounts.js';
+import { attachLiveFeedback } from './liveFeedback.js';
+import { deleteReview, getAgreementStats, listReviews, saveReview, summarizeReviews, validateReview } from './coachReviews.js';
+import { validateScript } from './scriptAdherence.js';
+import { generateInvestorQuestions, validateQuestion, validateQuestionRequest } from './investorQuestions.js';
+import { generatePitchRevision, validateRevisionRequest } from './pitchRevision.js';
+import { AUTO_LANGUAGE, listLanguages, validateLanguages } from './languages.js';
 dotenv.config();
 
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Frontends allowed to call the API with the session cookie (comma-separated FRONTEND_URL)
+const allowedOrigins = (process.env.FRONTEND_URL || 'http://localhost:3000')
+  .split(',')
+  .map(origin => origin.trim().replace(/\/+$/, ''))
+  .filter(Boolean);
+
 // Middleware
 app.use(cors(
   {
-    origin: process.env.FRONTEND_URL || 'http://localhost:3000', // Allow requests from frontend
-    
+    origin: allowedOrigins,
+    credentials: true
   }
 ));
+
+// CORS only hides responses; refuse cross-site writes outright so the session cookie can't be ridden
+app.use((req, res, next) => {
+  const origin = req.headers.origin;
+  if (!['GET', 'HEAD', 'OPTIONS'].includes(req.method) && origin && !allowedOrigins.includes(origin)) {
+    return res.status(403).json({ error: 'Origin not allowed' });
+  }
+  next();
+});
 app.use(express.json());
 
-// Add timestamp to requests for processing time calculation
+// Attach the signed-in user, if any
 app.use((req, res, next) => {
-  req.startTime = Date.now();
+  req.user = null;
+  if (isRecordingStoreEnabled()) {
+    try {
+      req.user = getSessionUser(parseCookies(req.headers.cookie)[SESSION_COOKIE]);
+    } catch (error) {
+      console.error('Error loading session:', error);
+    }
+  }
   next();
 });
 
@@ -33,84 +119,718 @@ const upload = multer({ storage: multer.memoryStorage() });
 // Endpoint to get available transcription methods
 app.get('/api/transcription-methods', (req, res) => {
   const methods = getAvailableTranscriptionMethods();
-  res.json({ methods });
+  res.json({ methods, defaultMethod: getDefaultTranscriptionMethod() });
+});
+
+
+// Endpoint to get available LLM providers for content analysis
+app.get('/api/llm-providers', (req, res) => {
+  const providers = getAvailableLLMProviders();
+  res.json({ providers, defaultProvider: getDefaultLLMProvider() });
+});
+
+
+// Endpoint to get the pitch-type presets
+app.get('/api/presets', (req, res) => {
+  res.json({ presets: listPresets(), defaultPresetId: DEFAULT_PRESET.id });
+});
+
+
+// Endpoint to get the languages a pitch can be spoken in and feedback written in
+app.get('/api/languages', (req, res) => {
+  res.json({ languages: listLanguages(), defaultLanguage: AUTO_LANGUAGE });
+});
+
+
+// Rubric CRUD endpoints
+app.get('/api/rubrics', async (req, res) => {
+  try {
+    res.json({ rubrics: await listRubrics(), defaultRubricId: DEFAULT_RUBRIC.id });
+  } catch (error) {
+    console.error('Error listing rubrics:', error);
+    res.status(500).json({ error: 'Failed to load rubrics' });
+  }
+});
+
+app.get('/api/rubrics/:id', async (req, res) => {
+  try {
+    const rubric = await getRubric(req.params.id);
+    if (!rubric) {
+      return res.status(404).json({ error: 'Rubric not found' });
+    }
+    res.json(rubric);
+  } catch (error) {
+    console.error('Error loading rubric:', error);
+    res.status(500).json({ error: 'Failed to load rubric' });
+  }
+});
+
+app.post('/api/rubrics', async (req, res) => {
+  const { rubric, errors } = validateRubric(req.body);
+  if (!rubric) {
+    return res.status(400).json({ error: 'Invalid rubric', details: errors });
+  }
+  try {
+    res.status(201).json(await createRubric(rubric));
+  } catch (error) {
+    console.error('Error creating rubric:', error);
+    res.status(500).json({ error: 'Failed to create rubric' });
+  }
+});
+
+app.put('/api/rubrics/:id', async (req, res) => {
+  if (req.params.id === DEFAULT_RUBRIC.id) {
+    return res.status(403).json({ error: 'The built-in rubric cannot be changed' });
+  }
+  const { rubric, errors } = validateRubric(req.body);
+  if (!rubric) {
+    return res.status(400).json({ error: 'Invalid rubric', details: errors });
+  }
+  try {
+    const updated = await updateRubric(req.params.id, rubric);
+    if (!updated) {
+      return res.status(404).json({ error: 'Rubric not found' });
+    }
+    res.json(updated);
+  } catch (error) {
+    console.error('Error updating rubric:', error);
+    res.status(500).json({ error: 'Failed to update rubric' });
+  }
+});
+
+app.delete('/api/rubrics/:id', async (req, res) => {
+  if (req.params.id === DEFAULT_RUBRIC.id) {
+    return res.status(403).json({ error: 'The built-in rubric cannot be deleted' });
+  }
+  try {
+    if (!await deleteRubric(req.params.id)) {
+      return res.status(404).json({ error: 'Rubric not found' });
+    }
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error deleting rubric:', error);
+    res.status(500).json({ error: 'Failed to delete rubric' });
+  }
+});
+
+
+// Server-side recording store and accounts (optional, RECORDING_STORE=sqlite)
+const requireRecordingStore = (req, res, next) => {
+  if (!isRecordingStoreEnabled()) {
+    return res.status(503).json({ error: 'Recording store is not enabled' });
+  }
+  next();
+};
+
+const requireAuth = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Sign in required' });
+  }
+  next();
+};
+
+const setSessionCookie = (res, { token, expiresAt }) => {
+  const sameSite = process.env.SESSION_COOKIE_SAMESITE || 'lax';
+  res.cookie(SESSION_COOKIE, token, {
+    httpOnly: true,
+    sameSite,
+    // Browsers only accept SameSite=None cookies over HTTPS
+    secure: process.env.NODE_ENV === 'production' || sameSite === 'none',
+    expires: new Date(expiresAt),
+    path: '/'
+  });
+};
+
+// Metadata comes as JSON, or as a JSON "metadata" field next to the audio in multipart requests
+const readRecordingMetadata = (req) => {
+  if (!req.is('multipart/form-data')) return req.body;
+  try {
+    return JSON.parse(req.body?.metadata || '{}');
+  } catch {
+    return null;
+  }
+};
+
+// Stored audio is user content served from the API origin: never let a browser sniff or render it as a page
+const sendAudio = (res, audio) => {
+  res.set({ 'X-Content-Type-Options': 'nosniff', 'Content-Security-Policy': 'sandbox' });
+  if (isAllowedAudioType(audio.type)) {
+    res.type(audio.type);
+  } else {
+    res.type('application/octet-stream').attachment();
+  }
+  res.sendFile(audio.path);
+};
+
+// Only the owner sees a recording's share link
+const forViewer = (recording, user) =>
+  recording.ownerId === user.id ? recording : { ...recording, shareToken: null };
+
+// What a read-only link reveals: the evaluation, not the owner's private notes or sharing settings
+const toSharedRecording = ({ id, name, timestamp, transcript, result, overallScore, ownerName, audio }) =>
+  ({ id, name, timestamp, transcript, result, overallScore, ownerName, audio });
+
+app.get('/api/recordings/status', (req, res) => {
+  res.json({ enabled: isRecordingStoreEnabled() });
+});
+
+
+// Account endpoints
+app.get('/api/auth/me', (req, res) => {
+  res.json({ enabled: isRecordingStoreEnabled(), user: req.user || null });
+});
+
+app.post('/api/auth/register', requireRecordingStore, async (req, res) => {
+  const { account, errors } = validateRegistration(req.body);
+  if (!account) {
+    return res.status(400).json({ error: 'Invalid sign-up', details: errors });
+  }
+  try {
+    const user = await createUser(account);
+    if (!user) {
+      return res.status(409).json({ error: 'An account with this email already exists' });
+    }
+    setSessionCookie(res, createSession(user.id));
+    res.status(201).json({ user });
+  } catch (error) {
+    console.error('Error creating account:', error);
+    res.status(500).json({ error: 'Failed to create account' });
+  }
+});
+
+app.post('/api/auth/login', requireRecordingStore, async (req, res) => {
+  try {
+    const user = await authenticate(req.body?.email, req.body?.password);
+    if (!user) {
+      return res.status(401).json({ error: 'Wrong email or password' });
+    }
+    setSessionCookie(res, createSession(user.id));
+    res.json({ user });
+  } catch (error) {
+    console.error('Error signing in:', error);
+    res.status(500).json({ error: 'Failed to sign in' });
+  }
+});
+
+app.post('/api/auth/logout', requireRecordingStore, (req, res) => {
+  deleteSession(parseCookies(req.headers.cookie)[SESSION_COOKIE]);
+  res.clearCookie(SESSION_COOKIE, { path: '/' });
+  res.status(204).end();
+});
+
+
+// Workspace endpoints
+app.get('/api/workspaces', requireRecordingStore, requireAuth, (req, res) => {
+  res.json({ workspaces: listWorkspaces(req.user.id) });
+});
+
+app.post('/api/workspaces', requireRecordingStore, requireAuth, (req, res) => {
+  const name = validateWorkspaceName(req.body?.name);
+  if (!name) {
+    return res.status(400).json({ error: 'Workspace name must be 1-100 characters' });
+  }
+  res.status(201).json(createWorkspace(req.user.id, name));
+});
+
+app.get('/api/workspaces/:id', requireRecordingStore, requireAuth, (req, res) => {
+  if (!getMembershipRole(req.params.id, req.user.id)) {
+    return res.status(404).json({ error: 'Workspace not found' });
+  }
+  res.json(getWorkspace(req.params.id));
+});
+
+app.delete('/api/workspaces/:id', requireRecordingStore, requireAuth, (req, res) => {
+  const role = getMembershipRole(req.params.id, req.user.id);
+  if (!role) {
+    return res.status(404).json({ error: 'Workspace not found' });
+  }
+  if (role !== 'owner') {
+    return res.status(403).json({ error: 'Only the workspace owner can delete it' });
+  }
+  deleteWorkspace(req.params.id);
+  res.status(204).end();
+});
+
+app.post('/api/workspaces/:id/members', requireRecordingStore, requireAuth, (req, res) => {
+  const role = getMembershipRole(req.params.id, req.user.id);
+  if (!role) {
+    return res.status(404).json({ error: 'Workspace not found' });
+  }
+  if (role !== 'owner') {
+    return res.status(403).json({ error: 'Only the workspace owner can add members' });
+  }
+  const { workspace, error } = addWorkspaceMember(req.params.id, req.body?.email);
+  if (!workspace) {
+    return res.status(400).json({ error });
+  }
+  res.status(201).json(workspace);
+});
+
+// Owners remove members; members can leave
+app.delete('/api/workspaces/:id/members/:userId', requireRecordingStore, requireAuth, (req, res) => {
+  const role = getMembershipRole(req.params.id, req.user.id);
+  if (!role) {
+    return res.status(404).json({ error: 'Workspace not found' });
+  }
+  if (role !== 'owner' && req.params.userId !== req.user.id) {
+    return res.status(403).json({ error: 'Only the workspace owner can remove other members' });
+  }
+  if (!removeWorkspaceMember(req.params.id, req.params.userId)) {
+    return res.status(400).json({ error: 'Not a removable member of this workspace' });
+  }
+  res.status(204).end();
+});
+
+app.get('/api/workspaces/:id/recordings', requireRecordingStore, requireAuth, (req, res) => {
+  if (!getMembershipRole(req.params.id, req.user.id)) {
+    return res.status(404).json({ error: 'Workspace not found' });
+  }
+  const page = listRecordings({
+    workspaceId: req.params.id,
+    page: Number(req.query.page) || 1,
+    pageSize: Number(req.query.pageSize) || undefined
+  });
+  res.json({ ...page, recordings: page.recordings.map(recording => forViewer(recording, req.user)) });
+});
+
+
+// Recording endpoints: recordings are private to their owner unless shared
+app.get('/api/recordings', requireRecordingStore, requireAuth, (req, res) => {
+  try {
+    res.json(listRecordings({
+      ownerId: req.user.id,
+      page: Number(req.query.page) || 1,
+      pageSize: Number(req.query.pageSize) || undefined,
+      updatedSince: Number(req.query.updatedSince) || 0
+    }));
+  } catch (error) {
+    console.error('Error listing recordings:', error);
+    res.status(500).json({ error: 'Failed to load recordings' });
+  }
+});
+
+app.get('/api/recordings/:id', requireRecordingStore, requireAuth, (req, res) => {
+  try {
+    const recording = getRecording(req.params.id);
+    // Recordings the user can't see look the same as missing ones
+    if (!canReadRecording(recording, req.user.id)) {
+      return res.status(404).json({ error: 'Recording not found' });
+    }
+    res.json(forViewer(recording, req.user));
+  } catch (error) {
+    console.error('Error loading recording:', error);
+    res.status(500).json({ error: 'Failed to load recording' });
+  }
+});
+
+app.get('/api/recordings/:id/audio', requireRecordingStore, requireAuth, (req, res) => {
+  try {
+    const audio = canReadRecording(getRecording(req.params.id), req.user.id) && getRecordingAudio(req.params.id);
+    if (!audio) {
+      return res.status(404).json({ error: 'Recording audio not found' });
+    }
+    sendAudio(res, audio);
+  } catch (error) {
+    console.error('Error loading recording audio:', error);
+    res.status(500).json({ error: 'Failed to load recording audio' });
+  }
+});
+
+app.post('/api/recordings', requireRecordingStore, requireAuth, upload.single('audio'), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No audio file provided' });
+  }
+  const { audio, errors: audioErrors } = validateAudio(req.file);
+  if (!audio) {
+    return res.status(400).json({ error: 'Invalid audio', details: audioErrors });
+  }
+  const { recording, errors } = validateRecording(readRecordingMetadata(req));
+  if (!recording) {
+    return res.status(400).json({ error: 'Invalid recording', details: errors });
+  }
+  try {
+    if (recording.id && getRecording(recording.id)) {
+      return res.status(409).json({ error: 'A recording with this id already exists' });
+    }
+    res.status(201).json(await createRecording(recording, audio, req.user.id));
+  } catch (error) {
+    console.error('Error creating recording:', error);
+    res.status(500).json({ error: 'Failed to save recording' });
+  }
+});
+
+// Update, or create under the client's id when the audio is included (used by sync)
+app.put('/api/recordings/:id', requireRecordingStore, requireAuth, upload.single('audio'), async (req, res) => {
+  const metadata = readRecordingMetadata(req);
+  const { recording, errors } = validateRecording({ ...metadata, id: req.params.id }, { partial: true });
+  if (!recording) {
+    return res.status(400).json({ error: 'Invalid recording', details: errors });
+  }
+  const { audio, errors: audioErrors } = req.file ? validateAudio(req.file) : { audio: null, errors: [] };
+  if (req.file && !audio) {
+    return res.status(400).json({ error: 'Invalid audio', details: audioErrors });
+  }
+  try {
+    const existing = getRecording(req.params.id);
+    if (existing) {
+      if (existing.ownerId !== req.user.id) {
+        return canReadRecording(existing, req.user.id)
+          ? res.status(403).json({ error: 'Only the owner can change this recording' })
+          : res.status(409).json({ error: 'A recording with this id already exists' });
+      }
+      return res.json(await updateRecording(req.params.id, recording, audio));
+    }
+    if (!audio || !recording.name) {
+      return res.status(404).json({ error: 'Recording not found' });
+    }
+    res.status(201).json(await createRecording(recording, audio, req.user.id));
+  } catch (error) {
+    console.error('Error updating recording:', error);
+    res.status(500).json({ error: 'Failed to save recording' });
+  }
+});
+
+app.delete('/api/recordings/:id', requireRecordingStore, requireAuth, async (req, res) => {
+  try {
+    const existing = getRecording(req.params.id);
+    if (!existing || existing.ownerId !== req.user.id) {
+      return res.status(404).json({ error: 'Recording not found' });
+    }
+    await deleteRecording(req.params.id);
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error deleting recording:', error);
+    res.status(500).json({ error: 'Failed to delete recording' });
+  }
+});
+
+// Share to a workspace (workspaceId, null for private) and turn the read-only link on or off (link)
+app.put('/api/recordings/:id/sharing', requireRecordingStore, requireAuth, (req, res) => {
+  const existing = getRecording(req.params.id);
+  if (!existing || existing.ownerId !== req.user.id) {
+    return res.status(404).json({ error: 'Recording not found' });
+  }
+  const { workspaceId, link } = req.body || {};
+  if (workspaceId !== undefined && workspaceId !== null && !getMembershipRole(workspaceId, req.user.id)) {
+    return res.status(400).json({ error: 'You are not a member of this workspace' });
+  }
+  if (link !== undefined && typeof link !== 'boolean') {
+    return res.status(400).json({ error: 'link must be true or false' });
+  }
+  res.json(updateSharing(req.params.id, { workspaceId, link }));
+});
+
+
+// Coach reviews: anyone who can see a recording can review it, next to the AI's scores
+const sendReviews = (res, recording) => {
+  const reviews = listReviews(recording.id);
+  res.json({ reviews, summary: summarizeReviews(recording.result, reviews) });
+};
+
+// Reviewable recording, or null after sending the error response
+const findReviewableRecording = (req, res) => {
+  const recording = getRecording(req.params.id);
+  if (!canReadRecording(recording, req.user.id)) {
+    res.status(404).json({ error: 'Recording not found' });
+    return null;
+  }
+  if (!recording.result) {
+    res.status(409).json({ error: 'This recording has not been evaluated yet' });
+    return null;
+  }
+  return recording;
+};
+
+app.get('/api/recordings/:id/reviews', requireRecordingStore, requireAuth, (req, res) => {
+  try {
+    const recording = findReviewableRecording(req, res);
+    if (recording) sendReviews(res, recording);
+  } catch (error) {
+    console.error('Error loading reviews:', error);
+    res.status(500).json({ error: 'Failed to load reviews' });
+  }
+});
+
+app.put('/api/recordings/:id/reviews/mine', requireRecordingStore, requireAuth, (req, res) => {
+  try {
+    const recording = findReviewableRecording(req, res);
+    if (!recording) return;
+    const { review, errors } = validateReview(req.body, recording.result);
+    if (!review) {
+      return res.status(400).json({ error: 'Invalid review', details: errors });
+    }
+    saveReview(recording.id, req.user.id, review);
+    sendReviews(res, recording);
+  } catch (error) {
+    console.error('Error saving review:', error);
+    res.status(500).json({ error: 'Failed to save review' });
+  }
+});
+
+app.delete('/api/recordings/:id/reviews/mine', requireRecordingStore, requireAuth, (req, res) => {
+  try {
+    const recording = findReviewableRecording(req, res);
+    if (!recording) return;
+    if (!deleteReview(recording.id, req.user.id)) {
+      return res.status(404).json({ error: 'You have not reviewed this recording' });
+    }
+    sendReviews(res, recording);
+  } catch (error) {
+    console.error('Error deleting review:', error);
+    res.status(500).json({ error: 'Failed to delete review' });
+  }
+});
+
+// Coach vs AI disagreement across the recordings you can see, per criterion and per LLM provider
+app.get('/api/reviews/agreement', requireRecordingStore, requireAuth, (req, res) => {
+  try {
+    res.json(getAgreementStats(req.user.id));
+  } catch (error) {
+    console.error('Error computing review agreement:', error);
+    res.status(500).json({ error: 'Failed to compute review agreement' });
+  }
+});
+
+
+// Read-only share links (no account needed)
+app.get('/api/shared/:token', requireRecordingStore, (req, res) => {
+  const recording = getRecordingByShareToken(req.params.token);
+  if (!recording) {
+    return res.status(404).json({ error: 'This link is invalid or was turned off' });
+  }
+  res.json(toSharedRecording(recording));
+});
+
+app.get('/api/shared/:token/audio', requireRecordingStore, (req, res) => {
+  const recording = getRecordingByShareToken(req.params.token);
+  const audio = recording && getRecordingAudio(recording.id);
+  if (!audio) {
+    return res.status(404).json({ error: 'Recording audio not found' });
+  }
+  sendAudio(res, audio);
 });
 
 
-// Endpoint to evaluate pitch with AI analysis
+// Endpoint to start a pitch evaluation job (returns immediately with a job id)
 app.post('/api/evaluate-pitch', upload.single('audio'), async (req, res) => {
   if (!req.file) {
     return res.status(400).json({ error: 'No audio file provided' });
   }
 
+  const method = req.body?.method || getDefaultTranscriptionMethod();
+  if (!method) {
+    return res.status(503).json({ error: 'No transcription method configured' });
+  }
+  if (!isTranscriptionMethodAvailable(method)) {
+    return res.status(400).json({ error: `Transcription method not available: ${method}` });
+  }
+
+  const llm = {
+    provider: req.body?.llmProvider || undefined,
+    model: req.body?.llmModel || undefined
+  };
+  if (llm.provider && !isLLMProviderAvailable(llm.provider)) {
+    return res.status(400).json({ error: `LLM provider not available: ${llm.provider}` });
+  }
+
+  // Investor question this recording answers; answers always use the Q&A rubric and preset
+  let question = null;
+  if (req.body?.question) {
+    let parsed;
+    try {
+      parsed = JSON.parse(req.body.question);
+    } catch {
+      return res.status(400).json({ error: 'question must be a JSON object' });
+    }
+    const validation = validateQuestion(parsed);
+    if (!validation.question) {
+      return res.status(400).json({ error: 'Invalid question', details: validation.errors });
+    }
+    question = validation.question;
+  }
+
+  const rubric = await getRubric(question ? ANSWER_RUBRIC.id : req.body?.rubricId);
+  if (!rubric) {
+    return res.status(400).json({ error: `Rubric not found: ${req.body.rubricId}` });
+  }
+
+  const preset = question ? PITCH_PRESETS.investorAnswer : getPreset(req.body?.presetId);
+  if (!preset) {
+    return res.status(400).json({ error: `Pitch preset not found: ${req.body.presetId}` });
+  }
+
+  // Spoken language ('auto' lets transcription detect it) and the language feedback is written in
+  const { languages, errors: languageErrors } = validateLanguages(req.body, { allowAuto: true });
+  if (!languages) {
+    return res.status(400).json({ error: 'Invalid language', details: languageErrors });
+  }
+
+  // Room noise floor measured by the mic check before recording, in dBFS
+  let calibration = null;
+  if (req.body?.noiseFloor !== undefined && req.body.noiseFloor !== '') {
+    const noiseFloorDb = Number(req.body.noiseFloor);
+    if (!Number.isFinite(noiseFloorDb) || noiseFloorDb < -120 || noiseFloorDb > 0) {
+      return res.status(400).json({ error: 'noiseFloor must be a level in dBFS between -120 and 0' });
+    }
+    calibration = { noiseFloorDb };
+  }
+
+  // Script or outline the pitch was rehearsed from, to check adherence against
+  let script = null;
+  if (req.body?.script) {
+    const validation = validateScript(req.body.script);
+    if (!validation.script) {
+      return res.status(400).json({ error: 'Invalid script', details: validation.errors });
+    }
+    script = validation.script;
+  }
+
   console.log('Processing audio file:', req.file.originalname, 'Size:', req.file.size);
-  
-  let tempFilePath = null;
-  
-  try {
-    // Step 1: Save temporary file (may be needed for some transcription methods)
-    tempFilePath = await saveTemporaryAudioFile(req.file.buffer);
-    
-    // Step 2: Free transcription (defaults to Hugging Face, falls back to offline)
-    console.log('Starting free transcription...');
-    const transcription = await transcribeAudio(req.file.buffer, 'huggingface');
-    console.log('Transcription completed:', transcription.substring(0, 100) + '...');
-
-    // Step 3: Audio analysis for delivery metrics  
-    console.log('Analyzing audio properties...');
-    const audioMetrics = await analyzeAudioProperties(req.file.buffer);
-
-    // Step 4: Content analysis with Gemini
-    console.log('Starting content analysis with Gemini...');
-    const contentAnalysis = await analyzeWithGemini(transcription, audioMetrics);
-
-    // Step 5: Combine results
-    const result = {
-      delivery: {
-        pace: audioMetrics.pace,
-        tone: audioMetrics.tonalVariation,
-        clarity: audioMetrics.clarity,
-        confidence: audioMetrics.confidence,
-        enthusiasm: audioMetrics.enthusiasm,
-      },
-      engagement: {
-        storytelling: contentAnalysis.storytelling.score,
-        audienceConnection: contentAnalysis.audienceConnection.score,
-        persuasiveness: contentAnalysis.persuasiveness.score,
-      },
-      // Additional AI insights
-      transcription: transcription,
-      detailedAnalysis: contentAnalysis,
-      audioMetrics: audioMetrics
-    };
-
-    // Calculate overall score based on all metrics
-    const deliveryAvg = Object.values(result.delivery).reduce((a, b) => a + b, 0) / Object.values(result.delivery).length;
-    const engagementAvg = Object.values(result.engagement).reduce((a, b) => a + b, 0) / Object.values(result.engagement).length;
-    const overallScore = Math.round((deliveryAvg + engagementAvg) / 2 * 2); // Scale to 10
-
-    console.log('AI analysis completed successfully');
-    
-    // Return comprehensive results
-    res.json({ 
-      result, 
-      overallScore,
-      success: true,
-      processingTime: Date.now() - req.startTime
+
+  const job = createJob();
+  const audioBuffer = req.file.buffer;
+
+  // Run the pipeline in the background, progress is reported through the job
+  evaluatePitch({ audioBuffer, method, llm, rubric, preset, calibration, script, question, ...languages }, (stage) => startStage(job.id, stage))
+    .then(evaluation => completeJob(job.id, evaluation))
+    .catch(error => {
+      console.error('Error during AI analysis:', error);
+      failJob(job.id, error);
     });
 
+  res.status(202).json({ jobId: job.id, status: job.status, success: true });
+});
+
+
+// Endpoint to generate likely investor questions about an evaluated pitch
+app.post('/api/questions', async (req, res) => {
+  const { request, errors } = validateQuestionRequest(req.body);
+  if (!request) {
+    return res.status(400).json({ error: 'Invalid question request', details: errors });
+  }
+
+  const llm = {
+    provider: req.body.llmProvider || undefined,
+    model: req.body.llmModel || undefined
+  };
+  if (llm.provider && !isLLMProviderAvailable(llm.provider)) {
+    return res.status(400).json({ error: `LLM provider not available: ${llm.provider}` });
+  }
+
+  const preset = getPreset(req.body.presetId) || DEFAULT_PRESET;
+
+  const { languages, errors: languageErrors } = validateLanguages(req.body);
+  if (!languages) {
+    return res.status(400).json({ error: 'Invalid language', details: languageErrors });
+  }
+
+  try {
+    res.json(await generateInvestorQuestions(request.transcription, request.keyMessages, {
+      llm,
+      preset,
+      count: request.count,
+      language: languages.language,
+      feedbackLanguage: languages.feedbackLanguage || languages.language
+    }));
   } catch (error) {
-    console.error('Error during AI analysis:', error);
-    
-  } finally {
-    // Clean up temporary file
-    if (tempFilePath) {
-      await cleanupTempFile(tempFilePath);
-    }
+    console.error('Error generating investor questions:', error);
+    res.status(500).json({ error: 'Failed to generate questions' });
+  }
+});
+
+
+// Endpoint to revise a pitch from its transcript, weaknesses and target length
+app.post('/api/revisions', async (req, res) => {
+  const { request, errors } = validateRevisionRequest(req.body);
+  if (!request) {
+    return res.status(400).json({ error: 'Invalid revision request', details: errors });
+  }
+
+  const llm = {
+    provider: req.body.llmProvider || undefined,
+    model: req.body.llmModel || undefined
+  };
+  if (llm.provider && !isLLMProviderAvailable(llm.provider)) {
+    return res.status(400).json({ error: `LLM provider not available: ${llm.provider}` });
+  }
+
+  const preset = getPreset(req.body.presetId) || DEFAULT_PRESET;
+
+  const { languages, errors: languageErrors } = validateLanguages(req.body);
+  if (!languages) {
+    return res.status(400).json({ error: 'Invalid language', details: languageErrors });
+  }
+
+  try {
+    res.json(await generatePitchRevision(request, {
+      llm,
+      preset,
+      language: languages.language,
+      feedbackLanguage: languages.feedbackLanguage || languages.language
+    }));
+  } catch (error) {
+    console.error('Error revising pitch:', error);
+    res.status(500).json({ error: 'Failed to revise the pitch' });
   }
 });
 
 
-app.listen(PORT, () => {
+// Endpoint to get the current state (and result) of an evaluation job
+app.get('/api/jobs/:id', (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  res.json(job);
+});
+
+
+// Server-Sent Events stream of job stage changes
+app.get('/api/jobs/:id/events', (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.flushHeaders();
+
+  const send = (update) => {
+    res.write(`event: update\ndata: ${JSON.stringify(update)}\n\n`);
+    if (isJobFinished(update)) {
+      cleanup();
+      res.end();
+    }
+  };
+
+  // Keep proxies from closing an idle stream
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+  const unsubscribe = subscribeToJob(job.id, send);
+  const cleanup = () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  };
+  req.on('close', cleanup);
+
+  // Send the current state right away
+  send(job);
+});
+
+
+const server = app.listen(PORT, () => {
   console.log(`Server running on http://localhost:${PORT}`);
+  if (isRecordingStoreEnabled()) {
+    try {
+      assignUnownedRecordings();
+    } catch (error) {
+      console.error('Error assigning unowned recordings:', error);
+    }
+  }
 });
+
+// Live coaching while recording (WebSocket on the same port)
+attachLiveFeedback(server, { path: '/api/live', allowedOrigins });
@@ -1,5 +1,8 @@
+import wavefile from 'wavefile';
 import { analyzeAudioProperties } from './audioAnalysis.js';
 
+const { WaveFile } = wavefile;
+
 // Test the audio analysis with a sample buffer
 async function testAudioAnalysis() {
   console.log('Testing real audio analysis...');
@@ -7,16 +10,20 @@ async function testAudioAnalysis() {
   // Create a mock audio buffer for testing
   const sampleRate = 44100;
   const duration = 2; // 2 seconds
-  const bufferLength = sampleRate * duration * 2; // 16-bit samples
-  const testBuffer = Buffer.alloc(bufferLength);
+  const sampleCount = sampleRate * duration;
+  const pcmSamples = new Int16Array(sampleCount);
   
   // Fill with some sample audio data (sine wave)
-  for (let i = 0; i < bufferLength; i += 2) {
-    const sample = Math.sin(2 * Math.PI * 440 * (i / 2) / sampleRate) * 0.5; // 440Hz tone
-    const intSample = Math.floor(sample * 32767);
-    testBuffer.writeInt16LE(intSample, i);
+  for (let i = 0; i < sampleCount; i++) {
+    const sample = Math.sin(2 * Math.PI * 440 * i / sampleRate) * 0.5; // 440Hz tone
+    pcmSamples[i] = Math.floor(sample * 32767);
   }
   
+  // Wrap the samples in a WAV container so the decoder sees a real upload
+  const wav = new WaveFile();
+  wav.fromScratch(1, sampleRate, '16', pcmSamples);
+  const testBuffer = Buffer.from(wav.toBuffer());
+  
   try {
     const results = await analyzeAudioProperties(testBuffer);
     console.log('Audio analysis results:', results);
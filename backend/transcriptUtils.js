@@ -0,0 +1,52 @@
+/**
+ * Helpers shared by the transcription providers and the transcript-based analyzers.
+ *
+ * A transcript is always `{ text, words, language }` where `words` is a list of
+ * `{ word, start, end }` (seconds). Providers that cannot return word timings
+ * give an empty `words` list; `language` is what the provider reports it heard,
+ * or null when it doesn't say.
+ */
+
+/**
+ * Lowercase a token and strip surrounding punctuation for matching.
+ * Combining marks count as part of the word (Devanagari vowel signs).
+ * @param {string} token - Raw word as returned by a provider
+ * @returns {string} Normalized word
+ */
+export function normalizeWord(token) {
+  return (token || '')
+    .toLowerCase()
+    .replace(/^[^\p{L}\p{M}\p{N}']+|[^\p{L}\p{M}\p{N}']+$/gu, '');
+}
+
+/**
+ * Split plain transcript text into words
+ * @param {string} text - Transcript text
+ * @returns {string[]} Words in order
+ */
+export function tokenizeTranscript(text) {
+  return (text || '').split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Build a transcript object, dropping empty or malformed word entries
+ * @param {string} text - Transcript text
+ * @param {Array<{word: string, start: number, end: number}>} [words] - Word timings in seconds
+ * @param {string} [language] - Language the provider reports, as it reports it
+ * @returns {{text: string, words: Array<{word: string, start: number, end: number}>, language: string|null}}
+ */
+export function createTranscript(text, words = [], language = null) {
+  const cleanWords = words
+    .map(entry => ({
+      word: (entry.word || '').trim(),
+      start: Number(entry.start),
+      end: Number(entry.end)
+    }))
+    .filter(entry => entry.word && Number.isFinite(entry.start) && Number.isFinite(entry.end));
+
+  return {
+    text: (text || '').trim(),
+    words: cleanWords,
+    language: typeof language === 'string' && language.trim() ? language.trim().toLowerCase() : null
+  };
+}
@@ -3,15 +3,20 @@ import React from 'react';
 import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
 import Homepage from './components/Homepage';
 import Dashboard from './components/Dashboard';
+import SharedRecording from './components/SharedRecording';
+import { I18nProvider } from './i18n';
 
 const App: React.FC = () => {
   return (
-    <Router>
-      <Routes>
-        <Route path="/" element={<Homepage />} />
-        <Route path="/dashboard" element={<Dashboard />} />
-      </Routes>
-    </Router>
+    <I18nProvider>
+      <Router>
+        <Routes>
+          <Route path="/" element={<Homepage />} />
+          <Route path="/dashboard" element={<Dashboard />} />
+          <Route path="/shared/:token" element={<SharedRecording />} />
+        </Routes>
+      </Router>
+    </I18nProvider>
   );
 };
 
@@ -0,0 +1,82 @@
+import React, { useState } from 'react';
+import { X } from 'lucide-react';
+import { login, register, type User } from '../utils/auth';
+import { useTranslation } from '../i18n';
+
+interface AuthDialogProps {
+  onSignedIn: (user: User) => void;
+  onClose: () => void;
+}
+
+const inputClassName = 'w-full px-3 py-2 border border-stone-300 rounded-lg text-sm text-slate-800 focus:outline-none focus:border-slate-500';
+
+const AuthDialog: React.FC<AuthDialogProps> = ({ onSignedIn, onClose }) => {
+  const [mode, setMode] = useState<'login' | 'register'>('login');
+  const [email, setEmail] = useState('');
+  const [name, setName] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState<string | null>(null);
+  const [submitting, setSubmitting] = useState(false);
+  const { t } = useTranslation();
+
+  const handleSubmit = async (event: React.FormEvent) => {
+    event.preventDefault();
+    setSubmitting(true);
+    setError(null);
+    try {
+      const user = mode === 'login' ? await login(email, password) : await register(email, name, password);
+      onSignedIn(user);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : t('auth.failed'));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 bg-slate-900/40 flex items-center justify-center p-4">
+      <div className="w-full max-w-sm bg-white rounded-2xl shadow-xl border border-stone-200 p-6 relative">
+        <button onClick={onClose} className="absolute top-4 right-4 text-slate-400 hover:text-slate-700" title={t('common.close')}>
+          <X size={18} />
+        </button>
+        <h3 className="text-2xl font-light text-slate-800 mb-1">{t(mode === 'login' ? 'auth.signIn' : 'auth.createAccount')}</h3>
+        <p className="text-sm text-slate-500 mb-5">{t('auth.intro')}</p>
+
+        <form onSubmit={handleSubmit} className="space-y-3">
+          <input type="email" value={email} onChange={e => setEmail(e.target.value)} placeholder={t('auth.email')} className={inputClassName} required autoFocus />
+          {mode === 'register' && (
+            <input value={name} onChange={e => setName(e.target.value)} placeholder={t('auth.name')} className={inputClassName} required />
+          )}
+          <input
+            type="password"
+            value={password}
+            onChange={e => setPassword(e.target.value)}
+            placeholder={t(mode === 'register' ? 'auth.newPassword' : 'auth.password')}
+            className={inputClassName}
+            required
+          />
+          {error && <p className="text-sm text-red-600">{error}</p>}
+          <button
+            type="submit"
+            disabled={submitting}
+            className="w-full px-4 py-2 bg-slate-700 text-white rounded-lg font-medium hover:bg-slate-800 transition-colors duration-200 disabled:bg-stone-300"
+          >
+            {t(submitting ? 'auth.wait' : mode === 'login' ? 'auth.signIn' : 'auth.createAccount')}
+          </button>
+        </form>
+
+        <button
+          onClick={() => {
+            setMode(mode === 'login' ? 'register' : 'login');
+            setError(null);
+          }}
+          className="mt-4 text-sm text-slate-600 hover:text-slate-800 underline"
+        >
+          {t(mode === 'login' ? 'auth.toRegister' : 'auth.toLogin')}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default AuthDialog;
@@ -0,0 +1,278 @@
+import React, { useEffect, useState } from 'react';
+import { MessageSquare, ThumbsDown, ThumbsUp, Trash2, X } from 'lucide-react';
+import { formatTimestamp } from '../utils/format';
+import { getCriterionName } from '../utils/resultCriteria';
+import { useTranslation } from '../i18n';
+import {
+  getFeedbackItems,
+  type CoachReview,
+  type FeedbackVote,
+  type ReviewComment,
+  type ReviewInput,
+  type ReviewSummary
+} from '../utils/coachReviews';
+import type { EvaluationResultData } from '../types/evaluation';
+
+interface CoachReviewPanelProps {
+  result: EvaluationResultData;
+  reviews: CoachReview[];
+  summary: ReviewSummary;
+  userId: string;
+  // Playback position, new comments are pinned to it
+  currentTime: number;
+  onSeek?: (seconds: number) => void;
+  onSave: (review: ReviewInput) => Promise<void>;
+  onDelete: () => Promise<void>;
+}
+
+const EMPTY_REVIEW: ReviewInput = { scores: {}, votes: {}, comments: [], summary: '' };
+
+const inputClassName = 'px-2 py-1.5 border border-stone-300 rounded-lg text-sm text-slate-800 bg-white focus:outline-none focus:border-slate-500';
+
+const CommentList: React.FC<{ comments: ReviewComment[]; onSeek?: (seconds: number) => void; onRemove?: (index: number) => void }> = ({ comments, onSeek, onRemove }) => {
+  const { t } = useTranslation();
+  return (
+    <ul className="space-y-1">
+      {comments.map((comment, index) => (
+        <li key={comment.id || index} className="flex items-start gap-2 text-sm text-slate-700">
+          <button
+            onClick={() => onSeek?.(comment.time)}
+            disabled={!onSeek}
+            className="shrink-0 px-1.5 py-0.5 rounded bg-stone-100 text-xs font-mono text-slate-600 hover:bg-stone-200 disabled:hover:bg-stone-100"
+            title={t('script.jump')}
+          >
+            {formatTimestamp(comment.time)}
+          </button>
+          <span className="flex-1">{comment.text}</span>
+          {onRemove && (
+            <button onClick={() => onRemove(index)} className="text-slate-400 hover:text-red-600" title={t('coach.removeComment')}>
+              <X size={14} />
+            </button>
+          )}
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+const CoachReviewPanel: React.FC<CoachReviewPanelProps> = ({ result, reviews, summary, userId, currentTime, onSeek, onSave, onDelete }) => {
+  const myReview = reviews.find(review => review.reviewer.id === userId);
+  const otherReviews = reviews.filter(review => review !== myReview);
+  const [draft, setDraft] = useState<ReviewInput>(myReview || EMPTY_REVIEW);
+  const [commentText, setCommentText] = useState('');
+  const [saving, setSaving] = useState(false);
+  const { t, locale, formatDate } = useTranslation();
+  const feedbackItems = getFeedbackItems(result);
+
+  useEffect(() => {
+    setDraft(myReview || EMPTY_REVIEW);
+  }, [myReview?.updatedAt]);
+
+  const setScore = (key: string, value: string) => {
+    setDraft(current => {
+      const scores = { ...current.scores };
+      if (value === '') delete scores[key];
+      else scores[key] = Number(value);
+      return { ...current, scores };
+    });
+  };
+
+  const toggleVote = (id: string, vote: FeedbackVote) => {
+    setDraft(current => {
+      const votes = { ...current.votes };
+      if (votes[id] === vote) delete votes[id];
+      else votes[id] = vote;
+      return { ...current, votes };
+    });
+  };
+
+  const addComment = (event: React.FormEvent) => {
+    event.preventDefault();
+    if (!commentText.trim()) return;
+    const time = Math.round(currentTime * 10) / 10;
+    setDraft(current => ({
+      ...current,
+      comments: [...current.comments, { time, text: commentText.trim() }].sort((a, b) => a.time - b.time)
+    }));
+    setCommentText('');
+  };
+
+  const removeComment = (index: number) => {
+    setDraft(current => ({ ...current, comments: current.comments.filter((_, i) => i !== index) }));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      await onSave(draft);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!confirm(t('coach.confirmDelete'))) return;
+    setSaving(true);
+    try {
+      await onDelete();
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="space-y-8">
+      <section>
+        <h5 className="font-semibold text-slate-700 mb-3">{t('coach.yourScores')}</h5>
+        <div className="grid sm:grid-cols-2 gap-x-6 gap-y-2">
+          {summary.criteria.map(criterion => (
+            <label key={criterion.key} className="flex items-center justify-between gap-3 text-sm text-slate-700">
+              <span className="flex-1">{getCriterionName(criterion, locale)}</span>
+              <span className="text-xs text-slate-400" title={t('result.aiScoreHint')}>
+                {t('result.ai')} {criterion.aiScore ?? '-'}/{criterion.max}
+              </span>
+              <input
+                type="number"
+                min={0}
+                max={criterion.max}
+                step={0.5}
+                value={draft.scores[criterion.key] ?? ''}
+                onChange={e => setScore(criterion.key, e.target.value)}
+                placeholder="-"
+                className={`${inputClassName} w-16 text-right`}
+              />
+            </label>
+          ))}
+        </div>
+        <p className="mt-2 text-xs text-slate-500">{t('coach.keepAiScore')}</p>
+      </section>
+
+      <section>
+        <h5 className="font-semibold text-slate-700 mb-3 flex items-center gap-2">
+          <MessageSquare size={16} /> {t('coach.comments')}
+        </h5>
+        {draft.comments.length > 0 && (
+          <div className="mb-3">
+            <CommentList comments={draft.comments} onSeek={onSeek} onRemove={removeComment} />
+          </div>
+        )}
+        <form onSubmit={addComment} className="flex gap-2">
+          <span className="shrink-0 self-center px-1.5 py-0.5 rounded bg-amber-100 text-xs font-mono text-amber-800" title={t('coach.pinnedHint')}>
+            {formatTimestamp(currentTime)}
+          </span>
+          <input
+            value={commentText}
+            onChange={e => setCommentText(e.target.value)}
+            placeholder={t('coach.commentPlaceholder')}
+            className={`${inputClassName} flex-1 min-w-0`}
+          />
+          <button type="submit" className="px-3 py-1.5 bg-slate-700 text-white rounded-lg text-sm hover:bg-slate-800">{t('coach.add')}</button>
+        </form>
+      </section>
+
+      {feedbackItems.length > 0 && (
+        <section>
+          <h5 className="font-semibold text-slate-700 mb-3">{t('coach.agreeQuestion')}</h5>
+          <ul className="space-y-2">
+            {feedbackItems.map(item => {
+              const counts = summary.feedback[item.id];
+              return (
+                <li key={item.id} className="flex items-start gap-3 bg-stone-50 border border-stone-200 rounded-lg p-3">
+                  <div className="flex-1 text-sm text-slate-700">
+                    <span className="text-xs font-medium text-slate-500 block">
+                      {item.label}
+                      {item.time !== undefined && (
+                        <button onClick={() => onSeek?.(item.time as number)} className="ml-1 font-mono hover:text-slate-700">
+                          {formatTimestamp(item.time)}
+                        </button>
+                      )}
+                    </span>
+                    {item.text}
+                    {counts && (
+                      <span className="block mt-1 text-xs text-slate-400">
+                        {t('coach.votes', { agree: counts.agree, disagree: counts.disagree })}
+                      </span>
+                    )}
+                  </div>
+                  <div className="flex gap-1 shrink-0">
+                    <button
+                      onClick={() => toggleVote(item.id, 'agree')}
+                      className={`p-1.5 rounded-lg ${draft.votes[item.id] === 'agree' ? 'bg-emerald-100 text-emerald-700' : 'text-slate-400 hover:bg-stone-100'}`}
+                      title={t('coach.agree')}
+                    >
+                      <ThumbsUp size={14} />
+                    </button>
+                    <button
+                      onClick={() => toggleVote(item.id, 'disagree')}
+                      className={`p-1.5 rounded-lg ${draft.votes[item.id] === 'disagree' ? 'bg-red-100 text-red-700' : 'text-slate-400 hover:bg-stone-100'}`}
+                      title={t('coach.disagree')}
+                    >
+                      <ThumbsDown size={14} />
+                    </button>
+                  </div>
+                </li>
+              );
+            })}
+          </ul>
+        </section>
+      )}
+
+      <section>
+        <h5 className="font-semibold text-slate-700 mb-3">{t('coach.summary')}</h5>
+        <textarea
+          value={draft.summary}
+          onChange={e => setDraft(current => ({ ...current, summary: e.target.value }))}
+          rows={3}
+          placeholder={t('coach.summaryPlaceholder')}
+          className={`${inputClassName} w-full`}
+        />
+        <div className="flex gap-2 mt-3">
+          <button
+            onClick={handleSave}
+            disabled={saving}
+            className="px-4 py-2 bg-slate-700 text-white rounded-lg text-sm font-medium hover:bg-slate-800 disabled:bg-stone-300"
+          >
+            {t(saving ? 'coach.saving' : myReview ? 'coach.update' : 'coach.save')}
+          </button>
+          {myReview && (
+            <button
+              onClick={handleDelete}
+              disabled={saving}
+              className="px-3 py-2 text-red-600 rounded-lg text-sm hover:bg-red-50 flex items-center gap-1"
+            >
+              <Trash2 size={14} /> {t('coach.delete')}
+            </button>
+          )}
+        </div>
+      </section>
+
+      {otherReviews.length > 0 && (
+        <section>
+          <h5 className="font-semibold text-slate-700 mb-3">{t('coach.others')}</h5>
+          <div className="space-y-4">
+            {otherReviews.map(review => (
+              <div key={review.reviewer.id} className="border border-stone-200 rounded-lg p-4">
+                <div className="flex items-center justify-between mb-2">
+                  <span className="font-medium text-slate-800">{review.reviewer.name}</span>
+                  <span className="text-xs text-slate-400">{formatDate(review.updatedAt, { dateStyle: 'medium' })}</span>
+                </div>
+                {review.summary && <p className="text-sm text-slate-700 mb-2">{review.summary}</p>}
+                {Object.keys(review.scores).length > 0 && (
+                  <p className="text-xs text-slate-500 mb-2">
+                    {summary.criteria
+                      .filter(criterion => review.scores[criterion.key] !== undefined)
+                      .map(criterion => `${getCriterionName(criterion, locale)} ${review.scores[criterion.key]}/${criterion.max}`)
+                      .join(' · ')}
+                  </p>
+                )}
+                <CommentList comments={review.comments} onSeek={onSeek} />
+              </div>
+            ))}
+          </div>
+        </section>
+      )}
+    </div>
+  );
+};
+
+export default CoachReviewPanel;
@@ -0,0 +1,143 @@
+import React, { useMemo } from 'react';
+import { ArrowDown, ArrowUp, Check, CircleDot, HelpCircle, Minus, X } from 'lucide-react';
+import type { TrendRecord } from '../utils/trends';
+import { checkImprovements, compareMetrics, diffWords, type ImprovementStatus } from '../utils/comparison';
+import { useTranslation, type MessageKey } from '../i18n';
+
+interface ComparisonViewProps {
+  records: [TrendRecord, TrendRecord];
+  onClose: () => void;
+}
+
+const DATE_FORMAT: Intl.DateTimeFormatOptions = { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' };
+
+const statusStyles: Record<ImprovementStatus, { label: MessageKey; className: string; icon: React.ReactNode }> = {
+  resolved: { label: 'comparison.status.resolved', className: 'bg-emerald-50 border-emerald-200 text-emerald-700', icon: <Check size={12} /> },
+  open: { label: 'comparison.status.open', className: 'bg-amber-50 border-amber-200 text-amber-700', icon: <CircleDot size={12} /> },
+  unclear: { label: 'comparison.status.unclear', className: 'bg-stone-50 border-stone-200 text-slate-500', icon: <HelpCircle size={12} /> }
+};
+
+const ComparisonView: React.FC<ComparisonViewProps> = ({ records, onClose }) => {
+  const { t, locale, formatDate } = useTranslation();
+  // Always compare the older take against the newer one
+  const [before, after] = [...records].sort((a, b) => a.timestamp - b.timestamp);
+  // Metric labels are translated, so they follow the interface language
+  const metrics = useMemo(() => compareMetrics(before, after), [before, after, locale]);
+  const diff = useMemo(
+    () => diffWords(before.result?.transcription || '', after.result?.transcription || ''),
+    [before, after]
+  );
+  const improvements = useMemo(() => checkImprovements(before, after), [before, after, locale]);
+  const resolvedCount = improvements.filter(check => check.status === 'resolved').length;
+
+  return (
+    <div className="w-full relative">
+      <button
+        onClick={onClose}
+        className="absolute top-0 right-0 p-2 rounded-full bg-stone-100 hover:bg-stone-200 text-slate-600"
+        title={t('comparison.close')}
+      >
+        <X size={18} />
+      </button>
+
+      <h3 className="text-3xl font-light text-slate-800 mb-6 text-center">{t('comparison.title')}</h3>
+      <div className="grid grid-cols-2 gap-4 mb-8">
+        {[before, after].map((record, index) => (
+          <div key={record.id} className="rounded-xl border border-stone-200 bg-gradient-to-br from-slate-50 to-stone-100 p-4">
+            <span className="text-xs font-semibold uppercase tracking-wide text-slate-500">{t(index === 0 ? 'comparison.before' : 'comparison.after')}</span>
+            <p className="font-medium text-slate-800 truncate">{record.name}</p>
+            <p className="text-xs text-slate-500">{formatDate(record.timestamp, DATE_FORMAT)}</p>
+          </div>
+        ))}
+      </div>
+
+      {/* Metric deltas */}
+      <div className="bg-gradient-to-br from-white to-stone-50 rounded-2xl p-6 shadow-sm border border-stone-100 mb-8">
+        <h4 className="text-xl font-medium text-slate-700 mb-4">{t('comparison.metrics')}</h4>
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-slate-500 border-b border-stone-200">
+              <th className="py-2 font-medium">{t('comparison.metric')}</th>
+              <th className="py-2 font-medium text-right">{t('comparison.before')}</th>
+              <th className="py-2 font-medium text-right">{t('comparison.after')}</th>
+              <th className="py-2 font-medium text-right">{t('comparison.change')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {metrics.map(metric => (
+              <tr key={metric.key} className="border-b border-stone-100">
+                <td className="py-2 text-slate-700">{metric.label}</td>
+                <td className="py-2 text-right text-slate-500">{metric.before ?? '–'}</td>
+                <td className="py-2 text-right text-slate-800 font-medium">{metric.after ?? '–'}</td>
+                <td className="py-2">
+                  {metric.delta === null ? (
+                    <span className="flex justify-end text-slate-400">–</span>
+                  ) : (
+                    <span className={`flex items-center justify-end gap-1 font-medium ${
+                      metric.delta > 0 ? 'text-emerald-600' : metric.delta < 0 ? 'text-red-600' : 'text-slate-400'
+                    }`}>
+                      {metric.delta > 0 ? <ArrowUp size={14} /> : metric.delta < 0 ? <ArrowDown size={14} /> : <Minus size={14} />}
+                      {metric.delta > 0 ? '+' : ''}{metric.delta}
+                    </span>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {/* Improvements from the older take */}
+      {improvements.length > 0 && (
+        <div className="bg-gradient-to-br from-white to-stone-50 rounded-2xl p-6 shadow-sm border border-stone-100 mb-8">
+          <h4 className="text-xl font-medium text-slate-700 mb-1">{t('comparison.improvements')}</h4>
+          <p className="text-sm text-slate-500 mb-4">
+            {t('comparison.resolvedCount', { resolved: resolvedCount, count: improvements.length })}
+          </p>
+          <ul className="space-y-2">
+            {improvements.map((check, index) => (
+              <li key={`${check.criterion}-${index}`} className="flex items-start justify-between gap-3 text-sm">
+                <span className="text-slate-700">
+                  <span className="text-slate-400">{check.label}: </span>
+                  {check.improvement}
+                </span>
+                <span className={`shrink-0 flex items-center gap-1 px-2 py-0.5 border rounded-lg text-xs ${statusStyles[check.status].className}`}>
+                  {statusStyles[check.status].icon}
+                  {t(statusStyles[check.status].label)}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {/* Transcript diff */}
+      <div className="bg-gradient-to-br from-white to-stone-50 rounded-2xl p-6 shadow-sm border border-stone-100">
+        <h4 className="text-xl font-medium text-slate-700 mb-4">{t('comparison.transcriptChanges')}</h4>
+        {diff.length === 0 ? (
+          <p className="text-sm text-slate-500">{t('comparison.noTranscripts')}</p>
+        ) : (
+          <p className="text-sm leading-relaxed text-slate-700">
+            {diff.map((token, index) => (
+              <React.Fragment key={index}>
+                <span
+                  className={
+                    token.type === 'added'
+                      ? 'bg-emerald-100 text-emerald-800 rounded px-0.5'
+                      : token.type === 'removed'
+                        ? 'bg-red-100 text-red-700 line-through rounded px-0.5'
+                        : ''
+                  }
+                >
+                  {token.word}
+                </span>{' '}
+              </React.Fragment>
+            ))}
+          </p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ComparisonView;
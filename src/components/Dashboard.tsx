@@ -1,35 +1,54 @@
 
-import React, { useEffect, useState } from 'react';
+import React, { useEffect, useMemo, useRef, useState } from 'react';
 import { useLocation } from 'react-router-dom';
-import { Play, Pause, BarChart3, Plus, Mic, Loader2 } from 'lucide-react';
+import { Play, Pause, BarChart3, Plus, Mic, Loader2, TrendingUp, GitCompare, Archive, ArchiveRestore, Search, Pencil, Folder, RefreshCw, Users, LogIn, LogOut, CornerDownRight, ArrowLeft } from 'lucide-react';
 import EvaluationResult from './EvaluationResult'; 
+import EvaluationProgress from './EvaluationProgress';
+import TrendsView from './TrendsView';
+import ComparisonView from './ComparisonView';
+import RecordingDetailsForm, { type RecordingDetails } from './RecordingDetailsForm';
+import AuthDialog from './AuthDialog';
+import ShareDialog from './ShareDialog';
+import WorkspacesView from './WorkspacesView';
+import InvestorQAPanel from './InvestorQAPanel';
+import LanguageSwitcher from './LanguageSwitcher';
 import { useNavigate } from 'react-router-dom';
 import { audioStorage } from '../utils/audioStorage';
+import { watchEvaluationJob, type EvaluationJob } from '../utils/evaluationJobs';
+import { exportLibrary, importLibrary, summarizeImport } from '../utils/libraryBackup';
+import { syncRecordings, type SyncReport } from '../utils/recordingSync';
+import { fetchSession, logout, type User } from '../utils/auth';
+import { getParentId } from '../utils/investorQA';
+import { useTranslation, type MessageKey } from '../i18n';
+import type { EvaluationResultData } from '../types/evaluation';
 
 // Assuming you have a component to display evaluation results
 interface DashboardAudioRecord {
   id: string;
   name: string;
   url: string;
-  result?: string;
+  timestamp: number;
+  result?: EvaluationResultData;
   overallScore?: number;
+  jobId?: string;
+  notes: string;
+  tags: string[];
+  project: string;
+  // Set on answers recorded in investor Q&A practice
+  parentId: string | null;
 }
 
+type SortOrder = 'newest' | 'oldest' | 'highest' | 'lowest';
+
+const SORT_OPTIONS: { value: SortOrder; label: MessageKey }[] = [
+  { value: 'newest', label: 'dashboard.sort.newest' },
+  { value: 'oldest', label: 'dashboard.sort.oldest' },
+  { value: 'highest', label: 'dashboard.sort.highest' },
+  { value: 'lowest', label: 'dashboard.sort.lowest' }
+];
+
 interface AudioEvaluationResult {
-  result: {
-    delivery: {
-      pace: number;
-      tone: number;
-      clarity: number;
-      confidence: number;
-      enthusiasm: number;
-    };
-    engagement: {
-      storytelling: number;
-      audienceConnection: number;
-      persuasiveness: number;
-    };
-  };
+  result: EvaluationResultData;
   overallScore: number;
 }
 
@@ -37,6 +56,9 @@ const Dashboard: React.FC = () => {
   const [audioList, setAudioList] = useState<DashboardAudioRecord[]>([]);
   const [selectedAudio, setSelectedAudio] = useState<DashboardAudioRecord | null>(null);
   const [showResult, setShowResult] = useState(false);
+  const [showTrends, setShowTrends] = useState(false);
+  const [compareIds, setCompareIds] = useState<string[]>([]);
+  const [showComparison, setShowComparison] = useState(false);
   const [loadingResult, setLoadingResult] = useState(false);
   const [firstTimeLoading, setFirstTimeLoading] = useState(true);
   const [evaluationResult, setEvaluationResult] = useState<AudioEvaluationResult['result'] | null>(null);
@@ -44,82 +66,183 @@ const Dashboard: React.FC = () => {
   const [isProcessingNewAudio, setIsProcessingNewAudio] = useState(false);
   const [currentlyPlayingId, setCurrentlyPlayingId] = useState<string | null>(null);
   const [currentAudioElement, setCurrentAudioElement] = useState<HTMLAudioElement | null>(null);
+  const [jobProgress, setJobProgress] = useState<EvaluationJob | null>(null);
+  const [jobError, setJobError] = useState<string | null>(null);
+  const [backingUp, setBackingUp] = useState(false);
+  const [restoring, setRestoring] = useState(false);
+  const restoreInputRef = useRef<HTMLInputElement | null>(null);
+  const [searchQuery, setSearchQuery] = useState('');
+  const [tagFilter, setTagFilter] = useState<string[]>([]);
+  const [projectFilter, setProjectFilter] = useState('');
+  const [sortOrder, setSortOrder] = useState<SortOrder>('newest');
+  // null while no search or filter is active
+  const [matchingIds, setMatchingIds] = useState<Set<string> | null>(null);
+  const [editingId, setEditingId] = useState<string | null>(null);
+  const [accountsEnabled, setAccountsEnabled] = useState(false);
+  const [user, setUser] = useState<User | null>(null);
+  const [showAuthDialog, setShowAuthDialog] = useState(false);
+  const [showWorkspaces, setShowWorkspaces] = useState(false);
+  const [sharingId, setSharingId] = useState<string | null>(null);
+  const [syncing, setSyncing] = useState(false);
+  const stopWatchingJobRef = useRef<(() => void) | null>(null);
+  // Q&A answers evaluating in the background, by recording id
+  const answerWatchersRef = useRef(new Map<string, () => void>());
   const location = useLocation();
   const newAudioId = location.state?.newAudioId || null;
   const navigate = useNavigate();
+  const { t } = useTranslation();
+
+  const fetchAudioList = async () => {
+    try {
+     const records = await audioStorage.getAllAudio();
+     console.log("Fetched audio records:", records);
+     const audioList = records.map(record => ({
+      id: record.id,
+      name: record.name,
+      url: audioStorage.createAudioUrl(record.audioBlob),
+      timestamp: record.timestamp,
+      result: record.result,
+      overallScore: record.overallScore,
+      jobId: record.jobId,
+      notes: record.notes || '',
+      tags: record.tags || [],
+      project: record.project || '',
+      parentId: getParentId(record)
+    }));
+      setAudioList(audioList);
+    } catch (error) {
+      console.error('Error fetching audio list:', error);
+      alert(error instanceof Error ? error.message : t('dashboard.loadFailed'));
+    }
+  };
 
-  // Simulate fetching audio list from backend
   useEffect(() => {
-    // Replace with real backend call
-    
-    const fetchAudioList = async () => {
-      try {
-       const records = await audioStorage.getAllAudio();
-       console.log("Fetched audio records:", records);
-       const audioList = records.map(record => ({
-        id: record.id,
-        name: record.name,
-        url: audioStorage.createAudioUrl(record.audioBlob),
-        result: record.result,
-        overallScore: record.overallScore
-      }));
-        setAudioList(audioList);
-      } catch (error) {
-        console.error('Error fetching audio list:', error);
-      }
-    };
     fetchAudioList();
   }, []);
 
-   useEffect(() => {
-    console.log("hey i am firsttimeloading", firstTimeLoading);
-    if (newAudioId && audioList.length > 0 && firstTimeLoading) {
-    const matched = audioList.find(audio => audio.id === newAudioId);
-    if (matched) {
-      setSelectedAudio(matched);
-      setShowResult(true);
-      setIsProcessingNewAudio(true); // Start processing
-      setLoadingResult(true);
-
-      // Simulate waiting for backend (e.g., 1 minute or until backend responds)
-      const timer = setTimeout(async () => {
-        const record2 = await audioStorage.getAudio(newAudioId);
-        if(record2 && record2.result) {
-          console.log("Fetched evaluation result for new audio:", record2.result);
-          setEvaluationResult(record2.result);
-          setOverallScore(record2.overallScore || null);
+  // Pull the account's history in when the backend keeps a recording store and we're signed in
+  useEffect(() => {
+    fetchSession().then(session => {
+      setAccountsEnabled(session.enabled);
+      setUser(session.user);
+      if (session.user) handleSync(false);
+    });
+  }, []);
+
+  // Stop following any evaluation job when leaving the dashboard
+  useEffect(() => () => {
+    stopWatchingJobRef.current?.();
+    answerWatchersRef.current.forEach(stop => stop());
+  }, []);
+
+  // Follow a running evaluation job and show its result as soon as it lands
+  const trackEvaluationJob = (audioId: string, jobId: string) => {
+    stopWatchingJobRef.current?.();
+    setIsProcessingNewAudio(true);
+    setLoadingResult(true);
+    setJobProgress(null);
+    setJobError(null);
+
+    stopWatchingJobRef.current = watchEvaluationJob(
+      jobId,
+      async (job) => {
+        setJobProgress(job);
+        if (job.status === 'done') {
+          await audioStorage.updateAudio(audioId, {
+            result: job.result,
+            overallScore: job.overallScore ?? undefined,
+            jobId: undefined
+          });
+          setAudioList(list => list.map(audio => audio.id === audioId
+            ? { ...audio, result: job.result, overallScore: job.overallScore ?? undefined, jobId: undefined }
+            : audio
+          ));
+          setEvaluationResult(job.result);
+          setOverallScore(job.overallScore);
           setLoadingResult(false);
           setIsProcessingNewAudio(false);
-          setFirstTimeLoading(false);
         }
-        
-     
-      }, 7000); // Change 3000 to 60000 for 1 minute
+      },
+      (message) => setJobError(message)
+    );
+  };
+
+  // Evaluate a Q&A answer without leaving its pitch; the answer list fills in when it lands
+  const watchAnswerJob = (audioId: string, jobId: string) => {
+    const stop = watchEvaluationJob(
+      jobId,
+      async (job) => {
+        if (job.status !== 'done' && job.status !== 'failed') return;
+        answerWatchersRef.current.delete(audioId);
+        const updates = job.status === 'done'
+          ? { result: job.result, overallScore: job.overallScore ?? undefined, jobId: undefined }
+          : { jobId: undefined };
+        await audioStorage.updateAudio(audioId, updates);
+        setAudioList(list => list.map(audio => audio.id === audioId ? { ...audio, ...updates } : audio));
+        if (job.status === 'failed') alert(t('dashboard.answerFailed', { error: job.error || t('common.unknownError') }));
+      },
+      (message) => {
+        answerWatchersRef.current.delete(audioId);
+        console.error('Error following answer evaluation:', message);
+      }
+    );
+    answerWatchersRef.current.set(audioId, stop);
+  };
+
+  const handleAnswerSubmitted = async (audioId: string, jobId: string) => {
+    await fetchAudioList();
+    watchAnswerJob(audioId, jobId);
+  };
+
+  // The shown result gained questions or a rewrite, already saved to storage
+  const handleResultChange = (audioId: string, result: EvaluationResultData) => {
+    setEvaluationResult(result);
+    setAudioList(list => list.map(audio => audio.id === audioId ? { ...audio, result } : audio));
+  };
 
-      return () => clearTimeout(timer);
+  useEffect(() => {
+    if (newAudioId && audioList.length > 0 && firstTimeLoading) {
+      const matched = audioList.find(audio => audio.id === newAudioId);
+      setFirstTimeLoading(false);
+      if (matched) {
+        setSelectedAudio(matched);
+        setShowResult(true);
+        if (matched.jobId) {
+          trackEvaluationJob(matched.id, matched.jobId);
+        } else {
+          handleShowResult(matched);
+        }
+      }
     }
-  }
-}, [newAudioId, audioList, firstTimeLoading]);
+  }, [newAudioId, audioList, firstTimeLoading]);
 
   const handleShowResult = async(audio: DashboardAudioRecord) => {
+    stopWatchingJobRef.current?.();
+    stopWatchingJobRef.current = null;
     setSelectedAudio(audio);
     setShowResult(true);
+    setShowTrends(false);
+    setShowComparison(false);
+    setShowWorkspaces(false);
     setLoadingResult(true);
     setIsProcessingNewAudio(false); // Not a new audio
+    setEvaluationResult(null);
+    setOverallScore(null);
 
     try {
       const record = await audioStorage.getAudio(audio.id);  
-      console.log("hdiuofhds",record?.result)
-     setLoadingResult(false);
       if (record?.result) {
-      setEvaluationResult(record.result);
-      setOverallScore(record.overallScore || null);
-    } 
-}catch (error) {
-    console.error('Error loading result:', error);
-  } finally {
+        setEvaluationResult(record.result);
+        setOverallScore(record.overallScore || null);
+      } else if (record?.jobId) {
+        // Evaluation still running (or interrupted): pick the job back up
+        trackEvaluationJob(record.id, record.jobId);
+        return;
+      }
+    } catch (error) {
+      console.error('Error loading result:', error);
+    }
     setLoadingResult(false);
-  }
   };
 
   const handlePlayAudio = (audio: DashboardAudioRecord) => {
@@ -151,6 +274,155 @@ const Dashboard: React.FC = () => {
     });
   };
 
+  // Keep the two most recently picked recordings for comparison
+  const toggleCompare = (audioId: string) => {
+    setCompareIds(ids => ids.includes(audioId)
+      ? ids.filter(id => id !== audioId)
+      : [...ids, audioId].slice(-2)
+    );
+  };
+
+  const comparedRecords = audioList.filter(audio => compareIds.includes(audio.id));
+
+  const allTags = useMemo(() => [...new Set(audioList.flatMap(audio => audio.tags))].sort(), [audioList]);
+  const allProjects = useMemo(
+    () => [...new Set(audioList.map(audio => audio.project).filter(Boolean))].sort(),
+    [audioList]
+  );
+
+  // Search and filters run against the IndexedDB indexes; re-run after edits change the list
+  useEffect(() => {
+    if (!searchQuery.trim() && tagFilter.length === 0 && !projectFilter) {
+      setMatchingIds(null);
+      return;
+    }
+    let cancelled = false;
+    audioStorage.findAudioIds({ query: searchQuery, tags: tagFilter, project: projectFilter })
+      .then(ids => {
+        if (!cancelled) setMatchingIds(new Set(ids));
+      })
+      .catch(error => console.error('Error searching recordings:', error));
+    return () => {
+      cancelled = true;
+    };
+  }, [searchQuery, tagFilter, projectFilter, audioList]);
+
+  const visibleList = useMemo(() => {
+    const score = (audio: DashboardAudioRecord) => audio.overallScore ?? -1;
+    const compare: Record<SortOrder, (a: DashboardAudioRecord, b: DashboardAudioRecord) => number> = {
+      newest: (a, b) => b.timestamp - a.timestamp,
+      oldest: (a, b) => a.timestamp - b.timestamp,
+      highest: (a, b) => score(b) - score(a) || b.timestamp - a.timestamp,
+      lowest: (a, b) => score(a) - score(b) || b.timestamp - a.timestamp
+    };
+    const ids = new Set(audioList.map(audio => audio.id));
+    // Answers are listed under their pitch, unless the pitch is gone
+    return audioList
+      .filter(audio => !audio.parentId || !ids.has(audio.parentId))
+      .filter(audio => !matchingIds || matchingIds.has(audio.id))
+      .sort(compare[sortOrder]);
+  }, [audioList, matchingIds, sortOrder]);
+
+  const answersByPitch = useMemo(() => {
+    const grouped = new Map<string, DashboardAudioRecord[]>();
+    for (const audio of [...audioList].sort((a, b) => a.timestamp - b.timestamp)) {
+      if (audio.parentId) grouped.set(audio.parentId, [...(grouped.get(audio.parentId) || []), audio]);
+    }
+    return grouped;
+  }, [audioList]);
+
+  const selectedParent = selectedAudio?.parentId ? audioList.find(audio => audio.id === selectedAudio.parentId) : undefined;
+
+  const toggleTagFilter = (tag: string) => {
+    setTagFilter(tags => tags.includes(tag) ? tags.filter(entry => entry !== tag) : [...tags, tag]);
+  };
+
+  const handleSaveDetails = async (audioId: string, details: RecordingDetails) => {
+    try {
+      await audioStorage.updateAudio(audioId, details);
+      setAudioList(list => list.map(audio => audio.id === audioId ? { ...audio, ...details } : audio));
+      setSelectedAudio(selected => selected?.id === audioId ? { ...selected, ...details } : selected);
+      setEditingId(null);
+    } catch (error) {
+      console.error('Error saving recording details:', error);
+      alert(t('dashboard.saveDetailsFailed'));
+    }
+  };
+
+  const describeSync = (report: SyncReport) => {
+    const lines = [t('dashboard.syncSummary', {
+      uploaded: report.uploaded,
+      downloaded: report.downloaded,
+      updatedRemote: report.updatedRemote,
+      updatedLocal: report.updatedLocal
+    })];
+    if (report.failed.length > 0) {
+      lines.push('', t('dashboard.syncFailures', { count: report.failed.length }), ...report.failed.map(failure => `- ${failure.name}: ${failure.error}`));
+    }
+    return lines.join('\n');
+  };
+
+  const handleSync = async (showSummary = true) => {
+    setSyncing(true);
+    try {
+      const report = await syncRecordings();
+      if (report.downloaded > 0 || report.updatedLocal > 0) await fetchAudioList();
+      if (showSummary || report.failed.length > 0) alert(describeSync(report));
+    } catch (error) {
+      console.error('Error syncing recordings:', error);
+      if (showSummary) alert(t('dashboard.syncFailed'));
+    } finally {
+      setSyncing(false);
+    }
+  };
+
+  const handleSignedIn = (signedIn: User) => {
+    setUser(signedIn);
+    setShowAuthDialog(false);
+    handleSync(false);
+  };
+
+  const handleSignOut = async () => {
+    try {
+      await logout();
+    } catch (error) {
+      console.error('Error signing out:', error);
+    }
+    setUser(null);
+    setShowWorkspaces(false);
+  };
+
+  const handleBackup = async () => {
+    setBackingUp(true);
+    try {
+      const count = await exportLibrary();
+      if (count === 0) alert(t('dashboard.backupEmpty'));
+    } catch (error) {
+      console.error('Error backing up library:', error);
+      alert(t('dashboard.backupFailed'));
+    } finally {
+      setBackingUp(false);
+    }
+  };
+
+  const handleRestore = async (event: React.ChangeEvent<HTMLInputElement>) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    setRestoring(true);
+    try {
+      const report = await importLibrary(file);
+      await fetchAudioList();
+      alert(summarizeImport(report));
+    } catch (error) {
+      console.error('Error restoring library:', error);
+      alert(error instanceof Error ? error.message : t('dashboard.restoreFailed'));
+    } finally {
+      setRestoring(false);
+    }
+  };
+
   const handleTakeRecordingAgain = () => {
     // Placeholder for navigation or UI to record/upload again
     navigate("/");
@@ -160,15 +432,123 @@ const Dashboard: React.FC = () => {
     <div className="min-h-screen flex flex-col lg:flex-row bg-gradient-to-br from-slate-50 to-stone-100">
       {/* Left: Audio List */}
       <div className="w-full lg:w-1/3 lg:max-w-sm bg-white border-b lg:border-r lg:border-b-0 border-stone-200 p-4 lg:p-6 flex flex-col shadow-lg">
-        <h2 className="text-xl lg:text-2xl font-bold mb-4 lg:mb-6 text-slate-800">Your Recordings</h2>
+        <div className="flex items-center justify-between mb-4 lg:mb-6">
+          <h2 className="text-xl lg:text-2xl font-bold text-slate-800">{t('dashboard.title')}</h2>
+          {compareIds.length > 0 && (
+            <button
+              className="px-3 py-1.5 bg-slate-700 text-white rounded-lg text-xs lg:text-sm font-medium hover:bg-slate-800 transition-colors duration-200 flex items-center gap-1 disabled:bg-stone-300 disabled:cursor-not-allowed"
+              disabled={comparedRecords.length < 2}
+              onClick={() => {
+                setShowComparison(true);
+                setShowTrends(false);
+                setShowWorkspaces(false);
+              }}
+              title={comparedRecords.length < 2 ? t('dashboard.comparePickOne') : t('dashboard.compareHint')}
+            >
+              <GitCompare size={14} />
+              {t('dashboard.compare', { selected: compareIds.length })}
+            </button>
+          )}
+        </div>
+        <div className="space-y-2 mb-4">
+          <div className="relative">
+            <Search size={14} className="absolute left-3 top-1/2 -translate-y-1/2 text-slate-400" />
+            <input
+              value={searchQuery}
+              onChange={e => setSearchQuery(e.target.value)}
+              placeholder={t('dashboard.search')}
+              className="w-full pl-8 pr-3 py-2 border border-stone-300 rounded-lg text-sm text-slate-800 focus:outline-none focus:border-slate-500"
+            />
+          </div>
+          <div className="flex gap-2">
+            <select
+              value={projectFilter}
+              onChange={e => setProjectFilter(e.target.value)}
+              className="flex-1 min-w-0 px-2 py-1.5 border border-stone-300 rounded-lg text-xs lg:text-sm text-slate-700 bg-white"
+            >
+              <option value="">{t('dashboard.allProjects')}</option>
+              {allProjects.map(project => <option key={project} value={project}>{project}</option>)}
+            </select>
+            <select
+              value={sortOrder}
+              onChange={e => setSortOrder(e.target.value as SortOrder)}
+              className="flex-1 min-w-0 px-2 py-1.5 border border-stone-300 rounded-lg text-xs lg:text-sm text-slate-700 bg-white"
+            >
+              {SORT_OPTIONS.map(option => <option key={option.value} value={option.value}>{t(option.label)}</option>)}
+            </select>
+          </div>
+          {allTags.length > 0 && (
+            <div className="flex flex-wrap gap-1">
+              {allTags.map(tag => (
+                <button
+                  key={tag}
+                  onClick={() => toggleTagFilter(tag)}
+                  className={`px-2 py-0.5 rounded-full text-xs border transition-colors duration-200 ${
+                    tagFilter.includes(tag)
+                      ? 'bg-slate-700 border-slate-700 text-white'
+                      : 'bg-white border-stone-300 text-slate-600 hover:border-slate-400'
+                  }`}
+                >
+                  #{tag}
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
         <div className="flex-1 overflow-hidden">
-          <ul className="space-y-3 overflow-y-auto max-h-[40vh] lg:max-h-[calc(100vh-160px)] pr-2 scrollbar-thin scrollbar-thumb-stone-300 scrollbar-track-stone-100">
-            {audioList.map((audio) => (
+          {visibleList.length === 0 && audioList.length > 0 && (
+            <p className="text-sm text-slate-500 text-center py-6">{t('dashboard.noMatches')}</p>
+          )}
+          <ul className="space-y-3 overflow-y-auto max-h-[40vh] lg:max-h-[calc(100vh-280px)] pr-2 scrollbar-thin scrollbar-thumb-stone-300 scrollbar-track-stone-100">
+            {visibleList.map((audio) => (
               <li key={audio.id} className="group bg-gradient-to-r from-slate-50 to-stone-50 rounded-xl p-3 lg:p-4 shadow-sm hover:shadow-md transition-all duration-300 border border-stone-200 hover:border-slate-300">
-                <div className="flex items-center justify-between mb-3">
-                  <span className="font-semibold text-slate-800 truncate flex-1 text-sm lg:text-base">{audio.name}</span>
-                  <div className="w-2 h-2 bg-emerald-400 rounded-full animate-pulse"></div>
-                </div>
+                {editingId === audio.id ? (
+                  <RecordingDetailsForm
+                    initial={{ name: audio.name, project: audio.project, tags: audio.tags, notes: audio.notes }}
+                    projects={allProjects}
+                    onSave={details => handleSaveDetails(audio.id, details)}
+                    onCancel={() => setEditingId(null)}
+                  />
+                ) : (
+                  <div className="mb-3">
+                    <div className="flex items-center justify-between">
+                      {audio.result && (
+                        <input
+                          type="checkbox"
+                          checked={compareIds.includes(audio.id)}
+                          onChange={() => toggleCompare(audio.id)}
+                          className="mr-2 accent-slate-700"
+                          title={t('dashboard.selectForComparison')}
+                        />
+                      )}
+                      <span className="font-semibold text-slate-800 truncate flex-1 text-sm lg:text-base">{audio.name}</span>
+                      {audio.overallScore !== undefined && (
+                        <span className="text-xs font-medium text-slate-500 mr-2">{audio.overallScore}/10</span>
+                      )}
+                      <button
+                        onClick={() => setEditingId(audio.id)}
+                        className="p-1 rounded text-slate-400 hover:text-slate-700 hover:bg-stone-100 mr-1"
+                        title={t('dashboard.editDetails')}
+                      >
+                        <Pencil size={12} />
+                      </button>
+                      <div className="w-2 h-2 bg-emerald-400 rounded-full animate-pulse"></div>
+                    </div>
+                    {(audio.project || audio.tags.length > 0) && (
+                      <div className="flex flex-wrap items-center gap-1 mt-2">
+                        {audio.project && (
+                          <span className="flex items-center gap-1 text-xs text-slate-600">
+                            <Folder size={11} /> {audio.project}
+                          </span>
+                        )}
+                        {audio.tags.map(tag => (
+                          <span key={tag} className="px-1.5 py-0.5 rounded-full bg-stone-100 text-slate-500 text-xs">#{tag}</span>
+                        ))}
+                      </div>
+                    )}
+                    {audio.notes && <p className="text-xs text-slate-500 mt-1 line-clamp-2">{audio.notes}</p>}
+                  </div>
+                )}
                 <div className="flex gap-2">
                   <button
                     className={`flex-1 px-2 lg:px-3 py-2 text-white rounded-lg text-xs lg:text-sm font-medium transition-colors duration-200 flex items-center justify-center gap-1 ${
@@ -181,12 +561,12 @@ const Dashboard: React.FC = () => {
                     {currentlyPlayingId === audio.id ? (
                       <>
                         <Pause size={12} className="lg:w-[14px] lg:h-[14px]" /> 
-                        <span className="hidden sm:inline">Pause</span>
+                        <span className="hidden sm:inline">{t('dashboard.pause')}</span>
                       </>
                     ) : (
                       <>
                         <Play size={12} className="lg:w-[14px] lg:h-[14px]" /> 
-                        <span className="hidden sm:inline">Play</span>
+                        <span className="hidden sm:inline">{t('dashboard.play')}</span>
                       </>
                     )}
                   </button>
@@ -195,9 +575,29 @@ const Dashboard: React.FC = () => {
                     onClick={() => handleShowResult(audio)}
                   >
                     <BarChart3 size={12} className="lg:w-[14px] lg:h-[14px]" /> 
-                    <span className="hidden sm:inline">Results</span>
+                    <span className="hidden sm:inline">{t('dashboard.results')}</span>
                   </button>
                 </div>
+                {(answersByPitch.get(audio.id) || []).length > 0 && (
+                  <ul className="mt-3 space-y-1 border-t border-stone-200 pt-2">
+                    {answersByPitch.get(audio.id)!.map(answer => (
+                      <li key={answer.id}>
+                        <button
+                          className={`w-full flex items-center gap-1 px-2 py-1 rounded-lg text-left text-xs hover:bg-white ${
+                            selectedAudio?.id === answer.id ? 'bg-white text-slate-800' : 'text-slate-600'
+                          }`}
+                          onClick={() => handleShowResult(answer)}
+                        >
+                          <CornerDownRight size={12} className="shrink-0 text-slate-400" />
+                          <span className="truncate flex-1">{answer.name}</span>
+                          {answer.overallScore !== undefined
+                            ? <span className="font-medium text-slate-500">{answer.overallScore}/10</span>
+                            : answer.jobId && <Loader2 size={12} className="animate-spin text-slate-400" />}
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                )}
               </li>
             ))}
           </ul>
@@ -206,33 +606,163 @@ const Dashboard: React.FC = () => {
 
       {/* Right: Evaluation Result */}
       <div className="flex-1 p-4 lg:p-8 flex flex-col items-center justify-start">
-        <button
-          className="self-end mb-4 lg:mb-6 px-4 lg:px-6 py-2 lg:py-3 bg-slate-700 text-white rounded-xl font-medium hover:bg-slate-800 transition-all duration-200 shadow-sm hover:shadow-md flex items-center gap-2 text-sm lg:text-base"
-          onClick={handleTakeRecordingAgain}
-        >
-          <Plus size={16} className="lg:w-[18px] lg:h-[18px]" /> 
-          <span className="hidden sm:inline">New Recording</span>
-          <span className="sm:hidden">New</span>
-        </button>
-
-    {showResult ? (
+        <div className="self-end mb-4 lg:mb-6 flex items-center gap-3">
+          <LanguageSwitcher />
+          <button
+            className={`px-4 lg:px-6 py-2 lg:py-3 rounded-xl font-medium transition-all duration-200 shadow-sm hover:shadow-md flex items-center gap-2 text-sm lg:text-base ${
+              showTrends ? 'bg-slate-200 text-slate-800' : 'bg-white text-slate-700 border border-stone-300 hover:bg-stone-50'
+            }`}
+            onClick={() => {
+              setShowTrends(!showTrends);
+              setShowComparison(false);
+              setShowWorkspaces(false);
+            }}
+          >
+            <TrendingUp size={16} className="lg:w-[18px] lg:h-[18px]" />
+            <span>{t('dashboard.trends')}</span>
+          </button>
+          {accountsEnabled && user && (
+            <button
+              className={`px-3 lg:px-4 py-2 lg:py-3 rounded-xl font-medium transition-all duration-200 shadow-sm hover:shadow-md flex items-center gap-2 text-sm lg:text-base ${
+                showWorkspaces ? 'bg-slate-200 text-slate-800' : 'bg-white text-slate-700 border border-stone-300 hover:bg-stone-50'
+              }`}
+              onClick={() => {
+                setShowWorkspaces(!showWorkspaces);
+                setShowTrends(false);
+                setShowComparison(false);
+              }}
+            >
+              <Users size={16} className="lg:w-[18px] lg:h-[18px]" />
+              <span className="hidden sm:inline">{t('dashboard.workspaces')}</span>
+            </button>
+          )}
+          {accountsEnabled && user && (
+            <button
+              className="px-3 lg:px-4 py-2 lg:py-3 bg-white text-slate-700 border border-stone-300 rounded-xl font-medium hover:bg-stone-50 transition-all duration-200 shadow-sm hover:shadow-md flex items-center gap-2 text-sm lg:text-base disabled:opacity-60 disabled:cursor-not-allowed"
+              onClick={() => handleSync()}
+              disabled={syncing}
+              title={t('dashboard.syncHint')}
+            >
+              <RefreshCw size={16} className={`lg:w-[18px] lg:h-[18px] ${syncing ? 'animate-spin' : ''}`} />
+              <span className="hidden sm:inline">{t('dashboard.sync')}</span>
+            </button>
+          )}
+          <button
+            className="px-3 lg:px-4 py-2 lg:py-3 bg-white text-slate-700 border border-stone-300 rounded-xl font-medium hover:bg-stone-50 transition-all duration-200 shadow-sm hover:shadow-md flex items-center gap-2 text-sm lg:text-base disabled:opacity-60 disabled:cursor-not-allowed"
+            onClick={handleBackup}
+            disabled={backingUp}
+            title={t('dashboard.backupHint')}
+          >
+            <Archive size={16} className={`lg:w-[18px] lg:h-[18px] ${backingUp ? 'animate-pulse' : ''}`} />
+            <span className="hidden sm:inline">{t('dashboard.backup')}</span>
+          </button>
+          <button
+            className="px-3 lg:px-4 py-2 lg:py-3 bg-white text-slate-700 border border-stone-300 rounded-xl font-medium hover:bg-stone-50 transition-all duration-200 shadow-sm hover:shadow-md flex items-center gap-2 text-sm lg:text-base disabled:opacity-60 disabled:cursor-not-allowed"
+            onClick={() => restoreInputRef.current?.click()}
+            disabled={restoring}
+            title={t('dashboard.restoreHint')}
+          >
+            <ArchiveRestore size={16} className={`lg:w-[18px] lg:h-[18px] ${restoring ? 'animate-pulse' : ''}`} />
+            <span className="hidden sm:inline">{t('dashboard.restore')}</span>
+          </button>
+          <input
+            ref={restoreInputRef}
+            type="file"
+            accept=".zip,application/zip"
+            className="hidden"
+            onChange={handleRestore}
+          />
+          <button
+            className="px-4 lg:px-6 py-2 lg:py-3 bg-slate-700 text-white rounded-xl font-medium hover:bg-slate-800 transition-all duration-200 shadow-sm hover:shadow-md flex items-center gap-2 text-sm lg:text-base"
+            onClick={handleTakeRecordingAgain}
+          >
+            <Plus size={16} className="lg:w-[18px] lg:h-[18px]" /> 
+            <span className="hidden sm:inline">{t('dashboard.newRecording')}</span>
+            <span className="sm:hidden">{t('dashboard.new')}</span>
+          </button>
+          {accountsEnabled && (user ? (
+            <button
+              className="px-3 lg:px-4 py-2 lg:py-3 text-slate-600 rounded-xl font-medium hover:bg-stone-100 transition-all duration-200 flex items-center gap-2 text-sm lg:text-base"
+              onClick={handleSignOut}
+              title={t('dashboard.signedInAs', { email: user.email })}
+            >
+              <LogOut size={16} className="lg:w-[18px] lg:h-[18px]" />
+              <span className="hidden sm:inline">{user.name}</span>
+            </button>
+          ) : (
+            <button
+              className="px-3 lg:px-4 py-2 lg:py-3 bg-white text-slate-700 border border-stone-300 rounded-xl font-medium hover:bg-stone-50 transition-all duration-200 shadow-sm hover:shadow-md flex items-center gap-2 text-sm lg:text-base"
+              onClick={() => setShowAuthDialog(true)}
+              title={t('dashboard.signInHint')}
+            >
+              <LogIn size={16} className="lg:w-[18px] lg:h-[18px]" />
+              <span className="hidden sm:inline">{t('dashboard.signIn')}</span>
+            </button>
+          ))}
+        </div>
+
+    {showWorkspaces && user ? (
+  <div className="w-full max-w-4xl bg-white rounded-2xl shadow-xl p-4 lg:p-8 border border-stone-200">
+    <WorkspacesView user={user} />
+  </div>
+) : showComparison && comparedRecords.length === 2 ? (
+  <div className="w-full max-w-4xl bg-white rounded-2xl shadow-xl p-4 lg:p-8 border border-stone-200">
+    <ComparisonView
+      records={[comparedRecords[0], comparedRecords[1]]}
+      onClose={() => setShowComparison(false)}
+    />
+  </div>
+) : showTrends ? (
+  <div className="w-full max-w-4xl bg-white rounded-2xl shadow-xl p-4 lg:p-8 border border-stone-200">
+    <TrendsView
+      records={audioList.filter(audio => !audio.parentId)}
+      onSelectRecord={(recordId) => {
+        const audio = audioList.find(entry => entry.id === recordId);
+        if (audio) handleShowResult(audio);
+      }}
+    />
+  </div>
+) : showResult ? (
   <div className="w-full max-w-4xl min-h-[300px] lg:min-h-[400px] bg-white rounded-2xl shadow-xl flex flex-col items-center justify-center p-4 lg:p-8 border border-stone-200">
     {loadingResult && isProcessingNewAudio ? (
-      <div className="flex flex-col items-center">
-        <div className="w-16 h-16 lg:w-20 lg:h-20 rounded-full bg-gradient-to-r from-slate-200 to-stone-200 animate-pulse flex items-center justify-center mb-4 lg:mb-6">
-          <Loader2 size={24} className="lg:w-8 lg:h-8 text-slate-600 animate-spin" />
-        </div>
-        <p className="text-lg lg:text-xl text-slate-700 font-medium text-center">
-          Processing your audio evaluation...
-        </p>
-        <p className="text-xs lg:text-sm text-slate-500 mt-2">This may take a moment</p>
-      </div>
+      <EvaluationProgress job={jobProgress} error={jobError} />
+    ) : loadingResult ? (
+      <Loader2 size={24} className="text-slate-400 animate-spin" />
     ) : (
-      <EvaluationResult 
-        id={selectedAudio?.id || ''}
-        result={evaluationResult}
-        overallScore={overallScore}
-      />
+      <>
+        {selectedParent && (
+          <button
+            className="self-start mb-4 text-sm text-slate-600 hover:text-slate-800 flex items-center gap-1"
+            onClick={() => handleShowResult(selectedParent)}
+          >
+            <ArrowLeft size={14} /> {t('dashboard.backTo', { name: selectedParent.name })}
+          </button>
+        )}
+        <EvaluationResult 
+          id={selectedAudio?.id || ''}
+          result={evaluationResult}
+          overallScore={overallScore}
+          audioUrl={selectedAudio?.url}
+          name={selectedAudio?.name}
+          timestamp={selectedAudio?.timestamp}
+          onShare={user && selectedAudio ? () => setSharingId(selectedAudio.id) : undefined}
+          reviewerId={user?.id}
+          onResultChange={selectedAudio ? result => handleResultChange(selectedAudio.id, result) : undefined}
+        />
+        {selectedAudio && !selectedAudio.parentId && evaluationResult && (
+          <InvestorQAPanel
+            key={selectedAudio.id}
+            pitch={{ id: selectedAudio.id, project: selectedAudio.project, result: evaluationResult }}
+            answers={answersByPitch.get(selectedAudio.id) || []}
+            onQuestionsGenerated={result => handleResultChange(selectedAudio.id, result)}
+            onAnswerSubmitted={handleAnswerSubmitted}
+            onOpenAnswer={answerId => {
+              const answer = audioList.find(audio => audio.id === answerId);
+              if (answer) handleShowResult(answer);
+            }}
+          />
+        )}
+      </>
     )}
   </div>
 ) : (
@@ -241,11 +771,19 @@ const Dashboard: React.FC = () => {
       <Mic size={24} className="lg:w-8 lg:h-8 text-slate-400" />
     </div>
     <p className="text-slate-500 text-base lg:text-lg">
-      Select a recording to see the evaluation results
+      {t('dashboard.selectRecording')}
     </p>
   </div>
 )}
     </div>
+      {showAuthDialog && <AuthDialog onSignedIn={handleSignedIn} onClose={() => setShowAuthDialog(false)} />}
+      {sharingId && (
+        <ShareDialog
+          recordingId={sharingId}
+          recordingName={audioList.find(audio => audio.id === sharingId)?.name || ''}
+          onClose={() => setSharingId(null)}
+        />
+      )}
     </div>
   );
 };
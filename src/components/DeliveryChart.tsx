@@ -0,0 +1,144 @@
+import React, { useState } from 'react';
+import type { DeliveryContours } from '../types/evaluation';
+import { formatTimestamp } from '../utils/format';
+import { useTranslation } from '../i18n';
+
+interface DeliveryChartProps {
+  contours: DeliveryContours;
+  currentTime: number;
+  onSeek?: (seconds: number) => void;
+}
+
+// Chart coordinates (the SVG stretches to the container width)
+const WIDTH = 1000;
+const WAVE_HEIGHT = 120;
+const PITCH_TOP = 135;
+const PITCH_HEIGHT = 65;
+const HEIGHT = PITCH_TOP + PITCH_HEIGHT;
+
+// Loudness below this is drawn as silence
+const FLOOR_DB = -60;
+
+const DeliveryChart: React.FC<DeliveryChartProps> = ({ contours, currentTime, onSeek }) => {
+  const [hoverFrame, setHoverFrame] = useState<number | null>(null);
+  const { t } = useTranslation();
+  const { frameSeconds, loudness, pitch, pauses, monotoneRegions } = contours;
+  const frameCount = loudness.length;
+  const duration = frameCount * frameSeconds;
+
+  if (frameCount === 0) {
+    return <p className="text-slate-500 text-sm">{t('chart.empty')}</p>;
+  }
+
+  const xForFrame = (frame: number) => (frame / frameCount) * WIDTH;
+  const xForTime = (seconds: number) => (seconds / duration) * WIDTH;
+
+  // Loudness envelope, mirrored around the middle of the waveform area
+  const amplitudes = loudness.map(db => Math.max(0, Math.min(1, (db - FLOOR_DB) / -FLOOR_DB)));
+  const middle = WAVE_HEIGHT / 2;
+  const top = amplitudes.map((amplitude, i) => `${xForFrame(i + 0.5)},${middle - amplitude * middle}`);
+  const bottom = amplitudes.map((amplitude, i) => `${xForFrame(i + 0.5)},${middle + amplitude * middle}`).reverse();
+  const envelope = `M${top.join(' L')} L${bottom.join(' L')} Z`;
+
+  // Pitch contour, broken wherever the frame is unvoiced
+  const voicedPitch = pitch.filter((value): value is number => value !== null);
+  const minPitch = voicedPitch.length > 0 ? Math.min(...voicedPitch) : 0;
+  const maxPitch = voicedPitch.length > 0 ? Math.max(...voicedPitch) : 1;
+  const yForPitch = (hz: number) =>
+    PITCH_TOP + PITCH_HEIGHT - ((hz - minPitch) / Math.max(1, maxPitch - minPitch)) * PITCH_HEIGHT;
+  const pitchPath = pitch
+    .map((hz, i) => {
+      if (hz === null) return '';
+      const command = i > 0 && pitch[i - 1] !== null ? 'L' : 'M';
+      return `${command}${xForFrame(i + 0.5)},${yForPitch(hz)}`;
+    })
+    .join(' ');
+
+  const frameFromEvent = (event: React.MouseEvent<SVGSVGElement>) => {
+    const rect = event.currentTarget.getBoundingClientRect();
+    const fraction = Math.max(0, Math.min(1, (event.clientX - rect.left) / rect.width));
+    return Math.min(frameCount - 1, Math.floor(fraction * frameCount));
+  };
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-2 text-xs text-slate-500 h-4">
+        <span>
+          {hoverFrame !== null
+            ? `${formatTimestamp(hoverFrame * frameSeconds)} · ${loudness[hoverFrame]} dB · ${
+              pitch[hoverFrame] !== null ? `${pitch[hoverFrame]} Hz` : t('chart.unvoiced')
+            }`
+            : t('chart.hint')}
+        </span>
+        {voicedPitch.length > 0 && <span>{t('chart.pitchRange', { min: minPitch, max: maxPitch })}</span>}
+      </div>
+
+      <svg
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        preserveAspectRatio="none"
+        className={`w-full h-48 rounded-lg bg-stone-50 border border-stone-200 ${onSeek ? 'cursor-pointer' : ''}`}
+        onMouseMove={(e) => setHoverFrame(frameFromEvent(e))}
+        onMouseLeave={() => setHoverFrame(null)}
+        onClick={(e) => onSeek?.(frameFromEvent(e) * frameSeconds)}
+      >
+        {pauses.map((pause, i) => (
+          <rect
+            key={`pause-${i}`}
+            x={xForTime(pause.start)}
+            y={0}
+            width={Math.max(1, xForTime(pause.end) - xForTime(pause.start))}
+            height={HEIGHT}
+            className="fill-stone-200"
+          />
+        ))}
+        {monotoneRegions.map((region, i) => (
+          <rect
+            key={`monotone-${i}`}
+            x={xForTime(region.start)}
+            y={PITCH_TOP}
+            width={xForTime(region.end) - xForTime(region.start)}
+            height={PITCH_HEIGHT}
+            className="fill-amber-200"
+            opacity={0.6}
+          />
+        ))}
+
+        <path d={envelope} className="fill-slate-400" />
+        <line x1={0} x2={WIDTH} y1={PITCH_TOP - 5} y2={PITCH_TOP - 5} className="stroke-stone-300" vectorEffect="non-scaling-stroke" />
+        <path d={pitchPath} fill="none" className="stroke-blue-500" strokeWidth={2} vectorEffect="non-scaling-stroke" />
+
+        {hoverFrame !== null && (
+          <line
+            x1={xForFrame(hoverFrame + 0.5)}
+            x2={xForFrame(hoverFrame + 0.5)}
+            y1={0}
+            y2={HEIGHT}
+            className="stroke-slate-400"
+            strokeDasharray="4 4"
+            vectorEffect="non-scaling-stroke"
+          />
+        )}
+        {onSeek && (
+          <line
+            x1={xForTime(Math.min(currentTime, duration))}
+            x2={xForTime(Math.min(currentTime, duration))}
+            y1={0}
+            y2={HEIGHT}
+            className="stroke-slate-900"
+            strokeWidth={2}
+            vectorEffect="non-scaling-stroke"
+          />
+        )}
+      </svg>
+
+      <div className="flex flex-wrap gap-4 mt-3 text-xs text-slate-500">
+        <span className="flex items-center gap-1"><span className="w-3 h-3 rounded-sm bg-slate-400"></span>{t('chart.loudness')}</span>
+        <span className="flex items-center gap-1"><span className="w-3 h-0.5 bg-blue-500"></span>{t('chart.pitch')}</span>
+        <span className="flex items-center gap-1"><span className="w-3 h-3 rounded-sm bg-stone-200"></span>{t('chart.pause')}</span>
+        <span className="flex items-center gap-1"><span className="w-3 h-3 rounded-sm bg-amber-200"></span>{t('chart.monotone')}</span>
+      </div>
+    </div>
+  );
+};
+
+export default DeliveryChart;
@@ -0,0 +1,73 @@
+import React from 'react';
+import { Check, Circle, Loader2, XCircle } from 'lucide-react';
+import type { EvaluationJob, EvaluationStageStatus } from '../utils/evaluationJobs';
+import { useTranslation } from '../i18n';
+
+interface EvaluationProgressProps {
+  job: EvaluationJob | null;
+  error: string | null;
+}
+
+const StageIcon: React.FC<{ status: EvaluationStageStatus }> = ({ status }) => {
+  switch (status) {
+    case 'done':
+      return <Check size={16} className="text-emerald-600" />;
+    case 'active':
+      return <Loader2 size={16} className="text-slate-600 animate-spin" />;
+    case 'failed':
+      return <XCircle size={16} className="text-red-600" />;
+    default:
+      return <Circle size={16} className="text-stone-300" />;
+  }
+};
+
+const EvaluationProgress: React.FC<EvaluationProgressProps> = ({ job, error }) => {
+  const { t, tName } = useTranslation();
+  const failureMessage = error || (job?.status === 'failed' ? job.error : null);
+
+  return (
+    <div className="flex flex-col items-center w-full max-w-sm">
+      {!failureMessage && (
+        <div className="w-16 h-16 lg:w-20 lg:h-20 rounded-full bg-gradient-to-r from-slate-200 to-stone-200 animate-pulse flex items-center justify-center mb-4 lg:mb-6">
+          <Loader2 size={24} className="lg:w-8 lg:h-8 text-slate-600 animate-spin" />
+        </div>
+      )}
+      <p className="text-lg lg:text-xl text-slate-700 font-medium text-center">
+        {t(failureMessage ? 'progress.failed' : 'progress.processing')}
+      </p>
+
+      <ul className="mt-6 w-full space-y-3">
+        {(job?.stages || []).map((stage) => (
+          <li
+            key={stage.id}
+            className={`flex items-center gap-3 px-4 py-2 rounded-lg border ${
+              stage.status === 'active'
+                ? 'bg-slate-50 border-slate-300'
+                : stage.status === 'failed'
+                  ? 'bg-red-50 border-red-200'
+                  : 'bg-white border-stone-200'
+            }`}
+          >
+            <StageIcon status={stage.status} />
+            <span className={`text-sm ${stage.status === 'pending' ? 'text-slate-400' : 'text-slate-700'}`}>
+              {tName(`progress.stage.${stage.id}`, stage.label)}
+            </span>
+            {stage.startedAt && stage.finishedAt && (
+              <span className="ml-auto text-xs text-slate-400">
+                {((stage.finishedAt - stage.startedAt) / 1000).toFixed(1)}s
+              </span>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {failureMessage ? (
+        <p className="mt-4 text-sm text-red-600 text-center">{failureMessage}</p>
+      ) : (
+        <p className="text-xs lg:text-sm text-slate-500 mt-4">{t('progress.resultsSoon')}</p>
+      )}
+    </div>
+  );
+};
+
+export default EvaluationProgress;
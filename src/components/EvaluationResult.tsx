@@ -1,69 +1,242 @@
-import React, { useState } from 'react';
-import {  X, Trash2, Lightbulb } from 'lucide-react';
+import React, { useEffect, useRef, useState } from 'react';
+import {  X, Trash2, Lightbulb, Download, Share2, MessagesSquare } from 'lucide-react';
 import { audioStorage } from '../utils/audioStorage';
+import { deleteRemoteRecording } from '../utils/recordingSync';
+import { formatTimestamp } from '../utils/format';
+import { CATEGORY_LABELS } from '../utils/investorQA';
+import { getLanguageName } from '../utils/languages';
+import { useTranslation, type MessageKey } from '../i18n';
+import FeedbackTimeline from './FeedbackTimeline';
+import ScriptAdherenceView from './ScriptAdherenceView';
+import PitchRevisionView from './PitchRevisionView';
+import CoachReviewPanel from './CoachReviewPanel';
+import DeliveryChart from './DeliveryChart';
 
+import type { EvaluationResultData, FillerAnalysis, SpeakingRate, TimeBox } from '../types/evaluation';
+import { DELIVERY_LABELS, getContentCriteria, getCriterionAnalysis, getCriterionName } from '../utils/resultCriteria';
+import { exportReport, type ReportFormat } from '../utils/reportExport';
+import { ApiError } from '../utils/api';
+import { blendScores, deleteMyReview, fetchReviews, saveMyReview, type RecordingReviews, type ReviewInput } from '../utils/coachReviews';
 
 interface EvaluationResultProps {
     id: string;
-  result: {
-    delivery: {
-      pace: number;
-      tone: number;
-      clarity: number;
-      confidence: number;
-      enthusiasm: number;
-    };
-    engagement: {
-      storytelling: number;
-      audienceConnection: number;
-      persuasiveness: number;
-    };
-    detailedAnalysis?: {
-      storytelling: {
-        score: number;
-        feedback: string;
-        strengths: string[];
-        improvements: string[];
-      };
-      audienceConnection: {
-        score: number;
-        feedback: string;
-        strengths: string[];
-        improvements: string[];
-      };
-      persuasiveness: {
-        score: number;
-        feedback: string;
-        strengths: string[];
-        improvements: string[];
-      };
-    };
-  } | null;
+  result: EvaluationResultData | null;
   overallScore: number | null;
+  audioUrl?: string;
+  name?: string;
+  timestamp?: number;
+  // Someone else's recording (workspace or share link): no delete
+  readOnly?: boolean;
+  onShare?: () => void;
+  // Signed-in user; coach reviews show once the recording is on the server
+  reviewerId?: string;
+  // Called after the result gains something saved with it (a rewrite), so the caller can keep its copy current
+  onResultChange?: (result: EvaluationResultData) => void;
 }
 
-const EvaluationResult: React.FC<EvaluationResultProps> = ({ id ,result, overallScore }) => {
-  const [activeTab, setActiveTab] = useState<'delivery' | 'engagement'>('delivery');
+// Share of the overall score that comes from coaches
+const BLEND_OPTIONS: { weight: number; label: MessageKey }[] = [
+  { weight: 0, label: 'result.blend.ai' },
+  { weight: 0.25, label: 'result.blend.quarter' },
+  { weight: 0.5, label: 'result.blend.half' },
+  { weight: 0.75, label: 'result.blend.threeQuarters' },
+  { weight: 1, label: 'result.blend.coaches' }
+];
+
+const EXPORT_OPTIONS: { format: ReportFormat; label: MessageKey }[] = [
+  { format: 'pdf', label: 'result.export.pdf' },
+  { format: 'markdown', label: 'result.export.markdown' },
+  { format: 'json', label: 'result.export.json' }
+];
+
+const FillerWordsCard: React.FC<{ analysis: FillerAnalysis }> = ({ analysis }) => {
+  const { t } = useTranslation();
+  const topFillers = Object.entries(analysis.counts).sort((a, b) => b[1] - a[1]);
+
+  return (
+    <div className="mt-2 bg-amber-50 border border-amber-200 rounded-lg p-4">
+      <div className="flex items-center justify-between mb-3">
+        <h5 className="font-semibold text-amber-800 flex items-center gap-2">
+          <span className="w-2 h-2 bg-amber-500 rounded-full"></span>
+          {t('criterion.fillerWords')}
+        </h5>
+        <span className="text-sm text-amber-700">
+          {t('result.fillerTotals', { count: analysis.totalCount, rate: analysis.ratePerMinute })}
+        </span>
+      </div>
+      {topFillers.length === 0 ? (
+        <p className="text-amber-700 text-sm">{t('result.noFillers')}</p>
+      ) : (
+        <>
+          <div className="flex flex-wrap gap-2 mb-3">
+            {topFillers.map(([filler, count]) => (
+              <span key={filler} className="px-2 py-1 bg-white border border-amber-200 rounded-lg text-xs text-amber-800">
+                "{filler}" × {count}
+              </span>
+            ))}
+          </div>
+          {analysis.hasTimestamps && (
+            <p className="text-amber-700 text-xs leading-relaxed">
+              <span className="font-medium">{t('result.heardAt')} </span>
+              {analysis.occurrences
+                .filter(occurrence => occurrence.start !== null)
+                .map(occurrence => `${formatTimestamp(occurrence.start as number)} "${occurrence.filler}"`)
+                .join(', ')}
+            </p>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+const TimeBoxNotice: React.FC<{ timeBox: TimeBox; presetName: string }> = ({ timeBox, presetName }) => {
+  const { t } = useTranslation();
+  const params = {
+    duration: formatTimestamp(timeBox.duration),
+    range: `${formatTimestamp(timeBox.min)}–${formatTimestamp(timeBox.max)}`,
+    difference: timeBox.difference,
+    preset: presetName
+  };
+
+  if (timeBox.status === 'within') {
+    return (
+      <div className="w-full mb-8 bg-emerald-50 border border-emerald-200 rounded-lg p-4 text-sm text-emerald-800">
+        <span className="font-semibold">{t('result.timeBox.onTime')}</span> {t('result.timeBox.fits', params)}
+      </div>
+    );
+  }
+
+  return (
+    <div className="w-full mb-8 bg-amber-50 border border-amber-200 rounded-lg p-4 text-sm text-amber-800">
+      <span className="font-semibold">{t(timeBox.status === 'over' ? 'result.timeBox.overTime' : 'result.timeBox.underTime')}</span>{' '}
+      {t(timeBox.status === 'over' ? 'result.timeBox.over' : 'result.timeBox.under', params)}
+    </div>
+  );
+};
+
+const EvaluationResult: React.FC<EvaluationResultProps> = ({ id ,result, overallScore, audioUrl, name, timestamp, readOnly = false, onShare, reviewerId, onResultChange }) => {
+  const [activeTab, setActiveTab] = useState<'delivery' | 'engagement' | 'timeline' | 'script' | 'rewrite' | 'coaches'>('delivery');
   const [deleting, setDeleting] = useState(false);
+  const [exportMenuOpen, setExportMenuOpen] = useState(false);
+  const [exporting, setExporting] = useState(false);
   const [expandedCard, setExpandedCard] = useState<string | null>(null);
+  const [currentTime, setCurrentTime] = useState(0);
+  const [audioDuration, setAudioDuration] = useState(0);
+  const [reviewData, setReviewData] = useState<RecordingReviews | null>(null);
+  const [coachWeight, setCoachWeight] = useState(0.5);
+  const audioRef = useRef<HTMLAudioElement | null>(null);
+  const { t, tName, locale } = useTranslation();
+
+  useEffect(() => {
+    setCurrentTime(0);
+    setAudioDuration(0);
+  }, [audioUrl]);
+
+  // Recordings only on this device (or not evaluated yet) have no reviews to show
+  useEffect(() => {
+    setReviewData(null);
+    if (!reviewerId || !id || !result) return;
+    let cancelled = false;
+    fetchReviews(id)
+      .then(data => {
+        if (!cancelled) setReviewData(data);
+      })
+      .catch(error => {
+        if (!(error instanceof ApiError) || ![404, 409].includes(error.status)) {
+          console.error('Error loading coach reviews:', error);
+        }
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [id, reviewerId, result]);
 
   if (!result) {
-    return <p className="text-lg text-gray-700 text-center">Select a recording to see the result.</p>;
+    return <p className="text-lg text-gray-700 text-center">{t('result.selectRecording')}</p>;
   }
 
+  const contentCriteria = getContentCriteria(result);
+  const presetName = result.preset ? tName(`preset.${result.preset.id}.name`, result.preset.name) : '';
+
+  const describeSpeakingRate = (rate: SpeakingRate) => {
+    const rolling = rate.rollingWordsPerMinute.map(window => window.wordsPerMinute);
+    const summary = t('result.speakingRate', {
+      wpm: rate.wordsPerMinute,
+      min: rate.targetRange.min,
+      max: rate.targetRange.max,
+      articulation: rate.articulationRate
+    });
+    return rolling.length > 1
+      ? `${summary} · ${t('result.speakingRateRange', { min: Math.min(...rolling), max: Math.max(...rolling) })}`
+      : summary;
+  };
+
+  // Timeline, chart and coach comments share one player, so all follow the same playback cursor
+  const seekTo = audioUrl
+    ? (seconds: number) => {
+      const audio = audioRef.current;
+      if (!audio) return;
+      audio.currentTime = seconds;
+      setCurrentTime(seconds);
+      audio.play().catch(error => console.error('Error playing audio:', error));
+    }
+    : undefined;
+
+  // MediaRecorder webm files often report an Infinity duration until fully played
+  const playbackDuration = Number.isFinite(audioDuration) ? audioDuration : 0;
+
+  const handleExport = async (format: ReportFormat) => {
+    setExportMenuOpen(false);
+    setExporting(true);
+    try {
+      await exportReport(format, { name: name || t('result.defaultName'), timestamp, result, overallScore });
+    } catch (error) {
+      console.error('Error exporting report:', error);
+      alert(t('result.exportFailed'));
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const handleSaveReview = async (review: ReviewInput) => {
+    try {
+      setReviewData(await saveMyReview(id, review));
+    } catch (error) {
+      console.error('Error saving review:', error);
+      alert(error instanceof Error ? error.message : t('result.saveReviewFailed'));
+    }
+  };
+
+  const handleDeleteReview = async () => {
+    try {
+      setReviewData(await deleteMyReview(id));
+    } catch (error) {
+      console.error('Error deleting review:', error);
+      alert(t('result.deleteReviewFailed'));
+    }
+  };
+
+  const reviewSummary = reviewData?.summary ?? null;
+  // Average coach score for a delivery metric or content criterion, when coaches scored it
+  const coachScoreFor = (type: 'delivery' | 'content', key: string) => reviewSummary?.criteria
+    .find(criterion => criterion.type === type && (type === 'delivery' ? criterion.metric === key : criterion.key === key))
+    ?.coachScore ?? null;
+
   const handleDelete = async () => {
-    if (!confirm('Are you sure you want to delete this recording? This action cannot be undone.')) {
+    if (!confirm(t('result.confirmDelete'))) {
       return;
     }
     
     setDeleting(true);
     try {
        await audioStorage.deleteAudio(id);
+      await deleteRemoteRecording(id).catch(error => console.error('Error deleting recording from the server:', error));
       // Refresh the page or redirect after successful deletion
       window.location.reload();
     } catch (error) {
       console.error('Error deleting audio:', error);
-      alert('Failed to delete recording. Please try again.');
+      alert(t('result.deleteFailed'));
     } finally {
       setDeleting(false);
     }
@@ -75,16 +248,19 @@ const EvaluationResult: React.FC<EvaluationResultProps> = ({ id ,result, overall
   const ProgressBar: React.FC<{ 
     value: number; 
     label: string; 
-    detailKey?: 'storytelling' | 'audienceConnection' | 'persuasiveness';
-  }> = ({ value, label, detailKey }) => {
-    const percentage = (value / 5) * 100; // Convert to percentage out of 5
+    detailKey?: string;
+    note?: string;
+    max?: number;
+    weight?: number;
+    coachScore?: number | null;
+  }> = ({ value, label, detailKey, note, max = 5, weight, coachScore = null }) => {
+    const percentage = (value / max) * 100;
+    const detail = detailKey ? getCriterionAnalysis(result.detailedAnalysis, detailKey) : null;
     const getColor = (val: number) => {
-      if (val >= 4) return 'bg-slate-700';
-      if (val >= 3) return 'bg-slate-500';
+      if (val >= max * 0.8) return 'bg-slate-700';
+      if (val >= max * 0.6) return 'bg-slate-500';
       return 'bg-slate-400';
     };
-      // console.log("detailKey",detailKey)
-      // console.log("result",result.detailedAnalysis?.[detailKey])
     const toggleDetailCard = () => {
       if (detailKey) {
         setExpandedCard(expandedCard === detailKey ? null : detailKey);
@@ -96,8 +272,11 @@ const EvaluationResult: React.FC<EvaluationResultProps> = ({ id ,result, overall
         <div className="flex items-center justify-between mb-3">
           <div className="flex items-center gap-2">
             <span className="text-base font-medium text-slate-700">{label}</span>
+            {weight !== undefined && (
+              <span className="text-xs text-slate-400" title={t('result.weight')}>×{weight}</span>
+            )}
             
-            {detailKey && result?.detailedAnalysis?.[detailKey] && (
+            {detail && (
               <button
                 onClick={toggleDetailCard}
                 className={`w-5 h-5 rounded-full flex items-center justify-center transition-colors duration-200 ${
@@ -105,13 +284,22 @@ const EvaluationResult: React.FC<EvaluationResultProps> = ({ id ,result, overall
                     ? 'bg-amber-200 hover:bg-amber-300 text-amber-700'
                     : 'bg-amber-100 hover:bg-amber-200 text-amber-600'
                 }`}
-                title="View detailed feedback"
+                title={t('result.viewDetails')}
               >
                 <Lightbulb size={12} />
               </button>
             )}
           </div>
-          <span className="text-sm font-semibold text-slate-800 bg-stone-100 px-2 py-1 rounded-lg">{value}/5</span>
+          <div className="flex items-center gap-2">
+            {coachScore !== null && (
+              <span className="text-sm font-semibold text-amber-800 bg-amber-100 px-2 py-1 rounded-lg" title={t('result.coachScoreHint')}>
+                {t('result.coachScore', { score: coachScore, max })}
+              </span>
+            )}
+            <span className="text-sm font-semibold text-slate-800 bg-stone-100 px-2 py-1 rounded-lg" title={coachScore !== null ? t('result.aiScoreHint') : undefined}>
+              {coachScore !== null && `${t('result.ai')} `}{value}/{max}
+            </span>
+          </div>
         </div>
         <div className="w-full bg-stone-200 rounded-full h-2">
           <div
@@ -119,16 +307,25 @@ const EvaluationResult: React.FC<EvaluationResultProps> = ({ id ,result, overall
             style={{ width: `${percentage}%` }}
           ></div>
         </div>
+        {coachScore !== null && (
+          <div className="w-full bg-stone-200 rounded-full h-1.5 mt-1">
+            <div
+              className="h-1.5 rounded-full transition-all duration-700 bg-amber-400"
+              style={{ width: `${(coachScore / max) * 100}%` }}
+            ></div>
+          </div>
+        )}
+        {note && <p className="mt-2 text-xs text-slate-500">{note}</p>}
         
         {/* Detailed Analysis Cards */}
-        {detailKey && expandedCard === detailKey && result?.detailedAnalysis?.[detailKey] && (
+        {detail && expandedCard === detailKey && (
           <div className="mt-4 space-y-3 animate-in slide-in-from-top-2 duration-300">
             {/* Feedback Card */}
             <div className="bg-blue-50 border border-blue-200 rounded-lg p-4">
               <div className="flex items-center justify-between mb-2">
                 <h5 className="font-semibold text-blue-800 flex items-center gap-2">
                   <span className="w-2 h-2 bg-blue-500 rounded-full"></span>
-                  Detailed Feedback
+                  {t('result.detailedFeedback')}
                 </h5>
                 <button
                   onClick={() => setExpandedCard(null)}
@@ -138,7 +335,7 @@ const EvaluationResult: React.FC<EvaluationResultProps> = ({ id ,result, overall
                 </button>
               </div>
               <p className="text-blue-700 text-sm leading-relaxed">
-                {result.detailedAnalysis[detailKey].feedback}
+                {detail.feedback}
               </p>
             </div>
 
@@ -146,10 +343,10 @@ const EvaluationResult: React.FC<EvaluationResultProps> = ({ id ,result, overall
             <div className="bg-green-50 border border-green-200 rounded-lg p-4">
               <h5 className="font-semibold text-green-800 mb-2 flex items-center gap-2">
                 <span className="w-2 h-2 bg-green-500 rounded-full"></span>
-                Improvement Suggestions
+                {t('result.improvements')}
               </h5>
               <ul className="space-y-1">
-                {result.detailedAnalysis[detailKey].improvements.map((improvement, index) => (
+                {detail.improvements.map((improvement, index) => (
                   <li key={index} className="text-green-700 text-sm flex items-start gap-2">
                     <span className="text-green-500 font-bold">•</span>
                     <span>{improvement}</span>
@@ -165,32 +362,143 @@ const EvaluationResult: React.FC<EvaluationResultProps> = ({ id ,result, overall
 
   return (
     <div className="flex flex-col items-center w-full max-w-2xl relative">
-      {/* Delete Button - Top Right */}
-      <button
-        onClick={handleDelete}
-        disabled={deleting}
-        className={`absolute top-0 right-0 p-2 rounded-full transition-all duration-200 ${
-          deleting 
-            ? 'bg-gray-200 cursor-not-allowed' 
-            : 'bg-red-100 hover:bg-red-200 text-red-600 hover:text-red-700'
-        }`}
-        title="Delete this recording"
-      >
-        <Trash2 size={18} className={deleting ? 'animate-pulse' : ''} />
-      </button>
+      {/* Share, Export and Delete Buttons - Top Right */}
+      <div className="absolute top-0 right-0 flex gap-2">
+        {onShare && (
+          <button
+            onClick={onShare}
+            className="p-2 rounded-full transition-all duration-200 bg-stone-100 hover:bg-stone-200 text-slate-600 hover:text-slate-800"
+            title={t('result.share')}
+          >
+            <Share2 size={18} />
+          </button>
+        )}
+        <div className="relative">
+          <button
+            onClick={() => setExportMenuOpen(open => !open)}
+            disabled={exporting}
+            className={`p-2 rounded-full transition-all duration-200 ${
+              exporting
+                ? 'bg-gray-200 cursor-not-allowed'
+                : 'bg-stone-100 hover:bg-stone-200 text-slate-600 hover:text-slate-800'
+            }`}
+            title={t('result.export')}
+          >
+            <Download size={18} className={exporting ? 'animate-pulse' : ''} />
+          </button>
+          {exportMenuOpen && (
+            <div className="absolute right-0 mt-2 w-48 bg-white border border-stone-200 rounded-lg shadow-lg z-10 py-1">
+              {EXPORT_OPTIONS.map(option => (
+                <button
+                  key={option.format}
+                  onClick={() => handleExport(option.format)}
+                  className="w-full text-left px-4 py-2 text-sm text-slate-700 hover:bg-stone-50"
+                >
+                  {t(option.label)}
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+        {!readOnly && (
+          <button
+            onClick={handleDelete}
+            disabled={deleting}
+            className={`p-2 rounded-full transition-all duration-200 ${
+              deleting 
+                ? 'bg-gray-200 cursor-not-allowed' 
+                : 'bg-red-100 hover:bg-red-200 text-red-600 hover:text-red-700'
+            }`}
+            title={t('result.delete')}
+          >
+            <Trash2 size={18} className={deleting ? 'animate-pulse' : ''} />
+          </button>
+        )}
+      </div>
 
       {/* Overall Score */}
       <div className="text-center mb-10">
-        <h3 className="text-3xl font-light text-slate-800 mb-6">Evaluation Results</h3>
+        <h3 className="text-3xl font-light text-slate-800 mb-6">{t('result.title')}</h3>
         <div className="bg-gradient-to-br from-slate-50 to-stone-100 rounded-3xl p-8 shadow-lg border border-stone-200">
-          <span className="text-lg font-medium text-slate-600">Overall Score</span>
+          <span className="text-lg font-medium text-slate-600">{t('result.overallScore')}</span>
           <div className="text-6xl font-light text-slate-800 mt-3">
-            {overallScore ?? '-'}
+            {overallScore !== null && reviewSummary?.coachScore != null
+              ? blendScores(overallScore, reviewSummary.coachScore, coachWeight)
+              : overallScore ?? '-'}
             <span className="text-2xl text-slate-500">/10</span>
           </div>
+          {overallScore !== null && reviewSummary?.coachScore != null && (
+            <div className="mt-4 text-sm text-slate-600">
+              <p>
+                {t('result.blendedScores', { ai: overallScore, coaches: reviewSummary.coachScore })}
+                <span className="text-slate-400"> ({t('result.reviewCount', { count: reviewSummary.reviewCount })})</span>
+              </p>
+              <select
+                value={coachWeight}
+                onChange={e => setCoachWeight(Number(e.target.value))}
+                className="mt-2 px-2 py-1 border border-stone-300 rounded-lg text-xs text-slate-700 bg-white"
+                title={t('result.blendHint')}
+              >
+                {BLEND_OPTIONS.map(option => <option key={option.weight} value={option.weight}>{t(option.label)}</option>)}
+              </select>
+            </div>
+          )}
         </div>
+        {result.analyzedBy && (
+          <p className="mt-3 text-xs text-slate-400">
+            {t('result.analyzedBy', {
+              provider: `${result.analyzedBy.provider}${result.analyzedBy.model ? ` · ${result.analyzedBy.model}` : ''}`
+            })}
+          </p>
+        )}
+        {result.rubric && (
+          <p className="mt-1 text-xs text-slate-400">
+            {t(result.preset ? 'result.scoredWithPreset' : 'result.scoredWith', {
+              rubric: tName(`rubric.${result.rubric.id}.name`, result.rubric.name),
+              preset: presetName
+            })}
+          </p>
+        )}
+        {result.language && (
+          <p className="mt-1 text-xs text-slate-400">
+            {t(result.language.detected ? 'result.languageDetected' : 'result.language', {
+              language: getLanguageName(result.language.spoken, locale)
+            })}
+          </p>
+        )}
       </div>
 
+      {result.question && (
+        <div className="w-full mb-8 bg-stone-50 border border-stone-200 rounded-lg p-4">
+          <p className="text-xs font-medium text-slate-500 flex items-center gap-1">
+            <MessagesSquare size={12} /> {t('result.investorQuestion', { category: t(CATEGORY_LABELS[result.question.category]) })}
+          </p>
+          <p className="mt-1 text-slate-800 font-medium">{result.question.text}</p>
+        </div>
+      )}
+
+      {result.detailedAnalysis?.isFallback && (
+        <div className="w-full mb-8 bg-amber-50 border border-amber-200 rounded-lg p-4 text-sm text-amber-800">
+          <span className="font-semibold">{t('result.fallbackTitle')}</span>{' '}
+          {t(result.detailedAnalysis.fallbackReason ? 'result.fallbackBecause' : 'result.fallback', {
+            reason: result.detailedAnalysis.fallbackReason || ''
+          })}
+        </div>
+      )}
+
+      {result.timeBox && result.preset && <TimeBoxNotice timeBox={result.timeBox} presetName={presetName} />}
+
+      {audioUrl && (result.contours || result.timeline || result.scriptAdherence || reviewData) && (
+        <audio
+          ref={audioRef}
+          src={audioUrl}
+          controls
+          className="w-full mb-8"
+          onTimeUpdate={(e) => setCurrentTime(e.currentTarget.currentTime)}
+          onLoadedMetadata={(e) => setAudioDuration(e.currentTarget.duration)}
+        />
+      )}
+
       {/* Tabs */}
       <div className="w-full">
         <div className="flex border-b border-stone-200 mb-8">
@@ -202,7 +510,7 @@ const EvaluationResult: React.FC<EvaluationResultProps> = ({ id ,result, overall
             }`}
             onClick={() => setActiveTab('delivery')}
           >
-            Delivery
+            {t('result.tab.delivery')}
           </button>
           <button
             className={`py-4 px-8 font-medium text-lg border-b-2 transition-all duration-200 ${
@@ -212,29 +520,155 @@ const EvaluationResult: React.FC<EvaluationResultProps> = ({ id ,result, overall
             }`}
             onClick={() => setActiveTab('engagement')}
           >
-            Engagement
+            {t('result.tab.engagement')}
           </button>
+          {result.timeline && result.timeline.segments.length > 0 && (
+            <button
+              className={`py-4 px-8 font-medium text-lg border-b-2 transition-all duration-200 ${
+                activeTab === 'timeline'
+                  ? 'border-slate-600 text-slate-700 bg-slate-50'
+                  : 'border-transparent text-slate-500 hover:text-slate-600 hover:bg-stone-50'
+              }`}
+              onClick={() => setActiveTab('timeline')}
+            >
+              {t('result.tab.timeline')}
+            </button>
+          )}
+          {result.scriptAdherence && (
+            <button
+              className={`py-4 px-8 font-medium text-lg border-b-2 transition-all duration-200 ${
+                activeTab === 'script'
+                  ? 'border-slate-600 text-slate-700 bg-slate-50'
+                  : 'border-transparent text-slate-500 hover:text-slate-600 hover:bg-stone-50'
+              }`}
+              onClick={() => setActiveTab('script')}
+            >
+              {t('result.tab.script')}
+            </button>
+          )}
+          {(result.revision || (!readOnly && onResultChange && result.transcription)) && (
+            <button
+              className={`py-4 px-8 font-medium text-lg border-b-2 transition-all duration-200 ${
+                activeTab === 'rewrite'
+                  ? 'border-slate-600 text-slate-700 bg-slate-50'
+                  : 'border-transparent text-slate-500 hover:text-slate-600 hover:bg-stone-50'
+              }`}
+              onClick={() => setActiveTab('rewrite')}
+            >
+              {t('result.tab.rewrite')}
+            </button>
+          )}
+          {reviewData && (
+            <button
+              className={`py-4 px-8 font-medium text-lg border-b-2 transition-all duration-200 ${
+                activeTab === 'coaches'
+                  ? 'border-slate-600 text-slate-700 bg-slate-50'
+                  : 'border-transparent text-slate-500 hover:text-slate-600 hover:bg-stone-50'
+              }`}
+              onClick={() => setActiveTab('coaches')}
+            >
+              {t('result.tab.coaches')}{reviewData.reviews.length > 0 ? ` (${reviewData.reviews.length})` : ''}
+            </button>
+          )}
         </div>
 
         {/* Tab Content */}
         <div className="bg-gradient-to-br from-white to-stone-50 rounded-2xl p-8 shadow-sm border border-stone-100">
           {activeTab === 'delivery' && (
             <div>
-              <h4 className="text-2xl font-medium text-slate-700 mb-6">Delivery Metrics</h4>
-              <ProgressBar value={result.delivery.pace} label="Pace"  />
-              <ProgressBar value={result.delivery.tone} label="Tone"  />
-              <ProgressBar value={result.delivery.clarity} label="Clarity"  />
-              <ProgressBar value={result.delivery.confidence} label="Confidence"  />
-              <ProgressBar value={result.delivery.enthusiasm} label="Enthusiasm"  />
+              <h4 className="text-2xl font-medium text-slate-700 mb-6">{t('result.deliveryMetrics')}</h4>
+              {result.contours && (
+                <div className="mb-8">
+                  <DeliveryChart contours={result.contours} currentTime={currentTime} onSeek={seekTo} />
+                </div>
+              )}
+              <ProgressBar
+                value={result.delivery.pace}
+                label={t(DELIVERY_LABELS.pace)}
+                note={result.speakingRate ? describeSpeakingRate(result.speakingRate) : undefined}
+                coachScore={coachScoreFor('delivery', 'pace')}
+              />
+              <ProgressBar value={result.delivery.tone} label={t(DELIVERY_LABELS.tone)} coachScore={coachScoreFor('delivery', 'tone')} />
+              <ProgressBar
+                value={result.delivery.clarity}
+                label={t(DELIVERY_LABELS.clarity)}
+                note={result.calibration ? t('result.calibrated', { noise: result.calibration.noiseFloorDb }) : undefined}
+                coachScore={coachScoreFor('delivery', 'clarity')}
+              />
+              <ProgressBar value={result.delivery.confidence} label={t(DELIVERY_LABELS.confidence)} coachScore={coachScoreFor('delivery', 'confidence')} />
+              <ProgressBar value={result.delivery.enthusiasm} label={t(DELIVERY_LABELS.enthusiasm)} coachScore={coachScoreFor('delivery', 'enthusiasm')} />
+              {result.delivery.fillerWords !== undefined && (
+                <ProgressBar value={result.delivery.fillerWords} label={t(DELIVERY_LABELS.fillerWords)} coachScore={coachScoreFor('delivery', 'fillerWords')} />
+              )}
+              {result.fillerAnalysis && <FillerWordsCard analysis={result.fillerAnalysis} />}
             </div>
           )}
 
           {activeTab === 'engagement' && (
             <div>
-              <h4 className="text-2xl font-medium text-slate-700 mb-6">Engagement Metrics</h4>
-              <ProgressBar value={result.engagement.storytelling} label="Storytelling"  detailKey="storytelling" />
-              <ProgressBar value={result.engagement.audienceConnection} label="Audience Connection" detailKey="audienceConnection" />
-              <ProgressBar value={result.engagement.persuasiveness} label="Persuasiveness"  detailKey="persuasiveness" />
+              <h4 className="text-2xl font-medium text-slate-700 mb-6">{t('result.engagementMetrics')}</h4>
+              {result.preset && result.preset.structure.length > 0 && (
+                <p className="-mt-3 mb-6 text-xs text-slate-500">
+                  {t('result.expectedStructure', {
+                    structure: tName(`preset.${result.preset.id}.structure`, result.preset.structure.join(' → '))
+                  })}
+                </p>
+              )}
+              {contentCriteria.map(criterion => (
+                result.engagement[criterion.key] !== undefined && (
+                  <ProgressBar
+                    key={criterion.key}
+                    value={result.engagement[criterion.key]}
+                    label={getCriterionName(criterion, locale)}
+                    detailKey={criterion.key}
+                    max={criterion.scoreRange?.max}
+                    weight={result.rubric ? criterion.weight : undefined}
+                    coachScore={coachScoreFor('content', criterion.key)}
+                  />
+                )
+              ))}
+            </div>
+          )}
+
+          {activeTab === 'timeline' && result.timeline && (
+            <div>
+              <h4 className="text-2xl font-medium text-slate-700 mb-6">{t('result.feedbackTimeline')}</h4>
+              <FeedbackTimeline
+                timeline={result.timeline}
+                duration={playbackDuration}
+                currentTime={currentTime}
+                onSeek={seekTo}
+              />
+            </div>
+          )}
+
+          {activeTab === 'script' && result.scriptAdherence && (
+            <div>
+              <h4 className="text-2xl font-medium text-slate-700 mb-6">{t('result.scriptAdherence')}</h4>
+              <ScriptAdherenceView adherence={result.scriptAdherence} onSeek={seekTo} />
+            </div>
+          )}
+
+          {activeTab === 'rewrite' && (
+            <div>
+              <h4 className="text-2xl font-medium text-slate-700 mb-6">{t('result.rewrittenPitch')}</h4>
+              <PitchRevisionView key={id} id={id} result={result} onResultChange={readOnly ? undefined : onResultChange} />
+            </div>
+          )}
+
+          {activeTab === 'coaches' && reviewData && reviewerId && (
+            <div>
+              <h4 className="text-2xl font-medium text-slate-700 mb-6">{t('result.coachReview')}</h4>
+              <CoachReviewPanel
+                result={result}
+                reviews={reviewData.reviews}
+                summary={reviewData.summary}
+                userId={reviewerId}
+                currentTime={currentTime}
+                onSeek={seekTo}
+                onSave={handleSaveReview}
+                onDelete={handleDeleteReview}
+              />
             </div>
           )}
         </div>
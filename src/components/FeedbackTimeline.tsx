@@ -0,0 +1,115 @@
+import React from 'react';
+import { Play } from 'lucide-react';
+import type { FeedbackTimelineData, SegmentFlag } from '../types/evaluation';
+import { formatTimestamp } from '../utils/format';
+import { useTranslation } from '../i18n';
+
+interface FeedbackTimelineProps {
+  timeline: FeedbackTimelineData;
+  duration: number;
+  currentTime: number;
+  onSeek?: (seconds: number) => void;
+}
+
+const flagStyles: Record<SegmentFlag['type'], string> = {
+  lowEnergy: 'bg-red-50 border-red-200 text-red-700',
+  fast: 'bg-amber-50 border-amber-200 text-amber-700',
+  slow: 'bg-amber-50 border-amber-200 text-amber-700',
+  monotone: 'bg-blue-50 border-blue-200 text-blue-700',
+  fillers: 'bg-amber-50 border-amber-200 text-amber-700'
+};
+
+const FeedbackTimeline: React.FC<FeedbackTimelineProps> = ({ timeline, duration, currentTime, onSeek }) => {
+  const { t } = useTranslation();
+  const { segments } = timeline;
+  const lastEnd = segments.length > 0 ? segments[segments.length - 1].end : 0;
+  const totalDuration = Math.max(duration, lastEnd);
+  const activeIndex = segments.findIndex(segment => currentTime >= segment.start && currentTime < segment.end);
+
+  const seekTo = (seconds: number) => onSeek?.(seconds);
+
+  if (segments.length === 0) {
+    return <p className="text-slate-500 text-sm">{t('timeline.empty')}</p>;
+  }
+
+  return (
+    <div>
+      {/* Segment markers, sized by length */}
+      <div className="relative w-full h-8 rounded-lg overflow-hidden bg-stone-100 mb-6">
+        {segments.map((segment) => (
+          <button
+            key={segment.index}
+            onClick={() => seekTo(segment.start)}
+            title={`${formatTimestamp(segment.start)} – ${segment.flags.map(flag => flag.message).join(', ') || t('timeline.noIssues')}`}
+            className={`absolute top-0 h-full border-r border-white transition-colors duration-200 ${
+              segment.index === activeIndex
+                ? 'bg-slate-600'
+                : segment.flags.length > 0
+                  ? 'bg-amber-300 hover:bg-amber-400'
+                  : 'bg-slate-300 hover:bg-slate-400'
+            }`}
+            style={{
+              left: `${(segment.start / totalDuration) * 100}%`,
+              width: `${((segment.end - segment.start) / totalDuration) * 100}%`
+            }}
+          />
+        ))}
+        {onSeek && totalDuration > 0 && (
+          <div
+            className="absolute top-0 h-full w-0.5 bg-slate-900 pointer-events-none"
+            style={{ left: `${Math.min(100, (currentTime / totalDuration) * 100)}%` }}
+          />
+        )}
+      </div>
+
+      {timeline.isFallback && (
+        <p className="mb-4 text-xs text-amber-700">{t('timeline.fallback')}</p>
+      )}
+
+      <ul className="space-y-3">
+        {segments.map((segment) => (
+          <li
+            key={segment.index}
+            className={`rounded-lg border p-4 transition-colors duration-200 ${
+              segment.index === activeIndex ? 'bg-slate-50 border-slate-300' : 'bg-white border-stone-200'
+            }`}
+          >
+            <div className="flex items-center gap-3 mb-2">
+              <button
+                onClick={() => seekTo(segment.start)}
+                disabled={!onSeek}
+                className="flex items-center gap-1 px-2 py-1 rounded-lg bg-stone-100 hover:bg-stone-200 text-xs font-medium text-slate-700 disabled:cursor-default"
+                title={t('timeline.playFromHere')}
+              >
+                <Play size={12} />
+                {formatTimestamp(segment.start)}–{formatTimestamp(segment.end)}
+              </button>
+              <span className="text-xs text-slate-400">
+                {t('timeline.metrics', {
+                  wpm: segment.metrics.wordsPerMinute,
+                  volume: segment.metrics.volume,
+                  pitch: segment.metrics.pitchVariation
+                })}
+              </span>
+            </div>
+            {segment.flags.length > 0 && (
+              <div className="flex flex-wrap gap-2 mb-2">
+                {segment.flags.map((flag) => (
+                  <span key={flag.type} className={`px-2 py-0.5 border rounded-lg text-xs ${flagStyles[flag.type]}`}>
+                    {flag.message}
+                  </span>
+                ))}
+              </div>
+            )}
+            <p className="text-sm text-slate-700">{segment.comment}</p>
+            {segment.text && (
+              <p className="mt-2 text-xs text-slate-400 italic line-clamp-2">"{segment.text}"</p>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default FeedbackTimeline;
@@ -1,37 +1,126 @@
 
-import React, { useRef, useState } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { Mic, Upload, Square, RotateCcw, TrendingUp, Loader2 } from 'lucide-react';
+import { Mic, Upload, Square, RotateCcw, TrendingUp, Loader2, FileText } from 'lucide-react';
 import axios from 'axios';
 import { audioStorage } from '../utils/audioStorage';
+import { startLiveFeedback, type LiveMetrics } from '../utils/liveFeedback';
+import type { MicCheckResult } from '../utils/micCheck';
+import { getRehearsalScript, saveRehearsalScript } from '../utils/pitchRevision';
+import { AUTO_LANGUAGE, getLanguageName, getPitchLanguage, savePitchLanguage, type PitchLanguage } from '../utils/languages';
+import { useTranslation } from '../i18n';
+import LanguageSwitcher from './LanguageSwitcher';
+import LiveFeedbackPanel from './LiveFeedbackPanel';
+import MicCheck from './MicCheck';
+import type { PitchPreset, Rubric } from '../types/evaluation';
+
+interface TranscriptionMethod {
+  id: string;
+  name: string;
+  cost: string;
+  accuracy: string;
+  offline: boolean;
+  description: string;
+}
+
+// Matches the backend's MAX_SCRIPT_LENGTH
+const MAX_SCRIPT_LENGTH = 20000;
+
+interface LLMProvider {
+  id: string;
+  name: string;
+  defaultModel: string;
+}
 
 const Homepage: React.FC = () => {
   const [recording, setRecording] = useState(false);
   const [audioUrl, setAudioUrl] = useState<string | null>(null);
   const [countdown, setCountdown] = useState<number | null>(null);
-  const [showVoiceCheck, setShowVoiceCheck] = useState(false);
+  const [showMicCheck, setShowMicCheck] = useState(false);
+  // Room noise measured by the mic check, sent along so the backend can calibrate volume and clarity
+  const [noiseFloor, setNoiseFloor] = useState<number | null>(null);
+  // Script or outline to check the pitch against
+  // Prefilled with the last script, or a rewrite saved with "Use as my script"
+  const [script, setScript] = useState(getRehearsalScript);
   const [mediaRecorder, setMediaRecorder] = useState<MediaRecorder | null>(null);
   const [audioChunks, setAudioChunks] = useState<Blob[]>([]);
   const [uploading, setUploading] = useState(false);
+  const [transcriptionMethods, setTranscriptionMethods] = useState<TranscriptionMethod[]>([]);
+  const [transcriptionMethod, setTranscriptionMethod] = useState<string>('');
+  const [llmProviders, setLLMProviders] = useState<LLMProvider[]>([]);
+  const [llmProvider, setLLMProvider] = useState<string>('');
+  const [rubrics, setRubrics] = useState<Rubric[]>([]);
+  const [rubricId, setRubricId] = useState<string>('');
+  const [presets, setPresets] = useState<PitchPreset[]>([]);
+  const [presetId, setPresetId] = useState<string>('');
+  const [languages, setLanguages] = useState<PitchLanguage[]>([]);
+  // Language the pitch is spoken in, passed to transcription; auto lets it detect the language
+  const [pitchLanguage, setPitchLanguage] = useState(getPitchLanguage);
+  const [liveCoaching, setLiveCoaching] = useState(true);
+  const [liveMetrics, setLiveMetrics] = useState<LiveMetrics | null>(null);
+  const [liveError, setLiveError] = useState<string | null>(null);
   const navigate = useNavigate();
+  const { t, tName, locale, formatDate } = useTranslation();
   const audioRef = useRef<HTMLAudioElement | null>(null);
+  // Current live coaching session; stop is set once its socket is up
+  const liveSessionRef = useRef<{ stop?: () => void } | null>(null);
 
   // Get backend URL from environment variables
   const BACKEND_URL = import.meta.env.VITE_BACKEND_URL || 'http://localhost:5000';
 
-  // Request microphone permission and show voice check
-  const handleStartRecording = async () => {
-    try {
-      const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
-      
-      setShowVoiceCheck(true);
-      setTimeout(() => {
-        setShowVoiceCheck(false);
-        startCountdown(stream);
-      }, 1500); // Show voice check animation for 1.5s
-    } catch (err) {
-      alert('Microphone permission denied.');
-    }
+  // Load the transcription providers configured on the backend
+  useEffect(() => {
+    axios.get(`${BACKEND_URL}/api/transcription-methods`)
+      .then(response => {
+        setTranscriptionMethods(response.data.methods || []);
+        setTranscriptionMethod(response.data.defaultMethod || '');
+      })
+      .catch(error => console.error('Error loading transcription methods:', error));
+
+    axios.get(`${BACKEND_URL}/api/llm-providers`)
+      .then(response => {
+        setLLMProviders(response.data.providers || []);
+        setLLMProvider(response.data.defaultProvider || '');
+      })
+      .catch(error => console.error('Error loading LLM providers:', error));
+
+    axios.get(`${BACKEND_URL}/api/rubrics`)
+      .then(response => {
+        setRubrics(response.data.rubrics || []);
+        setRubricId(response.data.defaultRubricId || '');
+      })
+      .catch(error => console.error('Error loading rubrics:', error));
+
+    axios.get(`${BACKEND_URL}/api/presets`)
+      .then(response => {
+        setPresets(response.data.presets || []);
+        setPresetId(response.data.defaultPresetId || '');
+      })
+      .catch(error => console.error('Error loading pitch presets:', error));
+
+    axios.get(`${BACKEND_URL}/api/languages`)
+      .then(response => setLanguages(response.data.languages || []))
+      .catch(error => console.error('Error loading languages:', error));
+  }, [BACKEND_URL]);
+
+  // Stop streaming to the live coach if the page is left mid-recording
+  useEffect(() => () => liveSessionRef.current?.stop?.(), []);
+
+  // Keep the script for the next rehearsal
+  useEffect(() => saveRehearsalScript(script), [script]);
+
+  useEffect(() => savePitchLanguage(pitchLanguage), [pitchLanguage]);
+
+  // Check the microphone before recording (it asks for the permission)
+  const handleStartRecording = () => {
+    setShowMicCheck(true);
+  };
+
+  // Mic check passed, record with the checked microphone
+  const handleMicReady = (stream: MediaStream, result: MicCheckResult) => {
+    setShowMicCheck(false);
+    setNoiseFloor(result.noiseFloorDb);
+    startCountdown(stream);
   };
 
   // Countdown before recording
@@ -67,6 +156,22 @@ const Homepage: React.FC = () => {
     setAudioUrl(URL.createObjectURL(audioBlob));
     };
 
+    if (liveCoaching) {
+      setLiveMetrics(null);
+      setLiveError(null);
+      const session: { stop?: () => void } = {};
+      liveSessionRef.current = session;
+      startLiveFeedback(stream, setLiveMetrics, setLiveError)
+        .then(stop => {
+          // Recording may have stopped while the socket was connecting
+          if (liveSessionRef.current === session) session.stop = stop;
+          else stop();
+        })
+        .catch(error => {
+          console.error('Error starting live coaching:', error);
+          setLiveError(t('home.liveCaptureFailed'));
+        });
+    }
   };
 
   // Stop recording
@@ -75,6 +180,8 @@ const Homepage: React.FC = () => {
       mediaRecorder.stop();
       setRecording(false);
     }
+    liveSessionRef.current?.stop?.();
+    liveSessionRef.current = null;
   };
 
   // Upload audio file
@@ -82,10 +189,29 @@ const Homepage: React.FC = () => {
     const file = e.target.files?.[0];
     if (file) {
       setAudioUrl(URL.createObjectURL(file));
+      setNoiseFloor(null);
+    }
+  };
+
+  // Load a script from a .md or .txt file
+  const handleScriptFile = async (e: React.ChangeEvent<HTMLInputElement>) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const text = await file.text();
+      if (text.length > MAX_SCRIPT_LENGTH) {
+        alert(t('home.scriptTooLong', { max: MAX_SCRIPT_LENGTH }));
+        return;
+      }
+      setScript(text);
+    } catch (error) {
+      console.error('Error reading script:', error);
+      alert(t('home.scriptReadFailed'));
     }
   };
 
-  // Evaluate pitch (send to backend and redirect)
+  // Evaluate pitch (start a backend job and redirect to follow its progress)
   const handleEvaluatePitch = async () => {
     setUploading(true);
     let audioBlob: Blob | null = null;
@@ -95,66 +221,96 @@ const Homepage: React.FC = () => {
     } else if (audioChunks.length > 0) {
       audioBlob = new Blob(audioChunks, { type: 'audio/webm' });
     }
-    if (!audioBlob) return;
+    if (!audioBlob) {
+      setUploading(false);
+      return;
+    }
     // save audio to IndexedDB
      const audioId = await audioStorage.saveAudio(
       audioBlob, 
-      `Recording ${new Date().toLocaleString()}`
+      t('home.recordingName', { date: formatDate(Date.now()) })
     );
 
 
     // Send to backend 
     const formData = new FormData();
     formData.append('audio', audioBlob, 'recording.webm');
-   const response = await axios.post(`${BACKEND_URL}/api/evaluate-pitch`, formData, {
+    if (transcriptionMethod) {
+      formData.append('method', transcriptionMethod);
+    }
+    if (llmProvider) {
+      formData.append('llmProvider', llmProvider);
+    }
+    if (rubricId) {
+      formData.append('rubricId', rubricId);
+    }
+    if (presetId) {
+      formData.append('presetId', presetId);
+    }
+    if (noiseFloor !== null) {
+      formData.append('noiseFloor', String(noiseFloor));
+    }
+    if (script.trim()) {
+      formData.append('script', script);
+    }
+    // Feedback comes back in the interface language
+    formData.append('language', pitchLanguage);
+    formData.append('feedbackLanguage', locale);
+    try {
+      const response = await axios.post(`${BACKEND_URL}/api/evaluate-pitch`, formData, {
         headers: {
-            'Content-Type': 'multipart/form-data',
+          'Content-Type': 'multipart/form-data',
         },
-    });
-     await audioStorage.updateAudio(audioId, {
-      result: response.data.result,
-      overallScore: response.data.overallScore
-    });
-    navigate('/dashboard',{state: { newAudioId: audioId }}); // Redirect to dashboard with new audio ID
+      });
+      await audioStorage.updateAudio(audioId, { jobId: response.data.jobId });
+      navigate('/dashboard', { state: { newAudioId: audioId } }); // Dashboard follows the job progress
+    } catch (error) {
+      console.error('Error starting evaluation:', error);
+      alert(t('home.evaluateFailed'));
+      setUploading(false);
+    }
   };
 
   return (
     <div className="min-h-screen flex flex-col items-center justify-center bg-gradient-to-br from-slate-50 to-stone-100 p-4">
       <div className="max-w-xl w-full bg-white rounded-2xl shadow-xl p-8 flex flex-col items-center border border-stone-200">
-        <h1 className="text-5xl font-light text-slate-800 mb-2 text-center">Audio Pitch Evaluator</h1>
-        <p className="text-lg text-slate-600 mb-8 text-center">Record or upload your voice and evaluate your pitch instantly!</p>
+        <LanguageSwitcher className="self-end -mt-4 mb-2" />
+        <h1 className="text-5xl font-light text-slate-800 mb-2 text-center">{t('app.title')}</h1>
+        <p className="text-lg text-slate-600 mb-8 text-center">{t('home.tagline')}</p>
 
         {/* Hero Buttons */}
-        {!recording && !audioUrl && !countdown && !showVoiceCheck && (
+        {!recording && !audioUrl && !countdown && !showMicCheck && (
           <div className="flex flex-col gap-4 w-full items-center">
             <button
               className="px-8 py-4 bg-slate-700 text-white rounded-xl font-medium text-lg shadow-lg hover:bg-slate-800 transition-all duration-200 flex items-center gap-3 w-full justify-center"
               onClick={handleStartRecording}
             >
-              <Mic size={20} /> Start Recording
+              <Mic size={20} /> {t('home.startRecording')}
             </button>
             <label className="px-8 py-4 bg-stone-600 text-white rounded-xl font-medium text-lg shadow-lg hover:bg-stone-700 transition-all duration-200 cursor-pointer flex items-center gap-3 w-full justify-center">
-              <Upload size={20} /> Upload Audio File
+              <Upload size={20} /> {t('home.upload')}
               <input type="file" accept="audio/*" className="hidden" onChange={handleUpload} />
             </label>
+            <label className="flex items-center gap-2 text-sm text-slate-600 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={liveCoaching}
+                onChange={(e) => setLiveCoaching(e.target.checked)}
+                className="accent-slate-700"
+              />
+              {t('home.liveCoaching')}
+            </label>
           </div>
         )}
 
-        {/* Voice Check Animation */}
-        {showVoiceCheck && (
-          <div className="flex flex-col items-center mt-8">
-            <div className="w-20 h-20 rounded-full bg-slate-200 animate-pulse flex items-center justify-center">
-              <Mic size={32} className="text-slate-600" />
-            </div>
-            <p className="mt-4 text-slate-700 font-medium">Voice check...</p>
-          </div>
-        )}
+        {/* Microphone Check */}
+        {showMicCheck && <MicCheck onReady={handleMicReady} onCancel={() => setShowMicCheck(false)} />}
 
         {/* Countdown Animation */}
         {countdown !== null && (
           <div className="flex flex-col items-center mt-8">
             <div className="text-7xl font-light text-slate-700 animate-bounce">{countdown}</div>
-            <p className="mt-2 text-slate-600 font-medium">Get ready to record!</p>
+            <p className="mt-2 text-slate-600 font-medium">{t('home.getReady')}</p>
           </div>
         )}
 
@@ -164,13 +320,14 @@ const Homepage: React.FC = () => {
             <div className="w-24 h-24 rounded-full bg-red-100 animate-pulse flex items-center justify-center border-4 border-red-300">
               <div className="w-6 h-6 bg-red-600 rounded-full animate-pulse"></div>
             </div>
-            <p className="text-red-600 font-medium text-lg">Recording...</p>
+            <p className="text-red-600 font-medium text-lg">{t('home.recording')}</p>
+            {liveCoaching && <LiveFeedbackPanel metrics={liveMetrics} error={liveError} />}
             <div className="flex gap-4 mt-4">
               <button
                 className="px-6 py-3 bg-slate-600 text-white rounded-xl font-medium hover:bg-slate-700 transition-all duration-200 flex items-center gap-2"
                 onClick={handleStopRecording}
               >
-                <Square size={16} /> Stop Recording
+                <Square size={16} /> {t('home.stopRecording')}
               </button>
             </div>
           </div>
@@ -180,15 +337,114 @@ const Homepage: React.FC = () => {
         {audioUrl && !recording && (
           <div className="flex flex-col items-center mt-8 gap-4 w-full">
             <audio ref={audioRef} src={audioUrl} controls className="w-full" />
+            {languages.length > 0 && (
+              <label className="w-full flex items-center justify-between gap-3 text-sm text-slate-600">
+                <span className="font-medium">{t('home.pitchLanguage')}</span>
+                <select
+                  value={pitchLanguage}
+                  onChange={(e) => setPitchLanguage(e.target.value)}
+                  className="flex-1 px-3 py-2 border border-stone-300 rounded-lg bg-white text-slate-700"
+                >
+                  <option value={AUTO_LANGUAGE}>{t('home.detectLanguage')}</option>
+                  {languages.map((language) => (
+                    <option key={language.id} value={language.id}>
+                      {getLanguageName(language.id, locale)} · {language.nativeName}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            )}
+            {transcriptionMethods.length > 1 && (
+              <label className="w-full flex items-center justify-between gap-3 text-sm text-slate-600">
+                <span className="font-medium">{t('home.transcription')}</span>
+                <select
+                  value={transcriptionMethod}
+                  onChange={(e) => setTranscriptionMethod(e.target.value)}
+                  className="flex-1 px-3 py-2 border border-stone-300 rounded-lg bg-white text-slate-700"
+                >
+                  {transcriptionMethods.map((method) => (
+                    <option key={method.id} value={method.id}>
+                      {method.name}{method.offline ? ` (${t('home.private')})` : ''}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            )}
+            {llmProviders.length > 1 && (
+              <label className="w-full flex items-center justify-between gap-3 text-sm text-slate-600">
+                <span className="font-medium">{t('home.aiAnalysis')}</span>
+                <select
+                  value={llmProvider}
+                  onChange={(e) => setLLMProvider(e.target.value)}
+                  className="flex-1 px-3 py-2 border border-stone-300 rounded-lg bg-white text-slate-700"
+                >
+                  {llmProviders.map((provider) => (
+                    <option key={provider.id} value={provider.id}>
+                      {provider.name} ({provider.defaultModel})
+                    </option>
+                  ))}
+                </select>
+              </label>
+            )}
+            {presets.length > 1 && (
+              <label className="w-full flex items-center justify-between gap-3 text-sm text-slate-600">
+                <span className="font-medium">{t('home.pitchType')}</span>
+                <select
+                  value={presetId}
+                  onChange={(e) => setPresetId(e.target.value)}
+                  className="flex-1 px-3 py-2 border border-stone-300 rounded-lg bg-white text-slate-700"
+                >
+                  {presets.map((preset) => (
+                    <option key={preset.id} value={preset.id}>
+                      {tName(`preset.${preset.id}.name`, preset.name)} · {tName(`preset.${preset.id}.description`, preset.description)}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            )}
+            {rubrics.length > 1 && (
+              <label className="w-full flex items-center justify-between gap-3 text-sm text-slate-600">
+                <span className="font-medium">{t('home.rubric')}</span>
+                <select
+                  value={rubricId}
+                  onChange={(e) => setRubricId(e.target.value)}
+                  className="flex-1 px-3 py-2 border border-stone-300 rounded-lg bg-white text-slate-700"
+                >
+                  {rubrics.map((rubric) => (
+                    <option key={rubric.id} value={rubric.id}>
+                      {tName(`rubric.${rubric.id}.name`, rubric.name)}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            )}
+            <div className="w-full text-sm text-slate-600">
+              <div className="flex items-center justify-between mb-1">
+                <span className="font-medium">{t('home.script')}</span>
+                <label className="flex items-center gap-1 text-slate-500 hover:text-slate-700 cursor-pointer">
+                  <FileText size={14} /> {t('home.loadScript')}
+                  <input type="file" accept=".md,.markdown,.txt,text/plain,text/markdown" className="hidden" onChange={handleScriptFile} />
+                </label>
+              </div>
+              <textarea
+                value={script}
+                onChange={(e) => setScript(e.target.value)}
+                rows={script ? 6 : 2}
+                maxLength={MAX_SCRIPT_LENGTH}
+                placeholder={t('home.scriptPlaceholder')}
+                className="w-full px-3 py-2 border border-stone-300 rounded-lg bg-white text-slate-700"
+              />
+            </div>
             <div className="flex gap-4 mt-2 w-full">
               <button
                 className="flex-1 px-6 py-3 bg-stone-600 text-white rounded-xl font-medium hover:bg-stone-700 transition-all duration-200 flex items-center justify-center gap-2"
                 onClick={() => {
                   setAudioUrl(null);
                   setAudioChunks([]);
+                  setNoiseFloor(null);
                 }}
               >
-                <RotateCcw size={16} /> Record Again
+                <RotateCcw size={16} /> {t('home.recordAgain')}
               </button>
                <button
                 disabled={uploading}
@@ -199,11 +455,11 @@ const Homepage: React.FC = () => {
                 >
                 {uploading ? (
                   <>
-                    <Loader2 size={16} className="animate-spin" /> Evaluating...
+                    <Loader2 size={16} className="animate-spin" /> {t('home.evaluating')}
                   </>
                 ) : (
                   <>
-                    <TrendingUp size={16} /> Evaluate Pitch
+                    <TrendingUp size={16} /> {t('home.evaluate')}
                   </>
                 )}
               </button>
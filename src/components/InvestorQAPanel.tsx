@@ -0,0 +1,216 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { BarChart3, Loader2, MessagesSquare, Mic, RefreshCw, Square, X } from 'lucide-react';
+import type { EvaluationResultData, InvestorQuestion } from '../types/evaluation';
+import { CATEGORY_LABELS, generateQuestions, submitAnswer } from '../utils/investorQA';
+import { getSavedMicrophone, openMicrophone } from '../utils/micCheck';
+import { formatTimestamp } from '../utils/format';
+import { useTranslation } from '../i18n';
+
+interface QAAnswer {
+  id: string;
+  timestamp: number;
+  overallScore?: number;
+  result?: EvaluationResultData;
+  jobId?: string;
+}
+
+interface InvestorQAPanelProps {
+  pitch: { id: string; project: string; result: EvaluationResultData };
+  // Recordings answering this pitch's questions
+  answers: QAAnswer[];
+  onQuestionsGenerated: (result: EvaluationResultData) => void;
+  onAnswerSubmitted: (audioId: string, jobId: string) => void;
+  onOpenAnswer: (audioId: string) => void;
+}
+
+// Upper end of the answer time box; the timer turns amber past it
+const ANSWER_MAX_SECONDS = 90;
+
+// Generated investor questions for a pitch, with a recorder for answering each one
+const InvestorQAPanel: React.FC<InvestorQAPanelProps> = ({ pitch, answers, onQuestionsGenerated, onAnswerSubmitted, onOpenAnswer }) => {
+  const [generating, setGenerating] = useState(false);
+  const [recordingId, setRecordingId] = useState<string | null>(null);
+  const [submittingId, setSubmittingId] = useState<string | null>(null);
+  const [elapsed, setElapsed] = useState(0);
+  const recorderRef = useRef<MediaRecorder | null>(null);
+  // Set when recording is cancelled, so the stopped recording isn't uploaded
+  const discardRef = useRef(false);
+  const { t } = useTranslation();
+
+  const questionSet = pitch.result.investorQuestions;
+  const pendingCount = answers.filter(answer => answer.jobId && !answer.result).length;
+
+  // Drop an unfinished answer when the panel goes away
+  useEffect(() => () => {
+    discardRef.current = true;
+    if (recorderRef.current?.state === 'recording') recorderRef.current.stop();
+  }, []);
+
+  useEffect(() => {
+    if (!recordingId) return;
+    setElapsed(0);
+    const startedAt = Date.now();
+    const timer = setInterval(() => setElapsed(Math.floor((Date.now() - startedAt) / 1000)), 500);
+    return () => clearInterval(timer);
+  }, [recordingId]);
+
+  const handleGenerate = async () => {
+    if (questionSet && !confirm(t('qa.confirmReplace'))) return;
+    setGenerating(true);
+    try {
+      onQuestionsGenerated(await generateQuestions(pitch.id, pitch.result));
+    } catch (error) {
+      console.error('Error generating questions:', error);
+      alert(t('qa.generateFailed'));
+    } finally {
+      setGenerating(false);
+    }
+  };
+
+  const handleStartAnswer = async (question: InvestorQuestion) => {
+    let stream: MediaStream;
+    try {
+      stream = await openMicrophone(getSavedMicrophone());
+    } catch (error) {
+      console.error('Error opening microphone:', error);
+      alert(t('qa.microphoneFailed'));
+      return;
+    }
+
+    const recorder = new MediaRecorder(stream);
+    const chunks: Blob[] = [];
+    discardRef.current = false;
+    recorder.ondataavailable = (event) => chunks.push(event.data);
+    recorder.onstop = async () => {
+      stream.getTracks().forEach(track => track.stop());
+      recorderRef.current = null;
+      setRecordingId(null);
+      if (discardRef.current) return;
+
+      setSubmittingId(question.id);
+      try {
+        const { audioId, jobId } = await submitAnswer(pitch, question, new Blob(chunks, { type: recorder.mimeType || 'audio/webm' }));
+        onAnswerSubmitted(audioId, jobId);
+      } catch (error) {
+        console.error('Error submitting answer:', error);
+        alert(t('qa.submitFailed'));
+      } finally {
+        setSubmittingId(null);
+      }
+    };
+    recorderRef.current = recorder;
+    recorder.start();
+    setRecordingId(question.id);
+  };
+
+  const handleStopAnswer = (discard: boolean) => {
+    discardRef.current = discard;
+    recorderRef.current?.stop();
+  };
+
+  return (
+    <section className="w-full mt-8 border-t border-stone-200 pt-6">
+      <div className="flex items-center justify-between gap-3 mb-4">
+        <h3 className="text-xl font-semibold text-slate-800 flex items-center gap-2">
+          <MessagesSquare size={20} /> {t('qa.title')}
+        </h3>
+        <button
+          className="px-3 py-1.5 bg-slate-700 text-white rounded-lg text-sm font-medium hover:bg-slate-800 transition-colors duration-200 flex items-center gap-1 disabled:bg-stone-300 disabled:cursor-not-allowed"
+          onClick={handleGenerate}
+          disabled={generating || recordingId !== null || !pitch.result.transcription}
+          title={pitch.result.transcription ? undefined : t('qa.noTranscript')}
+        >
+          {generating ? <Loader2 size={14} className="animate-spin" /> : <RefreshCw size={14} />}
+          {t(questionSet ? 'qa.newQuestions' : 'qa.generate')}
+        </button>
+      </div>
+
+      {!questionSet ? (
+        <p className="text-sm text-slate-500">
+          {t('qa.intro')}
+        </p>
+      ) : (
+        <>
+          {questionSet.isFallback && (
+            <p className="mb-3 px-3 py-2 rounded-lg bg-amber-50 border border-amber-200 text-xs text-amber-800">
+              {t('qa.fallback', { reason: questionSet.fallbackReason || '' })}
+            </p>
+          )}
+          <ul className="space-y-3">
+            {questionSet.questions.map(question => {
+              const questionAnswers = answers
+                .filter(answer => answer.result?.question?.id === question.id)
+                .sort((a, b) => a.timestamp - b.timestamp);
+              const isRecording = recordingId === question.id;
+
+              return (
+                <li key={question.id} className="border border-stone-200 rounded-lg p-4 bg-white">
+                  <span className="px-2 py-0.5 rounded-full bg-stone-100 text-xs text-slate-600">
+                    {t(CATEGORY_LABELS[question.category])}
+                  </span>
+                  <p className="mt-2 font-medium text-slate-800">{question.text}</p>
+                  <p className="text-xs text-slate-500 mt-1">{question.rationale}</p>
+
+                  <div className="flex flex-wrap items-center gap-2 mt-3">
+                    {isRecording ? (
+                      <>
+                        <button
+                          className="px-3 py-1.5 bg-red-600 text-white rounded-lg text-sm font-medium hover:bg-red-700 transition-colors duration-200 flex items-center gap-1"
+                          onClick={() => handleStopAnswer(false)}
+                        >
+                          <Square size={12} /> {t('qa.stop')}
+                        </button>
+                        <button
+                          className="p-1.5 rounded-lg text-slate-500 hover:bg-stone-100"
+                          onClick={() => handleStopAnswer(true)}
+                          title={t('qa.discard')}
+                        >
+                          <X size={14} />
+                        </button>
+                        <span className={`text-sm font-mono ${elapsed > ANSWER_MAX_SECONDS ? 'text-amber-600' : 'text-slate-600'}`}>
+                          {formatTimestamp(elapsed)}
+                        </span>
+                      </>
+                    ) : submittingId === question.id ? (
+                      <span className="text-sm text-slate-500 flex items-center gap-1">
+                        <Loader2 size={14} className="animate-spin" /> {t('qa.uploading')}
+                      </span>
+                    ) : (
+                      <button
+                        className="px-3 py-1.5 bg-stone-600 text-white rounded-lg text-sm font-medium hover:bg-stone-700 transition-colors duration-200 flex items-center gap-1 disabled:bg-stone-300 disabled:cursor-not-allowed"
+                        onClick={() => handleStartAnswer(question)}
+                        disabled={recordingId !== null || submittingId !== null}
+                      >
+                        <Mic size={14} /> {t(questionAnswers.length > 0 ? 'qa.answerAgain' : 'qa.record')}
+                      </button>
+                    )}
+                    {questionAnswers.map((answer, index) => (
+                      <button
+                        key={answer.id}
+                        className="px-2 py-1 rounded-lg border border-stone-200 text-xs text-slate-600 hover:bg-stone-50 flex items-center gap-1"
+                        onClick={() => onOpenAnswer(answer.id)}
+                        title={t('qa.showAnswer')}
+                      >
+                        <BarChart3 size={12} /> {t('qa.take', { number: index + 1 })}
+                        {answer.overallScore !== undefined && <span className="font-medium">· {answer.overallScore}/10</span>}
+                      </button>
+                    ))}
+                  </div>
+                </li>
+              );
+            })}
+          </ul>
+          {pendingCount > 0 && (
+            <p className="mt-3 text-xs text-slate-500 flex items-center gap-1">
+              <Loader2 size={12} className="animate-spin" />
+              {t('qa.pending', { count: pendingCount })}
+            </p>
+          )}
+          <p className="mt-3 text-xs text-slate-500">{t('qa.hint')}</p>
+        </>
+      )}
+    </section>
+  );
+};
+
+export default InvestorQAPanel;
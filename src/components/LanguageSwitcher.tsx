@@ -0,0 +1,26 @@
+import React from 'react';
+import { Globe } from 'lucide-react';
+import { LOCALES, useTranslation, type Locale } from '../i18n';
+
+// Interface language picker; feedback on new evaluations is written in the same language
+const LanguageSwitcher: React.FC<{ className?: string }> = ({ className = '' }) => {
+  const { locale, setLocale, t } = useTranslation();
+
+  return (
+    <label className={`flex items-center gap-1 text-sm text-slate-600 ${className}`} title={t('language.switcherHint')}>
+      <Globe size={14} />
+      <span className="sr-only">{t('language.interface')}</span>
+      <select
+        value={locale}
+        onChange={(e) => setLocale(e.target.value as Locale)}
+        className="px-2 py-1 border border-stone-300 rounded-lg bg-white text-slate-700"
+      >
+        {LOCALES.map(option => (
+          <option key={option.id} value={option.id}>{option.nativeName}</option>
+        ))}
+      </select>
+    </label>
+  );
+};
+
+export default LanguageSwitcher;
@@ -0,0 +1,82 @@
+import React from 'react';
+import { AlertTriangle, Gauge, Pause, Volume2 } from 'lucide-react';
+import type { LiveMetrics } from '../utils/liveFeedback';
+import { useTranslation } from '../i18n';
+
+interface LiveFeedbackPanelProps {
+  metrics: LiveMetrics | null;
+  error: string | null;
+}
+
+// Meter range in dB; speech usually sits around -30 to -10
+const METER_FLOOR = -60;
+
+const LABEL_CLASSES: Record<string, string> = {
+  good: 'text-emerald-700',
+  quiet: 'text-amber-700',
+  loud: 'text-red-700',
+  slow: 'text-amber-700',
+  fast: 'text-red-700'
+};
+
+const Stat: React.FC<{ icon: React.ReactNode; label: string; value: string; valueClassName?: string }> = ({ icon, label, value, valueClassName }) => (
+  <div className="flex-1 bg-stone-50 border border-stone-200 rounded-lg p-3">
+    <span className="text-xs text-slate-500 flex items-center gap-1">{icon} {label}</span>
+    <span className={`block mt-1 font-medium ${valueClassName || 'text-slate-700'}`}>{value}</span>
+  </div>
+);
+
+// Rolling delivery coaching shown while recording
+const LiveFeedbackPanel: React.FC<LiveFeedbackPanelProps> = ({ metrics, error }) => {
+  const { t } = useTranslation();
+  if (error) {
+    return <p className="w-full text-sm text-slate-500 text-center">{t('live.unavailable', { error })}</p>;
+  }
+  if (!metrics) {
+    return <p className="w-full text-sm text-slate-500 text-center">{t('live.waiting')}</p>;
+  }
+
+  const meterPercent = Math.max(0, Math.min(100, ((metrics.level - METER_FLOOR) / -METER_FLOOR) * 100));
+  const meterColor = metrics.volume?.label === 'loud' ? 'bg-red-500' : metrics.volume?.label === 'quiet' ? 'bg-amber-500' : 'bg-emerald-500';
+  const pausing = metrics.pause.current >= 1;
+
+  return (
+    <div className="w-full space-y-3">
+      <div className="w-full h-3 bg-stone-200 rounded-full overflow-hidden" title={`${metrics.level} dB`}>
+        <div className={`h-full ${meterColor} transition-all duration-200`} style={{ width: `${meterPercent}%` }} />
+      </div>
+
+      <div className="flex gap-2 text-sm">
+        <Stat
+          icon={<Volume2 size={12} />}
+          label={t('live.volume')}
+          value={metrics.volume ? t(`live.level.${metrics.volume.label}`) : '-'}
+          valueClassName={metrics.volume ? LABEL_CLASSES[metrics.volume.label] : undefined}
+        />
+        <Stat
+          icon={<Gauge size={12} />}
+          label={t('live.pace')}
+          value={metrics.pace ? `${t(`live.level.${metrics.pace.label}`)} · ${metrics.pace.burstRate}/s` : t('live.listening')}
+          valueClassName={metrics.pace ? LABEL_CLASSES[metrics.pace.label] : undefined}
+        />
+        <Stat
+          icon={<Pause size={12} />}
+          label={t(pausing ? 'live.pausing' : 'live.sinceLastPause')}
+          value={`${Math.floor(pausing ? metrics.pause.current : metrics.pause.sinceLast)}s`}
+        />
+      </div>
+
+      {metrics.nudges.length > 0 && (
+        <ul className="space-y-1">
+          {metrics.nudges.map(nudge => (
+            <li key={nudge} className="flex items-center gap-2 bg-amber-50 border border-amber-200 rounded-lg px-3 py-2 text-sm text-amber-800">
+              <AlertTriangle size={14} className="shrink-0" /> {nudge}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default LiveFeedbackPanel;
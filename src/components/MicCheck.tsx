@@ -0,0 +1,237 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { AlertTriangle, CheckCircle2, Mic, RotateCcw, XCircle } from 'lucide-react';
+import {
+  assessMicCheck,
+  getSavedMicrophone,
+  listMicrophones,
+  monitorInput,
+  openMicrophone,
+  saveMicrophone,
+  summarizeMicCheck,
+  type InputFrame,
+  type MicCheckIssue,
+  type MicCheckResult
+} from '../utils/micCheck';
+import { useTranslation, type MessageKey } from '../i18n';
+
+interface MicCheckProps {
+  // Hands over the checked stream, which the caller then owns
+  onReady: (stream: MediaStream, result: MicCheckResult) => void;
+  onCancel: () => void;
+}
+
+type Phase = 'starting' | 'quiet' | 'speak' | 'done' | 'error';
+
+const QUIET_SECONDS = 2;
+const SPEAK_SECONDS = 3;
+// Meter range in dB
+const METER_FLOOR = -70;
+
+const PHASE_PROMPTS: Partial<Record<Phase, MessageKey>> = {
+  starting: 'micCheck.starting',
+  quiet: 'micCheck.quiet',
+  speak: 'micCheck.speak'
+};
+
+const stopStream = (stream: MediaStream | null) => stream?.getTracks().forEach(track => track.stop());
+
+// Pre-flight microphone check: device choice, live level, noise floor, speech level and clipping
+const MicCheck: React.FC<MicCheckProps> = ({ onReady, onCancel }) => {
+  const { t } = useTranslation();
+  const [devices, setDevices] = useState<MediaDeviceInfo[]>([]);
+  const [deviceId, setDeviceId] = useState<string | undefined>(getSavedMicrophone());
+  const [stream, setStream] = useState<MediaStream | null>(null);
+  const [phase, setPhase] = useState<Phase>('starting');
+  const [level, setLevel] = useState(METER_FLOOR);
+  const [result, setResult] = useState<MicCheckResult | null>(null);
+  const [issues, setIssues] = useState<MicCheckIssue[]>([]);
+  const [error, setError] = useState<string | null>(null);
+  // Frames of the phase being measured, null between phases
+  const collectorRef = useRef<InputFrame[] | null>(null);
+  // Bumped on every new check so a stale one (device switched mid-check) stops
+  const runRef = useRef(0);
+  const streamRef = useRef<MediaStream | null>(null);
+
+  const collect = (seconds: number) => new Promise<InputFrame[]>(resolve => {
+    collectorRef.current = [];
+    setTimeout(() => {
+      const frames = collectorRef.current || [];
+      collectorRef.current = null;
+      resolve(frames);
+    }, seconds * 1000);
+  });
+
+  const runCheck = async () => {
+    const run = ++runRef.current;
+    setResult(null);
+    setIssues([]);
+    setPhase('quiet');
+    const quietFrames = await collect(QUIET_SECONDS);
+    if (run !== runRef.current) return;
+    setPhase('speak');
+    const speechFrames = await collect(SPEAK_SECONDS);
+    if (run !== runRef.current) return;
+
+    const measured = summarizeMicCheck(quietFrames, speechFrames);
+    setResult(measured);
+    setIssues(assessMicCheck(measured));
+    setPhase('done');
+  };
+
+  // Open the chosen microphone, then list devices (their labels need the permission)
+  useEffect(() => {
+    let cancelled = false;
+    runRef.current++;
+    setPhase('starting');
+    openMicrophone(deviceId)
+      .then(async opened => {
+        if (cancelled) {
+          stopStream(opened);
+          return;
+        }
+        stopStream(streamRef.current);
+        streamRef.current = opened;
+        setStream(opened);
+        setDevices(await listMicrophones());
+      })
+      .catch(err => {
+        if (cancelled) return;
+        console.error('Error opening microphone:', err);
+        setError(t(err?.name === 'NotAllowedError' ? 'micCheck.permissionDenied' : 'micCheck.openFailed'));
+        setPhase('error');
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [deviceId]);
+
+  useEffect(() => {
+    if (!stream) return;
+    const stop = monitorInput(stream, frame => {
+      setLevel(frame.levelDb);
+      collectorRef.current?.push(frame);
+    });
+    runCheck();
+    return stop;
+  }, [stream]);
+
+  // Release the microphone unless it was handed over
+  useEffect(() => () => {
+    runRef.current++;
+    stopStream(streamRef.current);
+  }, []);
+
+  const handleDeviceChange = (id: string) => {
+    saveMicrophone(id);
+    setDeviceId(id);
+  };
+
+  const handleContinue = () => {
+    if (!streamRef.current || !result) return;
+    const checked = streamRef.current;
+    streamRef.current = null;
+    const track = checked.getAudioTracks()[0];
+    const settingsDeviceId = track?.getSettings().deviceId;
+    if (settingsDeviceId) saveMicrophone(settingsDeviceId);
+    onReady(checked, result);
+  };
+
+  const blocked = issues.some(issue => issue.severity === 'block');
+  const meterPercent = Math.max(0, Math.min(100, ((level - METER_FLOOR) / -METER_FLOOR) * 100));
+  const activeDeviceId = stream?.getAudioTracks()[0]?.getSettings().deviceId;
+
+  return (
+    <div className="flex flex-col items-center mt-8 gap-4 w-full">
+      <div className="w-20 h-20 rounded-full bg-slate-200 flex items-center justify-center">
+        <Mic size={32} className="text-slate-600" />
+      </div>
+      <p className="text-slate-700 font-medium">{t('micCheck.title')}</p>
+
+      {devices.length > 1 && (
+        <label className="w-full flex items-center justify-between gap-3 text-sm text-slate-600">
+          <span className="font-medium">{t('micCheck.microphone')}</span>
+          <select
+            value={activeDeviceId || deviceId || ''}
+            onChange={(e) => handleDeviceChange(e.target.value)}
+            className="flex-1 min-w-0 px-3 py-2 border border-stone-300 rounded-lg bg-white text-slate-700"
+          >
+            {devices.map((device, index) => (
+              <option key={device.deviceId} value={device.deviceId}>
+                {device.label || t('micCheck.microphoneNumber', { number: index + 1 })}
+              </option>
+            ))}
+          </select>
+        </label>
+      )}
+
+      {phase !== 'error' && (
+        <div className="w-full">
+          <div className="w-full h-3 bg-stone-200 rounded-full overflow-hidden" title={`${level} dB`}>
+            <div className="h-full bg-emerald-500 transition-all duration-100" style={{ width: `${meterPercent}%` }} />
+          </div>
+          {PHASE_PROMPTS[phase] && <p className="mt-2 text-sm text-slate-600 text-center">{t(PHASE_PROMPTS[phase])}</p>}
+        </div>
+      )}
+
+      {error && <p className="text-sm text-red-600 text-center">{error}</p>}
+
+      {result && (
+        <div className="w-full space-y-2">
+          <p className="text-xs text-slate-500 text-center">
+            {t('micCheck.levels', { noise: result.noiseFloorDb, speech: result.speechLevelDb, peak: result.peakDb })}
+          </p>
+          {issues.length === 0 ? (
+            <p className="flex items-center justify-center gap-2 text-sm text-emerald-700">
+              <CheckCircle2 size={16} /> {t('micCheck.soundsGood')}
+            </p>
+          ) : (
+            <ul className="space-y-1">
+              {issues.map(issue => (
+                <li
+                  key={issue.kind}
+                  className={`flex items-center gap-2 rounded-lg px-3 py-2 text-sm border ${
+                    issue.severity === 'block' ? 'bg-red-50 border-red-200 text-red-700' : 'bg-amber-50 border-amber-200 text-amber-800'
+                  }`}
+                >
+                  {issue.severity === 'block' ? <XCircle size={14} className="shrink-0" /> : <AlertTriangle size={14} className="shrink-0" />}
+                  {issue.message}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
+      <div className="flex gap-3 w-full">
+        <button
+          className="flex-1 px-4 py-3 bg-stone-200 text-slate-700 rounded-xl font-medium hover:bg-stone-300 transition-all duration-200"
+          onClick={onCancel}
+        >
+          {t('common.cancel')}
+        </button>
+        {phase === 'done' && (
+          <button
+            className="flex-1 px-4 py-3 bg-stone-600 text-white rounded-xl font-medium hover:bg-stone-700 transition-all duration-200 flex items-center justify-center gap-2"
+            onClick={runCheck}
+          >
+            <RotateCcw size={16} /> {t('micCheck.checkAgain')}
+          </button>
+        )}
+        {phase === 'done' && (
+          <button
+            disabled={blocked}
+            className={`flex-1 px-4 py-3 rounded-xl font-medium transition-all duration-200 flex items-center justify-center gap-2 ${
+              blocked ? 'bg-slate-400 cursor-not-allowed text-white' : 'bg-slate-700 text-white hover:bg-slate-800'
+            }`}
+            onClick={handleContinue}
+            title={blocked ? t('micCheck.fixFirst') : undefined}
+          >
+            <Mic size={16} /> {t('home.startRecording')}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default MicCheck;
@@ -0,0 +1,209 @@
+import React, { useMemo, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { FileText, Loader2, Mic, Wand2 } from 'lucide-react';
+import type { EvaluationResultData, RevisionChange } from '../types/evaluation';
+import { diffWords } from '../utils/comparison';
+import { formatTimestamp } from '../utils/format';
+import { getDefaultTargetDuration, getDuration, requestRevision, saveRehearsalScript } from '../utils/pitchRevision';
+import { useTranslation } from '../i18n';
+
+interface PitchRevisionViewProps {
+  id: string;
+  result: EvaluationResultData;
+  // Without it the revision can only be viewed (someone else's recording)
+  onResultChange?: (result: EvaluationResultData) => void;
+}
+
+// Matches the backend's target duration bounds
+const MIN_TARGET_SECONDS = 10;
+const MAX_TARGET_SECONDS = 3600;
+
+// Word-level changes inside one edit: cut words struck through, new words highlighted
+const ChangeDiff: React.FC<{ change: RevisionChange; active: boolean; onHover: (index: number | null) => void }> = ({ change, active, onHover }) => (
+  <span
+    className={`rounded px-0.5 transition-colors duration-150 ${active ? 'bg-amber-100 ring-1 ring-amber-300' : ''}`}
+    onMouseEnter={() => onHover(change.index)}
+    onMouseLeave={() => onHover(null)}
+  >
+    {diffWords(change.original, change.revised).map((token, index) => (
+      <React.Fragment key={index}>
+        <span
+          className={
+            token.type === 'added'
+              ? 'bg-emerald-100 text-emerald-800 rounded px-0.5'
+              : token.type === 'removed'
+                ? 'bg-red-100 text-red-700 line-through rounded px-0.5'
+                : ''
+          }
+        >
+          {token.word}
+        </span>{' '}
+      </React.Fragment>
+    ))}
+    <sup className="text-[10px] font-semibold text-amber-700">{change.index + 1}</sup>
+  </span>
+);
+
+// AI revision of the pitch as an annotated diff against the transcript, with a way to rehearse it next
+const PitchRevisionView: React.FC<PitchRevisionViewProps> = ({ id, result, onResultChange }) => {
+  const revision = result.revision;
+  const duration = getDuration(result);
+  const [targetDuration, setTargetDuration] = useState<string>(() => {
+    const target = revision?.targetDuration ?? getDefaultTargetDuration(result);
+    return target !== null ? String(target) : '';
+  });
+  const [revising, setRevising] = useState(false);
+  const [activeChange, setActiveChange] = useState<number | null>(null);
+  const [savedAsScript, setSavedAsScript] = useState(false);
+  const navigate = useNavigate();
+  const { t } = useTranslation();
+
+  const target = targetDuration.trim() ? Number(targetDuration) : null;
+  const targetInvalid = target !== null && (!Number.isFinite(target) || target < MIN_TARGET_SECONDS || target > MAX_TARGET_SECONDS);
+
+  const lengthLabel = useMemo(() => {
+    if (!revision) return '';
+    const words = t('revision.words', { before: revision.wordCount, after: revision.revisedWordCount });
+    const estimate = revision.targetDuration
+      ? t('revision.estimateWithTarget', {
+        estimate: formatTimestamp(revision.estimatedDuration),
+        target: formatTimestamp(revision.targetDuration)
+      })
+      : t('revision.estimate', { estimate: formatTimestamp(revision.estimatedDuration) });
+    return `${words} · ${estimate}`;
+  }, [revision, t]);
+
+  const handleRevise = async () => {
+    if (!onResultChange || targetInvalid) return;
+    setRevising(true);
+    try {
+      onResultChange(await requestRevision(id, result, target));
+      setSavedAsScript(false);
+    } catch (error) {
+      console.error('Error revising pitch:', error);
+      alert(t('revision.failed'));
+    } finally {
+      setRevising(false);
+    }
+  };
+
+  const handleUseAsScript = () => {
+    if (!revision) return;
+    saveRehearsalScript(revision.revision);
+    setSavedAsScript(true);
+  };
+
+  return (
+    <div className="space-y-6">
+      {onResultChange && (
+        <div className="flex flex-wrap items-end gap-3">
+          <label className="flex flex-col gap-1 text-sm text-slate-600">
+            <span className="font-medium">{t('revision.targetLength')}</span>
+            <input
+              type="number"
+              min={MIN_TARGET_SECONDS}
+              max={MAX_TARGET_SECONDS}
+              value={targetDuration}
+              onChange={(e) => setTargetDuration(e.target.value)}
+              placeholder={t('revision.keepLength')}
+              className={`w-40 px-3 py-2 border rounded-lg bg-white text-slate-700 ${targetInvalid ? 'border-red-400' : 'border-stone-300'}`}
+            />
+          </label>
+          <button
+            className="px-4 py-2 bg-slate-700 text-white rounded-lg font-medium hover:bg-slate-800 transition-colors duration-200 flex items-center gap-2 disabled:bg-stone-300 disabled:cursor-not-allowed"
+            onClick={handleRevise}
+            disabled={revising || targetInvalid || !result.transcription}
+          >
+            {revising ? <Loader2 size={16} className="animate-spin" /> : <Wand2 size={16} />}
+            {t(revision ? 'revision.again' : 'revision.rewrite')}
+          </button>
+          {duration !== null && <span className="text-xs text-slate-500 pb-2">{t('revision.takeRan', { duration: formatTimestamp(duration) })}</span>}
+        </div>
+      )}
+
+      {!revision ? (
+        <p className="text-sm text-slate-500">
+          {t(onResultChange ? 'revision.intro' : 'revision.none')}
+        </p>
+      ) : (
+        <>
+          {revision.isFallback && (
+            <div className="bg-amber-50 border border-amber-200 rounded-lg p-4 text-sm text-amber-800">
+              <span className="font-semibold">{t('revision.fallbackTitle')}</span>{' '}
+              {t(revision.fallbackReason ? 'revision.fallbackBecause' : 'revision.fallback', { reason: revision.fallbackReason || '' })}
+            </div>
+          )}
+          <div>
+            <p className="text-slate-700">{revision.summary}</p>
+            <p className="mt-1 text-xs text-slate-500">
+              {t('revision.changes', { count: revision.changes.length })} · {lengthLabel}
+              {revision.dropped > 0 ? ` · ${t('revision.dropped', { count: revision.dropped })}` : ''}
+            </p>
+          </div>
+
+          <p className="text-sm leading-relaxed text-slate-700 bg-white border border-stone-200 rounded-lg p-4">
+            {revision.segments.map((segment, index) => (
+              <React.Fragment key={index}>
+                {segment.type === 'same'
+                  ? <span>{segment.text}</span>
+                  : <ChangeDiff change={revision.changes[segment.change]} active={activeChange === segment.change} onHover={setActiveChange} />}{' '}
+              </React.Fragment>
+            ))}
+          </p>
+
+          {revision.changes.length > 0 && (
+            <section>
+              <h5 className="font-semibold text-slate-700 mb-3">{t('revision.why')}</h5>
+              <ol className="space-y-2">
+                {revision.changes.map(change => (
+                  <li
+                    key={change.index}
+                    className={`flex gap-3 rounded-lg border p-3 text-sm transition-colors duration-150 ${
+                      activeChange === change.index ? 'bg-amber-50 border-amber-300' : 'bg-white border-stone-200'
+                    }`}
+                    onMouseEnter={() => setActiveChange(change.index)}
+                    onMouseLeave={() => setActiveChange(null)}
+                  >
+                    <span className="font-semibold text-amber-700">{change.index + 1}</span>
+                    <div className="flex-1">
+                      <p className="text-slate-700">{change.reason}</p>
+                      {!change.revised && <p className="text-xs text-slate-500 mt-1">{t('revision.cut', { text: change.original })}</p>}
+                    </div>
+                  </li>
+                ))}
+              </ol>
+            </section>
+          )}
+
+          <section>
+            <h5 className="font-semibold text-slate-700 mb-3">{t('revision.revised')}</h5>
+            <p className="text-sm leading-relaxed text-slate-800 whitespace-pre-wrap bg-stone-50 border border-stone-200 rounded-lg p-4">
+              {revision.revision}
+            </p>
+            <div className="flex flex-wrap items-center gap-3 mt-3">
+              <button
+                className="px-4 py-2 bg-stone-600 text-white rounded-lg font-medium hover:bg-stone-700 transition-colors duration-200 flex items-center gap-2"
+                onClick={handleUseAsScript}
+              >
+                <FileText size={16} /> {t('revision.useAsScript')}
+              </button>
+              {savedAsScript && (
+                <>
+                  <span className="text-sm text-emerald-700">{t('revision.saved')}</span>
+                  <button
+                    className="px-4 py-2 bg-slate-700 text-white rounded-lg font-medium hover:bg-slate-800 transition-colors duration-200 flex items-center gap-2"
+                    onClick={() => navigate('/')}
+                  >
+                    <Mic size={16} /> {t('revision.rehearse')}
+                  </button>
+                </>
+              )}
+            </div>
+          </section>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default PitchRevisionView;
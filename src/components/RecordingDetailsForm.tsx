@@ -0,0 +1,87 @@
+import React, { useState } from 'react';
+import { Check, X } from 'lucide-react';
+import { normalizeTags } from '../utils/audioStorage';
+import { useTranslation } from '../i18n';
+
+interface RecordingDetails {
+  name: string;
+  project: string;
+  tags: string[];
+  notes: string;
+}
+
+interface RecordingDetailsFormProps {
+  initial: RecordingDetails;
+  // Existing projects, offered as suggestions
+  projects: string[];
+  onSave: (details: RecordingDetails) => Promise<void>;
+  onCancel: () => void;
+}
+
+const inputClassName = 'w-full px-2 py-1.5 border border-stone-300 rounded-lg text-sm text-slate-800 bg-white focus:outline-none focus:border-slate-500';
+
+const RecordingDetailsForm: React.FC<RecordingDetailsFormProps> = ({ initial, projects, onSave, onCancel }) => {
+  const [name, setName] = useState(initial.name);
+  const [project, setProject] = useState(initial.project);
+  const [tags, setTags] = useState(initial.tags.join(', '));
+  const [notes, setNotes] = useState(initial.notes);
+  const [saving, setSaving] = useState(false);
+  const { t } = useTranslation();
+
+  const handleSubmit = async (event: React.FormEvent) => {
+    event.preventDefault();
+    if (!name.trim()) {
+      alert(t('details.titleRequired'));
+      return;
+    }
+
+    setSaving(true);
+    try {
+      await onSave({
+        name: name.trim(),
+        project: project.trim(),
+        tags: normalizeTags(tags.split(',')),
+        notes: notes.trim()
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-2 mb-3">
+      <input value={name} onChange={e => setName(e.target.value)} placeholder={t('details.title')} className={inputClassName} autoFocus />
+      <input
+        value={project}
+        onChange={e => setProject(e.target.value)}
+        placeholder={t('details.project')}
+        list="recording-projects"
+        className={inputClassName}
+      />
+      <datalist id="recording-projects">
+        {projects.map(option => <option key={option} value={option} />)}
+      </datalist>
+      <input value={tags} onChange={e => setTags(e.target.value)} placeholder={t('details.tags')} className={inputClassName} />
+      <textarea value={notes} onChange={e => setNotes(e.target.value)} placeholder={t('details.notes')} rows={3} className={inputClassName} />
+      <div className="flex gap-2">
+        <button
+          type="submit"
+          disabled={saving}
+          className="flex-1 px-3 py-1.5 bg-slate-700 text-white rounded-lg text-xs font-medium hover:bg-slate-800 transition-colors duration-200 flex items-center justify-center gap-1 disabled:bg-stone-300"
+        >
+          <Check size={12} /> {t('common.save')}
+        </button>
+        <button
+          type="button"
+          onClick={onCancel}
+          className="flex-1 px-3 py-1.5 bg-stone-100 text-slate-700 rounded-lg text-xs font-medium hover:bg-stone-200 transition-colors duration-200 flex items-center justify-center gap-1"
+        >
+          <X size={12} /> {t('common.cancel')}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default RecordingDetailsForm;
+export type { RecordingDetails };
@@ -0,0 +1,138 @@
+import React from 'react';
+import { ArrowUpDown, Check, MessageSquarePlus, X } from 'lucide-react';
+import type { ScriptAdherence, ScriptSection } from '../types/evaluation';
+import { formatTimestamp } from '../utils/format';
+import { useTranslation, type MessageKey } from '../i18n';
+
+interface ScriptAdherenceViewProps {
+  adherence: ScriptAdherence;
+  onSeek?: (seconds: number) => void;
+}
+
+const statusStyles: Record<ScriptSection['status'], string> = {
+  covered: 'bg-emerald-50 border-emerald-200 text-emerald-700',
+  partial: 'bg-amber-50 border-amber-200 text-amber-700',
+  skipped: 'bg-red-50 border-red-200 text-red-700'
+};
+
+const statusLabels: Record<ScriptSection['status'], MessageKey> = {
+  covered: 'script.status.covered',
+  partial: 'script.status.partial',
+  skipped: 'script.status.skipped'
+};
+
+const Stat: React.FC<{ label: string; value: string }> = ({ label, value }) => (
+  <div className="bg-white border border-stone-200 rounded-lg p-4 text-center">
+    <div className="text-2xl font-light text-slate-800">{value}</div>
+    <div className="text-xs text-slate-500 mt-1">{label}</div>
+  </div>
+);
+
+const TimeButton: React.FC<{ seconds: number | null; onSeek?: (seconds: number) => void }> = ({ seconds, onSeek }) => {
+  const { t } = useTranslation();
+  return seconds === null ? null : (
+    <button
+      onClick={() => onSeek?.(seconds)}
+      disabled={!onSeek}
+      className="px-1.5 py-0.5 rounded bg-stone-100 text-xs font-mono text-slate-600 hover:bg-stone-200 disabled:hover:bg-stone-100"
+      title={t('script.jump')}
+    >
+      {formatTimestamp(seconds)}
+    </button>
+  );
+};
+
+// The script with delivered words highlighted, section by section, plus key phrases and ad-libs
+const ScriptAdherenceView: React.FC<ScriptAdherenceViewProps> = ({ adherence, onSeek }) => {
+  const { t } = useTranslation();
+  const { sections, keyPhrases, adLibs } = adherence;
+  const adLibShare = adherence.transcriptWordCount > 0 ? adherence.adLibWordCount / adherence.transcriptWordCount : 0;
+
+  return (
+    <div className="space-y-8">
+      <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+        <Stat label={t('script.delivered')} value={`${Math.round(adherence.coverage * 100)}%`} />
+        <Stat
+          label={t(keyPhrases.source === 'marked' ? 'script.keyPhrasesSaid' : 'script.sentencesSaid')}
+          value={keyPhrases.percentage !== null ? `${keyPhrases.percentage}%` : '-'}
+        />
+        <Stat label={t('script.skippedReordered')} value={`${adherence.skippedSections.length} / ${adherence.reorderedSections.length}`} />
+        <Stat label={t('script.adLibbed')} value={`${Math.round(adLibShare * 100)}%`} />
+      </div>
+
+      <section className="space-y-4">
+        {sections.map(section => (
+          <div key={section.index} className="border border-stone-200 rounded-lg p-4 bg-white">
+            <div className="flex flex-wrap items-center gap-2 mb-2">
+              <h5 className="font-semibold text-slate-700 mr-auto">{section.title}</h5>
+              {section.reordered && (
+                <span className="px-2 py-0.5 rounded-full border text-xs bg-blue-50 border-blue-200 text-blue-700 flex items-center gap-1">
+                  <ArrowUpDown size={12} /> {t('script.outOfOrder')}
+                </span>
+              )}
+              <span className={`px-2 py-0.5 rounded-full border text-xs ${statusStyles[section.status]}`}>
+                {t(statusLabels[section.status])} · {Math.round(section.coverage * 100)}%
+              </span>
+              <TimeButton seconds={section.start} onSeek={onSeek} />
+            </div>
+            <p className="text-sm leading-relaxed">
+              {section.words.map((word, index) => (
+                <React.Fragment key={index}>
+                  <span
+                    className={
+                      word.delivered === false
+                        ? 'text-red-600 line-through decoration-red-300'
+                        : word.delivered
+                          ? 'text-slate-800 bg-emerald-50'
+                          : 'text-slate-500'
+                    }
+                  >
+                    {word.text}
+                  </span>{' '}
+                </React.Fragment>
+              ))}
+            </p>
+          </div>
+        ))}
+        <p className="text-xs text-slate-500">
+          {t('script.legend')}
+        </p>
+      </section>
+
+      {keyPhrases.source === 'marked' && keyPhrases.items.length > 0 && (
+        <section>
+          <h5 className="font-semibold text-slate-700 mb-3">{t('script.keyPhrases', { delivered: keyPhrases.delivered, total: keyPhrases.total })}</h5>
+          <ul className="space-y-1">
+            {keyPhrases.items.map((phrase, index) => (
+              <li key={index} className="flex items-center gap-2 text-sm text-slate-700">
+                {phrase.delivered
+                  ? <Check size={14} className="text-emerald-600 shrink-0" />
+                  : <X size={14} className="text-red-600 shrink-0" />}
+                <span className="flex-1">{phrase.text}</span>
+                {phrase.delivered && <TimeButton seconds={phrase.start} onSeek={onSeek} />}
+              </li>
+            ))}
+          </ul>
+        </section>
+      )}
+
+      {adLibs.length > 0 && (
+        <section>
+          <h5 className="font-semibold text-slate-700 mb-3 flex items-center gap-2">
+            <MessageSquarePlus size={16} /> {t('script.adLibs')}
+          </h5>
+          <ul className="space-y-2">
+            {adLibs.map((passage, index) => (
+              <li key={index} className="flex items-start gap-3 bg-amber-50 border border-amber-200 rounded-lg p-3 text-sm text-amber-900">
+                <TimeButton seconds={passage.start} onSeek={onSeek} />
+                <span className="flex-1">{passage.text}</span>
+              </li>
+            ))}
+          </ul>
+        </section>
+      )}
+    </div>
+  );
+};
+
+export default ScriptAdherenceView;
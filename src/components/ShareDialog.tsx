@@ -0,0 +1,135 @@
+import React, { useEffect, useState } from 'react';
+import { Copy, Link2, Loader2, X } from 'lucide-react';
+import { ensureOnServer, type RemoteRecording } from '../utils/recordingSync';
+import { listWorkspaces, shareUrl, updateSharing, type WorkspaceSummary } from '../utils/workspaces';
+import { useTranslation } from '../i18n';
+
+interface ShareDialogProps {
+  recordingId: string;
+  recordingName: string;
+  onClose: () => void;
+}
+
+const ShareDialog: React.FC<ShareDialogProps> = ({ recordingId, recordingName, onClose }) => {
+  const [recording, setRecording] = useState<RemoteRecording | null>(null);
+  const [workspaces, setWorkspaces] = useState<WorkspaceSummary[]>([]);
+  const [error, setError] = useState<string | null>(null);
+  const [saving, setSaving] = useState(false);
+  const [copied, setCopied] = useState(false);
+  const { t } = useTranslation();
+
+  // Sharing works on the server copy, so upload the recording first if needed
+  useEffect(() => {
+    Promise.all([ensureOnServer(recordingId), listWorkspaces()])
+      .then(([remote, available]) => {
+        setRecording(remote);
+        setWorkspaces(available);
+      })
+      .catch(err => {
+        console.error('Error loading sharing settings:', err);
+        setError(err instanceof Error ? err.message : t('share.loadFailed'));
+      });
+  }, [recordingId]);
+
+  const saveSharing = async (sharing: { workspaceId?: string | null; link?: boolean }) => {
+    setSaving(true);
+    setError(null);
+    try {
+      setRecording(await updateSharing(recordingId, sharing));
+    } catch (err) {
+      console.error('Error updating sharing:', err);
+      setError(err instanceof Error ? err.message : t('share.updateFailed'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const copyLink = async (url: string) => {
+    try {
+      await navigator.clipboard.writeText(url);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (err) {
+      console.error('Error copying link:', err);
+      alert(url);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 bg-slate-900/40 flex items-center justify-center p-4">
+      <div className="w-full max-w-md bg-white rounded-2xl shadow-xl border border-stone-200 p-6 relative">
+        <button onClick={onClose} className="absolute top-4 right-4 text-slate-400 hover:text-slate-700" title={t('common.close')}>
+          <X size={18} />
+        </button>
+        <h3 className="text-2xl font-light text-slate-800 mb-1">{t('share.title')}</h3>
+        <p className="text-sm text-slate-500 mb-5 truncate">{recordingName}</p>
+
+        {error && <p className="text-sm text-red-600 mb-4">{error}</p>}
+
+        {!recording ? (
+          !error && (
+            <div className="flex justify-center py-6">
+              <Loader2 size={24} className="text-slate-400 animate-spin" />
+            </div>
+          )
+        ) : (
+          <div className="space-y-5">
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-1">{t('share.workspace')}</label>
+              <select
+                value={recording.workspaceId || ''}
+                onChange={e => saveSharing({ workspaceId: e.target.value || null })}
+                disabled={saving}
+                className="w-full px-3 py-2 border border-stone-300 rounded-lg text-sm text-slate-800 bg-white"
+              >
+                <option value="">{t('share.private')}</option>
+                {workspaces.map(workspace => (
+                  <option key={workspace.id} value={workspace.id}>
+                    {workspace.name} · {t('workspaces.members', { count: workspace.memberCount })}
+                  </option>
+                ))}
+              </select>
+              {workspaces.length === 0 && (
+                <p className="text-xs text-slate-500 mt-1">{t('share.noWorkspaces')}</p>
+              )}
+            </div>
+
+            <div>
+              <label className="flex items-center gap-2 text-sm font-medium text-slate-700">
+                <input
+                  type="checkbox"
+                  checked={Boolean(recording.shareToken)}
+                  onChange={e => saveSharing({ link: e.target.checked })}
+                  disabled={saving}
+                  className="accent-slate-700"
+                />
+                <Link2 size={14} />
+                {t('share.link')}
+              </label>
+              <p className="text-xs text-slate-500 mt-1">{t('share.linkHint')}</p>
+              {recording.shareToken && (
+                <div className="mt-2 flex gap-2">
+                  <input
+                    readOnly
+                    value={shareUrl(recording.shareToken)}
+                    className="flex-1 min-w-0 px-3 py-2 border border-stone-300 rounded-lg text-xs text-slate-600 bg-stone-50"
+                    onFocus={e => e.target.select()}
+                  />
+                  <button
+                    onClick={() => copyLink(shareUrl(recording.shareToken!))}
+                    className="px-3 py-2 bg-slate-700 text-white rounded-lg text-xs font-medium hover:bg-slate-800 flex items-center gap-1"
+                  >
+                    <Copy size={12} />
+                    {t(copied ? 'share.copied' : 'share.copy')}
+                  </button>
+                </div>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ShareDialog;
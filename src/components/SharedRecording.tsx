@@ -0,0 +1,65 @@
+import React, { useEffect, useState } from 'react';
+import { useParams } from 'react-router-dom';
+import { Loader2 } from 'lucide-react';
+import EvaluationResult from './EvaluationResult';
+import { fetchRecordingAudioUrl, fetchSharedRecording, type SharedRecording as SharedRecordingData } from '../utils/workspaces';
+import { useTranslation } from '../i18n';
+import LanguageSwitcher from './LanguageSwitcher';
+
+// Read-only page behind a share link, no account needed
+const SharedRecording: React.FC = () => {
+  const { token = '' } = useParams();
+  const [recording, setRecording] = useState<SharedRecordingData | null>(null);
+  const [audioUrl, setAudioUrl] = useState<string | undefined>(undefined);
+  const [error, setError] = useState<string | null>(null);
+  const { t, formatDate } = useTranslation();
+
+  useEffect(() => {
+    let url: string | undefined;
+    fetchSharedRecording(token)
+      .then(async shared => {
+        setRecording(shared);
+        if (shared.audio) {
+          url = await fetchRecordingAudioUrl({ token });
+          setAudioUrl(url);
+        }
+      })
+      .catch(err => {
+        console.error('Error loading shared recording:', err);
+        setError(t('share.invalidLink'));
+      });
+    return () => {
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [token]);
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-50 to-stone-100 p-4 lg:p-8 flex flex-col items-center">
+      <LanguageSwitcher className="w-full max-w-4xl justify-end mb-4" />
+      <div className="w-full max-w-4xl bg-white rounded-2xl shadow-xl p-4 lg:p-8 border border-stone-200 flex flex-col items-center">
+        {error ? (
+          <p className="text-slate-500 text-center py-12">{error}</p>
+        ) : !recording ? (
+          <Loader2 size={24} className="text-slate-400 animate-spin my-12" />
+        ) : (
+          <>
+            <p className="self-start text-sm text-slate-500 mb-4">
+              {recording.name} · {t('share.sharedBy', { name: recording.ownerName || '' })} · {formatDate(recording.timestamp, { dateStyle: 'medium' })}
+            </p>
+            <EvaluationResult
+              id={recording.id}
+              result={recording.result}
+              overallScore={recording.overallScore}
+              audioUrl={audioUrl}
+              name={recording.name}
+              timestamp={recording.timestamp}
+              readOnly
+            />
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SharedRecording;
@@ -0,0 +1,179 @@
+import React, { useMemo, useState } from 'react';
+import { Award, TrendingDown, TrendingUp } from 'lucide-react';
+import { buildTrends, type MetricTrend, type TrendRecord } from '../utils/trends';
+import { useTranslation, type MessageKey } from '../i18n';
+
+interface TrendsViewProps {
+  records: TrendRecord[];
+  onSelectRecord?: (recordId: string) => void;
+}
+
+// Chart coordinates (the SVG stretches to the container width)
+const WIDTH = 600;
+const HEIGHT = 220;
+const PADDING = 24;
+
+const DATE_FORMAT: Intl.DateTimeFormatOptions = { month: 'short', day: 'numeric' };
+
+const GROUP_LABELS: Record<MetricTrend['group'], MessageKey> = {
+  overall: 'trends.group.overall',
+  delivery: 'trends.group.delivery',
+  engagement: 'trends.group.engagement'
+};
+
+const formatChange = (metric: MetricTrend) =>
+  `${(metric.sessionChange ?? 0) > 0 ? '+' : ''}${metric.sessionChange}/${metric.max}`;
+
+const MetricChart: React.FC<{ metric: MetricTrend; onSelectRecord?: (recordId: string) => void }> = ({ metric, onSelectRecord }) => {
+  const { formatDate } = useTranslation();
+  const { points, max, personalBest } = metric;
+  const x = (index: number) =>
+    points.length === 1 ? WIDTH / 2 : PADDING + (index / (points.length - 1)) * (WIDTH - PADDING * 2);
+  const y = (value: number) => HEIGHT - PADDING - (value / max) * (HEIGHT - PADDING * 2);
+  const valuePath = points.map((point, i) => `${i === 0 ? 'M' : 'L'}${x(i)},${y(point.value)}`).join(' ');
+  const averagePath = points.map((point, i) => `${i === 0 ? 'M' : 'L'}${x(i)},${y(point.movingAverage)}`).join(' ');
+
+  return (
+    <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-56">
+      {[0, 0.5, 1].map(fraction => (
+        <g key={fraction}>
+          <line x1={PADDING} x2={WIDTH - PADDING} y1={y(max * fraction)} y2={y(max * fraction)} className="stroke-stone-200" />
+          <text x={2} y={y(max * fraction) + 4} className="fill-slate-400 text-[10px]">{max * fraction}</text>
+        </g>
+      ))}
+      <path d={averagePath} fill="none" className="stroke-amber-400" strokeWidth={2} strokeDasharray="6 4" />
+      <path d={valuePath} fill="none" className="stroke-slate-600" strokeWidth={2} />
+      {points.map((point, i) => (
+        <circle
+          key={point.recordId}
+          cx={x(i)}
+          cy={y(point.value)}
+          r={point === personalBest ? 6 : 4}
+          className={`${point === personalBest ? 'fill-emerald-500' : 'fill-slate-700'} ${onSelectRecord ? 'cursor-pointer' : ''}`}
+          onClick={() => onSelectRecord?.(point.recordId)}
+        >
+          <title>{`${point.name} · ${formatDate(point.timestamp, DATE_FORMAT)} · ${point.value}/${max}`}</title>
+        </circle>
+      ))}
+    </svg>
+  );
+};
+
+const Sparkline: React.FC<{ metric: MetricTrend }> = ({ metric }) => {
+  const { points, max } = metric;
+  const path = points
+    .map((point, i) => {
+      const px = points.length === 1 ? 50 : (i / (points.length - 1)) * 100;
+      return `${i === 0 ? 'M' : 'L'}${px},${30 - (point.value / max) * 30}`;
+    })
+    .join(' ');
+  return (
+    <svg viewBox="0 0 100 30" preserveAspectRatio="none" className="w-full h-8">
+      <path d={path} fill="none" className="stroke-slate-500" strokeWidth={2} vectorEffect="non-scaling-stroke" />
+    </svg>
+  );
+};
+
+const ChangeList: React.FC<{ title: string; metrics: MetricTrend[]; positive: boolean }> = ({ title, metrics, positive }) => {
+  const { t } = useTranslation();
+  return (
+    <div className={`rounded-lg border p-4 ${positive ? 'bg-emerald-50 border-emerald-200' : 'bg-red-50 border-red-200'}`}>
+      <h5 className={`font-semibold mb-2 flex items-center gap-2 ${positive ? 'text-emerald-800' : 'text-red-800'}`}>
+        {positive ? <TrendingUp size={16} /> : <TrendingDown size={16} />}
+        {title}
+      </h5>
+      {metrics.length === 0 ? (
+        <p className={`text-sm ${positive ? 'text-emerald-700' : 'text-red-700'}`}>{t('trends.noChanges')}</p>
+      ) : (
+        <ul className="space-y-1">
+          {metrics.map(metric => (
+            <li key={metric.key} className={`text-sm flex justify-between ${positive ? 'text-emerald-700' : 'text-red-700'}`}>
+              <span>{metric.label}</span>
+              <span className="font-medium">{formatChange(metric)}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+const TrendsView: React.FC<TrendsViewProps> = ({ records, onSelectRecord }) => {
+  const { t, locale, formatDate } = useTranslation();
+  // Metric labels are translated, so they follow the interface language
+  const trends = useMemo(() => buildTrends(records), [records, locale]);
+  const [selectedKey, setSelectedKey] = useState('overallScore');
+  const selected = trends.metrics.find(metric => metric.key === selectedKey) || trends.metrics[0];
+
+  if (!selected) {
+    return <p className="text-lg text-slate-600 text-center">{t('trends.empty')}</p>;
+  }
+
+  return (
+    <div className="w-full">
+      <h3 className="text-3xl font-light text-slate-800 mb-2 text-center">{t('trends.title')}</h3>
+      <p className="text-sm text-slate-500 text-center mb-8">
+        {t('trends.recordings', { count: trends.recordCount })} · {t('trends.practiceDays', { count: trends.sessionCount })}
+      </p>
+
+      {trends.sessionCount > 1 && (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-8">
+          <ChangeList title={t('trends.gains')} metrics={trends.gains} positive />
+          <ChangeList title={t('trends.regressions')} metrics={trends.regressions} positive={false} />
+        </div>
+      )}
+
+      <div className="bg-gradient-to-br from-white to-stone-50 rounded-2xl p-6 shadow-sm border border-stone-100 mb-8">
+        <div className="flex items-center justify-between mb-2">
+          <h4 className="text-xl font-medium text-slate-700">{selected.label}</h4>
+          {selected.personalBest && (
+            <span className="flex items-center gap-1 text-sm text-emerald-700">
+              <Award size={16} />
+              {t('trends.best', { value: selected.personalBest.value, max: selected.max })} · {formatDate(selected.personalBest.timestamp, DATE_FORMAT)}
+            </span>
+          )}
+        </div>
+        <MetricChart metric={selected} onSelectRecord={onSelectRecord} />
+        <div className="flex gap-4 text-xs text-slate-500">
+          <span className="flex items-center gap-1"><span className="w-3 h-0.5 bg-slate-600"></span>{t('trends.score')}</span>
+          <span className="flex items-center gap-1"><span className="w-3 h-0.5 bg-amber-400"></span>{t('trends.movingAverage')}</span>
+          <span className="flex items-center gap-1"><span className="w-2 h-2 rounded-full bg-emerald-500"></span>{t('trends.personalBest')}</span>
+        </div>
+      </div>
+
+      {(['overall', 'delivery', 'engagement'] as const).map(group => {
+        const metrics = trends.metrics.filter(metric => metric.group === group);
+        if (metrics.length === 0) return null;
+        return (
+          <div key={group} className="mb-6">
+            <h5 className="text-sm font-semibold text-slate-500 uppercase tracking-wide mb-3">{t(GROUP_LABELS[group])}</h5>
+            <div className="grid grid-cols-2 md:grid-cols-3 gap-3">
+              {metrics.map(metric => (
+                <button
+                  key={metric.key}
+                  onClick={() => setSelectedKey(metric.key)}
+                  className={`text-left rounded-lg border p-3 transition-colors duration-200 ${
+                    metric.key === selected.key ? 'bg-slate-50 border-slate-400' : 'bg-white border-stone-200 hover:border-slate-300'
+                  }`}
+                >
+                  <div className="flex items-center justify-between text-sm">
+                    <span className="font-medium text-slate-700">{metric.label}</span>
+                    {metric.latest && <span className="text-slate-500">{metric.latest.value}/{metric.max}</span>}
+                  </div>
+                  <Sparkline metric={metric} />
+                  {metric.sessionChange !== null && metric.sessionChange !== 0 && (
+                    <span className={`text-xs ${metric.sessionChange > 0 ? 'text-emerald-600' : 'text-red-600'}`}>
+                      {t('trends.vsPrevious', { change: formatChange(metric) })}
+                    </span>
+                  )}
+                </button>
+              ))}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default TrendsView;
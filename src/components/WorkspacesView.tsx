@@ -0,0 +1,363 @@
+import React, { useEffect, useState } from 'react';
+import { ArrowLeft, Loader2, LogOut, Plus, Trash2, UserMinus, UserPlus, Users } from 'lucide-react';
+import EvaluationResult from './EvaluationResult';
+import type { User } from '../utils/auth';
+import type { RemoteRecording } from '../utils/recordingSync';
+import { fetchAgreementStats, type AgreementStats } from '../utils/coachReviews';
+import { getCriterionName } from '../utils/resultCriteria';
+import { useTranslation } from '../i18n';
+import {
+  addWorkspaceMember,
+  createWorkspace,
+  deleteWorkspace,
+  fetchRecordingAudioUrl,
+  getWorkspace,
+  listWorkspaceRecordings,
+  listWorkspaces,
+  removeWorkspaceMember,
+  type Workspace,
+  type WorkspaceSummary
+} from '../utils/workspaces';
+
+interface WorkspacesViewProps {
+  user: User;
+}
+
+const inputClassName = 'flex-1 min-w-0 px-3 py-2 border border-stone-300 rounded-lg text-sm text-slate-800 focus:outline-none focus:border-slate-500';
+
+const errorMessage = (error: unknown, fallback: string) => error instanceof Error ? error.message : fallback;
+
+const formatDifference = (value: number | null) => value === null ? '-' : `${value > 0 ? '+' : ''}${value}`;
+
+// Where coach reviews disagree with the AI, across every recording you can see
+const CoachAgreement: React.FC = () => {
+  const [stats, setStats] = useState<AgreementStats | null>(null);
+  const { t, locale } = useTranslation();
+
+  useEffect(() => {
+    fetchAgreementStats()
+      .then(setStats)
+      .catch(error => console.error('Error loading coach agreement:', error));
+  }, []);
+
+  if (!stats || stats.reviews === 0) return null;
+  const votes = stats.feedback.agree + stats.feedback.disagree;
+
+  return (
+    <div className="border border-stone-200 rounded-lg p-4">
+      <h5 className="text-sm font-medium text-slate-700 mb-1">{t('agreement.title')}</h5>
+      <p className="text-xs text-slate-500 mb-3">
+        {t('result.reviewCount', { count: stats.reviews })}
+        {votes > 0 && ` · ${t('agreement.feedback', { percent: Math.round((stats.feedback.agree / votes) * 100) })}`}
+      </p>
+      {stats.criteria.length > 0 && (
+        <table className="w-full text-xs text-slate-600 mb-3">
+          <thead>
+            <tr className="text-slate-400 text-left">
+              <th className="font-normal">{t('agreement.criterion')}</th>
+              <th className="font-normal text-right" title={t('agreement.differenceHint')}>{t('agreement.difference')}</th>
+              <th className="font-normal text-right">{t('agreement.gap')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {stats.criteria.map(criterion => (
+              <tr key={criterion.key}>
+                <td>{getCriterionName(criterion, locale)}</td>
+                <td className="text-right">{formatDifference(criterion.meanDifference)}</td>
+                <td className="text-right">{criterion.meanAbsoluteDifference ?? '-'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      <ul className="space-y-1 text-xs text-slate-600">
+        {stats.providers.map(provider => (
+          <li key={`${provider.provider}/${provider.model}`}>
+            <span className="font-medium">{provider.provider}{provider.model ? ` · ${provider.model}` : ''}</span>:{' '}
+            {t('agreement.provider', { count: provider.reviews, gap: provider.meanAbsoluteDifference ?? '-' })}
+            {provider.agreementRate !== null && `, ${t('agreement.providerFeedback', { percent: Math.round(provider.agreementRate * 100) })}`}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+const WorkspacesView: React.FC<WorkspacesViewProps> = ({ user }) => {
+  const [workspaces, setWorkspaces] = useState<WorkspaceSummary[] | null>(null);
+  const [workspace, setWorkspace] = useState<Workspace | null>(null);
+  const [recordings, setRecordings] = useState<RemoteRecording[]>([]);
+  const [openRecording, setOpenRecording] = useState<RemoteRecording | null>(null);
+  const [audioUrl, setAudioUrl] = useState<string | undefined>(undefined);
+  const [newWorkspaceName, setNewWorkspaceName] = useState('');
+  const [memberEmail, setMemberEmail] = useState('');
+  const [busy, setBusy] = useState(false);
+  const { t, formatDate } = useTranslation();
+
+  const refreshWorkspaces = async () => {
+    try {
+      setWorkspaces(await listWorkspaces());
+    } catch (error) {
+      console.error('Error loading workspaces:', error);
+      setWorkspaces([]);
+    }
+  };
+
+  useEffect(() => {
+    refreshWorkspaces();
+  }, []);
+
+  // Release the previous recording's audio when another one is opened
+  useEffect(() => () => {
+    if (audioUrl) URL.revokeObjectURL(audioUrl);
+  }, [audioUrl]);
+
+  const handleSelectWorkspace = async (id: string) => {
+    setOpenRecording(null);
+    try {
+      const [details, shared] = await Promise.all([getWorkspace(id), listWorkspaceRecordings(id)]);
+      setWorkspace(details);
+      setRecordings(shared);
+    } catch (error) {
+      console.error('Error loading workspace:', error);
+      alert(errorMessage(error, t('workspaces.loadFailed')));
+    }
+  };
+
+  const handleCreateWorkspace = async (event: React.FormEvent) => {
+    event.preventDefault();
+    setBusy(true);
+    try {
+      const created = await createWorkspace(newWorkspaceName);
+      setNewWorkspaceName('');
+      await refreshWorkspaces();
+      setWorkspace(created);
+      setRecordings([]);
+    } catch (error) {
+      console.error('Error creating workspace:', error);
+      alert(errorMessage(error, t('workspaces.createFailed')));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleAddMember = async (event: React.FormEvent) => {
+    event.preventDefault();
+    if (!workspace) return;
+    setBusy(true);
+    try {
+      setWorkspace(await addWorkspaceMember(workspace.id, memberEmail));
+      setMemberEmail('');
+      await refreshWorkspaces();
+    } catch (error) {
+      console.error('Error adding member:', error);
+      alert(errorMessage(error, t('workspaces.addFailed')));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRemoveMember = async (memberId: string) => {
+    if (!workspace) return;
+    const leaving = memberId === user.id;
+    if (!confirm(t(leaving ? 'workspaces.confirmLeave' : 'workspaces.confirmRemove'))) {
+      return;
+    }
+    try {
+      await removeWorkspaceMember(workspace.id, memberId);
+      await refreshWorkspaces();
+      if (leaving) {
+        setWorkspace(null);
+        setRecordings([]);
+      } else {
+        await handleSelectWorkspace(workspace.id);
+      }
+    } catch (error) {
+      console.error('Error removing member:', error);
+      alert(errorMessage(error, t('workspaces.removeFailed')));
+    }
+  };
+
+  const handleDeleteWorkspace = async () => {
+    if (!workspace || !confirm(t('workspaces.confirmDelete', { name: workspace.name }))) return;
+    try {
+      await deleteWorkspace(workspace.id);
+      setWorkspace(null);
+      setRecordings([]);
+      await refreshWorkspaces();
+    } catch (error) {
+      console.error('Error deleting workspace:', error);
+      alert(errorMessage(error, t('workspaces.deleteFailed')));
+    }
+  };
+
+  const handleOpenRecording = async (recording: RemoteRecording) => {
+    setOpenRecording(recording);
+    setAudioUrl(undefined);
+    try {
+      setAudioUrl(await fetchRecordingAudioUrl({ recordingId: recording.id }));
+    } catch (error) {
+      console.error('Error loading recording audio:', error);
+    }
+  };
+
+  if (openRecording) {
+    return (
+      <div>
+        <button
+          onClick={() => setOpenRecording(null)}
+          className="mb-4 text-sm text-slate-600 hover:text-slate-800 flex items-center gap-1"
+        >
+          <ArrowLeft size={14} /> {t('dashboard.backTo', { name: workspace?.name || '' })}
+        </button>
+        <p className="text-sm text-slate-500 mb-4">
+          {openRecording.name} · {openRecording.ownerId === user.id ? t('workspaces.sharedByYou') : t('share.sharedBy', { name: openRecording.ownerName || '' })}
+        </p>
+        <div className="flex justify-center">
+          <EvaluationResult
+            id={openRecording.id}
+            result={openRecording.result}
+            overallScore={openRecording.overallScore}
+            audioUrl={audioUrl}
+            name={openRecording.name}
+            timestamp={openRecording.timestamp}
+            readOnly
+            reviewerId={user.id}
+          />
+        </div>
+      </div>
+    );
+  }
+
+  const isOwner = workspace?.ownerId === user.id;
+
+  return (
+    <div>
+      <h3 className="text-2xl font-light text-slate-800 mb-1">{t('dashboard.workspaces')}</h3>
+      <p className="text-sm text-slate-500 mb-6">
+        {t('workspaces.intro')}
+      </p>
+
+      <div className="grid gap-6 lg:grid-cols-[220px_1fr]">
+        <div>
+          {workspaces === null ? (
+            <Loader2 size={20} className="text-slate-400 animate-spin" />
+          ) : (
+            <ul className="space-y-1 mb-4">
+              {workspaces.length === 0 && <li className="text-sm text-slate-500">{t('workspaces.none')}</li>}
+              {workspaces.map(entry => (
+                <li key={entry.id}>
+                  <button
+                    onClick={() => handleSelectWorkspace(entry.id)}
+                    className={`w-full text-left px-3 py-2 rounded-lg text-sm transition-colors duration-200 ${
+                      workspace?.id === entry.id ? 'bg-slate-700 text-white' : 'text-slate-700 hover:bg-stone-100'
+                    }`}
+                  >
+                    <span className="font-medium">{entry.name}</span>
+                    <span className={`block text-xs ${workspace?.id === entry.id ? 'text-slate-200' : 'text-slate-500'}`}>
+                      {t('workspaces.members', { count: entry.memberCount })} · {t(entry.role === 'owner' ? 'workspaces.owner' : 'workspaces.member')}
+                    </span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+          <form onSubmit={handleCreateWorkspace} className="flex gap-2">
+            <input
+              value={newWorkspaceName}
+              onChange={e => setNewWorkspaceName(e.target.value)}
+              placeholder={t('workspaces.new')}
+              className={inputClassName}
+              required
+            />
+            <button type="submit" disabled={busy} className="p-2 bg-slate-700 text-white rounded-lg hover:bg-slate-800 disabled:bg-stone-300" title={t('workspaces.create')}>
+              <Plus size={16} />
+            </button>
+          </form>
+        </div>
+
+        {workspace ? (
+          <div>
+            <div className="flex items-center justify-between mb-4">
+              <h4 className="text-lg font-semibold text-slate-800">{workspace.name}</h4>
+              {isOwner ? (
+                <button onClick={handleDeleteWorkspace} className="text-xs text-red-600 hover:text-red-700 flex items-center gap-1">
+                  <Trash2 size={12} /> {t('workspaces.delete')}
+                </button>
+              ) : (
+                <button onClick={() => handleRemoveMember(user.id)} className="text-xs text-slate-600 hover:text-slate-800 flex items-center gap-1">
+                  <LogOut size={12} /> {t('workspaces.leave')}
+                </button>
+              )}
+            </div>
+
+            <h5 className="text-sm font-medium text-slate-700 mb-2 flex items-center gap-1"><Users size={14} /> {t('workspaces.membersTitle')}</h5>
+            <ul className="space-y-1 mb-3">
+              {workspace.members.map(member => (
+                <li key={member.id} className="flex items-center justify-between text-sm text-slate-700 bg-stone-50 rounded-lg px-3 py-2">
+                  <span>
+                    {member.name} <span className="text-slate-400">{member.email}</span>
+                    {member.role === 'owner' && <span className="ml-2 text-xs text-amber-700">{t('workspaces.owner')}</span>}
+                  </span>
+                  {isOwner && member.role !== 'owner' && (
+                    <button onClick={() => handleRemoveMember(member.id)} className="text-slate-400 hover:text-red-600" title={t('workspaces.removeMember')}>
+                      <UserMinus size={14} />
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ul>
+            {isOwner && (
+              <form onSubmit={handleAddMember} className="flex gap-2 mb-6">
+                <input
+                  type="email"
+                  value={memberEmail}
+                  onChange={e => setMemberEmail(e.target.value)}
+                  placeholder={t('workspaces.memberEmail')}
+                  className={inputClassName}
+                  required
+                />
+                <button type="submit" disabled={busy} className="px-3 py-2 bg-slate-700 text-white rounded-lg text-sm hover:bg-slate-800 disabled:bg-stone-300 flex items-center gap-1">
+                  <UserPlus size={14} /> {t('coach.add')}
+                </button>
+              </form>
+            )}
+
+            <h5 className="text-sm font-medium text-slate-700 mb-2 mt-6">{t('workspaces.shared')}</h5>
+            {recordings.length === 0 ? (
+              <p className="text-sm text-slate-500">{t('workspaces.nothingShared')}</p>
+            ) : (
+              <ul className="space-y-2">
+                {recordings.map(recording => (
+                  <li key={recording.id}>
+                    <button
+                      onClick={() => handleOpenRecording(recording)}
+                      className="w-full text-left bg-gradient-to-r from-slate-50 to-stone-50 rounded-xl p-3 border border-stone-200 hover:border-slate-300 transition-colors duration-200"
+                    >
+                      <div className="flex items-center justify-between">
+                        <span className="font-medium text-slate-800 truncate">{recording.name}</span>
+                        {recording.overallScore !== null && (
+                          <span className="text-xs font-medium text-slate-500">{recording.overallScore}/10</span>
+                        )}
+                      </div>
+                      <span className="text-xs text-slate-500">
+                        {recording.ownerId === user.id ? t('workspaces.you') : recording.ownerName} · {formatDate(recording.timestamp, { dateStyle: 'medium' })}
+                      </span>
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        ) : (
+          <div className="space-y-4">
+            <p className="text-sm text-slate-500">{t('workspaces.select')}</p>
+            <CoachAgreement />
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default WorkspacesView;
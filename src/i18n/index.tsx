@@ -0,0 +1,90 @@
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useState } from 'react';
+import en, { type Message, type MessageKey, type Messages } from './messages/en';
+import es from './messages/es';
+import hi from './messages/hi';
+
+type Locale = 'en' | 'es' | 'hi';
+
+// Values for the {placeholders} of a message; `count` also picks the plural form
+type MessageParams = Record<string, string | number>;
+
+const CATALOGS: Record<Locale, Messages> = { en, es, hi };
+
+// Languages the interface is available in, named in their own language for the switcher
+const LOCALES: { id: Locale; nativeName: string }[] = [
+  { id: 'en', nativeName: 'English' },
+  { id: 'es', nativeName: 'Español' },
+  { id: 'hi', nativeName: 'हिन्दी' }
+];
+
+// Interface language, also the language feedback is written in
+const LOCALE_STORAGE_KEY = 'AudioPitchEvaluator.language';
+
+const isLocale = (value: unknown): value is Locale => typeof value === 'string' && value in CATALOGS;
+
+// The saved choice, otherwise the browser's language when there's a catalog for it
+function getLocale(): Locale {
+  const saved = localStorage.getItem(LOCALE_STORAGE_KEY);
+  if (isLocale(saved)) return saved;
+  return navigator.languages?.map(language => language.split('-')[0]).find(isLocale) ?? 'en';
+}
+
+function formatMessage(message: Message, params: MessageParams, locale: Locale): string {
+  const text = typeof message === 'string'
+    ? message
+    : message[new Intl.PluralRules(locale).select(Number(params.count)) as 'one' | 'other'] ?? message.other;
+  return text.replace(/\{(\w+)\}/g, (placeholder, name: string) => (name in params ? String(params[name]) : placeholder));
+}
+
+// Translate outside React (utils building names or reports), in the saved language
+function translate(key: MessageKey, params: MessageParams = {}, locale: Locale = getLocale()): string {
+  return formatMessage(CATALOGS[locale][key] ?? en[key], params, locale);
+}
+
+// Names that come from the backend (presets, rubrics, criteria, stages) are translated while they
+// still read as the built-in English one; renamed and custom ones are shown as written
+function translateName(key: string, name: string, locale: Locale = getLocale()): string {
+  return key in en && en[key as MessageKey] === name ? translate(key as MessageKey, {}, locale) : name;
+}
+
+interface I18nContextValue {
+  locale: Locale;
+  setLocale: (locale: Locale) => void;
+  t: (key: MessageKey, params?: MessageParams) => string;
+  tName: (key: string, name: string) => string;
+  formatDate: (timestamp: number, options?: Intl.DateTimeFormatOptions) => string;
+}
+
+const I18nContext = createContext<I18nContextValue | null>(null);
+
+const I18nProvider: React.FC<{ children: React.ReactNode }> = ({ children }) => {
+  const [locale, setLocaleState] = useState<Locale>(getLocale);
+
+  useEffect(() => {
+    document.documentElement.lang = locale;
+  }, [locale]);
+
+  const setLocale = useCallback((next: Locale) => {
+    localStorage.setItem(LOCALE_STORAGE_KEY, next);
+    setLocaleState(next);
+  }, []);
+
+  const value = useMemo<I18nContextValue>(() => ({
+    locale,
+    setLocale,
+    t: (key, params) => translate(key, params, locale),
+    tName: (key, name) => translateName(key, name, locale),
+    formatDate: (timestamp, options) => new Date(timestamp).toLocaleString(locale, options)
+  }), [locale, setLocale]);
+
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+};
+
+function useTranslation(): I18nContextValue {
+  const context = useContext(I18nContext);
+  if (!context) throw new Error('useTranslation must be used inside I18nProvider');
+  return context;
+}
+
+export { I18nProvider, LOCALES, getLocale, translate, translateName, useTranslation };
+export type { Locale, MessageKey, MessageParams };
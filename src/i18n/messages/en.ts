@@ -0,0 +1,491 @@
+// A message is text with {placeholders}, or plural forms picked by the `count` parameter
+type Message = string | { one?: string; other: string };
+
+// English messages, the reference catalog: the others must have every key
+const en = {
+  // Shared
+  'app.title': 'Audio Pitch Evaluator',
+  'common.cancel': 'Cancel',
+  'common.unknownError': 'unknown error',
+  'common.close': 'Close',
+  'common.save': 'Save',
+
+  // Interface language
+  'language.interface': 'Interface language',
+  'language.switcherHint': 'Interface language, also used for the feedback on new evaluations',
+
+  // Recording page
+  'home.tagline': 'Record or upload your voice and evaluate your pitch instantly!',
+  'home.startRecording': 'Start Recording',
+  'home.upload': 'Upload Audio File',
+  'home.liveCoaching': 'Live coaching while recording (volume, pace, pauses, monotone)',
+  'home.liveCaptureFailed': 'your browser could not capture the microphone for it',
+  'home.getReady': 'Get ready to record!',
+  'home.recording': 'Recording...',
+  'home.stopRecording': 'Stop Recording',
+  'home.pitchLanguage': 'Spoken language',
+  'home.detectLanguage': 'Detect automatically',
+  'home.transcription': 'Transcription',
+  'home.private': 'private',
+  'home.aiAnalysis': 'AI analysis',
+  'home.pitchType': 'Pitch type',
+  'home.rubric': 'Rubric',
+  'home.script': 'Script (optional)',
+  'home.loadScript': 'Load .md / .txt',
+  'home.scriptPlaceholder': 'Paste the script or outline you rehearsed from to check how closely you followed it. # headings mark sections, **bold** marks key phrases.',
+  'home.scriptTooLong': 'That script is too long, keep it under {max} characters.',
+  'home.scriptReadFailed': 'Failed to read the script file.',
+  'home.recordAgain': 'Record Again',
+  'home.evaluating': 'Evaluating...',
+  'home.evaluate': 'Evaluate Pitch',
+  'home.evaluateFailed': 'Failed to start the evaluation. Your recording was saved, please try again.',
+  'home.recordingName': 'Recording {date}',
+
+  // Mic check
+  'micCheck.issue.quietBlock': "We can't hear you. Check the microphone is the right one and isn't muted.",
+  'micCheck.issue.quietWarn': 'Your voice is quiet. Move closer to the microphone or speak up.',
+  'micCheck.issue.clippingBlock': 'Your voice is clipping badly. Move back from the microphone or turn its gain down.',
+  'micCheck.issue.clippingWarn': 'Your voice clips at times. Move back a little or turn the gain down.',
+  'micCheck.issue.noisyBlock': 'Background noise is almost as loud as your voice. Find a quieter spot.',
+  'micCheck.issue.noisyWarn': 'The room is noisy. Scores are calibrated for it, but a quieter spot will sound better.',
+  'micCheck.title': 'Microphone check',
+  'micCheck.microphone': 'Microphone',
+  'micCheck.microphoneNumber': 'Microphone {number}',
+  'micCheck.starting': 'Opening the microphone…',
+  'micCheck.quiet': 'Stay quiet for a moment, measuring the room…',
+  'micCheck.speak': 'Now say a sentence the way you will pitch it…',
+  'micCheck.permissionDenied': 'Microphone permission denied.',
+  'micCheck.openFailed': 'Could not open the microphone.',
+  'micCheck.levels': 'Room noise {noise} dB · your voice {speech} dB · peak {peak} dB',
+  'micCheck.soundsGood': 'Sounds good',
+  'micCheck.checkAgain': 'Check again',
+  'micCheck.fixFirst': 'Fix the problem above and check again',
+
+  // Live coaching
+  'live.disconnected': 'Live coaching disconnected',
+  'live.unavailable': 'Live coaching unavailable: {error}',
+  'live.waiting': 'Live coaching starts as you speak…',
+  'live.volume': 'Volume',
+  'live.pace': 'Pace',
+  'live.listening': 'listening…',
+  'live.pausing': 'Pausing',
+  'live.sinceLastPause': 'Since last pause',
+  'live.level.good': 'good',
+  'live.level.quiet': 'quiet',
+  'live.level.loud': 'loud',
+  'live.level.slow': 'slow',
+  'live.level.fast': 'fast',
+
+  // Evaluation progress
+  'progress.failed': 'Evaluation failed',
+  'progress.processing': 'Processing your audio evaluation...',
+  'progress.resultsSoon': 'Results appear here as soon as they are ready',
+  'progress.stage.converting': 'Converting audio',
+  'progress.stage.transcribing': 'Transcribing',
+  'progress.stage.analyzing_audio': 'Analyzing delivery',
+  'progress.stage.llm_analysis': 'AI content analysis',
+  'progress.jobNotFound': 'Evaluation job not found. The server may have restarted.',
+  'progress.connectionLost': 'Lost connection to the evaluation server.',
+
+  // Built-in presets, rubrics and criteria, as named by the backend
+  'preset.general.name': 'General pitch',
+  'preset.general.description': 'No particular format, standard delivery targets',
+  'preset.elevator.name': 'Elevator pitch',
+  'preset.elevator.description': '30-90 seconds, one idea and a clear hook',
+  'preset.investor.name': 'Investor pitch',
+  'preset.investor.description': '5-10 minutes covering problem through the ask',
+  'preset.salesDemo.name': 'Sales demo',
+  'preset.salesDemo.description': '3-15 minutes, customer pain to next step',
+  'preset.interviewAnswer.name': 'Interview answer',
+  'preset.interviewAnswer.description': '1-3 minutes, STAR-style answer',
+  'preset.investorAnswer.name': 'Follow-up answer',
+  'preset.investorAnswer.description': '20-90 seconds answering an investor question, answer first, then the evidence',
+  'preset.elevator.structure': 'Hook → Problem → Solution → Ask',
+  'preset.investor.structure': 'Problem → Solution → Market → Traction → Business model → Team → Ask',
+  'preset.salesDemo.structure': 'Customer pain → Demo of the solution → Value and proof → Next step',
+  'preset.interviewAnswer.structure': 'Situation → Task → Action → Result',
+  'preset.investorAnswer.structure': 'Direct answer → Evidence → Tie back to the pitch',
+  'rubric.default.name': 'Standard pitch',
+  'rubric.investor-answer.name': 'Investor Q&A answer',
+  'criterion.pace': 'Pace',
+  'criterion.tone': 'Tone',
+  'criterion.clarity': 'Clarity',
+  'criterion.confidence': 'Confidence',
+  'criterion.enthusiasm': 'Enthusiasm',
+  'criterion.fillerWords': 'Filler Words',
+  'criterion.storytelling': 'Storytelling',
+  'criterion.audienceConnection': 'Audience Connection',
+  'criterion.persuasiveness': 'Persuasiveness',
+  'criterion.directness': 'Directness',
+  'criterion.relevance': 'Relevance',
+
+  // Dashboard
+  'dashboard.title': 'Your Recordings',
+  'dashboard.sort.newest': 'Newest first',
+  'dashboard.sort.oldest': 'Oldest first',
+  'dashboard.sort.highest': 'Highest score',
+  'dashboard.sort.lowest': 'Lowest score',
+  'dashboard.compare': 'Compare {selected}/2',
+  'dashboard.comparePickOne': 'Pick one more recording to compare',
+  'dashboard.compareHint': 'Compare the selected recordings',
+  'dashboard.search': 'Search titles, notes and tags',
+  'dashboard.allProjects': 'All projects',
+  'dashboard.noMatches': 'No recordings match your search.',
+  'dashboard.selectForComparison': 'Select for comparison',
+  'dashboard.editDetails': 'Edit title, project, tags and notes',
+  'dashboard.play': 'Play',
+  'dashboard.pause': 'Pause',
+  'dashboard.results': 'Results',
+  'dashboard.trends': 'Trends',
+  'dashboard.workspaces': 'Workspaces',
+  'dashboard.sync': 'Sync',
+  'dashboard.syncHint': 'Sync recordings with the server',
+  'dashboard.syncSummary': 'Uploaded {uploaded}, downloaded {downloaded}, updated {updatedRemote} on the server and {updatedLocal} here.',
+  'dashboard.syncFailures': 'Failed ({count}):',
+  'dashboard.syncFailed': 'Failed to sync with the server. Please try again.',
+  'dashboard.backup': 'Backup',
+  'dashboard.backupHint': 'Download every recording, with its evaluation, as one archive',
+  'dashboard.backupEmpty': 'Your library is empty, the backup contains no recordings.',
+  'dashboard.backupFailed': 'Failed to back up your library. Please try again.',
+  'dashboard.restore': 'Restore',
+  'dashboard.restoreHint': 'Merge a library backup into this library',
+  'dashboard.restoreFailed': 'Failed to restore the backup. Please try again.',
+  'dashboard.newRecording': 'New Recording',
+  'dashboard.new': 'New',
+  'dashboard.signIn': 'Sign in',
+  'dashboard.signInHint': 'Sign in to sync and share recordings',
+  'dashboard.signedInAs': 'Signed in as {email}',
+  'dashboard.backTo': 'Back to {name}',
+  'dashboard.selectRecording': 'Select a recording to see the evaluation results',
+  'dashboard.saveDetailsFailed': 'Failed to save the recording details. Please try again.',
+  'dashboard.answerFailed': 'Evaluating your answer failed: {error}',
+  'dashboard.loadFailed': 'Failed to load your recordings. Please reload the page.',
+  'details.title': 'Title',
+  'details.titleRequired': 'Please give the recording a title.',
+  'details.project': 'Project or pitch',
+  'details.tags': 'Tags, comma separated',
+  'details.notes': 'Notes',
+
+  // Library backups
+  'backup.summary': {
+    one: 'Added {added}, updated {updated}, skipped {count} duplicate.',
+    other: 'Added {added}, updated {updated}, skipped {count} duplicates.'
+  },
+  'backup.conflicts': 'Conflicts ({count}):',
+  'backup.notImported': 'Not imported ({count}):',
+  'backup.noManifest': 'This file is not a library backup (manifest.json is missing)',
+  'backup.notBackup': 'This file is not a library backup',
+  'backup.notZip': 'This file is not a valid zip archive',
+  'backup.audioMissing': 'Audio file missing from the archive',
+  'backup.audioCorrupted': 'Audio file is corrupted (checksum mismatch)',
+  'backup.idConflict': 'Its id belongs to a different recording here; imported as a new recording',
+
+  // Local storage
+  'storage.blocked': 'Your recordings library is being upgraded. Close the other tabs of this app and reload the page.',
+
+  // Evaluation result
+  'result.selectRecording': 'Select a recording to see the result.',
+  'result.title': 'Evaluation Results',
+  'result.overallScore': 'Overall Score',
+  'result.defaultName': 'Pitch evaluation',
+  'result.share': 'Share with your workspace or by link',
+  'result.export': 'Export this evaluation',
+  'result.export.pdf': 'PDF report',
+  'result.export.markdown': 'Markdown report',
+  'result.export.json': 'Raw result (JSON)',
+  'result.exportFailed': 'Failed to export the report. Please try again.',
+  'result.delete': 'Delete this recording',
+  'result.confirmDelete': 'Are you sure you want to delete this recording? This action cannot be undone.',
+  'result.deleteFailed': 'Failed to delete recording. Please try again.',
+  'result.saveReviewFailed': 'Failed to save your review. Please try again.',
+  'result.deleteReviewFailed': 'Failed to delete your review. Please try again.',
+  'result.blendedScores': 'AI {ai}/10 · Coaches {coaches}/10',
+  'result.reviewCount': { one: '{count} review', other: '{count} reviews' },
+  'result.blendHint': 'How much of the overall score comes from coaches',
+  'result.blend.ai': 'AI only',
+  'result.blend.quarter': '25% coaches',
+  'result.blend.half': '50/50',
+  'result.blend.threeQuarters': '75% coaches',
+  'result.blend.coaches': 'Coaches only',
+  'result.analyzedBy': 'Content analyzed by {provider}',
+  'result.scoredWith': 'Scored with the "{rubric}" rubric',
+  'result.scoredWithPreset': 'Scored with the "{rubric}" rubric · {preset}',
+  'result.language': 'Spoken in {language}',
+  'result.languageDetected': 'Spoken in {language} (detected)',
+  'result.investorQuestion': 'Investor question · {category}',
+  'result.fallbackTitle': 'Fallback analysis.',
+  'result.fallback': 'Engagement scores were not produced by an AI model. Treat them as rough estimates.',
+  'result.fallbackBecause': 'Engagement scores were not produced by an AI model ({reason}). Treat them as rough estimates.',
+  'result.timeBox.onTime': 'On time.',
+  'result.timeBox.overTime': 'Over time.',
+  'result.timeBox.underTime': 'Under time.',
+  'result.timeBox.fits': '{duration} fits the {range} time box ({preset}).',
+  'result.timeBox.over': '{duration} is {difference}s longer than the {range} time box ({preset}). Trim the least essential section.',
+  'result.timeBox.under': '{duration} is {difference}s shorter than the {range} time box ({preset}). There is room to expand on your key points.',
+  'result.tab.delivery': 'Delivery',
+  'result.tab.engagement': 'Engagement',
+  'result.tab.timeline': 'Timeline',
+  'result.tab.script': 'Script',
+  'result.tab.rewrite': 'Rewrite',
+  'result.tab.coaches': 'Coaches',
+  'result.deliveryMetrics': 'Delivery Metrics',
+  'result.engagementMetrics': 'Engagement Metrics',
+  'result.feedbackTimeline': 'Feedback Timeline',
+  'result.scriptAdherence': 'Script Adherence',
+  'result.rewrittenPitch': 'Rewritten Pitch',
+  'result.coachReview': 'Coach Review',
+  'result.expectedStructure': 'Expected structure: {structure}',
+  'result.speakingRate': '{wpm} wpm, target {min}–{max} · articulation {articulation} wpm',
+  'result.speakingRateRange': '{min}–{max} wpm across the pitch',
+  'result.calibrated': 'Calibrated for a room noise floor of {noise} dB',
+  'result.weight': 'Weight in the overall score',
+  'result.viewDetails': 'View detailed feedback',
+  'result.coachScore': 'Coach {score}/{max}',
+  'result.coachScoreHint': 'Average coach score',
+  'result.ai': 'AI',
+  'result.aiScoreHint': 'AI score',
+  'result.detailedFeedback': 'Detailed Feedback',
+  'result.improvements': 'Improvement Suggestions',
+  'result.fillerTotals': '{count} total · {rate}/min',
+  'result.noFillers': 'No filler words detected. Nice and clean!',
+  'result.heardAt': 'Heard at:',
+
+  // Feedback timeline
+  'timeline.empty': 'No timeline is available for this recording.',
+  'timeline.noIssues': 'No issues',
+  'timeline.fallback': 'Comments are based on measured delivery only, not AI review.',
+  'timeline.playFromHere': 'Play from here',
+  'timeline.metrics': '{wpm} wpm · volume {volume}/5 · pitch {pitch}/5',
+
+  // Delivery chart
+  'chart.empty': 'No waveform is available for this recording.',
+  'chart.unvoiced': 'unvoiced',
+  'chart.hint': 'Hover to inspect, click to play from that moment',
+  'chart.pitchRange': 'Pitch {min}–{max} Hz',
+  'chart.loudness': 'Loudness',
+  'chart.pitch': 'Pitch',
+  'chart.pause': 'Pause',
+  'chart.monotone': 'Monotone stretch',
+
+  // Script adherence
+  'script.status.covered': 'Covered',
+  'script.status.partial': 'Partly covered',
+  'script.status.skipped': 'Skipped',
+  'script.jump': 'Jump to this moment',
+  'script.delivered': 'Of the script delivered',
+  'script.keyPhrasesSaid': 'Key phrases said',
+  'script.sentencesSaid': 'Sentences said',
+  'script.skippedReordered': 'Sections skipped / reordered',
+  'script.adLibbed': 'Of the pitch ad-libbed',
+  'script.outOfOrder': 'Out of order',
+  'script.legend': 'Highlighted words were said, struck-through ones were missed. Sections are matched wherever they were said in the pitch.',
+  'script.keyPhrases': 'Key phrases ({delivered}/{total})',
+  'script.adLibs': 'Ad-libbed passages',
+
+  // Investor Q&A
+  'question.category.competition': 'Competition',
+  'question.category.unitEconomics': 'Unit economics',
+  'question.category.team': 'Team',
+  'question.category.market': 'Market',
+  'question.category.traction': 'Traction',
+  'question.category.product': 'Product',
+  'question.category.risk': 'Risk',
+  'question.category.fundraising': 'Fundraising',
+  'question.category.other': 'Other',
+  'qa.answerName': 'Answer: {question}',
+  'qa.title': 'Investor Q&A practice',
+  'qa.intro': 'Get the tough questions an investor is likely to ask after this pitch, then record an answer to each one. Answers are scored on directness, relevance and delivery.',
+  'qa.generate': 'Generate questions',
+  'qa.newQuestions': 'New questions',
+  'qa.noTranscript': 'This recording has no transcript to ask about',
+  'qa.confirmReplace': 'Replace these questions with a new set? Recorded answers stay in your library.',
+  'qa.generateFailed': 'Failed to generate questions. Please try again.',
+  'qa.microphoneFailed': 'Could not open the microphone. Check the browser permission and try again.',
+  'qa.submitFailed': 'Failed to start evaluating your answer. The recording was saved, please try again.',
+  'qa.fallback': 'Common investor questions, not generated from your pitch: {reason}',
+  'qa.record': 'Record answer',
+  'qa.answerAgain': 'Answer again',
+  'qa.stop': 'Stop & evaluate',
+  'qa.discard': 'Discard this answer',
+  'qa.uploading': 'Uploading…',
+  'qa.showAnswer': 'Show the evaluation of this answer',
+  'qa.take': 'Take {number}',
+  'qa.pending': { one: '{count} answer is being evaluated.', other: '{count} answers are being evaluated.' },
+  'qa.hint': 'Answer in 20-90 seconds: lead with the answer, then back it up.',
+
+  // Pitch rewrite
+  'revision.targetLength': 'Target length (seconds)',
+  'revision.keepLength': 'Keep as is',
+  'revision.rewrite': 'Rewrite pitch',
+  'revision.again': 'Rewrite again',
+  'revision.takeRan': 'This take ran {duration}',
+  'revision.failed': 'Failed to rewrite the pitch. Please try again.',
+  'revision.intro': 'Get a revised version of this pitch that fixes the weaknesses found in this evaluation and fits the target length, keeping your facts and your way of speaking. Each change comes with the reason for it.',
+  'revision.none': 'No rewrite has been made for this recording.',
+  'revision.fallbackTitle': 'Fallback rewrite.',
+  'revision.fallback': 'Only hesitations were cut.',
+  'revision.fallbackBecause': 'Only hesitations were cut ({reason}).',
+  'revision.words': '{before} → {after} words',
+  'revision.estimate': 'about {estimate}',
+  'revision.estimateWithTarget': 'about {estimate} (target {target})',
+  'revision.changes': { one: '{count} change', other: '{count} changes' },
+  'revision.dropped': {
+    one: "{count} suggested edit didn't match the transcript and was left out",
+    other: "{count} suggested edits didn't match the transcript and were left out"
+  },
+  'revision.why': 'Why each change',
+  'revision.cut': 'Cut: "{text}"',
+  'revision.revised': 'Revised pitch',
+  'revision.useAsScript': 'Use as my script',
+  'revision.saved': 'Saved. It will be filled in as the script for your next recording.',
+  'revision.rehearse': 'Rehearse now',
+
+  // Coach reviews
+  'coach.overallFeedback': 'Overall feedback',
+  'coach.removeComment': 'Remove comment',
+  'coach.confirmDelete': 'Delete your review of this recording?',
+  'coach.yourScores': 'Your scores',
+  'coach.keepAiScore': "Leave a criterion empty to keep the AI's score for it.",
+  'coach.comments': 'Comments on the recording',
+  'coach.pinnedHint': 'Comments are pinned to the playback position',
+  'coach.commentPlaceholder': 'Comment at this moment',
+  'coach.add': 'Add',
+  'coach.agreeQuestion': 'Do you agree with the AI?',
+  'coach.votes': 'Coaches: {agree} agree · {disagree} disagree',
+  'coach.agree': 'Agree',
+  'coach.disagree': 'Disagree',
+  'coach.summary': 'Summary',
+  'coach.summaryPlaceholder': 'Overall impression and the one thing to work on next',
+  'coach.saving': 'Saving…',
+  'coach.save': 'Save review',
+  'coach.update': 'Update review',
+  'coach.delete': 'Delete',
+  'coach.others': 'Other coaches',
+  'agreement.title': 'AI vs coaches',
+  'agreement.feedback': 'coaches agreed with {percent}% of the AI feedback they rated',
+  'agreement.criterion': 'Criterion',
+  'agreement.difference': 'Coach − AI',
+  'agreement.differenceHint': "Coach minus AI, on the criterion's scale",
+  'agreement.gap': 'Avg gap',
+  'agreement.provider': {
+    one: '{count} review, average gap {gap}/10',
+    other: '{count} reviews, average gap {gap}/10'
+  },
+  'agreement.providerFeedback': '{percent}% feedback agreed',
+
+  // Comparison and trends
+  'comparison.title': 'Comparison',
+  'comparison.close': 'Close comparison',
+  'comparison.before': 'Before',
+  'comparison.after': 'After',
+  'comparison.metrics': 'Metrics',
+  'comparison.metric': 'Metric',
+  'comparison.change': 'Change',
+  'comparison.improvements': 'Suggested improvements',
+  'comparison.resolvedCount': {
+    one: '{resolved} of {count} suggestion from the earlier take looks resolved',
+    other: '{resolved} of {count} suggestions from the earlier take look resolved'
+  },
+  'comparison.status.resolved': 'Resolved',
+  'comparison.status.open': 'Still open',
+  'comparison.status.unclear': 'Unclear',
+  'comparison.transcriptChanges': 'Transcript changes',
+  'comparison.noTranscripts': 'No transcripts to compare.',
+  'trends.empty': 'Evaluate a recording to start tracking your progress.',
+  'trends.title': 'Your Progress',
+  'trends.recordings': { one: '{count} evaluated recording', other: '{count} evaluated recordings' },
+  'trends.practiceDays': { one: '{count} practice day', other: '{count} practice days' },
+  'trends.gains': 'Biggest gains',
+  'trends.regressions': 'Biggest regressions',
+  'trends.noChanges': 'None since the previous session.',
+  'trends.best': 'Best {value}/{max}',
+  'trends.score': 'Score',
+  'trends.movingAverage': 'Moving average (last 5)',
+  'trends.personalBest': 'Personal best',
+  'trends.group.overall': 'Overall',
+  'trends.group.delivery': 'Delivery',
+  'trends.group.engagement': 'Engagement',
+  'trends.vsPrevious': '{change} vs previous session',
+
+  // Exported reports
+  'report.overallScore': 'Overall score: {score}/10',
+  'report.pitchType': 'Pitch type: {name}',
+  'report.rubric': 'Rubric: {name}',
+  'report.language': 'Spoken language: {language}',
+  'report.analyzedBy': 'Content analyzed by: {provider}',
+  'report.fallback': 'Engagement scores are a fallback estimate, not AI analysis',
+  'report.speakingRate': 'Speaking rate: {wpm} wpm (target {min}-{max})',
+  'report.length': 'Length: {duration}s, time box {min}-{max}s',
+  'report.lengthOver': 'Length: {duration}s, time box {min}-{max}s ({difference}s over)',
+  'report.lengthUnder': 'Length: {duration}s, time box {min}-{max}s ({difference}s under)',
+  'report.fillerWords': 'Filler words: {count} ({rate}/min)',
+  'report.script': 'Script: {coverage}% delivered, {skipped} section(s) skipped, {reordered} out of order',
+  'report.scriptWithPhrases': 'Script: {coverage}% delivered, {phrases}% of key phrases, {skipped} section(s) skipped, {reordered} out of order',
+  'report.delivery': 'Delivery',
+  'report.engagement': 'Engagement',
+  'report.metric': 'Metric',
+  'report.score': 'Score',
+  'report.strengths': 'Strengths',
+  'report.improvements': 'Improvements',
+  'report.overallFeedback': 'Overall Feedback',
+  'report.keyMessages': 'Key Messages',
+  'report.emotionalTone': 'Emotional Tone',
+  'report.transcript': 'Transcript',
+  'report.noTranscript': 'No transcript',
+
+  // Accounts, sharing and workspaces
+  'auth.signIn': 'Sign in',
+  'auth.createAccount': 'Create account',
+  'auth.intro': 'Keep your recordings in sync and share them with your workspace.',
+  'auth.email': 'Email',
+  'auth.name': 'Name',
+  'auth.password': 'Password',
+  'auth.newPassword': 'Password (8+ characters)',
+  'auth.wait': 'Please wait…',
+  'auth.toRegister': 'No account yet? Create one',
+  'auth.toLogin': 'Already have an account? Sign in',
+  'auth.failed': 'Something went wrong. Please try again.',
+  'share.title': 'Share',
+  'share.loadFailed': 'Failed to load sharing settings',
+  'share.updateFailed': 'Failed to update sharing',
+  'share.workspace': 'Workspace',
+  'share.private': 'Private (only you)',
+  'share.noWorkspaces': 'Create a workspace from the Workspaces view to share with mentors.',
+  'share.link': 'Read-only link',
+  'share.linkHint': 'Anyone with the link can listen and see the evaluation, without an account.',
+  'share.copy': 'Copy',
+  'share.copied': 'Copied',
+  'share.invalidLink': 'This link is invalid or has been turned off by its owner.',
+  'share.sharedBy': 'shared by {name}',
+  'workspaces.intro': 'Share recordings with co-founders and mentors. Recordings stay private until you share them from their results.',
+  'workspaces.none': 'No workspaces yet.',
+  'workspaces.members': { one: '{count} member', other: '{count} members' },
+  'workspaces.owner': 'owner',
+  'workspaces.member': 'member',
+  'workspaces.new': 'New workspace',
+  'workspaces.create': 'Create workspace',
+  'workspaces.delete': 'Delete workspace',
+  'workspaces.leave': 'Leave',
+  'workspaces.membersTitle': 'Members',
+  'workspaces.removeMember': 'Remove member',
+  'workspaces.memberEmail': "Member's account email",
+  'workspaces.shared': 'Shared recordings',
+  'workspaces.nothingShared': "Nothing shared yet. Open a recording's results and use Share to add it here.",
+  'workspaces.select': 'Select or create a workspace.',
+  'workspaces.you': 'You',
+  'workspaces.sharedByYou': 'shared by you',
+  'workspaces.loadFailed': 'Failed to load the workspace. Please try again.',
+  'workspaces.createFailed': 'Failed to create the workspace. Please try again.',
+  'workspaces.addFailed': 'Failed to add the member. Please try again.',
+  'workspaces.removeFailed': 'Failed to remove the member. Please try again.',
+  'workspaces.deleteFailed': 'Failed to delete the workspace. Please try again.',
+  'workspaces.confirmLeave': 'Leave this workspace? Recordings you shared to it become private again.',
+  'workspaces.confirmRemove': 'Remove this member? Recordings they shared to the workspace become private again.',
+  'workspaces.confirmDelete': 'Delete "{name}"? Recordings shared to it become private again.'
+} satisfies Record<string, Message>;
+
+type MessageKey = keyof typeof en;
+type Messages = Record<MessageKey, Message>;
+
+export default en;
+export type { Message, MessageKey, Messages };
@@ -0,0 +1,486 @@
+import type { Messages } from './en';
+
+// Spanish messages
+const es: Messages = {
+  // Shared
+  'app.title': 'Evaluador de Pitch por Audio',
+  'common.cancel': 'Cancelar',
+  'common.unknownError': 'error desconocido',
+  'common.close': 'Cerrar',
+  'common.save': 'Guardar',
+
+  // Interface language
+  'language.interface': 'Idioma de la interfaz',
+  'language.switcherHint': 'Idioma de la interfaz, también usado para los comentarios de las nuevas evaluaciones',
+
+  // Recording page
+  'home.tagline': '¡Graba o sube tu voz y evalúa tu pitch al instante!',
+  'home.startRecording': 'Empezar a grabar',
+  'home.upload': 'Subir archivo de audio',
+  'home.liveCoaching': 'Coaching en vivo mientras grabas (volumen, ritmo, pausas, monotonía)',
+  'home.liveCaptureFailed': 'tu navegador no pudo capturar el micrófono para ello',
+  'home.getReady': '¡Prepárate para grabar!',
+  'home.recording': 'Grabando...',
+  'home.stopRecording': 'Detener grabación',
+  'home.pitchLanguage': 'Idioma hablado',
+  'home.detectLanguage': 'Detectar automáticamente',
+  'home.transcription': 'Transcripción',
+  'home.private': 'privada',
+  'home.aiAnalysis': 'Análisis con IA',
+  'home.pitchType': 'Tipo de pitch',
+  'home.rubric': 'Rúbrica',
+  'home.script': 'Guion (opcional)',
+  'home.loadScript': 'Cargar .md / .txt',
+  'home.scriptPlaceholder': 'Pega el guion o esquema con el que ensayaste para comprobar cuánto lo seguiste. Los encabezados # marcan secciones, la **negrita** marca frases clave.',
+  'home.scriptTooLong': 'Ese guion es demasiado largo, mantenlo por debajo de {max} caracteres.',
+  'home.scriptReadFailed': 'No se pudo leer el archivo del guion.',
+  'home.recordAgain': 'Grabar de nuevo',
+  'home.evaluating': 'Evaluando...',
+  'home.evaluate': 'Evaluar pitch',
+  'home.evaluateFailed': 'No se pudo iniciar la evaluación. Tu grabación se guardó, inténtalo de nuevo.',
+  'home.recordingName': 'Grabación {date}',
+
+  // Mic check
+  'micCheck.issue.quietBlock': 'No te oímos. Comprueba que el micrófono sea el correcto y que no esté silenciado.',
+  'micCheck.issue.quietWarn': 'Tu voz suena baja. Acércate al micrófono o habla más alto.',
+  'micCheck.issue.clippingBlock': 'Tu voz se satura mucho. Aléjate del micrófono o baja su ganancia.',
+  'micCheck.issue.clippingWarn': 'Tu voz se satura a ratos. Aléjate un poco o baja la ganancia.',
+  'micCheck.issue.noisyBlock': 'El ruido de fondo es casi tan alto como tu voz. Busca un lugar más silencioso.',
+  'micCheck.issue.noisyWarn': 'La sala es ruidosa. Las puntuaciones se calibran para ello, pero un lugar más silencioso sonará mejor.',
+  'micCheck.title': 'Prueba de micrófono',
+  'micCheck.microphone': 'Micrófono',
+  'micCheck.microphoneNumber': 'Micrófono {number}',
+  'micCheck.starting': 'Abriendo el micrófono…',
+  'micCheck.quiet': 'Guarda silencio un momento, midiendo la sala…',
+  'micCheck.speak': 'Ahora di una frase como la dirás en tu pitch…',
+  'micCheck.permissionDenied': 'Permiso del micrófono denegado.',
+  'micCheck.openFailed': 'No se pudo abrir el micrófono.',
+  'micCheck.levels': 'Ruido de la sala {noise} dB · tu voz {speech} dB · pico {peak} dB',
+  'micCheck.soundsGood': 'Suena bien',
+  'micCheck.checkAgain': 'Comprobar de nuevo',
+  'micCheck.fixFirst': 'Corrige el problema de arriba y vuelve a comprobar',
+
+  // Live coaching
+  'live.disconnected': 'Coaching en vivo desconectado',
+  'live.unavailable': 'Coaching en vivo no disponible: {error}',
+  'live.waiting': 'El coaching en vivo empieza cuando hablas…',
+  'live.volume': 'Volumen',
+  'live.pace': 'Ritmo',
+  'live.listening': 'escuchando…',
+  'live.pausing': 'En pausa',
+  'live.sinceLastPause': 'Desde la última pausa',
+  'live.level.good': 'bien',
+  'live.level.quiet': 'bajo',
+  'live.level.loud': 'alto',
+  'live.level.slow': 'lento',
+  'live.level.fast': 'rápido',
+
+  // Evaluation progress
+  'progress.failed': 'La evaluación falló',
+  'progress.processing': 'Procesando la evaluación de tu audio...',
+  'progress.resultsSoon': 'Los resultados aparecerán aquí en cuanto estén listos',
+  'progress.stage.converting': 'Convirtiendo el audio',
+  'progress.stage.transcribing': 'Transcribiendo',
+  'progress.stage.analyzing_audio': 'Analizando la entrega',
+  'progress.stage.llm_analysis': 'Análisis de contenido con IA',
+  'progress.jobNotFound': 'No se encontró la evaluación. Puede que el servidor se haya reiniciado.',
+  'progress.connectionLost': 'Se perdió la conexión con el servidor de evaluación.',
+
+  // Built-in presets, rubrics and criteria
+  'preset.general.name': 'Pitch general',
+  'preset.general.description': 'Sin un formato concreto, objetivos de entrega estándar',
+  'preset.elevator.name': 'Elevator pitch',
+  'preset.elevator.description': '30-90 segundos, una idea y un gancho claro',
+  'preset.investor.name': 'Pitch para inversores',
+  'preset.investor.description': '5-10 minutos, del problema a la petición',
+  'preset.salesDemo.name': 'Demo de ventas',
+  'preset.salesDemo.description': '3-15 minutos, del problema del cliente al siguiente paso',
+  'preset.interviewAnswer.name': 'Respuesta de entrevista',
+  'preset.interviewAnswer.description': '1-3 minutos, respuesta al estilo STAR',
+  'preset.investorAnswer.name': 'Respuesta de seguimiento',
+  'preset.investorAnswer.description': '20-90 segundos respondiendo a la pregunta de un inversor, primero la respuesta y luego las pruebas',
+  'preset.elevator.structure': 'Gancho → Problema → Solución → Petición',
+  'preset.investor.structure': 'Problema → Solución → Mercado → Tracción → Modelo de negocio → Equipo → Petición',
+  'preset.salesDemo.structure': 'Problema del cliente → Demo de la solución → Valor y pruebas → Siguiente paso',
+  'preset.interviewAnswer.structure': 'Situación → Tarea → Acción → Resultado',
+  'preset.investorAnswer.structure': 'Respuesta directa → Pruebas → Vínculo con el pitch',
+  'rubric.default.name': 'Pitch estándar',
+  'rubric.investor-answer.name': 'Respuesta de Q&A con inversores',
+  'criterion.pace': 'Ritmo',
+  'criterion.tone': 'Tono',
+  'criterion.clarity': 'Claridad',
+  'criterion.confidence': 'Seguridad',
+  'criterion.enthusiasm': 'Entusiasmo',
+  'criterion.fillerWords': 'Muletillas',
+  'criterion.storytelling': 'Narrativa',
+  'criterion.audienceConnection': 'Conexión con la audiencia',
+  'criterion.persuasiveness': 'Persuasión',
+  'criterion.directness': 'Franqueza',
+  'criterion.relevance': 'Relevancia',
+
+  // Dashboard
+  'dashboard.title': 'Tus grabaciones',
+  'dashboard.sort.newest': 'Más recientes primero',
+  'dashboard.sort.oldest': 'Más antiguas primero',
+  'dashboard.sort.highest': 'Mayor puntuación',
+  'dashboard.sort.lowest': 'Menor puntuación',
+  'dashboard.compare': 'Comparar {selected}/2',
+  'dashboard.comparePickOne': 'Elige una grabación más para comparar',
+  'dashboard.compareHint': 'Comparar las grabaciones seleccionadas',
+  'dashboard.search': 'Buscar títulos, notas y etiquetas',
+  'dashboard.allProjects': 'Todos los proyectos',
+  'dashboard.noMatches': 'Ninguna grabación coincide con tu búsqueda.',
+  'dashboard.selectForComparison': 'Seleccionar para comparar',
+  'dashboard.editDetails': 'Editar título, proyecto, etiquetas y notas',
+  'dashboard.play': 'Reproducir',
+  'dashboard.pause': 'Pausar',
+  'dashboard.results': 'Resultados',
+  'dashboard.trends': 'Tendencias',
+  'dashboard.workspaces': 'Espacios de trabajo',
+  'dashboard.sync': 'Sincronizar',
+  'dashboard.syncHint': 'Sincronizar las grabaciones con el servidor',
+  'dashboard.syncSummary': 'Subidas {uploaded}, descargadas {downloaded}, actualizadas {updatedRemote} en el servidor y {updatedLocal} aquí.',
+  'dashboard.syncFailures': 'Fallidas ({count}):',
+  'dashboard.syncFailed': 'No se pudo sincronizar con el servidor. Inténtalo de nuevo.',
+  'dashboard.backup': 'Copia de seguridad',
+  'dashboard.backupHint': 'Descarga todas las grabaciones, con su evaluación, en un solo archivo',
+  'dashboard.backupEmpty': 'Tu biblioteca está vacía, la copia de seguridad no contiene grabaciones.',
+  'dashboard.backupFailed': 'No se pudo hacer la copia de seguridad de tu biblioteca. Inténtalo de nuevo.',
+  'dashboard.restore': 'Restaurar',
+  'dashboard.restoreHint': 'Combinar una copia de seguridad con esta biblioteca',
+  'dashboard.restoreFailed': 'No se pudo restaurar la copia de seguridad. Inténtalo de nuevo.',
+  'dashboard.newRecording': 'Nueva grabación',
+  'dashboard.new': 'Nueva',
+  'dashboard.signIn': 'Iniciar sesión',
+  'dashboard.signInHint': 'Inicia sesión para sincronizar y compartir grabaciones',
+  'dashboard.signedInAs': 'Sesión iniciada como {email}',
+  'dashboard.backTo': 'Volver a {name}',
+  'dashboard.selectRecording': 'Selecciona una grabación para ver los resultados de la evaluación',
+  'dashboard.saveDetailsFailed': 'No se pudieron guardar los detalles de la grabación. Inténtalo de nuevo.',
+  'dashboard.answerFailed': 'Falló la evaluación de tu respuesta: {error}',
+  'dashboard.loadFailed': 'No se pudieron cargar tus grabaciones. Recarga la página.',
+  'details.title': 'Título',
+  'details.titleRequired': 'Ponle un título a la grabación.',
+  'details.project': 'Proyecto o pitch',
+  'details.tags': 'Etiquetas, separadas por comas',
+  'details.notes': 'Notas',
+
+  // Library backups
+  'backup.summary': {
+    one: 'Añadidas {added}, actualizadas {updated}, omitido {count} duplicado.',
+    other: 'Añadidas {added}, actualizadas {updated}, omitidos {count} duplicados.'
+  },
+  'backup.conflicts': 'Conflictos ({count}):',
+  'backup.notImported': 'No importadas ({count}):',
+  'backup.noManifest': 'Este archivo no es una copia de seguridad de la biblioteca (falta manifest.json)',
+  'backup.notBackup': 'Este archivo no es una copia de seguridad de la biblioteca',
+  'backup.notZip': 'Este archivo no es un zip válido',
+  'backup.audioMissing': 'Falta el archivo de audio en el archivo comprimido',
+  'backup.audioCorrupted': 'El archivo de audio está dañado (la suma de comprobación no coincide)',
+  'backup.idConflict': 'Su id pertenece a otra grabación de aquí; se importó como una grabación nueva',
+
+  // Local storage
+  'storage.blocked': 'Tu biblioteca de grabaciones se está actualizando. Cierra las demás pestañas de esta aplicación y recarga la página.',
+
+  // Evaluation result
+  'result.selectRecording': 'Selecciona una grabación para ver el resultado.',
+  'result.title': 'Resultados de la evaluación',
+  'result.overallScore': 'Puntuación global',
+  'result.defaultName': 'Evaluación del pitch',
+  'result.share': 'Compartir con tu espacio de trabajo o mediante un enlace',
+  'result.export': 'Exportar esta evaluación',
+  'result.export.pdf': 'Informe PDF',
+  'result.export.markdown': 'Informe Markdown',
+  'result.export.json': 'Resultado sin procesar (JSON)',
+  'result.exportFailed': 'No se pudo exportar el informe. Inténtalo de nuevo.',
+  'result.delete': 'Eliminar esta grabación',
+  'result.confirmDelete': '¿Seguro que quieres eliminar esta grabación? Esta acción no se puede deshacer.',
+  'result.deleteFailed': 'No se pudo eliminar la grabación. Inténtalo de nuevo.',
+  'result.saveReviewFailed': 'No se pudo guardar tu revisión. Inténtalo de nuevo.',
+  'result.deleteReviewFailed': 'No se pudo eliminar tu revisión. Inténtalo de nuevo.',
+  'result.blendedScores': 'IA {ai}/10 · Coaches {coaches}/10',
+  'result.reviewCount': { one: '{count} revisión', other: '{count} revisiones' },
+  'result.blendHint': 'Qué parte de la puntuación global viene de los coaches',
+  'result.blend.ai': 'Solo IA',
+  'result.blend.quarter': '25% coaches',
+  'result.blend.half': '50/50',
+  'result.blend.threeQuarters': '75% coaches',
+  'result.blend.coaches': 'Solo coaches',
+  'result.analyzedBy': 'Contenido analizado por {provider}',
+  'result.scoredWith': 'Puntuado con la rúbrica "{rubric}"',
+  'result.scoredWithPreset': 'Puntuado con la rúbrica "{rubric}" · {preset}',
+  'result.language': 'Hablado en {language}',
+  'result.languageDetected': 'Hablado en {language} (detectado)',
+  'result.investorQuestion': 'Pregunta de inversor · {category}',
+  'result.fallbackTitle': 'Análisis de respaldo.',
+  'result.fallback': 'Las puntuaciones de engagement no las generó un modelo de IA. Tómalas como estimaciones aproximadas.',
+  'result.fallbackBecause': 'Las puntuaciones de engagement no las generó un modelo de IA ({reason}). Tómalas como estimaciones aproximadas.',
+  'result.timeBox.onTime': 'A tiempo.',
+  'result.timeBox.overTime': 'Fuera de tiempo.',
+  'result.timeBox.underTime': 'Por debajo del tiempo.',
+  'result.timeBox.fits': '{duration} encaja en el tiempo de {range} ({preset}).',
+  'result.timeBox.over': '{duration} dura {difference}s más que el tiempo de {range} ({preset}). Recorta la sección menos esencial.',
+  'result.timeBox.under': '{duration} dura {difference}s menos que el tiempo de {range} ({preset}). Hay margen para desarrollar tus puntos clave.',
+  'result.tab.delivery': 'Entrega',
+  'result.tab.engagement': 'Engagement',
+  'result.tab.timeline': 'Línea de tiempo',
+  'result.tab.script': 'Guion',
+  'result.tab.rewrite': 'Reescritura',
+  'result.tab.coaches': 'Coaches',
+  'result.deliveryMetrics': 'Métricas de entrega',
+  'result.engagementMetrics': 'Métricas de engagement',
+  'result.feedbackTimeline': 'Comentarios en el tiempo',
+  'result.scriptAdherence': 'Fidelidad al guion',
+  'result.rewrittenPitch': 'Pitch reescrito',
+  'result.coachReview': 'Revisión del coach',
+  'result.expectedStructure': 'Estructura esperada: {structure}',
+  'result.speakingRate': '{wpm} ppm, objetivo {min}–{max} · articulación {articulation} ppm',
+  'result.speakingRateRange': '{min}–{max} ppm a lo largo del pitch',
+  'result.calibrated': 'Calibrado para un ruido de fondo de {noise} dB',
+  'result.weight': 'Peso en la puntuación global',
+  'result.viewDetails': 'Ver comentarios detallados',
+  'result.coachScore': 'Coach {score}/{max}',
+  'result.coachScoreHint': 'Puntuación media de los coaches',
+  'result.ai': 'IA',
+  'result.aiScoreHint': 'Puntuación de la IA',
+  'result.detailedFeedback': 'Comentarios detallados',
+  'result.improvements': 'Sugerencias de mejora',
+  'result.fillerTotals': '{count} en total · {rate}/min',
+  'result.noFillers': 'No se detectaron muletillas. ¡Limpio y claro!',
+  'result.heardAt': 'Oídas en:',
+
+  // Feedback timeline
+  'timeline.empty': 'No hay línea de tiempo para esta grabación.',
+  'timeline.noIssues': 'Sin problemas',
+  'timeline.fallback': 'Los comentarios se basan solo en la entrega medida, no en una revisión de la IA.',
+  'timeline.playFromHere': 'Reproducir desde aquí',
+  'timeline.metrics': '{wpm} ppm · volumen {volume}/5 · tono {pitch}/5',
+
+  // Delivery chart
+  'chart.empty': 'No hay forma de onda para esta grabación.',
+  'chart.unvoiced': 'sin voz',
+  'chart.hint': 'Pasa el cursor para inspeccionar, haz clic para reproducir desde ese momento',
+  'chart.pitchRange': 'Tono {min}–{max} Hz',
+  'chart.loudness': 'Volumen',
+  'chart.pitch': 'Tono',
+  'chart.pause': 'Pausa',
+  'chart.monotone': 'Tramo monótono',
+
+  // Script adherence
+  'script.status.covered': 'Cubierta',
+  'script.status.partial': 'Cubierta en parte',
+  'script.status.skipped': 'Omitida',
+  'script.jump': 'Ir a este momento',
+  'script.delivered': 'Del guion pronunciado',
+  'script.keyPhrasesSaid': 'Frases clave dichas',
+  'script.sentencesSaid': 'Oraciones dichas',
+  'script.skippedReordered': 'Secciones omitidas / reordenadas',
+  'script.adLibbed': 'Del pitch improvisado',
+  'script.outOfOrder': 'Fuera de orden',
+  'script.legend': 'Las palabras resaltadas se dijeron, las tachadas se omitieron. Las secciones se emparejan dondequiera que se dijeran en el pitch.',
+  'script.keyPhrases': 'Frases clave ({delivered}/{total})',
+  'script.adLibs': 'Pasajes improvisados',
+
+  // Investor Q&A
+  'question.category.competition': 'Competencia',
+  'question.category.unitEconomics': 'Economía unitaria',
+  'question.category.team': 'Equipo',
+  'question.category.market': 'Mercado',
+  'question.category.traction': 'Tracción',
+  'question.category.product': 'Producto',
+  'question.category.risk': 'Riesgo',
+  'question.category.fundraising': 'Financiación',
+  'question.category.other': 'Otra',
+  'qa.answerName': 'Respuesta: {question}',
+  'qa.title': 'Práctica de Q&A con inversores',
+  'qa.intro': 'Recibe las preguntas difíciles que probablemente haría un inversor tras este pitch y graba una respuesta a cada una. Las respuestas se puntúan por franqueza, relevancia y entrega.',
+  'qa.generate': 'Generar preguntas',
+  'qa.newQuestions': 'Nuevas preguntas',
+  'qa.noTranscript': 'Esta grabación no tiene transcripción sobre la que preguntar',
+  'qa.confirmReplace': '¿Sustituir estas preguntas por otras nuevas? Las respuestas grabadas se quedan en tu biblioteca.',
+  'qa.generateFailed': 'No se pudieron generar las preguntas. Inténtalo de nuevo.',
+  'qa.microphoneFailed': 'No se pudo abrir el micrófono. Revisa el permiso del navegador e inténtalo de nuevo.',
+  'qa.submitFailed': 'No se pudo empezar a evaluar tu respuesta. La grabación se guardó, inténtalo de nuevo.',
+  'qa.fallback': 'Preguntas habituales de inversores, no generadas a partir de tu pitch: {reason}',
+  'qa.record': 'Grabar respuesta',
+  'qa.answerAgain': 'Responder de nuevo',
+  'qa.stop': 'Detener y evaluar',
+  'qa.discard': 'Descartar esta respuesta',
+  'qa.uploading': 'Subiendo…',
+  'qa.showAnswer': 'Ver la evaluación de esta respuesta',
+  'qa.take': 'Toma {number}',
+  'qa.pending': { one: 'Se está evaluando {count} respuesta.', other: 'Se están evaluando {count} respuestas.' },
+  'qa.hint': 'Responde en 20-90 segundos: empieza por la respuesta y luego respáldala.',
+
+  // Pitch rewrite
+  'revision.targetLength': 'Duración objetivo (segundos)',
+  'revision.keepLength': 'Mantener igual',
+  'revision.rewrite': 'Reescribir pitch',
+  'revision.again': 'Reescribir de nuevo',
+  'revision.takeRan': 'Esta toma duró {duration}',
+  'revision.failed': 'No se pudo reescribir el pitch. Inténtalo de nuevo.',
+  'revision.intro': 'Obtén una versión revisada de este pitch que corrige los puntos débiles de esta evaluación y se ajusta a la duración objetivo, manteniendo tus datos y tu forma de hablar. Cada cambio incluye su motivo.',
+  'revision.none': 'Aún no se ha reescrito esta grabación.',
+  'revision.fallbackTitle': 'Reescritura de respaldo.',
+  'revision.fallback': 'Solo se eliminaron las vacilaciones.',
+  'revision.fallbackBecause': 'Solo se eliminaron las vacilaciones ({reason}).',
+  'revision.words': '{before} → {after} palabras',
+  'revision.estimate': 'unos {estimate}',
+  'revision.estimateWithTarget': 'unos {estimate} (objetivo {target})',
+  'revision.changes': { one: '{count} cambio', other: '{count} cambios' },
+  'revision.dropped': {
+    one: '{count} edición sugerida no coincidía con la transcripción y se descartó',
+    other: '{count} ediciones sugeridas no coincidían con la transcripción y se descartaron'
+  },
+  'revision.why': 'Motivo de cada cambio',
+  'revision.cut': 'Eliminado: "{text}"',
+  'revision.revised': 'Pitch revisado',
+  'revision.useAsScript': 'Usar como mi guion',
+  'revision.saved': 'Guardado. Se usará como guion en tu próxima grabación.',
+  'revision.rehearse': 'Ensayar ahora',
+
+  // Coach reviews
+  'coach.overallFeedback': 'Comentario general',
+  'coach.removeComment': 'Quitar comentario',
+  'coach.confirmDelete': '¿Eliminar tu revisión de esta grabación?',
+  'coach.yourScores': 'Tus puntuaciones',
+  'coach.keepAiScore': 'Deja un criterio vacío para mantener la puntuación de la IA.',
+  'coach.comments': 'Comentarios sobre la grabación',
+  'coach.pinnedHint': 'Los comentarios se fijan a la posición de reproducción',
+  'coach.commentPlaceholder': 'Comentario en este momento',
+  'coach.add': 'Añadir',
+  'coach.agreeQuestion': '¿Estás de acuerdo con la IA?',
+  'coach.votes': 'Coaches: {agree} de acuerdo · {disagree} en desacuerdo',
+  'coach.agree': 'De acuerdo',
+  'coach.disagree': 'En desacuerdo',
+  'coach.summary': 'Resumen',
+  'coach.summaryPlaceholder': 'Impresión general y lo siguiente en lo que trabajar',
+  'coach.saving': 'Guardando…',
+  'coach.save': 'Guardar revisión',
+  'coach.update': 'Actualizar revisión',
+  'coach.delete': 'Eliminar',
+  'coach.others': 'Otros coaches',
+  'agreement.title': 'IA frente a coaches',
+  'agreement.feedback': 'los coaches coincidieron con el {percent}% de los comentarios de la IA que valoraron',
+  'agreement.criterion': 'Criterio',
+  'agreement.difference': 'Coach − IA',
+  'agreement.differenceHint': 'Coach menos IA, en la escala del criterio',
+  'agreement.gap': 'Diferencia media',
+  'agreement.provider': {
+    one: '{count} revisión, diferencia media {gap}/10',
+    other: '{count} revisiones, diferencia media {gap}/10'
+  },
+  'agreement.providerFeedback': '{percent}% de comentarios aceptados',
+
+  // Comparison and trends
+  'comparison.title': 'Comparación',
+  'comparison.close': 'Cerrar comparación',
+  'comparison.before': 'Antes',
+  'comparison.after': 'Después',
+  'comparison.metrics': 'Métricas',
+  'comparison.metric': 'Métrica',
+  'comparison.change': 'Cambio',
+  'comparison.improvements': 'Mejoras sugeridas',
+  'comparison.resolvedCount': {
+    one: '{resolved} de {count} sugerencia de la toma anterior parece resuelta',
+    other: '{resolved} de {count} sugerencias de la toma anterior parecen resueltas'
+  },
+  'comparison.status.resolved': 'Resuelta',
+  'comparison.status.open': 'Pendiente',
+  'comparison.status.unclear': 'Dudosa',
+  'comparison.transcriptChanges': 'Cambios en la transcripción',
+  'comparison.noTranscripts': 'No hay transcripciones que comparar.',
+  'trends.empty': 'Evalúa una grabación para empezar a seguir tu progreso.',
+  'trends.title': 'Tu progreso',
+  'trends.recordings': { one: '{count} grabación evaluada', other: '{count} grabaciones evaluadas' },
+  'trends.practiceDays': { one: '{count} día de práctica', other: '{count} días de práctica' },
+  'trends.gains': 'Mayores avances',
+  'trends.regressions': 'Mayores retrocesos',
+  'trends.noChanges': 'Ninguno desde la sesión anterior.',
+  'trends.best': 'Mejor {value}/{max}',
+  'trends.score': 'Puntuación',
+  'trends.movingAverage': 'Media móvil (últimas 5)',
+  'trends.personalBest': 'Mejor marca personal',
+  'trends.group.overall': 'Global',
+  'trends.group.delivery': 'Entrega',
+  'trends.group.engagement': 'Engagement',
+  'trends.vsPrevious': '{change} frente a la sesión anterior',
+
+  // Exported reports
+  'report.overallScore': 'Puntuación global: {score}/10',
+  'report.pitchType': 'Tipo de pitch: {name}',
+  'report.rubric': 'Rúbrica: {name}',
+  'report.language': 'Idioma hablado: {language}',
+  'report.analyzedBy': 'Contenido analizado por: {provider}',
+  'report.fallback': 'Las puntuaciones de engagement son una estimación de respaldo, no un análisis de IA',
+  'report.speakingRate': 'Velocidad al hablar: {wpm} ppm (objetivo {min}-{max})',
+  'report.length': 'Duración: {duration}s, tiempo {min}-{max}s',
+  'report.lengthOver': 'Duración: {duration}s, tiempo {min}-{max}s ({difference}s de más)',
+  'report.lengthUnder': 'Duración: {duration}s, tiempo {min}-{max}s ({difference}s de menos)',
+  'report.fillerWords': 'Muletillas: {count} ({rate}/min)',
+  'report.script': 'Guion: {coverage}% pronunciado, {skipped} sección(es) omitida(s), {reordered} fuera de orden',
+  'report.scriptWithPhrases': 'Guion: {coverage}% pronunciado, {phrases}% de las frases clave, {skipped} sección(es) omitida(s), {reordered} fuera de orden',
+  'report.delivery': 'Entrega',
+  'report.engagement': 'Engagement',
+  'report.metric': 'Métrica',
+  'report.score': 'Puntuación',
+  'report.strengths': 'Fortalezas',
+  'report.improvements': 'Mejoras',
+  'report.overallFeedback': 'Comentario general',
+  'report.keyMessages': 'Mensajes clave',
+  'report.emotionalTone': 'Tono emocional',
+  'report.transcript': 'Transcripción',
+  'report.noTranscript': 'Sin transcripción',
+
+  // Accounts, sharing and workspaces
+  'auth.signIn': 'Iniciar sesión',
+  'auth.createAccount': 'Crear cuenta',
+  'auth.intro': 'Mantén tus grabaciones sincronizadas y compártelas con tu espacio de trabajo.',
+  'auth.email': 'Correo electrónico',
+  'auth.name': 'Nombre',
+  'auth.password': 'Contraseña',
+  'auth.newPassword': 'Contraseña (8+ caracteres)',
+  'auth.wait': 'Espera…',
+  'auth.toRegister': '¿Aún no tienes cuenta? Crea una',
+  'auth.toLogin': '¿Ya tienes cuenta? Inicia sesión',
+  'auth.failed': 'Algo salió mal. Inténtalo de nuevo.',
+  'share.title': 'Compartir',
+  'share.loadFailed': 'No se pudo cargar la configuración para compartir',
+  'share.updateFailed': 'No se pudo actualizar cómo se comparte',
+  'share.workspace': 'Espacio de trabajo',
+  'share.private': 'Privada (solo tú)',
+  'share.noWorkspaces': 'Crea un espacio de trabajo desde la vista Espacios de trabajo para compartir con mentores.',
+  'share.link': 'Enlace de solo lectura',
+  'share.linkHint': 'Cualquiera con el enlace puede escuchar y ver la evaluación, sin cuenta.',
+  'share.copy': 'Copiar',
+  'share.copied': 'Copiado',
+  'share.invalidLink': 'Este enlace no es válido o su propietario lo ha desactivado.',
+  'share.sharedBy': 'compartida por {name}',
+  'workspaces.intro': 'Comparte grabaciones con cofundadores y mentores. Las grabaciones son privadas hasta que las compartes desde sus resultados.',
+  'workspaces.none': 'Aún no hay espacios de trabajo.',
+  'workspaces.members': { one: '{count} miembro', other: '{count} miembros' },
+  'workspaces.owner': 'propietario',
+  'workspaces.member': 'miembro',
+  'workspaces.new': 'Nuevo espacio de trabajo',
+  'workspaces.create': 'Crear espacio de trabajo',
+  'workspaces.delete': 'Eliminar espacio de trabajo',
+  'workspaces.leave': 'Salir',
+  'workspaces.membersTitle': 'Miembros',
+  'workspaces.removeMember': 'Quitar miembro',
+  'workspaces.memberEmail': 'Correo de la cuenta del miembro',
+  'workspaces.shared': 'Grabaciones compartidas',
+  'workspaces.nothingShared': 'Aún no se ha compartido nada. Abre los resultados de una grabación y usa Compartir para añadirla aquí.',
+  'workspaces.select': 'Selecciona o crea un espacio de trabajo.',
+  'workspaces.you': 'Tú',
+  'workspaces.sharedByYou': 'compartida por ti',
+  'workspaces.loadFailed': 'No se pudo cargar el espacio de trabajo. Inténtalo de nuevo.',
+  'workspaces.createFailed': 'No se pudo crear el espacio de trabajo. Inténtalo de nuevo.',
+  'workspaces.addFailed': 'No se pudo añadir al miembro. Inténtalo de nuevo.',
+  'workspaces.removeFailed': 'No se pudo quitar al miembro. Inténtalo de nuevo.',
+  'workspaces.deleteFailed': 'No se pudo eliminar el espacio de trabajo. Inténtalo de nuevo.',
+  'workspaces.confirmLeave': '¿Salir de este espacio de trabajo? Las grabaciones que compartiste en él vuelven a ser privadas.',
+  'workspaces.confirmRemove': '¿Quitar a este miembro? Las grabaciones que compartió en el espacio de trabajo vuelven a ser privadas.',
+  'workspaces.confirmDelete': '¿Eliminar "{name}"? Las grabaciones compartidas en él vuelven a ser privadas.'
+};
+
+export default es;
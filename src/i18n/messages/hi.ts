@@ -0,0 +1,486 @@
+import type { Messages } from './en';
+
+// Hindi messages
+const hi: Messages = {
+  // Shared
+  'app.title': 'ऑडियो पिच मूल्यांकनकर्ता',
+  'common.cancel': 'रद्द करें',
+  'common.unknownError': 'अज्ञात त्रुटि',
+  'common.close': 'बंद करें',
+  'common.save': 'सहेजें',
+
+  // Interface language
+  'language.interface': 'इंटरफ़ेस की भाषा',
+  'language.switcherHint': 'इंटरफ़ेस की भाषा, नए मूल्यांकनों की प्रतिक्रिया भी इसी भाषा में मिलेगी',
+
+  // Recording page
+  'home.tagline': 'अपनी आवाज़ रिकॉर्ड या अपलोड करें और तुरंत अपनी पिच का मूल्यांकन पाएँ!',
+  'home.startRecording': 'रिकॉर्डिंग शुरू करें',
+  'home.upload': 'ऑडियो फ़ाइल अपलोड करें',
+  'home.liveCoaching': 'रिकॉर्डिंग के दौरान लाइव कोचिंग (आवाज़, गति, ठहराव, एकरसता)',
+  'home.liveCaptureFailed': 'आपका ब्राउज़र इसके लिए माइक्रोफ़ोन कैप्चर नहीं कर सका',
+  'home.getReady': 'रिकॉर्ड करने के लिए तैयार हो जाइए!',
+  'home.recording': 'रिकॉर्डिंग हो रही है...',
+  'home.stopRecording': 'रिकॉर्डिंग रोकें',
+  'home.pitchLanguage': 'बोली गई भाषा',
+  'home.detectLanguage': 'अपने आप पहचानें',
+  'home.transcription': 'ट्रांसक्रिप्शन',
+  'home.private': 'निजी',
+  'home.aiAnalysis': 'AI विश्लेषण',
+  'home.pitchType': 'पिच का प्रकार',
+  'home.rubric': 'रूब्रिक',
+  'home.script': 'स्क्रिप्ट (वैकल्पिक)',
+  'home.loadScript': '.md / .txt लोड करें',
+  'home.scriptPlaceholder': 'जिस स्क्रिप्ट या रूपरेखा से आपने अभ्यास किया उसे यहाँ चिपकाएँ, ताकि पता चले कि आपने उसका कितना पालन किया। # शीर्षक खंड दर्शाते हैं, **बोल्ड** मुख्य वाक्यांश दर्शाता है।',
+  'home.scriptTooLong': 'यह स्क्रिप्ट बहुत लंबी है, इसे {max} अक्षरों से कम रखें।',
+  'home.scriptReadFailed': 'स्क्रिप्ट फ़ाइल पढ़ी नहीं जा सकी।',
+  'home.recordAgain': 'फिर से रिकॉर्ड करें',
+  'home.evaluating': 'मूल्यांकन हो रहा है...',
+  'home.evaluate': 'पिच का मूल्यांकन करें',
+  'home.evaluateFailed': 'मूल्यांकन शुरू नहीं हो सका। आपकी रिकॉर्डिंग सहेज ली गई है, कृपया फिर से कोशिश करें।',
+  'home.recordingName': 'रिकॉर्डिंग {date}',
+
+  // Mic check
+  'micCheck.issue.quietBlock': 'हमें आपकी आवाज़ सुनाई नहीं दे रही। जाँचें कि सही माइक्रोफ़ोन चुना है और वह म्यूट नहीं है।',
+  'micCheck.issue.quietWarn': 'आपकी आवाज़ धीमी है। माइक्रोफ़ोन के पास आएँ या ज़ोर से बोलें।',
+  'micCheck.issue.clippingBlock': 'आपकी आवाज़ बुरी तरह क्लिप हो रही है। माइक्रोफ़ोन से दूर हटें या उसका गेन कम करें।',
+  'micCheck.issue.clippingWarn': 'आपकी आवाज़ कभी-कभी क्लिप होती है। थोड़ा पीछे हटें या गेन कम करें।',
+  'micCheck.issue.noisyBlock': 'पृष्ठभूमि का शोर लगभग आपकी आवाज़ जितना तेज़ है। कोई शांत जगह ढूँढें।',
+  'micCheck.issue.noisyWarn': 'कमरे में शोर है। स्कोर इसके हिसाब से कैलिब्रेट किए जाते हैं, पर शांत जगह पर आवाज़ बेहतर लगेगी।',
+  'micCheck.title': 'माइक्रोफ़ोन जाँच',
+  'micCheck.microphone': 'माइक्रोफ़ोन',
+  'micCheck.microphoneNumber': 'माइक्रोफ़ोन {number}',
+  'micCheck.starting': 'माइक्रोफ़ोन खोला जा रहा है…',
+  'micCheck.quiet': 'एक पल शांत रहें, कमरे का शोर मापा जा रहा है…',
+  'micCheck.speak': 'अब एक वाक्य वैसे बोलें जैसे आप पिच में बोलेंगे…',
+  'micCheck.permissionDenied': 'माइक्रोफ़ोन की अनुमति नहीं मिली।',
+  'micCheck.openFailed': 'माइक्रोफ़ोन नहीं खुल सका।',
+  'micCheck.levels': 'कमरे का शोर {noise} dB · आपकी आवाज़ {speech} dB · अधिकतम {peak} dB',
+  'micCheck.soundsGood': 'ठीक सुनाई दे रहा है',
+  'micCheck.checkAgain': 'फिर से जाँचें',
+  'micCheck.fixFirst': 'ऊपर दी गई समस्या ठीक करें और फिर से जाँचें',
+
+  // Live coaching
+  'live.disconnected': 'लाइव कोचिंग डिस्कनेक्ट हो गई',
+  'live.unavailable': 'लाइव कोचिंग उपलब्ध नहीं: {error}',
+  'live.waiting': 'आपके बोलते ही लाइव कोचिंग शुरू होगी…',
+  'live.volume': 'आवाज़',
+  'live.pace': 'गति',
+  'live.listening': 'सुन रहे हैं…',
+  'live.pausing': 'ठहराव',
+  'live.sinceLastPause': 'पिछले ठहराव से',
+  'live.level.good': 'अच्छा',
+  'live.level.quiet': 'धीमा',
+  'live.level.loud': 'तेज़',
+  'live.level.slow': 'धीमी',
+  'live.level.fast': 'तेज़',
+
+  // Evaluation progress
+  'progress.failed': 'मूल्यांकन विफल रहा',
+  'progress.processing': 'आपके ऑडियो का मूल्यांकन हो रहा है...',
+  'progress.resultsSoon': 'परिणाम तैयार होते ही यहाँ दिखेंगे',
+  'progress.stage.converting': 'ऑडियो बदला जा रहा है',
+  'progress.stage.transcribing': 'ट्रांसक्राइब किया जा रहा है',
+  'progress.stage.analyzing_audio': 'प्रस्तुति का विश्लेषण',
+  'progress.stage.llm_analysis': 'AI सामग्री विश्लेषण',
+  'progress.jobNotFound': 'मूल्यांकन नहीं मिला। हो सकता है सर्वर फिर से शुरू हुआ हो।',
+  'progress.connectionLost': 'मूल्यांकन सर्वर से कनेक्शन टूट गया।',
+
+  // Built-in presets, rubrics and criteria
+  'preset.general.name': 'सामान्य पिच',
+  'preset.general.description': 'कोई खास प्रारूप नहीं, प्रस्तुति के सामान्य लक्ष्य',
+  'preset.elevator.name': 'एलिवेटर पिच',
+  'preset.elevator.description': '30-90 सेकंड, एक विचार और स्पष्ट हुक',
+  'preset.investor.name': 'निवेशक पिच',
+  'preset.investor.description': '5-10 मिनट, समस्या से लेकर माँग तक',
+  'preset.salesDemo.name': 'सेल्स डेमो',
+  'preset.salesDemo.description': '3-15 मिनट, ग्राहक की समस्या से अगले कदम तक',
+  'preset.interviewAnswer.name': 'इंटरव्यू उत्तर',
+  'preset.interviewAnswer.description': '1-3 मिनट, STAR शैली का उत्तर',
+  'preset.investorAnswer.name': 'अनुवर्ती उत्तर',
+  'preset.investorAnswer.description': 'निवेशक के प्रश्न का 20-90 सेकंड में उत्तर, पहले उत्तर, फिर प्रमाण',
+  'preset.elevator.structure': 'हुक → समस्या → समाधान → माँग',
+  'preset.investor.structure': 'समस्या → समाधान → बाज़ार → ट्रैक्शन → बिज़नेस मॉडल → टीम → माँग',
+  'preset.salesDemo.structure': 'ग्राहक की समस्या → समाधान का डेमो → मूल्य और प्रमाण → अगला कदम',
+  'preset.interviewAnswer.structure': 'स्थिति → कार्य → कार्रवाई → परिणाम',
+  'preset.investorAnswer.structure': 'सीधा उत्तर → प्रमाण → पिच से जोड़ें',
+  'rubric.default.name': 'मानक पिच',
+  'rubric.investor-answer.name': 'निवेशक Q&A उत्तर',
+  'criterion.pace': 'गति',
+  'criterion.tone': 'लहजा',
+  'criterion.clarity': 'स्पष्टता',
+  'criterion.confidence': 'आत्मविश्वास',
+  'criterion.enthusiasm': 'उत्साह',
+  'criterion.fillerWords': 'भराव शब्द',
+  'criterion.storytelling': 'कहानी कहना',
+  'criterion.audienceConnection': 'श्रोताओं से जुड़ाव',
+  'criterion.persuasiveness': 'प्रभावशीलता',
+  'criterion.directness': 'स्पष्टवादिता',
+  'criterion.relevance': 'प्रासंगिकता',
+
+  // Dashboard
+  'dashboard.title': 'आपकी रिकॉर्डिंग',
+  'dashboard.sort.newest': 'नई पहले',
+  'dashboard.sort.oldest': 'पुरानी पहले',
+  'dashboard.sort.highest': 'सबसे अधिक स्कोर',
+  'dashboard.sort.lowest': 'सबसे कम स्कोर',
+  'dashboard.compare': 'तुलना करें {selected}/2',
+  'dashboard.comparePickOne': 'तुलना के लिए एक और रिकॉर्डिंग चुनें',
+  'dashboard.compareHint': 'चुनी गई रिकॉर्डिंग की तुलना करें',
+  'dashboard.search': 'शीर्षक, नोट्स और टैग खोजें',
+  'dashboard.allProjects': 'सभी प्रोजेक्ट',
+  'dashboard.noMatches': 'आपकी खोज से कोई रिकॉर्डिंग मेल नहीं खाती।',
+  'dashboard.selectForComparison': 'तुलना के लिए चुनें',
+  'dashboard.editDetails': 'शीर्षक, प्रोजेक्ट, टैग और नोट्स संपादित करें',
+  'dashboard.play': 'चलाएँ',
+  'dashboard.pause': 'रोकें',
+  'dashboard.results': 'परिणाम',
+  'dashboard.trends': 'रुझान',
+  'dashboard.workspaces': 'वर्कस्पेस',
+  'dashboard.sync': 'सिंक',
+  'dashboard.syncHint': 'रिकॉर्डिंग को सर्वर के साथ सिंक करें',
+  'dashboard.syncSummary': '{uploaded} अपलोड, {downloaded} डाउनलोड, सर्वर पर {updatedRemote} और यहाँ {updatedLocal} अपडेट हुईं।',
+  'dashboard.syncFailures': 'विफल ({count}):',
+  'dashboard.syncFailed': 'सर्वर के साथ सिंक नहीं हो सका। कृपया फिर से कोशिश करें।',
+  'dashboard.backup': 'बैकअप',
+  'dashboard.backupHint': 'हर रिकॉर्डिंग, उसके मूल्यांकन सहित, एक आर्काइव में डाउनलोड करें',
+  'dashboard.backupEmpty': 'आपकी लाइब्रेरी खाली है, बैकअप में कोई रिकॉर्डिंग नहीं है।',
+  'dashboard.backupFailed': 'आपकी लाइब्रेरी का बैकअप नहीं हो सका। कृपया फिर से कोशिश करें।',
+  'dashboard.restore': 'पुनर्स्थापित करें',
+  'dashboard.restoreHint': 'लाइब्रेरी बैकअप को इस लाइब्रेरी में मिलाएँ',
+  'dashboard.restoreFailed': 'बैकअप पुनर्स्थापित नहीं हो सका। कृपया फिर से कोशिश करें।',
+  'dashboard.newRecording': 'नई रिकॉर्डिंग',
+  'dashboard.new': 'नई',
+  'dashboard.signIn': 'साइन इन करें',
+  'dashboard.signInHint': 'रिकॉर्डिंग सिंक और साझा करने के लिए साइन इन करें',
+  'dashboard.signedInAs': '{email} के रूप में साइन इन',
+  'dashboard.backTo': '{name} पर वापस जाएँ',
+  'dashboard.selectRecording': 'मूल्यांकन के परिणाम देखने के लिए कोई रिकॉर्डिंग चुनें',
+  'dashboard.saveDetailsFailed': 'रिकॉर्डिंग का विवरण सहेजा नहीं जा सका। कृपया फिर से कोशिश करें।',
+  'dashboard.answerFailed': 'आपके उत्तर का मूल्यांकन विफल रहा: {error}',
+  'dashboard.loadFailed': 'आपकी रिकॉर्डिंग लोड नहीं हो सकीं। कृपया पेज फिर से लोड करें।',
+  'details.title': 'शीर्षक',
+  'details.titleRequired': 'कृपया रिकॉर्डिंग को एक शीर्षक दें।',
+  'details.project': 'प्रोजेक्ट या पिच',
+  'details.tags': 'टैग, कॉमा से अलग करें',
+  'details.notes': 'नोट्स',
+
+  // Library backups
+  'backup.summary': {
+    one: '{added} जोड़ी गईं, {updated} अपडेट हुईं, {count} डुप्लिकेट छोड़ी गई।',
+    other: '{added} जोड़ी गईं, {updated} अपडेट हुईं, {count} डुप्लिकेट छोड़ी गईं।'
+  },
+  'backup.conflicts': 'टकराव ({count}):',
+  'backup.notImported': 'आयात नहीं हुईं ({count}):',
+  'backup.noManifest': 'यह फ़ाइल लाइब्रेरी बैकअप नहीं है (manifest.json मौजूद नहीं है)',
+  'backup.notBackup': 'यह फ़ाइल लाइब्रेरी बैकअप नहीं है',
+  'backup.notZip': 'यह फ़ाइल मान्य zip आर्काइव नहीं है',
+  'backup.audioMissing': 'आर्काइव में ऑडियो फ़ाइल नहीं है',
+  'backup.audioCorrupted': 'ऑडियो फ़ाइल खराब है (चेकसम मेल नहीं खाता)',
+  'backup.idConflict': 'इसकी id यहाँ किसी दूसरी रिकॉर्डिंग की है; इसे नई रिकॉर्डिंग के रूप में आयात किया गया',
+
+  // Local storage
+  'storage.blocked': 'आपकी रिकॉर्डिंग लाइब्रेरी अपग्रेड हो रही है। इस ऐप के बाकी टैब बंद करें और पेज फिर से लोड करें।',
+
+  // Evaluation result
+  'result.selectRecording': 'परिणाम देखने के लिए कोई रिकॉर्डिंग चुनें।',
+  'result.title': 'मूल्यांकन के परिणाम',
+  'result.overallScore': 'कुल स्कोर',
+  'result.defaultName': 'पिच मूल्यांकन',
+  'result.share': 'अपने वर्कस्पेस के साथ या लिंक से साझा करें',
+  'result.export': 'यह मूल्यांकन निर्यात करें',
+  'result.export.pdf': 'PDF रिपोर्ट',
+  'result.export.markdown': 'Markdown रिपोर्ट',
+  'result.export.json': 'मूल परिणाम (JSON)',
+  'result.exportFailed': 'रिपोर्ट निर्यात नहीं हो सकी। कृपया फिर से कोशिश करें।',
+  'result.delete': 'यह रिकॉर्डिंग हटाएँ',
+  'result.confirmDelete': 'क्या आप वाकई यह रिकॉर्डिंग हटाना चाहते हैं? इसे वापस नहीं लाया जा सकता।',
+  'result.deleteFailed': 'रिकॉर्डिंग हटाई नहीं जा सकी। कृपया फिर से कोशिश करें।',
+  'result.saveReviewFailed': 'आपकी समीक्षा सहेजी नहीं जा सकी। कृपया फिर से कोशिश करें।',
+  'result.deleteReviewFailed': 'आपकी समीक्षा हटाई नहीं जा सकी। कृपया फिर से कोशिश करें।',
+  'result.blendedScores': 'AI {ai}/10 · कोच {coaches}/10',
+  'result.reviewCount': { one: '{count} समीक्षा', other: '{count} समीक्षाएँ' },
+  'result.blendHint': 'कुल स्कोर का कितना हिस्सा कोच से आता है',
+  'result.blend.ai': 'केवल AI',
+  'result.blend.quarter': '25% कोच',
+  'result.blend.half': '50/50',
+  'result.blend.threeQuarters': '75% कोच',
+  'result.blend.coaches': 'केवल कोच',
+  'result.analyzedBy': 'सामग्री का विश्लेषण {provider} ने किया',
+  'result.scoredWith': '"{rubric}" रूब्रिक से स्कोर किया गया',
+  'result.scoredWithPreset': '"{rubric}" रूब्रिक से स्कोर किया गया · {preset}',
+  'result.language': '{language} में बोली गई',
+  'result.languageDetected': '{language} में बोली गई (पहचानी गई)',
+  'result.investorQuestion': 'निवेशक का प्रश्न · {category}',
+  'result.fallbackTitle': 'वैकल्पिक विश्लेषण।',
+  'result.fallback': 'एंगेजमेंट स्कोर किसी AI मॉडल ने नहीं बनाए। इन्हें मोटा अनुमान मानें।',
+  'result.fallbackBecause': 'एंगेजमेंट स्कोर किसी AI मॉडल ने नहीं बनाए ({reason})। इन्हें मोटा अनुमान मानें।',
+  'result.timeBox.onTime': 'समय पर।',
+  'result.timeBox.overTime': 'समय से अधिक।',
+  'result.timeBox.underTime': 'समय से कम।',
+  'result.timeBox.fits': '{duration} {range} की समय-सीमा में है ({preset})।',
+  'result.timeBox.over': '{duration} {range} की समय-सीमा से {difference}s लंबा है ({preset})। सबसे कम ज़रूरी हिस्सा छोटा करें।',
+  'result.timeBox.under': '{duration} {range} की समय-सीमा से {difference}s छोटा है ({preset})। अपने मुख्य बिंदुओं को विस्तार देने की गुंजाइश है।',
+  'result.tab.delivery': 'प्रस्तुति',
+  'result.tab.engagement': 'एंगेजमेंट',
+  'result.tab.timeline': 'टाइमलाइन',
+  'result.tab.script': 'स्क्रिप्ट',
+  'result.tab.rewrite': 'पुनर्लेखन',
+  'result.tab.coaches': 'कोच',
+  'result.deliveryMetrics': 'प्रस्तुति मेट्रिक्स',
+  'result.engagementMetrics': 'एंगेजमेंट मेट्रिक्स',
+  'result.feedbackTimeline': 'प्रतिक्रिया टाइमलाइन',
+  'result.scriptAdherence': 'स्क्रिप्ट का पालन',
+  'result.rewrittenPitch': 'दोबारा लिखी गई पिच',
+  'result.coachReview': 'कोच की समीक्षा',
+  'result.expectedStructure': 'अपेक्षित संरचना: {structure}',
+  'result.speakingRate': '{wpm} शब्द/मिनट, लक्ष्य {min}–{max} · उच्चारण {articulation} शब्द/मिनट',
+  'result.speakingRateRange': 'पूरी पिच में {min}–{max} शब्द/मिनट',
+  'result.calibrated': '{noise} dB के कमरे के शोर के लिए कैलिब्रेट किया गया',
+  'result.weight': 'कुल स्कोर में भार',
+  'result.viewDetails': 'विस्तृत प्रतिक्रिया देखें',
+  'result.coachScore': 'कोच {score}/{max}',
+  'result.coachScoreHint': 'कोच का औसत स्कोर',
+  'result.ai': 'AI',
+  'result.aiScoreHint': 'AI स्कोर',
+  'result.detailedFeedback': 'विस्तृत प्रतिक्रिया',
+  'result.improvements': 'सुधार के सुझाव',
+  'result.fillerTotals': 'कुल {count} · {rate}/मिनट',
+  'result.noFillers': 'कोई भराव शब्द नहीं मिला। बहुत बढ़िया!',
+  'result.heardAt': 'यहाँ सुना गया:',
+
+  // Feedback timeline
+  'timeline.empty': 'इस रिकॉर्डिंग के लिए कोई टाइमलाइन उपलब्ध नहीं है।',
+  'timeline.noIssues': 'कोई समस्या नहीं',
+  'timeline.fallback': 'टिप्पणियाँ केवल मापी गई प्रस्तुति पर आधारित हैं, AI समीक्षा पर नहीं।',
+  'timeline.playFromHere': 'यहाँ से चलाएँ',
+  'timeline.metrics': '{wpm} शब्द/मिनट · आवाज़ {volume}/5 · सुर {pitch}/5',
+
+  // Delivery chart
+  'chart.empty': 'इस रिकॉर्डिंग के लिए कोई वेवफ़ॉर्म उपलब्ध नहीं है।',
+  'chart.unvoiced': 'आवाज़ रहित',
+  'chart.hint': 'देखने के लिए होवर करें, उस पल से चलाने के लिए क्लिक करें',
+  'chart.pitchRange': 'सुर {min}–{max} Hz',
+  'chart.loudness': 'आवाज़ की तीव्रता',
+  'chart.pitch': 'सुर',
+  'chart.pause': 'ठहराव',
+  'chart.monotone': 'एकरस हिस्सा',
+
+  // Script adherence
+  'script.status.covered': 'शामिल',
+  'script.status.partial': 'आंशिक रूप से शामिल',
+  'script.status.skipped': 'छोड़ा गया',
+  'script.jump': 'इस पल पर जाएँ',
+  'script.delivered': 'स्क्रिप्ट में से बोला गया',
+  'script.keyPhrasesSaid': 'बोले गए मुख्य वाक्यांश',
+  'script.sentencesSaid': 'बोले गए वाक्य',
+  'script.skippedReordered': 'छोड़े गए / क्रम बदले खंड',
+  'script.adLibbed': 'पिच में से तात्कालिक',
+  'script.outOfOrder': 'क्रम से बाहर',
+  'script.legend': 'हाइलाइट किए शब्द बोले गए, कटे हुए शब्द छूट गए। खंडों का मिलान पिच में वहीं होता है जहाँ वे बोले गए।',
+  'script.keyPhrases': 'मुख्य वाक्यांश ({delivered}/{total})',
+  'script.adLibs': 'तात्कालिक अंश',
+
+  // Investor Q&A
+  'question.category.competition': 'प्रतिस्पर्धा',
+  'question.category.unitEconomics': 'यूनिट इकोनॉमिक्स',
+  'question.category.team': 'टीम',
+  'question.category.market': 'बाज़ार',
+  'question.category.traction': 'ट्रैक्शन',
+  'question.category.product': 'प्रोडक्ट',
+  'question.category.risk': 'जोखिम',
+  'question.category.fundraising': 'फ़ंडरेज़िंग',
+  'question.category.other': 'अन्य',
+  'qa.answerName': 'उत्तर: {question}',
+  'qa.title': 'निवेशक Q&A अभ्यास',
+  'qa.intro': 'इस पिच के बाद निवेशक जो कठिन प्रश्न पूछ सकते हैं वे पाएँ, फिर हर प्रश्न का उत्तर रिकॉर्ड करें। उत्तरों को स्पष्टवादिता, प्रासंगिकता और प्रस्तुति पर स्कोर किया जाता है।',
+  'qa.generate': 'प्रश्न बनाएँ',
+  'qa.newQuestions': 'नए प्रश्न',
+  'qa.noTranscript': 'इस रिकॉर्डिंग का कोई ट्रांसक्रिप्ट नहीं है जिस पर प्रश्न पूछे जा सकें',
+  'qa.confirmReplace': 'इन प्रश्नों को नए प्रश्नों से बदलें? रिकॉर्ड किए गए उत्तर आपकी लाइब्रेरी में रहेंगे।',
+  'qa.generateFailed': 'प्रश्न नहीं बन सके। कृपया फिर से कोशिश करें।',
+  'qa.microphoneFailed': 'माइक्रोफ़ोन नहीं खुल सका। ब्राउज़र की अनुमति जाँचें और फिर से कोशिश करें।',
+  'qa.submitFailed': 'आपके उत्तर का मूल्यांकन शुरू नहीं हो सका। रिकॉर्डिंग सहेज ली गई है, कृपया फिर से कोशिश करें।',
+  'qa.fallback': 'निवेशकों के आम प्रश्न, आपकी पिच से नहीं बनाए गए: {reason}',
+  'qa.record': 'उत्तर रिकॉर्ड करें',
+  'qa.answerAgain': 'फिर से उत्तर दें',
+  'qa.stop': 'रोकें और मूल्यांकन करें',
+  'qa.discard': 'यह उत्तर हटाएँ',
+  'qa.uploading': 'अपलोड हो रहा है…',
+  'qa.showAnswer': 'इस उत्तर का मूल्यांकन देखें',
+  'qa.take': 'टेक {number}',
+  'qa.pending': { one: '{count} उत्तर का मूल्यांकन हो रहा है।', other: '{count} उत्तरों का मूल्यांकन हो रहा है।' },
+  'qa.hint': '20-90 सेकंड में उत्तर दें: पहले उत्तर, फिर उसका आधार।',
+
+  // Pitch rewrite
+  'revision.targetLength': 'लक्षित अवधि (सेकंड)',
+  'revision.keepLength': 'जैसी है वैसी रखें',
+  'revision.rewrite': 'पिच दोबारा लिखें',
+  'revision.again': 'फिर से लिखें',
+  'revision.takeRan': 'यह टेक {duration} चला',
+  'revision.failed': 'पिच दोबारा नहीं लिखी जा सकी। कृपया फिर से कोशिश करें।',
+  'revision.intro': 'इस पिच का संशोधित संस्करण पाएँ जो इस मूल्यांकन में मिली कमज़ोरियों को ठीक करे और लक्षित अवधि में फ़िट हो, आपके तथ्यों और बोलने के अंदाज़ को बनाए रखते हुए। हर बदलाव के साथ उसका कारण दिया जाता है।',
+  'revision.none': 'इस रिकॉर्डिंग का अभी तक पुनर्लेखन नहीं हुआ है।',
+  'revision.fallbackTitle': 'वैकल्पिक पुनर्लेखन।',
+  'revision.fallback': 'केवल झिझक वाले शब्द हटाए गए।',
+  'revision.fallbackBecause': 'केवल झिझक वाले शब्द हटाए गए ({reason})।',
+  'revision.words': '{before} → {after} शब्द',
+  'revision.estimate': 'लगभग {estimate}',
+  'revision.estimateWithTarget': 'लगभग {estimate} (लक्ष्य {target})',
+  'revision.changes': { one: '{count} बदलाव', other: '{count} बदलाव' },
+  'revision.dropped': {
+    one: '{count} सुझाया गया संपादन ट्रांसक्रिप्ट से मेल नहीं खाया और छोड़ दिया गया',
+    other: '{count} सुझाए गए संपादन ट्रांसक्रिप्ट से मेल नहीं खाए और छोड़ दिए गए'
+  },
+  'revision.why': 'हर बदलाव का कारण',
+  'revision.cut': 'हटाया गया: "{text}"',
+  'revision.revised': 'संशोधित पिच',
+  'revision.useAsScript': 'मेरी स्क्रिप्ट के रूप में इस्तेमाल करें',
+  'revision.saved': 'सहेजा गया। आपकी अगली रिकॉर्डिंग में यह स्क्रिप्ट के रूप में भरी जाएगी।',
+  'revision.rehearse': 'अभी अभ्यास करें',
+
+  // Coach reviews
+  'coach.overallFeedback': 'समग्र प्रतिक्रिया',
+  'coach.removeComment': 'टिप्पणी हटाएँ',
+  'coach.confirmDelete': 'इस रिकॉर्डिंग की अपनी समीक्षा हटाएँ?',
+  'coach.yourScores': 'आपके स्कोर',
+  'coach.keepAiScore': 'किसी मानदंड के लिए AI का स्कोर रखने के लिए उसे खाली छोड़ें।',
+  'coach.comments': 'रिकॉर्डिंग पर टिप्पणियाँ',
+  'coach.pinnedHint': 'टिप्पणियाँ प्लेबैक की स्थिति पर पिन होती हैं',
+  'coach.commentPlaceholder': 'इस पल पर टिप्पणी',
+  'coach.add': 'जोड़ें',
+  'coach.agreeQuestion': 'क्या आप AI से सहमत हैं?',
+  'coach.votes': 'कोच: {agree} सहमत · {disagree} असहमत',
+  'coach.agree': 'सहमत',
+  'coach.disagree': 'असहमत',
+  'coach.summary': 'सारांश',
+  'coach.summaryPlaceholder': 'समग्र प्रभाव और आगे सुधारने वाली एक बात',
+  'coach.saving': 'सहेजा जा रहा है…',
+  'coach.save': 'समीक्षा सहेजें',
+  'coach.update': 'समीक्षा अपडेट करें',
+  'coach.delete': 'हटाएँ',
+  'coach.others': 'अन्य कोच',
+  'agreement.title': 'AI बनाम कोच',
+  'agreement.feedback': 'कोच ने रेट की गई AI प्रतिक्रिया के {percent}% से सहमति जताई',
+  'agreement.criterion': 'मानदंड',
+  'agreement.difference': 'कोच − AI',
+  'agreement.differenceHint': 'कोच में से AI घटाकर, मानदंड के पैमाने पर',
+  'agreement.gap': 'औसत अंतर',
+  'agreement.provider': {
+    one: '{count} समीक्षा, औसत अंतर {gap}/10',
+    other: '{count} समीक्षाएँ, औसत अंतर {gap}/10'
+  },
+  'agreement.providerFeedback': '{percent}% प्रतिक्रिया पर सहमति',
+
+  // Comparison and trends
+  'comparison.title': 'तुलना',
+  'comparison.close': 'तुलना बंद करें',
+  'comparison.before': 'पहले',
+  'comparison.after': 'बाद में',
+  'comparison.metrics': 'मेट्रिक्स',
+  'comparison.metric': 'मेट्रिक',
+  'comparison.change': 'बदलाव',
+  'comparison.improvements': 'सुझाए गए सुधार',
+  'comparison.resolvedCount': {
+    one: 'पिछले टेक के {count} सुझाव में से {resolved} हल हुआ लगता है',
+    other: 'पिछले टेक के {count} सुझावों में से {resolved} हल हुए लगते हैं'
+  },
+  'comparison.status.resolved': 'हल हुआ',
+  'comparison.status.open': 'अभी बाकी',
+  'comparison.status.unclear': 'अस्पष्ट',
+  'comparison.transcriptChanges': 'ट्रांसक्रिप्ट में बदलाव',
+  'comparison.noTranscripts': 'तुलना के लिए कोई ट्रांसक्रिप्ट नहीं है।',
+  'trends.empty': 'अपनी प्रगति ट्रैक करना शुरू करने के लिए किसी रिकॉर्डिंग का मूल्यांकन करें।',
+  'trends.title': 'आपकी प्रगति',
+  'trends.recordings': { one: '{count} मूल्यांकित रिकॉर्डिंग', other: '{count} मूल्यांकित रिकॉर्डिंग' },
+  'trends.practiceDays': { one: 'अभ्यास का {count} दिन', other: 'अभ्यास के {count} दिन' },
+  'trends.gains': 'सबसे बड़े सुधार',
+  'trends.regressions': 'सबसे बड़ी गिरावट',
+  'trends.noChanges': 'पिछले सत्र के बाद से कोई नहीं।',
+  'trends.best': 'सर्वश्रेष्ठ {value}/{max}',
+  'trends.score': 'स्कोर',
+  'trends.movingAverage': 'चल औसत (पिछली 5)',
+  'trends.personalBest': 'व्यक्तिगत सर्वश्रेष्ठ',
+  'trends.group.overall': 'समग्र',
+  'trends.group.delivery': 'प्रस्तुति',
+  'trends.group.engagement': 'एंगेजमेंट',
+  'trends.vsPrevious': 'पिछले सत्र की तुलना में {change}',
+
+  // Exported reports
+  'report.overallScore': 'कुल स्कोर: {score}/10',
+  'report.pitchType': 'पिच का प्रकार: {name}',
+  'report.rubric': 'रूब्रिक: {name}',
+  'report.language': 'बोली गई भाषा: {language}',
+  'report.analyzedBy': 'सामग्री का विश्लेषण: {provider}',
+  'report.fallback': 'एंगेजमेंट स्कोर वैकल्पिक अनुमान हैं, AI विश्लेषण नहीं',
+  'report.speakingRate': 'बोलने की गति: {wpm} शब्द/मिनट (लक्ष्य {min}-{max})',
+  'report.length': 'अवधि: {duration}s, समय-सीमा {min}-{max}s',
+  'report.lengthOver': 'अवधि: {duration}s, समय-सीमा {min}-{max}s ({difference}s अधिक)',
+  'report.lengthUnder': 'अवधि: {duration}s, समय-सीमा {min}-{max}s ({difference}s कम)',
+  'report.fillerWords': 'भराव शब्द: {count} ({rate}/मिनट)',
+  'report.script': 'स्क्रिप्ट: {coverage}% बोली गई, {skipped} खंड छोड़े गए, {reordered} क्रम से बाहर',
+  'report.scriptWithPhrases': 'स्क्रिप्ट: {coverage}% बोली गई, {phrases}% मुख्य वाक्यांश, {skipped} खंड छोड़े गए, {reordered} क्रम से बाहर',
+  'report.delivery': 'प्रस्तुति',
+  'report.engagement': 'एंगेजमेंट',
+  'report.metric': 'मेट्रिक',
+  'report.score': 'स्कोर',
+  'report.strengths': 'खूबियाँ',
+  'report.improvements': 'सुधार',
+  'report.overallFeedback': 'समग्र प्रतिक्रिया',
+  'report.keyMessages': 'मुख्य संदेश',
+  'report.emotionalTone': 'भावनात्मक लहजा',
+  'report.transcript': 'ट्रांसक्रिप्ट',
+  'report.noTranscript': 'कोई ट्रांसक्रिप्ट नहीं',
+
+  // Accounts, sharing and workspaces
+  'auth.signIn': 'साइन इन करें',
+  'auth.createAccount': 'खाता बनाएँ',
+  'auth.intro': 'अपनी रिकॉर्डिंग सिंक रखें और उन्हें अपने वर्कस्पेस के साथ साझा करें।',
+  'auth.email': 'ईमेल',
+  'auth.name': 'नाम',
+  'auth.password': 'पासवर्ड',
+  'auth.newPassword': 'पासवर्ड (8+ अक्षर)',
+  'auth.wait': 'कृपया प्रतीक्षा करें…',
+  'auth.toRegister': 'अभी तक खाता नहीं है? एक बनाएँ',
+  'auth.toLogin': 'पहले से खाता है? साइन इन करें',
+  'auth.failed': 'कुछ गलत हो गया। कृपया फिर से कोशिश करें।',
+  'share.title': 'साझा करें',
+  'share.loadFailed': 'साझा करने की सेटिंग लोड नहीं हो सकीं',
+  'share.updateFailed': 'साझा करने की सेटिंग अपडेट नहीं हो सकीं',
+  'share.workspace': 'वर्कस्पेस',
+  'share.private': 'निजी (केवल आप)',
+  'share.noWorkspaces': 'मेंटर्स के साथ साझा करने के लिए वर्कस्पेस व्यू से एक वर्कस्पेस बनाएँ।',
+  'share.link': 'केवल-पढ़ने वाला लिंक',
+  'share.linkHint': 'लिंक वाला कोई भी व्यक्ति बिना खाते के सुन सकता है और मूल्यांकन देख सकता है।',
+  'share.copy': 'कॉपी करें',
+  'share.copied': 'कॉपी हो गया',
+  'share.invalidLink': 'यह लिंक अमान्य है या इसके मालिक ने इसे बंद कर दिया है।',
+  'share.sharedBy': '{name} द्वारा साझा',
+  'workspaces.intro': 'सह-संस्थापकों और मेंटर्स के साथ रिकॉर्डिंग साझा करें। रिकॉर्डिंग तब तक निजी रहती हैं जब तक आप उन्हें उनके परिणामों से साझा नहीं करते।',
+  'workspaces.none': 'अभी तक कोई वर्कस्पेस नहीं है।',
+  'workspaces.members': { one: '{count} सदस्य', other: '{count} सदस्य' },
+  'workspaces.owner': 'मालिक',
+  'workspaces.member': 'सदस्य',
+  'workspaces.new': 'नया वर्कस्पेस',
+  'workspaces.create': 'वर्कस्पेस बनाएँ',
+  'workspaces.delete': 'वर्कस्पेस हटाएँ',
+  'workspaces.leave': 'छोड़ें',
+  'workspaces.membersTitle': 'सदस्य',
+  'workspaces.removeMember': 'सदस्य हटाएँ',
+  'workspaces.memberEmail': 'सदस्य के खाते का ईमेल',
+  'workspaces.shared': 'साझा की गई रिकॉर्डिंग',
+  'workspaces.nothingShared': 'अभी कुछ साझा नहीं किया गया। किसी रिकॉर्डिंग के परिणाम खोलें और उसे यहाँ जोड़ने के लिए साझा करें का उपयोग करें।',
+  'workspaces.select': 'कोई वर्कस्पेस चुनें या बनाएँ।',
+  'workspaces.you': 'आप',
+  'workspaces.sharedByYou': 'आपके द्वारा साझा',
+  'workspaces.loadFailed': 'वर्कस्पेस लोड नहीं हो सका। कृपया फिर से कोशिश करें।',
+  'workspaces.createFailed': 'वर्कस्पेस नहीं बन सका। कृपया फिर से कोशिश करें।',
+  'workspaces.addFailed': 'सदस्य नहीं जोड़ा जा सका। कृपया फिर से कोशिश करें।',
+  'workspaces.removeFailed': 'सदस्य नहीं हटाया जा सका। कृपया फिर से कोशिश करें।',
+  'workspaces.deleteFailed': 'वर्कस्पेस हटाया नहीं जा सका। कृपया फिर से कोशिश करें।',
+  'workspaces.confirmLeave': 'यह वर्कस्पेस छोड़ें? आपने इसमें जो रिकॉर्डिंग साझा कीं वे फिर से निजी हो जाएँगी।',
+  'workspaces.confirmRemove': 'इस सदस्य को हटाएँ? उन्होंने वर्कस्पेस में जो रिकॉर्डिंग साझा कीं वे फिर से निजी हो जाएँगी।',
+  'workspaces.confirmDelete': '"{name}" हटाएँ? इसमें साझा की गई रिकॉर्डिंग फिर से निजी हो जाएँगी।'
+};
+
+export default hi;
@@ -0,0 +1,288 @@
+// Shapes of the evaluation result returned by POST /api/evaluate-pitch (via its job)
+
+interface CriterionAnalysis {
+  score: number;
+  feedback: string;
+  strengths: string[];
+  improvements: string[];
+}
+
+// Content analysis from the LLM: one CriterionAnalysis per rubric content criterion,
+// plus the summary fields below
+interface DetailedAnalysis {
+  overallFeedback?: string;
+  keyMessages?: string[];
+  emotionalTone?: string;
+  isFallback?: boolean;
+  fallbackReason?: string;
+  [criterion: string]: unknown;
+}
+
+interface FillerOccurrence {
+  filler: string;
+  wordIndex: number;
+  start: number | null;
+  end: number | null;
+}
+
+interface FillerAnalysis {
+  score: number;
+  totalCount: number;
+  ratePerMinute: number;
+  wordCount: number;
+  counts: Record<string, number>;
+  occurrences: FillerOccurrence[];
+  hasTimestamps: boolean;
+}
+
+interface SpeakingRate {
+  wordCount: number;
+  wordsPerMinute: number;
+  articulationRate: number;
+  speakingTime: number;
+  pauseTime: number;
+  rollingWordsPerMinute: { start: number; end: number; wordsPerMinute: number }[];
+  targetRange: { min: number; max: number };
+}
+
+interface RubricCriterion {
+  key: string;
+  name: string;
+  type: 'content' | 'delivery';
+  metric?: string;
+  description?: string;
+  weight: number;
+  scoreRange?: { min: number; max: number };
+}
+
+interface Rubric {
+  id: string;
+  name: string;
+  description?: string;
+  builtIn?: boolean;
+  criteria: RubricCriterion[];
+}
+
+interface PitchPreset {
+  id: string;
+  name: string;
+  description: string;
+  paceRange: { min: number; max: number };
+  pauseRatioRange: { min: number; max: number };
+  durationRange: { min: number; max: number } | null;
+  structure: string[];
+}
+
+// Recording length against the preset's time box; difference is seconds outside the box
+interface TimeBox {
+  duration: number;
+  min: number;
+  max: number;
+  status: 'under' | 'within' | 'over';
+  difference: number;
+}
+
+interface ScriptSection {
+  index: number;
+  title: string;
+  status: 'covered' | 'partial' | 'skipped';
+  // Share of the section's words that were delivered (0-1)
+  coverage: number;
+  // Delivered out of the script's order
+  reordered: boolean;
+  // Seconds into the recording where the section was delivered
+  start: number | null;
+  // delivered is null for words that aren't spoken (punctuation)
+  words: { text: string; delivered: boolean | null }[];
+}
+
+interface ScriptAdherence {
+  coverage: number;
+  sections: ScriptSection[];
+  skippedSections: number[];
+  reorderedSections: number[];
+  keyPhrases: {
+    // Bold passages in the script, or every sentence when none are marked
+    source: 'marked' | 'sentences';
+    total: number;
+    delivered: number;
+    percentage: number | null;
+    items: { text: string; section: number; delivered: boolean; start: number | null }[];
+  };
+  // Unscripted passages of the transcript
+  adLibs: { text: string; start: number | null; end: number | null; wordCount: number }[];
+  adLibWordCount: number;
+  transcriptWordCount: number;
+}
+
+type QuestionCategory =
+  | 'competition'
+  | 'unitEconomics'
+  | 'team'
+  | 'market'
+  | 'traction'
+  | 'product'
+  | 'risk'
+  | 'fundraising'
+  | 'other';
+
+// Likely investor question generated from an evaluated pitch
+interface InvestorQuestion {
+  id: string;
+  category: QuestionCategory;
+  text: string;
+  // What the question is testing
+  rationale: string;
+}
+
+interface InvestorQuestionSet {
+  questions: InvestorQuestion[];
+  analyzedBy: { provider: string; model: string | null };
+  isFallback: boolean;
+  fallbackReason?: string;
+  generatedAt: number;
+}
+
+// One edit of a revised pitch: a transcript passage, its replacement ('' when cut) and why
+interface RevisionChange {
+  index: number;
+  original: string;
+  revised: string;
+  reason: string;
+}
+
+// AI-revised pitch as edits to the transcript; segments are the transcript split around the edits
+interface PitchRevision {
+  revision: string;
+  changes: RevisionChange[];
+  segments: ({ type: 'same'; text: string } | { type: 'change'; change: number })[];
+  summary: string;
+  wordCount: number;
+  revisedWordCount: number;
+  // Seconds, at the recording's speaking rate
+  estimatedDuration: number;
+  targetDuration: number | null;
+  // Proposed edits that didn't quote the transcript and were left out
+  dropped: number;
+  analyzedBy: { provider: string; model: string | null };
+  isFallback: boolean;
+  fallbackReason?: string;
+  generatedAt: number;
+}
+
+interface SegmentFlag {
+  type: 'lowEnergy' | 'fast' | 'slow' | 'monotone' | 'fillers';
+  message: string;
+}
+
+// One stretch of the recording between pauses, with its own delivery metrics
+interface TimelineSegment {
+  index: number;
+  start: number;
+  end: number;
+  text: string;
+  metrics: {
+    volume: number;
+    loudnessDb: number;
+    wordsPerMinute: number;
+    pitchVariation: number;
+    fillerCount: number;
+  };
+  flags: SegmentFlag[];
+  comment: string;
+}
+
+interface FeedbackTimelineData {
+  segments: TimelineSegment[];
+  analyzedBy: { provider: string; model: string | null };
+  isFallback: boolean;
+}
+
+// Downsampled per-frame delivery curves; pitch is null on unvoiced frames, regions are in seconds
+interface DeliveryContours {
+  frameSeconds: number;
+  loudness: number[];
+  pitch: (number | null)[];
+  voiced: boolean[];
+  pauses: { start: number; end: number }[];
+  monotoneRegions: { start: number; end: number }[];
+}
+
+interface ScoreBreakdownItem {
+  key: string;
+  name: string;
+  type: 'content' | 'delivery';
+  score: number | null;
+  max: number;
+  weight: number;
+}
+
+interface TranscriptWord {
+  word: string;
+  start: number;
+  end: number;
+}
+
+interface EvaluationResultData {
+  delivery: {
+    pace: number;
+    tone: number;
+    clarity: number;
+    confidence: number;
+    enthusiasm: number;
+    fillerWords?: number;
+  };
+  engagement: Record<string, number>;
+  transcription?: string;
+  transcriptionMethod?: string;
+  // Language the pitch was spoken in (detected when set to auto) and the one feedback is written in
+  language?: { spoken: string; feedback: string; detected: boolean };
+  words?: TranscriptWord[];
+  fillerAnalysis?: FillerAnalysis;
+  speakingRate?: SpeakingRate | null;
+  timeline?: FeedbackTimelineData;
+  contours?: DeliveryContours | null;
+  analyzedBy?: { provider: string; model: string | null };
+  detailedAnalysis?: DetailedAnalysis;
+  audioMetrics?: Record<string, unknown>;
+  rubric?: Pick<Rubric, 'id' | 'name' | 'criteria'>;
+  scoreBreakdown?: ScoreBreakdownItem[];
+  preset?: Pick<PitchPreset, 'id' | 'name' | 'structure'>;
+  timeBox?: TimeBox | null;
+  // Room noise floor from the mic check (dBFS) that volume and clarity were calibrated with
+  calibration?: { noiseFloorDb: number } | null;
+  // Script the pitch was rehearsed from, and how closely it was followed
+  script?: string | null;
+  scriptAdherence?: ScriptAdherence | null;
+  // Set on answers: the question answered and the recording of the pitch it followed
+  question?: { id: string; text: string; category: QuestionCategory; parentId: string | null } | null;
+  // Set on pitches once Q&A practice has generated questions for them
+  investorQuestions?: InvestorQuestionSet;
+  revision?: PitchRevision;
+}
+
+export type {
+  CriterionAnalysis,
+  DeliveryContours,
+  DetailedAnalysis,
+  EvaluationResultData,
+  FeedbackTimelineData,
+  FillerAnalysis,
+  FillerOccurrence,
+  InvestorQuestion,
+  InvestorQuestionSet,
+  PitchPreset,
+  PitchRevision,
+  QuestionCategory,
+  RevisionChange,
+  Rubric,
+  RubricCriterion,
+  ScoreBreakdownItem,
+  ScriptAdherence,
+  ScriptSection,
+  SegmentFlag,
+  SpeakingRate,
+  TimeBox,
+  TimelineSegment,
+  TranscriptWord
+};
@@ -0,0 +1,32 @@
+export const BACKEND_URL = import.meta.env.VITE_BACKEND_URL || 'http://localhost:5000';
+
+// Error response from the backend, with its HTTP status
+export class ApiError extends Error {
+  status: number;
+
+  constructor(message: string, status: number) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+  }
+}
+
+// JSON request to the backend, sending the session cookie
+export async function apiRequest<T>(path: string, init: RequestInit = {}): Promise<T> {
+  const headers = init.body && !(init.body instanceof FormData)
+    ? { 'Content-Type': 'application/json', ...init.headers }
+    : init.headers;
+  const response = await fetch(`${BACKEND_URL}${path}`, { ...init, headers, credentials: 'include' });
+  if (!response.ok) {
+    const body = await response.json().catch(() => null);
+    throw new ApiError(body?.error || `Request failed: ${response.status}`, response.status);
+  }
+  return response.status === 204 ? (undefined as T) : response.json();
+}
+
+// Binary download from the backend (audio), sending the session cookie
+export async function apiBlob(path: string): Promise<Blob> {
+  const response = await fetch(`${BACKEND_URL}${path}`, { credentials: 'include' });
+  if (!response.ok) throw new ApiError(`Download failed: ${response.status}`, response.status);
+  return response.blob();
+}
@@ -1,46 +1,123 @@
+import { translate } from '../i18n';
+
 interface AudioRecord {
   id: string;
+  // Editable title
   name: string;
   audioBlob: Blob;
   timestamp: number;
   result?: any;
   overallScore?: number;
+  jobId?: string;
+  notes?: string;
+  // Lowercase, unique
+  tags?: string[];
+  // Groups takes of the same pitch
+  project?: string;
+  // Pitch recording this one answers an investor question about (Q&A practice)
+  parentId?: string;
+  // Last change, compared with the server copy when syncing (older records fall back to timestamp)
+  updatedAt?: number;
+  // Lowercase words of the title, notes, tags and project; kept in sync on every write
+  searchTerms?: string[];
+}
+
+interface AudioFilter {
+  // Every word must prefix-match a word of the title, notes, tags or project
+  query?: string;
+  // Every tag must be present
+  tags?: string[];
+  project?: string;
 }
 
+const tokenize = (text: string) => text.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+
+export const normalizeTags = (tags: string[]) =>
+  [...new Set(tags.map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+
+const withSearchTerms = <T extends Partial<AudioRecord>>(record: T): T => ({
+  ...record,
+  searchTerms: [...new Set(tokenize([record.name, record.notes, record.project, ...(record.tags || [])].filter(Boolean).join(' ')))]
+});
+
 class AudioStorage {
   private dbName = 'AudioPitchEvaluatorDB';
-  private version = 1;
+  private version = 2;
   private storeName = 'audioRecords';
 
   // Open database connection
   private async openDB(): Promise<IDBDatabase> {
     return new Promise((resolve, reject) => {
       const request = indexedDB.open(this.dbName, this.version);
-      
+      let blocked = false;
+
       request.onerror = () => reject(request.error);
-      request.onsuccess = () => resolve(request.result);
+      request.onsuccess = () => {
+        const db = request.result;
+        // Let a newer version in another tab upgrade the database instead of waiting on us
+        db.onversionchange = () => db.close();
+        if (blocked) db.close();
+        else resolve(db);
+      };
+      // A tab still running an older version keeps the database open, so the upgrade can't start
+      request.onblocked = () => {
+        blocked = true;
+        reject(new Error(translate('storage.blocked')));
+      };
       
       request.onupgradeneeded = (event) => {
         const db = (event.target as IDBOpenDBRequest).result;
+        const transaction = (event.target as IDBOpenDBRequest).transaction!;
         if (!db.objectStoreNames.contains(this.storeName)) {
           const store = db.createObjectStore(this.storeName, { keyPath: 'id' });
           store.createIndex('timestamp', 'timestamp', { unique: false });
         }
+
+        // Version 2: titles, notes, tags and projects, with indexes for search and filters
+        if (event.oldVersion < 2) {
+          const store = transaction.objectStore(this.storeName);
+          store.createIndex('project', 'project', { unique: false });
+          store.createIndex('tags', 'tags', { unique: false, multiEntry: true });
+          store.createIndex('searchTerms', 'searchTerms', { unique: false, multiEntry: true });
+          store.createIndex('overallScore', 'overallScore', { unique: false });
+
+          store.openCursor().onsuccess = (cursorEvent) => {
+            const cursor = (cursorEvent.target as IDBRequest<IDBCursorWithValue | null>).result;
+            if (!cursor) return;
+            cursor.update(withSearchTerms({ notes: '', tags: [], project: '', ...cursor.value }));
+            cursor.continue();
+          };
+        }
       };
     });
   }
 
+  // Primary keys matching a key range on one index
+  private async getKeysFromIndex(db: IDBDatabase, indexName: string, range: IDBKeyRange): Promise<string[]> {
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([this.storeName], 'readonly');
+      const index = transaction.objectStore(this.storeName).index(indexName);
+      const request = index.getAllKeys(range);
+      request.onsuccess = () => resolve(request.result as string[]);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
   // Save audio to IndexedDB
   async saveAudio(audioBlob: Blob, name: string): Promise<string> {
     const db = await this.openDB();
     const id = Date.now().toString();
     
-    const audioRecord: AudioRecord = {
+    const audioRecord: AudioRecord = withSearchTerms({
       id,
       name,
       audioBlob,
-      timestamp: Date.now()
-    };
+      timestamp: Date.now(),
+      updatedAt: Date.now(),
+      notes: '',
+      tags: [],
+      project: ''
+    });
 
     return new Promise((resolve, reject) => {
       const transaction = db.transaction([this.storeName], 'readwrite');
@@ -52,6 +129,20 @@ class AudioStorage {
     });
   }
 
+  // Add a complete record as-is (used when restoring a backup)
+  async addRecord(audioRecord: AudioRecord): Promise<void> {
+    const db = await this.openDB();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([this.storeName], 'readwrite');
+      const store = transaction.objectStore(this.storeName);
+      const request = store.add(withSearchTerms({ updatedAt: Date.now(), ...audioRecord }));
+
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+  }
+
   // Get all audio records
   async getAllAudio(): Promise<AudioRecord[]> {
     const db = await this.openDB();
@@ -85,7 +176,7 @@ class AudioStorage {
     
     if (!existing) throw new Error('Audio record not found');
     
-    const updated = { ...existing, ...updates };
+    const updated = withSearchTerms({ ...existing, updatedAt: Date.now(), ...updates });
     
     return new Promise((resolve, reject) => {
       const transaction = db.transaction([this.storeName], 'readwrite');
@@ -97,6 +188,31 @@ class AudioStorage {
     });
   }
 
+  // Ids of the records matching every part of the filter, resolved through the indexes
+  async findAudioIds(filter: AudioFilter): Promise<string[]> {
+    const db = await this.openDB();
+    const lookups = [
+      ...tokenize(filter.query || '').map(term =>
+        this.getKeysFromIndex(db, 'searchTerms', IDBKeyRange.bound(term, term + '\uffff'))
+      ),
+      ...normalizeTags(filter.tags || []).map(tag => this.getKeysFromIndex(db, 'tags', IDBKeyRange.only(tag))),
+      ...(filter.project ? [this.getKeysFromIndex(db, 'project', IDBKeyRange.only(filter.project))] : [])
+    ];
+
+    if (lookups.length === 0) {
+      return new Promise((resolve, reject) => {
+        const transaction = db.transaction([this.storeName], 'readonly');
+        const request = transaction.objectStore(this.storeName).getAllKeys();
+        request.onsuccess = () => resolve(request.result as string[]);
+        request.onerror = () => reject(request.error);
+      });
+    }
+
+    // A prefix can match several words of one record, so dedupe before intersecting
+    const [first, ...rest] = (await Promise.all(lookups)).map(keys => new Set(keys));
+    return [...first].filter(id => rest.every(keys => keys.has(id)));
+  }
+
   // Delete audio record
   async deleteAudio(id: string): Promise<void> {
     const db = await this.openDB();
@@ -118,4 +234,4 @@ class AudioStorage {
 }
 
 export const audioStorage = new AudioStorage();
-export type { AudioRecord };
\ No newline at end of file
+export type { AudioFilter, AudioRecord };
\ No newline at end of file
@@ -0,0 +1,46 @@
+import { apiRequest } from './api';
+
+interface User {
+  id: string;
+  email: string;
+  name: string;
+  createdAt: number;
+}
+
+interface Session {
+  // Accounts exist only when the backend runs the recording store
+  enabled: boolean;
+  user: User | null;
+}
+
+// Current session (accounts disabled when the backend is unreachable)
+async function fetchSession(): Promise<Session> {
+  try {
+    return await apiRequest<Session>('/api/auth/me');
+  } catch {
+    return { enabled: false, user: null };
+  }
+}
+
+async function register(email: string, name: string, password: string): Promise<User> {
+  const { user } = await apiRequest<{ user: User }>('/api/auth/register', {
+    method: 'POST',
+    body: JSON.stringify({ email, name, password })
+  });
+  return user;
+}
+
+async function login(email: string, password: string): Promise<User> {
+  const { user } = await apiRequest<{ user: User }>('/api/auth/login', {
+    method: 'POST',
+    body: JSON.stringify({ email, password })
+  });
+  return user;
+}
+
+async function logout(): Promise<void> {
+  await apiRequest<void>('/api/auth/logout', { method: 'POST' });
+}
+
+export { fetchSession, login, logout, register };
+export type { Session, User };
@@ -0,0 +1,127 @@
+import { apiRequest } from './api';
+import { getContentCriteria, getCriterionAnalysis, getCriterionName } from './resultCriteria';
+import { translate } from '../i18n';
+import type { EvaluationResultData } from '../types/evaluation';
+
+type FeedbackVote = 'agree' | 'disagree';
+
+interface ReviewComment {
+  id?: string;
+  // Seconds into the recording
+  time: number;
+  text: string;
+  createdAt?: number;
+}
+
+interface CoachReview {
+  recordingId: string;
+  reviewer: { id: string; name: string | null };
+  // Criterion key -> coach score, on the criterion's own scale
+  scores: Record<string, number>;
+  // Feedback item id (see getFeedbackItems) -> vote
+  votes: Record<string, FeedbackVote>;
+  comments: ReviewComment[];
+  summary: string;
+  createdAt: number;
+  updatedAt: number;
+}
+
+type ReviewInput = Pick<CoachReview, 'scores' | 'votes' | 'comments' | 'summary'>;
+
+interface ReviewCriterion {
+  key: string;
+  name: string;
+  type: 'content' | 'delivery';
+  // Delivery metric the criterion reads (delivery criteria only)
+  metric: string | null;
+  max: number;
+  weight: number;
+  aiScore: number | null;
+  // Average across coaches, null until one scores it
+  coachScore: number | null;
+  coachCount: number;
+}
+
+interface ReviewSummary {
+  reviewCount: number;
+  aiScore: number;
+  // Rubric-weighted overall from coach scores (unscored criteria keep the AI score)
+  coachScore: number | null;
+  criteria: ReviewCriterion[];
+  feedback: Record<string, Record<FeedbackVote, number>>;
+}
+
+interface RecordingReviews {
+  reviews: CoachReview[];
+  summary: ReviewSummary;
+}
+
+interface AgreementStats {
+  reviews: number;
+  criteria: { key: string; name: string; reviews: number; meanDifference: number | null; meanAbsoluteDifference: number | null }[];
+  feedback: { agree: number; disagree: number; byKind: Record<string, Record<FeedbackVote, number>> };
+  providers: { provider: string; model: string | null; reviews: number; meanAbsoluteDifference: number | null; agreementRate: number | null }[];
+}
+
+interface FeedbackItem {
+  id: string;
+  kind: 'overall' | 'criterion' | 'timeline';
+  label: string;
+  text: string;
+  // Where a timeline comment starts, for seeking
+  time?: number;
+}
+
+const reviewsPath = (recordingId: string) => `/api/recordings/${encodeURIComponent(recordingId)}/reviews`;
+
+async function fetchReviews(recordingId: string): Promise<RecordingReviews> {
+  return apiRequest<RecordingReviews>(reviewsPath(recordingId));
+}
+
+async function saveMyReview(recordingId: string, review: ReviewInput): Promise<RecordingReviews> {
+  return apiRequest<RecordingReviews>(`${reviewsPath(recordingId)}/mine`, { method: 'PUT', body: JSON.stringify(review) });
+}
+
+async function deleteMyReview(recordingId: string): Promise<RecordingReviews> {
+  return apiRequest<RecordingReviews>(`${reviewsPath(recordingId)}/mine`, { method: 'DELETE' });
+}
+
+async function fetchAgreementStats(): Promise<AgreementStats> {
+  return apiRequest<AgreementStats>('/api/reviews/agreement');
+}
+
+// AI feedback a coach can vote on; ids match the backend's getFeedbackItems
+function getFeedbackItems(result: EvaluationResultData): FeedbackItem[] {
+  const items: FeedbackItem[] = [];
+  const overall = result.detailedAnalysis?.overallFeedback;
+  if (overall) items.push({ id: 'overall', kind: 'overall', label: translate('coach.overallFeedback'), text: overall });
+
+  for (const criterion of getContentCriteria(result)) {
+    const feedback = getCriterionAnalysis(result.detailedAnalysis, criterion.key)?.feedback;
+    if (feedback) items.push({ id: `criterion:${criterion.key}`, kind: 'criterion', label: getCriterionName(criterion), text: feedback });
+  }
+
+  for (const segment of result.timeline?.segments || []) {
+    if (segment.comment) {
+      items.push({ id: `timeline:${segment.index}`, kind: 'timeline', label: translate('result.tab.timeline'), text: segment.comment, time: segment.start });
+    }
+  }
+  return items;
+}
+
+// Overall score with coachWeight (0-1) of it coming from coaches, one decimal
+const blendScores = (aiScore: number, coachScore: number, coachWeight: number) =>
+  Math.round((aiScore + (coachScore - aiScore) * coachWeight) * 10) / 10;
+
+export { blendScores, deleteMyReview, fetchAgreementStats, fetchReviews, getFeedbackItems, saveMyReview };
+export type {
+  AgreementStats,
+  CoachReview,
+  FeedbackItem,
+  FeedbackVote,
+  RecordingReviews,
+  ReviewComment,
+  ReviewCriterion,
+  ReviewInput,
+  ReviewSummary
+};
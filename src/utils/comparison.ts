@@ -0,0 +1,135 @@
+import { collectMetrics, type TrendGroup, type TrendRecord } from './trends';
+import { getCriterionAnalysis } from './resultCriteria';
+
+interface MetricDelta {
+  key: string;
+  label: string;
+  group: TrendGroup;
+  max: number;
+  before: number | null;
+  after: number | null;
+  delta: number | null;
+}
+
+interface DiffToken {
+  type: 'same' | 'added' | 'removed';
+  word: string;
+}
+
+type ImprovementStatus = 'resolved' | 'open' | 'unclear';
+
+interface ImprovementCheck {
+  criterion: string;
+  label: string;
+  improvement: string;
+  status: ImprovementStatus;
+}
+
+// Two improvement suggestions count as the same when they share this share of their words
+const SIMILAR_IMPROVEMENT_OVERLAP = 0.5;
+
+// Short words that say nothing about what a suggestion is about
+const STOP_WORDS = new Set(['a', 'an', 'the', 'and', 'or', 'to', 'of', 'in', 'on', 'for', 'with', 'your', 'you', 'more', 'add', 'use', 'be', 'is', 'that', 'this']);
+
+const normalize = (word: string) => word.toLowerCase().replace(/[^\p{L}\p{N}']/gu, '');
+
+/**
+ * Metric-by-metric change from the older recording to the newer one
+ */
+export const compareMetrics = (before: TrendRecord, after: TrendRecord): MetricDelta[] =>
+  collectMetrics([before, after]).map(({ key, label, group, max, read }) => {
+    const beforeValue = read(before) ?? null;
+    const afterValue = read(after) ?? null;
+    return {
+      key,
+      label,
+      group,
+      max,
+      before: beforeValue,
+      after: afterValue,
+      delta: beforeValue !== null && afterValue !== null ? Math.round((afterValue - beforeValue) * 100) / 100 : null
+    };
+  });
+
+/**
+ * Word-by-word diff of two transcripts (longest common subsequence, case and punctuation ignored)
+ */
+export const diffWords = (beforeText: string, afterText: string): DiffToken[] => {
+  const before = beforeText.split(/\s+/).filter(Boolean);
+  const after = afterText.split(/\s+/).filter(Boolean);
+  const beforeKeys = before.map(normalize);
+  const afterKeys = after.map(normalize);
+  const columns = after.length + 1;
+
+  // lengths[i * columns + j] = LCS length of before[i..] and after[j..]
+  const lengths = new Uint32Array((before.length + 1) * columns);
+  for (let i = before.length - 1; i >= 0; i--) {
+    for (let j = after.length - 1; j >= 0; j--) {
+      lengths[i * columns + j] = beforeKeys[i] === afterKeys[j]
+        ? lengths[(i + 1) * columns + j + 1] + 1
+        : Math.max(lengths[(i + 1) * columns + j], lengths[i * columns + j + 1]);
+    }
+  }
+
+  const tokens: DiffToken[] = [];
+  let i = 0;
+  let j = 0;
+  while (i < before.length && j < after.length) {
+    if (beforeKeys[i] === afterKeys[j]) {
+      tokens.push({ type: 'same', word: after[j] });
+      i++;
+      j++;
+    } else if (lengths[(i + 1) * columns + j] >= lengths[i * columns + j + 1]) {
+      tokens.push({ type: 'removed', word: before[i++] });
+    } else {
+      tokens.push({ type: 'added', word: after[j++] });
+    }
+  }
+  while (i < before.length) tokens.push({ type: 'removed', word: before[i++] });
+  while (j < after.length) tokens.push({ type: 'added', word: after[j++] });
+
+  return tokens;
+};
+
+const contentWords = (text: string) =>
+  new Set(text.split(/\s+/).map(normalize).filter(word => word.length > 2 && !STOP_WORDS.has(word)));
+
+const isSimilar = (a: string, b: string) => {
+  const wordsA = contentWords(a);
+  const wordsB = contentWords(b);
+  if (wordsA.size === 0 || wordsB.size === 0) return false;
+  const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+  return shared / Math.min(wordsA.size, wordsB.size) >= SIMILAR_IMPROVEMENT_OVERLAP;
+};
+
+/**
+ * Check each improvement suggested for the older take against the newer take.
+ * An item is resolved when the newer analysis no longer suggests anything similar and the
+ * criterion did not score lower; open when a similar suggestion is repeated; unclear otherwise.
+ */
+export const checkImprovements = (before: TrendRecord, after: TrendRecord): ImprovementCheck[] => {
+  const checks: ImprovementCheck[] = [];
+
+  for (const { key, label } of collectMetrics([before]).filter(metric => metric.group === 'engagement')) {
+    const criterion = key.replace(/^engagement\./, '');
+    const beforeAnalysis = getCriterionAnalysis(before.result?.detailedAnalysis, criterion);
+    const afterAnalysis = getCriterionAnalysis(after.result?.detailedAnalysis, criterion);
+    if (!beforeAnalysis) continue;
+
+    for (const improvement of beforeAnalysis.improvements) {
+      let status: ImprovementStatus = 'unclear';
+      if (afterAnalysis) {
+        if (afterAnalysis.improvements.some(suggestion => isSimilar(improvement, suggestion))) {
+          status = 'open';
+        } else if (afterAnalysis.score >= beforeAnalysis.score) {
+          status = 'resolved';
+        }
+      }
+      checks.push({ criterion, label, improvement, status });
+    }
+  }
+
+  return checks;
+};
+
+export type { DiffToken, ImprovementCheck, ImprovementStatus, MetricDelta };
@@ -0,0 +1,90 @@
+import { translate } from '../i18n';
+
+type EvaluationStageStatus = 'pending' | 'active' | 'done' | 'failed';
+
+interface EvaluationStage {
+  id: string;
+  label: string;
+  status: EvaluationStageStatus;
+  startedAt: number | null;
+  finishedAt: number | null;
+}
+
+interface EvaluationJob {
+  id: string;
+  status: 'queued' | 'running' | 'done' | 'failed';
+  stage: string | null;
+  stages: EvaluationStage[];
+  result: any;
+  overallScore: number | null;
+  error: string | null;
+  createdAt: number;
+  updatedAt: number;
+  processingTime: number | null;
+}
+
+const BACKEND_URL = import.meta.env.VITE_BACKEND_URL || 'http://localhost:5000';
+
+const isJobFinished = (job: EvaluationJob) => job.status === 'done' || job.status === 'failed';
+
+// Fetch the current state of an evaluation job (null if unknown or expired)
+async function fetchEvaluationJob(jobId: string): Promise<EvaluationJob | null> {
+  const response = await fetch(`${BACKEND_URL}/api/jobs/${jobId}`);
+  if (response.status === 404) return null;
+  if (!response.ok) throw new Error(`Failed to load job: ${response.status}`);
+  return response.json();
+}
+
+// Follow an evaluation job over Server-Sent Events until it finishes.
+// Returns a function that stops watching.
+function watchEvaluationJob(
+  jobId: string,
+  onUpdate: (job: EvaluationJob) => void,
+  onError: (message: string) => void
+): () => void {
+  let source: EventSource | null = null;
+  let retryTimer: ReturnType<typeof setTimeout> | null = null;
+  let stopped = false;
+
+  const connect = () => {
+    source = new EventSource(`${BACKEND_URL}/api/jobs/${jobId}/events`);
+
+    source.addEventListener('update', (event) => {
+      const job: EvaluationJob = JSON.parse((event as MessageEvent).data);
+      onUpdate(job);
+      if (isJobFinished(job)) stop();
+    });
+
+    // The stream dropped: check whether the job still exists before reconnecting
+    source.onerror = async () => {
+      source?.close();
+      if (stopped) return;
+      try {
+        const job = await fetchEvaluationJob(jobId);
+        if (stopped) return;
+        if (!job) {
+          onError(translate('progress.jobNotFound'));
+          return;
+        }
+        onUpdate(job);
+        if (!isJobFinished(job)) {
+          retryTimer = setTimeout(connect, 2000);
+        }
+      } catch (error) {
+        onError(translate('progress.connectionLost'));
+      }
+    };
+  };
+
+  const stop = () => {
+    stopped = true;
+    source?.close();
+    if (retryTimer) clearTimeout(retryTimer);
+  };
+
+  connect();
+  return stop;
+}
+
+export { BACKEND_URL, fetchEvaluationJob, watchEvaluationJob };
+export type { EvaluationJob, EvaluationStage, EvaluationStageStatus };
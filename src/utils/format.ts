@@ -0,0 +1,6 @@
+// Seconds -> "m:ss"
+export const formatTimestamp = (seconds: number) => {
+  const minutes = Math.floor(seconds / 60);
+  const secs = Math.floor(seconds % 60);
+  return `${minutes}:${secs.toString().padStart(2, '0')}`;
+};
@@ -0,0 +1,74 @@
+import { apiRequest } from './api';
+import { audioStorage, type AudioRecord } from './audioStorage';
+import { getLanguageFields } from './languages';
+import { getLocale, translate, type MessageKey } from '../i18n';
+import type { EvaluationResultData, InvestorQuestion, InvestorQuestionSet, QuestionCategory } from '../types/evaluation';
+
+const CATEGORY_LABELS: Record<QuestionCategory, MessageKey> = {
+  competition: 'question.category.competition',
+  unitEconomics: 'question.category.unitEconomics',
+  team: 'question.category.team',
+  market: 'question.category.market',
+  traction: 'question.category.traction',
+  product: 'question.category.product',
+  risk: 'question.category.risk',
+  fundraising: 'question.category.fundraising',
+  other: 'question.category.other'
+};
+
+// Longest recording title taken from the question
+const MAX_ANSWER_NAME_LENGTH = 80;
+
+// Pitch an answer belongs to; the evaluated result keeps the link when the record itself doesn't (synced copies)
+const getParentId = (record: Pick<AudioRecord, 'parentId' | 'result'>): string | null =>
+  record.parentId ?? record.result?.question?.parentId ?? null;
+
+// Ask the backend for likely investor questions about an evaluated pitch and keep them with its result
+async function generateQuestions(pitchId: string, result: EvaluationResultData): Promise<EvaluationResultData> {
+  const questions = await apiRequest<Omit<InvestorQuestionSet, 'generatedAt'>>('/api/questions', {
+    method: 'POST',
+    body: JSON.stringify({
+      transcription: result.transcription || '',
+      keyMessages: result.detailedAnalysis?.keyMessages || [],
+      presetId: result.preset?.id,
+      ...getLanguageFields(result)
+    })
+  });
+  // Start from the stored result, which may have gained a revision since this one was loaded
+  const stored = await audioStorage.getAudio(pitchId);
+  const updated = { ...(stored?.result ?? result), investorQuestions: { ...questions, generatedAt: Date.now() } };
+  await audioStorage.updateAudio(pitchId, { result: updated });
+  return updated;
+}
+
+// Save a recorded answer under its pitch and start evaluating it; returns the new record and job ids
+async function submitAnswer(
+  pitch: { id: string; project: string; result: EvaluationResultData },
+  question: InvestorQuestion,
+  audioBlob: Blob
+): Promise<{ audioId: string; jobId: string }> {
+  const name = translate('qa.answerName', { question: question.text });
+  const audioId = await audioStorage.saveAudio(
+    audioBlob,
+    name.length > MAX_ANSWER_NAME_LENGTH ? `${name.slice(0, MAX_ANSWER_NAME_LENGTH - 1)}…` : name
+  );
+  await audioStorage.updateAudio(audioId, { parentId: pitch.id, project: pitch.project });
+
+  const formData = new FormData();
+  formData.append('audio', audioBlob, 'answer.webm');
+  formData.append('question', JSON.stringify({
+    id: question.id,
+    text: question.text,
+    category: question.category,
+    parentId: pitch.id,
+    keyMessages: pitch.result.detailedAnalysis?.keyMessages || []
+  }));
+  // Answers are expected in the pitch's language
+  if (pitch.result.language) formData.append('language', pitch.result.language.spoken);
+  formData.append('feedbackLanguage', getLocale());
+  const { jobId } = await apiRequest<{ jobId: string }>('/api/evaluate-pitch', { method: 'POST', body: formData });
+  await audioStorage.updateAudio(audioId, { jobId });
+  return { audioId, jobId };
+}
+
+export { CATEGORY_LABELS, generateQuestions, getParentId, submitAnswer };
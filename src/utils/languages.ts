@@ -0,0 +1,41 @@
+import { getLocale } from '../i18n';
+import type { EvaluationResultData } from '../types/evaluation';
+
+// Language from GET /api/languages
+interface PitchLanguage {
+  id: string;
+  name: string;
+  nativeName: string;
+}
+
+// Spoken language setting that lets transcription detect it
+const AUTO_LANGUAGE = 'auto';
+
+// Language the pitches are spoken in, kept between rehearsals
+const PITCH_LANGUAGE_STORAGE_KEY = 'AudioPitchEvaluator.pitchLanguage';
+
+const getPitchLanguage = (): string => localStorage.getItem(PITCH_LANGUAGE_STORAGE_KEY) || AUTO_LANGUAGE;
+
+function savePitchLanguage(language: string) {
+  if (language === AUTO_LANGUAGE) localStorage.removeItem(PITCH_LANGUAGE_STORAGE_KEY);
+  else localStorage.setItem(PITCH_LANGUAGE_STORAGE_KEY, language);
+}
+
+// Name of a language in the interface language, e.g. "Spanish" or "Español" or "स्पेनिश"
+function getLanguageName(id: string, locale: string = getLocale()): string {
+  try {
+    return new Intl.DisplayNames([locale], { type: 'language' }).of(id) || id;
+  } catch {
+    return id;
+  }
+}
+
+// Language fields for follow-up requests about an evaluated pitch: it stays in the language it was
+// spoken in, feedback comes in the interface language
+const getLanguageFields = (result: EvaluationResultData) => ({
+  ...(result.language && { language: result.language.spoken }),
+  feedbackLanguage: getLocale()
+});
+
+export { AUTO_LANGUAGE, getLanguageFields, getLanguageName, getPitchLanguage, savePitchLanguage };
+export type { PitchLanguage };
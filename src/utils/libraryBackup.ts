@@ -0,0 +1,214 @@
+import { strFromU8, strToU8, unzip, zip, type Unzipped, type Zippable } from 'fflate';
+import { audioStorage, type AudioRecord } from './audioStorage';
+import { downloadBlob } from './download';
+import { translate } from '../i18n';
+
+const ARCHIVE_FORMAT = 'audio-pitch-evaluator-library';
+const ARCHIVE_VERSION = 1;
+const MANIFEST_FILE = 'manifest.json';
+
+interface ArchivedRecord {
+  id: string;
+  name: string;
+  timestamp: number;
+  result?: AudioRecord['result'];
+  overallScore?: number;
+  notes?: string;
+  tags?: string[];
+  project?: string;
+  audio: {
+    file: string;
+    type: string;
+    sha256: string;
+  };
+}
+
+interface LibraryManifest {
+  format: typeof ARCHIVE_FORMAT;
+  version: number;
+  exportedAt: string;
+  records: ArchivedRecord[];
+}
+
+interface ImportIssue {
+  name: string;
+  reason: string;
+}
+
+interface ImportReport {
+  added: number;
+  // Existing recordings that gained the archived evaluation
+  updated: number;
+  duplicates: number;
+  // Imported anyway, but not as-is (or kept the local version); each entry says what happened
+  conflicts: ImportIssue[];
+  skipped: ImportIssue[];
+}
+
+// fflate output is always backed by a plain ArrayBuffer
+type Bytes = Uint8Array<ArrayBuffer>;
+
+const zipAsync = (files: Zippable) =>
+  new Promise<Bytes>((resolve, reject) => zip(files, (error, data) => (error ? reject(error) : resolve(data as Bytes))));
+
+const unzipAsync = (data: Uint8Array) =>
+  new Promise<Unzipped>((resolve, reject) => unzip(data, (error, files) => (error ? reject(error) : resolve(files))));
+
+const sha256 = async (data: ArrayBuffer | Bytes) => {
+  const digest = await crypto.subtle.digest('SHA-256', data);
+  return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+// "audio/webm;codecs=opus" -> "webm"
+const extensionFor = (type: string) => type.split('/')[1]?.split(';')[0] || 'bin';
+
+const parseManifest = (files: Unzipped): LibraryManifest => {
+  const raw = files[MANIFEST_FILE];
+  if (!raw) throw new Error(translate('backup.noManifest'));
+
+  const manifest = JSON.parse(strFromU8(raw));
+  if (manifest?.format !== ARCHIVE_FORMAT || !Array.isArray(manifest.records)) {
+    throw new Error(translate('backup.notBackup'));
+  }
+  if (manifest.version > ARCHIVE_VERSION) {
+    throw new Error(`This backup was made by a newer version (format ${manifest.version}); update the app to restore it`);
+  }
+  return manifest;
+};
+
+const sameResult = (a: unknown, b: unknown) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Export every recording with its audio, metadata and evaluation into one zip archive and download it
+ */
+export const exportLibrary = async () => {
+  const records = await audioStorage.getAllAudio();
+  const files: Zippable = {};
+  const manifest: LibraryManifest = {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    exportedAt: new Date().toISOString(),
+    records: []
+  };
+
+  for (const record of records) {
+    const audio = new Uint8Array(await record.audioBlob.arrayBuffer());
+    const type = record.audioBlob.type || 'application/octet-stream';
+    const file = `audio/${record.id}.${extensionFor(type)}`;
+    // Audio is already compressed, store it as-is
+    files[file] = [audio, { level: 0 }];
+    manifest.records.push({
+      id: record.id,
+      name: record.name,
+      timestamp: record.timestamp,
+      result: record.result,
+      overallScore: record.overallScore,
+      notes: record.notes,
+      tags: record.tags,
+      project: record.project,
+      audio: { file, type, sha256: await sha256(audio) }
+    });
+  }
+  files[MANIFEST_FILE] = strToU8(JSON.stringify(manifest, null, 2));
+
+  const archive = await zipAsync(files);
+  downloadBlob(new Blob([archive], { type: 'application/zip' }), `pitch-library-${manifest.exportedAt.slice(0, 10)}.zip`);
+  return manifest.records.length;
+};
+
+/**
+ * Merge a library archive into the local library.
+ * Recordings are matched by audio content: a match with the same evaluation is a duplicate,
+ * a match without a local evaluation takes the archived one, and a match with a different
+ * evaluation keeps the local one. New audio whose id is already taken is added under a new id.
+ */
+export const importLibrary = async (file: File): Promise<ImportReport> => {
+  let files: Unzipped;
+  try {
+    files = await unzipAsync(new Uint8Array(await file.arrayBuffer()));
+  } catch (error) {
+    console.error('Error reading library backup:', error);
+    throw new Error(translate('backup.notZip'));
+  }
+  const manifest = parseManifest(files);
+
+  const existing = await audioStorage.getAllAudio();
+  const ids = new Set(existing.map(record => record.id));
+  const byHash = new Map<string, AudioRecord>();
+  for (const record of existing) {
+    byHash.set(await sha256(await record.audioBlob.arrayBuffer()), record);
+  }
+
+  const report: ImportReport = { added: 0, updated: 0, duplicates: 0, conflicts: [], skipped: [] };
+
+  for (const archived of manifest.records) {
+    const name = archived.name || archived.id;
+    const audio = files[archived.audio?.file] as Bytes | undefined;
+    if (!archived.id || !audio) {
+      report.skipped.push({ name, reason: translate('backup.audioMissing') });
+      continue;
+    }
+    const hash = await sha256(audio);
+    if (archived.audio.sha256 && hash !== archived.audio.sha256) {
+      report.skipped.push({ name, reason: translate('backup.audioCorrupted') });
+      continue;
+    }
+
+    const match = byHash.get(hash);
+    if (match) {
+      if (!archived.result || sameResult(match.result, archived.result)) {
+        report.duplicates++;
+      } else if (!match.result) {
+        await audioStorage.updateAudio(match.id, { result: archived.result, overallScore: archived.overallScore });
+        match.result = archived.result;
+        report.updated++;
+      } else {
+        report.conflicts.push({ name, reason: `Already in your library as "${match.name}" with a different evaluation; kept yours` });
+      }
+      continue;
+    }
+
+    let id = archived.id;
+    if (ids.has(id)) {
+      id = Date.now().toString();
+      while (ids.has(id)) id = (Number(id) + 1).toString();
+      report.conflicts.push({ name, reason: translate('backup.idConflict') });
+    }
+
+    const record: AudioRecord = {
+      id,
+      name,
+      audioBlob: new Blob([audio], { type: archived.audio.type }),
+      timestamp: archived.timestamp,
+      result: archived.result,
+      overallScore: archived.overallScore,
+      notes: archived.notes || '',
+      tags: archived.tags || [],
+      project: archived.project || ''
+    };
+    await audioStorage.addRecord(record);
+    ids.add(id);
+    byHash.set(hash, record);
+    report.added++;
+  }
+
+  return report;
+};
+
+/**
+ * Readable summary of an import, listing every conflict and skipped recording
+ */
+export const summarizeImport = (report: ImportReport) => {
+  const lines = [
+    translate('backup.summary', { added: report.added, updated: report.updated, count: report.duplicates })
+  ];
+  if (report.conflicts.length > 0) {
+    lines.push('', translate('backup.conflicts', { count: report.conflicts.length }), ...report.conflicts.map(issue => `- ${issue.name}: ${issue.reason}`));
+  }
+  if (report.skipped.length > 0) {
+    lines.push('', translate('backup.notImported', { count: report.skipped.length }), ...report.skipped.map(issue => `- ${issue.name}: ${issue.reason}`));
+  }
+  return lines.join('\n');
+};
+
+export type { ImportIssue, ImportReport };
@@ -0,0 +1,122 @@
+import { BACKEND_URL } from './api';
+import { getLocale, translate } from '../i18n';
+
+// Matches the backend's LIVE_SAMPLE_RATE
+const LIVE_SAMPLE_RATE = 16000;
+
+interface LiveMetrics {
+  type: 'metrics';
+  // Seconds of audio analyzed so far
+  time: number;
+  // Loudness of the last quarter second in dB (-100 to 0), for the meter
+  level: number;
+  // Speech loudness over the last few seconds, null while silent
+  volume: { dbLevel: number; score: number; label: 'good' | 'quiet' | 'loud' } | null;
+  // Speech bursts per second over the last 15s, null until there's enough speech
+  pace: { burstRate: number; score: number; label: 'slow' | 'good' | 'fast' } | null;
+  // Length of the current pause, and time since the last pause while speaking
+  pause: { current: number; sinceLast: number };
+  monotoneSeconds: number;
+  nudges: string[];
+}
+
+// Forwards microphone samples in ~0.1s blocks instead of 128-sample render quanta
+const CAPTURE_PROCESSOR = `
+class LiveCaptureProcessor extends AudioWorkletProcessor {
+  constructor() {
+    super();
+    this.buffer = new Float32Array(Math.round(sampleRate / 10));
+    this.length = 0;
+  }
+
+  process(inputs) {
+    const channel = inputs[0] && inputs[0][0];
+    if (channel) {
+      for (let i = 0; i < channel.length; i++) {
+        this.buffer[this.length++] = channel[i];
+        if (this.length === this.buffer.length) {
+          this.port.postMessage(this.buffer.slice());
+          this.length = 0;
+        }
+      }
+    }
+    return true;
+  }
+}
+registerProcessor('live-capture', LiveCaptureProcessor);
+`;
+
+// Average down to the target rate and convert to 16-bit PCM
+function toPcm16(samples: Float32Array, fromRate: number, toRate: number): Int16Array {
+  const ratio = fromRate / toRate;
+  const output = new Int16Array(Math.floor(samples.length / ratio));
+  for (let i = 0; i < output.length; i++) {
+    const start = Math.floor(i * ratio);
+    const end = Math.max(start + 1, Math.floor((i + 1) * ratio));
+    let sum = 0;
+    for (let j = start; j < end; j++) sum += samples[j];
+    const value = Math.max(-1, Math.min(1, sum / (end - start)));
+    output[i] = Math.round(value * 32767);
+  }
+  return output;
+}
+
+/**
+ * Stream a microphone to the backend's live coaching socket.
+ * Resolves with a function that stops streaming (the stream's tracks are left alone).
+ * Nudges come back in the interface language.
+ */
+async function startLiveFeedback(
+  stream: MediaStream,
+  onMetrics: (metrics: LiveMetrics) => void,
+  onError: (message: string) => void
+): Promise<() => void> {
+  const context = new AudioContext();
+  const processorUrl = URL.createObjectURL(new Blob([CAPTURE_PROCESSOR], { type: 'application/javascript' }));
+  try {
+    await context.audioWorklet.addModule(processorUrl);
+  } catch (error) {
+    await context.close();
+    throw error;
+  } finally {
+    URL.revokeObjectURL(processorUrl);
+  }
+
+  const sampleRate = Math.min(LIVE_SAMPLE_RATE, context.sampleRate);
+  const socket = new WebSocket(`${BACKEND_URL.replace(/^http/, 'ws')}/api/live?sampleRate=${sampleRate}&language=${getLocale()}`);
+  socket.binaryType = 'arraybuffer';
+  let stopped = false;
+
+  const source = context.createMediaStreamSource(stream);
+  const capture = new AudioWorkletNode(context, 'live-capture');
+  capture.port.onmessage = (event: MessageEvent<Float32Array>) => {
+    if (socket.readyState === WebSocket.OPEN) {
+      socket.send(toPcm16(event.data, context.sampleRate, sampleRate).buffer);
+    }
+  };
+  source.connect(capture);
+
+  socket.onmessage = (event) => {
+    try {
+      const message = JSON.parse(event.data);
+      if (message.type === 'metrics') onMetrics(message);
+    } catch (error) {
+      console.error('Error reading live feedback:', error);
+    }
+  };
+  socket.onclose = (event) => {
+    if (!stopped) onError(event.reason || translate('live.disconnected'));
+  };
+
+  return () => {
+    stopped = true;
+    capture.port.onmessage = null;
+    source.disconnect();
+    capture.disconnect();
+    socket.close();
+    context.close().catch(() => {});
+  };
+}
+
+export { startLiveFeedback };
+export type { LiveMetrics };
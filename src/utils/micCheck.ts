@@ -0,0 +1,153 @@
+import { translate } from '../i18n';
+
+// Remembered input device, so the next check starts with the same microphone
+const DEVICE_STORAGE_KEY = 'AudioPitchEvaluator.microphone';
+
+// How often the monitor reads the input
+const FRAME_MS = 50;
+// Lowest level reported, digital silence would otherwise be -Infinity
+const FLOOR_DB = -100;
+// A sample at or above this magnitude counts as clipped
+const CLIP_LEVEL = 0.99;
+// Speech frames are the ones at least this far above the noise floor
+const SPEECH_MARGIN_DB = 6;
+
+interface InputFrame {
+  // RMS level of the frame in dBFS
+  levelDb: number;
+  peak: number;
+  clipped: number;
+  samples: number;
+}
+
+interface MicCheckResult {
+  noiseFloorDb: number;
+  speechLevelDb: number;
+  peakDb: number;
+  // Share of speech samples that clipped
+  clippedRatio: number;
+}
+
+interface MicCheckIssue {
+  kind: 'quiet' | 'noisy' | 'clipping';
+  // Blocking issues have to be fixed before recording
+  severity: 'warn' | 'block';
+  message: string;
+}
+
+const toDb = (meanSquare: number) => Math.max(FLOOR_DB, Math.round(10 * Math.log10(meanSquare + 1e-12) * 10) / 10);
+const meanLevelDb = (frames: InputFrame[]) =>
+  frames.length > 0 ? toDb(frames.reduce((sum, frame) => sum + Math.pow(10, frame.levelDb / 10), 0) / frames.length) : FLOOR_DB;
+
+function getSavedMicrophone(): string | undefined {
+  return localStorage.getItem(DEVICE_STORAGE_KEY) || undefined;
+}
+
+function saveMicrophone(deviceId: string) {
+  localStorage.setItem(DEVICE_STORAGE_KEY, deviceId);
+}
+
+// Audio inputs; labels are only filled in once microphone permission is granted
+async function listMicrophones(): Promise<MediaDeviceInfo[]> {
+  const devices = await navigator.mediaDevices.enumerateDevices();
+  return devices.filter(device => device.kind === 'audioinput');
+}
+
+// Open a microphone, falling back to the default one when the requested device is gone
+async function openMicrophone(deviceId?: string): Promise<MediaStream> {
+  if (deviceId) {
+    try {
+      return await navigator.mediaDevices.getUserMedia({ audio: { deviceId: { exact: deviceId } } });
+    } catch (error) {
+      if ((error as DOMException).name !== 'OverconstrainedError' && (error as DOMException).name !== 'NotFoundError') throw error;
+    }
+  }
+  return navigator.mediaDevices.getUserMedia({ audio: true });
+}
+
+/**
+ * Read the input level of a stream every FRAME_MS.
+ * Returns a function that stops monitoring (the stream's tracks are left alone).
+ */
+function monitorInput(stream: MediaStream, onFrame: (frame: InputFrame) => void): () => void {
+  const context = new AudioContext();
+  const source = context.createMediaStreamSource(stream);
+  const analyser = context.createAnalyser();
+  analyser.fftSize = 2048;
+  source.connect(analyser);
+  const buffer = new Float32Array(analyser.fftSize);
+
+  const interval = setInterval(() => {
+    analyser.getFloatTimeDomainData(buffer);
+    let sumSquares = 0;
+    let peak = 0;
+    let clipped = 0;
+    for (const sample of buffer) {
+      const magnitude = Math.abs(sample);
+      sumSquares += sample * sample;
+      peak = Math.max(peak, magnitude);
+      if (magnitude >= CLIP_LEVEL) clipped++;
+    }
+    onFrame({ levelDb: toDb(sumSquares / buffer.length), peak, clipped, samples: buffer.length });
+  }, FRAME_MS);
+
+  return () => {
+    clearInterval(interval);
+    source.disconnect();
+    context.close().catch(() => {});
+  };
+}
+
+// Noise floor from a few seconds of silence, speech level and clipping from a few seconds of talking
+function summarizeMicCheck(quietFrames: InputFrame[], speechFrames: InputFrame[]): MicCheckResult {
+  const noiseFloorDb = meanLevelDb(quietFrames);
+  const spoken = speechFrames.filter(frame => frame.levelDb >= noiseFloorDb + SPEECH_MARGIN_DB);
+  const measured = spoken.length > 0 ? spoken : speechFrames;
+  const peak = Math.max(0, ...speechFrames.map(frame => frame.peak));
+  const samples = measured.reduce((sum, frame) => sum + frame.samples, 0);
+  return {
+    noiseFloorDb,
+    speechLevelDb: meanLevelDb(measured),
+    peakDb: toDb(peak * peak),
+    clippedRatio: samples > 0 ? measured.reduce((sum, frame) => sum + frame.clipped, 0) / samples : 0
+  };
+}
+
+// What's wrong with the input, worst first; an empty list means good to go
+function assessMicCheck(result: MicCheckResult): MicCheckIssue[] {
+  const issues: MicCheckIssue[] = [];
+  const signalToNoise = result.speechLevelDb - result.noiseFloorDb;
+
+  if (result.speechLevelDb < -50) {
+    issues.push({ kind: 'quiet', severity: 'block', message: translate('micCheck.issue.quietBlock') });
+  } else if (result.speechLevelDb < -40) {
+    issues.push({ kind: 'quiet', severity: 'warn', message: translate('micCheck.issue.quietWarn') });
+  }
+
+  if (result.clippedRatio > 0.01) {
+    issues.push({ kind: 'clipping', severity: 'block', message: translate('micCheck.issue.clippingBlock') });
+  } else if (result.clippedRatio > 0.001) {
+    issues.push({ kind: 'clipping', severity: 'warn', message: translate('micCheck.issue.clippingWarn') });
+  }
+
+  if (result.speechLevelDb >= -50) {
+    if (signalToNoise < 10) {
+      issues.push({ kind: 'noisy', severity: 'block', message: translate('micCheck.issue.noisyBlock') });
+    } else if (signalToNoise < 20 || result.noiseFloorDb > -40) {
+      issues.push({ kind: 'noisy', severity: 'warn', message: translate('micCheck.issue.noisyWarn') });
+    }
+  }
+
+  return issues.sort((a, b) => (a.severity === b.severity ? 0 : a.severity === 'block' ? -1 : 1));
+}
+
+export {
+  assessMicCheck,
+  getSavedMicrophone,
+  listMicrophones,
+  monitorInput,
+  openMicrophone,
+  saveMicrophone,
+  summarizeMicCheck
+};
+export type { InputFrame, MicCheckIssue, MicCheckResult };
@@ -0,0 +1,76 @@
+import { apiRequest } from './api';
+import { audioStorage } from './audioStorage';
+import { getLanguageFields } from './languages';
+import { getContentCriteria, getCriterionAnalysis } from './resultCriteria';
+import type { EvaluationResultData, PitchRevision } from '../types/evaluation';
+
+// Script prefilled on the recording page, kept between rehearsals
+const SCRIPT_STORAGE_KEY = 'AudioPitchEvaluator.script';
+
+// Filler rate (per minute) worth asking the revision to work on
+const FILLER_RATE_WORTH_FIXING = 3;
+
+const getRehearsalScript = (): string => localStorage.getItem(SCRIPT_STORAGE_KEY) || '';
+
+function saveRehearsalScript(script: string) {
+  if (script.trim()) localStorage.setItem(SCRIPT_STORAGE_KEY, script);
+  else localStorage.removeItem(SCRIPT_STORAGE_KEY);
+}
+
+// Recording length in seconds, when the result knows it
+function getDuration(result: EvaluationResultData): number | null {
+  if (result.timeBox) return result.timeBox.duration;
+  const audioInfo = result.audioMetrics?.audioInfo as { duration?: number } | undefined;
+  return audioInfo?.duration && Number.isFinite(audioInfo.duration) ? Math.round(audioInfo.duration) : null;
+}
+
+// Length to aim the revision at: the recording's own length, pulled into the preset's time box
+function getDefaultTargetDuration(result: EvaluationResultData): number | null {
+  const duration = getDuration(result);
+  if (duration === null) return null;
+  if (!result.timeBox) return duration;
+  return Math.min(result.timeBox.max, Math.max(result.timeBox.min, duration));
+}
+
+// What the evaluation found wrong with the pitch, phrased for the revision prompt
+function collectWeaknesses(result: EvaluationResultData): string[] {
+  const weaknesses = getContentCriteria(result).flatMap(criterion =>
+    (getCriterionAnalysis(result.detailedAnalysis, criterion.key)?.improvements || [])
+      .map(improvement => `${criterion.name}: ${improvement}`)
+  );
+  if (result.fillerAnalysis && result.fillerAnalysis.ratePerMinute >= FILLER_RATE_WORTH_FIXING) {
+    weaknesses.push(`Filler words: ${result.fillerAnalysis.totalCount} in total, ${result.fillerAnalysis.ratePerMinute} per minute`);
+  }
+  if (result.timeBox && result.timeBox.status !== 'within') {
+    const { duration, min, max, difference, status } = result.timeBox;
+    weaknesses.push(`Length: ${duration}s is ${difference}s ${status} the ${min}-${max}s time box`);
+  }
+  return weaknesses;
+}
+
+// Ask the backend for a revised pitch and keep it with the recording's result
+async function requestRevision(
+  recordingId: string,
+  result: EvaluationResultData,
+  targetDuration: number | null
+): Promise<EvaluationResultData> {
+  const revision = await apiRequest<Omit<PitchRevision, 'generatedAt'>>('/api/revisions', {
+    method: 'POST',
+    body: JSON.stringify({
+      transcription: result.transcription || '',
+      weaknesses: collectWeaknesses(result),
+      targetDuration,
+      duration: getDuration(result),
+      wordsPerMinute: result.speakingRate?.wordsPerMinute || null,
+      presetId: result.preset?.id,
+      ...getLanguageFields(result)
+    })
+  });
+  // Start from the stored result, which may have gained investor questions since this one was loaded
+  const stored = await audioStorage.getAudio(recordingId);
+  const updated = { ...(stored?.result ?? result), revision: { ...revision, generatedAt: Date.now() } };
+  await audioStorage.updateAudio(recordingId, { result: updated });
+  return updated;
+}
+
+export { collectWeaknesses, getDefaultTargetDuration, getDuration, getRehearsalScript, requestRevision, saveRehearsalScript };
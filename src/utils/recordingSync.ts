@@ -0,0 +1,169 @@
+import { audioStorage, type AudioRecord } from './audioStorage';
+import { ApiError, apiBlob, apiRequest } from './api';
+
+// Recording as returned by the server-side store (audio is fetched separately)
+interface RemoteRecording {
+  id: string;
+  ownerId: string;
+  ownerName: string | null;
+  // Workspace it is shared to, if any
+  workspaceId: string | null;
+  // Read-only link token (only visible to the owner)
+  shareToken: string | null;
+  name: string;
+  timestamp: number;
+  transcript: string | null;
+  result: AudioRecord['result'] | null;
+  overallScore: number | null;
+  notes: string;
+  tags: string[];
+  project: string;
+  audio: { type: string; size: number } | null;
+  createdAt: number;
+  updatedAt: number;
+}
+
+interface RecordingPage {
+  recordings: RemoteRecording[];
+  page: number;
+  pageSize: number;
+  total: number;
+  totalPages: number;
+}
+
+interface SyncReport {
+  uploaded: number;
+  downloaded: number;
+  // Newer on this device, pushed to the server
+  updatedRemote: number;
+  // Newer on the server, pulled into this device
+  updatedLocal: number;
+  failed: { name: string; error: string }[];
+}
+
+// Largest page the server hands out
+const SYNC_PAGE_SIZE = 100;
+
+const localUpdatedAt = (record: AudioRecord) => record.updatedAt ?? record.timestamp;
+
+const toMetadata = (record: AudioRecord) => ({
+  name: record.name,
+  timestamp: record.timestamp,
+  updatedAt: localUpdatedAt(record),
+  notes: record.notes || '',
+  tags: record.tags || [],
+  project: record.project || '',
+  result: record.result ?? null,
+  overallScore: record.overallScore ?? null
+});
+
+const fromRemote = (remote: RemoteRecording): Partial<AudioRecord> => ({
+  name: remote.name,
+  timestamp: remote.timestamp,
+  updatedAt: remote.updatedAt,
+  notes: remote.notes,
+  tags: remote.tags,
+  project: remote.project,
+  result: remote.result ?? undefined,
+  overallScore: remote.overallScore ?? undefined
+});
+
+async function fetchAllRemoteRecordings(): Promise<RemoteRecording[]> {
+  const recordings: RemoteRecording[] = [];
+  for (let page = 1; ; page++) {
+    const result = await apiRequest<RecordingPage>(`/api/recordings?page=${page}&pageSize=${SYNC_PAGE_SIZE}`);
+    recordings.push(...result.recordings);
+    if (page >= result.totalPages) return recordings;
+  }
+}
+
+async function uploadRecording(record: AudioRecord, withAudio: boolean) {
+  const path = `/api/recordings/${encodeURIComponent(record.id)}`;
+  if (!withAudio) {
+    return apiRequest<RemoteRecording>(path, { method: 'PUT', body: JSON.stringify(toMetadata(record)) });
+  }
+  const formData = new FormData();
+  formData.append('audio', record.audioBlob, record.id);
+  formData.append('metadata', JSON.stringify(toMetadata(record)));
+  return apiRequest<RemoteRecording>(path, { method: 'PUT', body: formData });
+}
+
+async function downloadRecording(remote: RemoteRecording) {
+  await audioStorage.addRecord({
+    id: remote.id,
+    audioBlob: await apiBlob(`/api/recordings/${encodeURIComponent(remote.id)}/audio`),
+    ...fromRemote(remote)
+  } as AudioRecord);
+}
+
+/**
+ * Two-way sync between this browser's library and the signed-in user's recordings on the server.
+ * Recordings are matched by id; whichever copy changed last wins, and recordings
+ * missing on either side are copied over with their audio.
+ */
+async function syncRecordings(): Promise<SyncReport> {
+  const [local, remote] = await Promise.all([audioStorage.getAllAudio(), fetchAllRemoteRecordings()]);
+  const remoteById = new Map(remote.map(recording => [recording.id, recording]));
+  const localIds = new Set(local.map(record => record.id));
+  const report: SyncReport = { uploaded: 0, downloaded: 0, updatedRemote: 0, updatedLocal: 0, failed: [] };
+
+  for (const record of local) {
+    // Still being evaluated, sync once the result is in
+    if (record.jobId) continue;
+    const serverCopy = remoteById.get(record.id);
+    try {
+      if (!serverCopy?.audio) {
+        await uploadRecording(record, true);
+        report.uploaded++;
+      } else if (localUpdatedAt(record) > serverCopy.updatedAt) {
+        await uploadRecording(record, false);
+        report.updatedRemote++;
+      } else if (serverCopy.updatedAt > localUpdatedAt(record)) {
+        await audioStorage.updateAudio(record.id, fromRemote(serverCopy));
+        report.updatedLocal++;
+      }
+    } catch (error) {
+      console.error('Error syncing recording:', error);
+      report.failed.push({ name: record.name, error: error instanceof Error ? error.message : String(error) });
+    }
+  }
+
+  for (const serverCopy of remote) {
+    if (localIds.has(serverCopy.id) || !serverCopy.audio) continue;
+    try {
+      await downloadRecording(serverCopy);
+      report.downloaded++;
+    } catch (error) {
+      console.error('Error downloading recording:', error);
+      report.failed.push({ name: serverCopy.name, error: error instanceof Error ? error.message : String(error) });
+    }
+  }
+
+  return report;
+}
+
+// Upload a local recording unless the server already has it (sharing needs the server copy)
+async function ensureOnServer(id: string): Promise<RemoteRecording> {
+  try {
+    return await apiRequest<RemoteRecording>(`/api/recordings/${encodeURIComponent(id)}`);
+  } catch (error) {
+    if (!(error instanceof ApiError) || error.status !== 404) throw error;
+  }
+  const record = await audioStorage.getAudio(id);
+  if (!record) throw new Error('Recording not found');
+  return uploadRecording(record, true);
+}
+
+// Remove a deleted recording from the server too, so the next sync doesn't bring it back
+async function deleteRemoteRecording(id: string): Promise<void> {
+  try {
+    await apiRequest<void>(`/api/recordings/${encodeURIComponent(id)}`, { method: 'DELETE' });
+  } catch (error) {
+    // Store disabled, signed out, or never uploaded: nothing to delete
+    if (error instanceof ApiError && [401, 404, 503].includes(error.status)) return;
+    throw error;
+  }
+}
+
+export { deleteRemoteRecording, ensureOnServer, syncRecordings };
+export type { RemoteRecording, SyncReport };
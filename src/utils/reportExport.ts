@@ -0,0 +1,248 @@
+import type { EvaluationResultData } from '../types/evaluation';
+import { DELIVERY_LABELS, getContentCriteria, getCriterionAnalysis, getCriterionName } from './resultCriteria';
+import { downloadBlob, toFileName } from './download';
+import { getLanguageName } from './languages';
+import { getLocale, translate, translateName } from '../i18n';
+
+type ReportFormat = 'pdf' | 'markdown' | 'json';
+
+interface ReportSource {
+  name: string;
+  timestamp?: number;
+  result: EvaluationResultData;
+  overallScore: number | null;
+}
+
+interface ReportCriterion {
+  label: string;
+  score: number;
+  max: number;
+  feedback?: string;
+  strengths: string[];
+  improvements: string[];
+}
+
+// Everything the PDF and Markdown reports show, in reading order
+interface Report {
+  title: string;
+  date: string;
+  overallScore: number | null;
+  context: string[];
+  delivery: ReportCriterion[];
+  engagement: ReportCriterion[];
+  overallFeedback?: string;
+  keyMessages: string[];
+  emotionalTone?: string;
+  transcript: string;
+}
+
+const buildReport = ({ name, timestamp, result, overallScore }: ReportSource): Report => {
+  const analysis = result.detailedAnalysis;
+  const context: string[] = [];
+  if (result.preset) {
+    context.push(translate('report.pitchType', { name: translateName(`preset.${result.preset.id}.name`, result.preset.name) }));
+  }
+  if (result.rubric) context.push(translate('report.rubric', { name: translateName(`rubric.${result.rubric.id}.name`, result.rubric.name) }));
+  if (result.language) context.push(translate('report.language', { language: getLanguageName(result.language.spoken) }));
+  if (result.analyzedBy) {
+    context.push(translate('report.analyzedBy', {
+      provider: `${result.analyzedBy.provider}${result.analyzedBy.model ? ` (${result.analyzedBy.model})` : ''}`
+    }));
+  }
+  if (analysis?.isFallback) context.push(translate('report.fallback'));
+  if (result.speakingRate) {
+    context.push(translate('report.speakingRate', {
+      wpm: result.speakingRate.wordsPerMinute,
+      min: result.speakingRate.targetRange.min,
+      max: result.speakingRate.targetRange.max
+    }));
+  }
+  if (result.timeBox) {
+    const { duration, min, max, difference, status } = result.timeBox;
+    context.push(status === 'within'
+      ? translate('report.length', { duration, min, max })
+      : translate(status === 'over' ? 'report.lengthOver' : 'report.lengthUnder', { duration, min, max, difference }));
+  }
+  if (result.fillerAnalysis) {
+    context.push(translate('report.fillerWords', { count: result.fillerAnalysis.totalCount, rate: result.fillerAnalysis.ratePerMinute }));
+  }
+  if (result.scriptAdherence) {
+    const { coverage, keyPhrases, skippedSections, reorderedSections } = result.scriptAdherence;
+    context.push(translate(keyPhrases.percentage !== null ? 'report.scriptWithPhrases' : 'report.script', {
+      coverage: Math.round(coverage * 100),
+      phrases: keyPhrases.percentage ?? 0,
+      skipped: skippedSections.length,
+      reordered: reorderedSections.length
+    }));
+  }
+
+  return {
+    title: name,
+    date: new Date(timestamp ?? Date.now()).toLocaleString(getLocale()),
+    overallScore,
+    context,
+    delivery: Object.entries(DELIVERY_LABELS)
+      .filter(([key]) => typeof result.delivery[key as keyof EvaluationResultData['delivery']] === 'number')
+      .map(([key, label]) => ({
+        label: translate(label),
+        score: result.delivery[key as keyof EvaluationResultData['delivery']] as number,
+        max: 5,
+        strengths: [],
+        improvements: []
+      })),
+    engagement: getContentCriteria(result)
+      .filter(criterion => typeof result.engagement[criterion.key] === 'number')
+      .map(criterion => {
+        const detail = getCriterionAnalysis(analysis, criterion.key);
+        return {
+          label: getCriterionName(criterion),
+          score: result.engagement[criterion.key],
+          max: criterion.scoreRange?.max ?? 5,
+          feedback: detail?.feedback,
+          strengths: detail?.strengths || [],
+          improvements: detail?.improvements || []
+        };
+      }),
+    overallFeedback: analysis?.overallFeedback,
+    keyMessages: analysis?.keyMessages || [],
+    emotionalTone: analysis?.emotionalTone,
+    transcript: result.transcription || ''
+  };
+};
+
+const toMarkdown = (report: Report) => {
+  const lines = [
+    `# ${report.title}`,
+    '',
+    `_${report.date}_`,
+    '',
+    `**${translate('report.overallScore', { score: report.overallScore ?? '-' })}**`,
+    '',
+    ...report.context.map(line => `- ${line}`),
+    '',
+    `## ${translate('report.delivery')}`,
+    '',
+    `| ${translate('report.metric')} | ${translate('report.score')} |`,
+    '|--------|-------|',
+    ...report.delivery.map(metric => `| ${metric.label} | ${metric.score}/${metric.max} |`),
+    '',
+    `## ${translate('report.engagement')}`,
+    ''
+  ];
+
+  for (const criterion of report.engagement) {
+    lines.push(`### ${criterion.label}: ${criterion.score}/${criterion.max}`, '');
+    if (criterion.feedback) lines.push(criterion.feedback, '');
+    if (criterion.strengths.length > 0) {
+      lines.push(`**${translate('report.strengths')}**`, '', ...criterion.strengths.map(item => `- ${item}`), '');
+    }
+    if (criterion.improvements.length > 0) {
+      lines.push(`**${translate('report.improvements')}**`, '', ...criterion.improvements.map(item => `- ${item}`), '');
+    }
+  }
+
+  if (report.overallFeedback) lines.push(`## ${translate('report.overallFeedback')}`, '', report.overallFeedback, '');
+  if (report.keyMessages.length > 0) {
+    lines.push(`## ${translate('report.keyMessages')}`, '', ...report.keyMessages.map(item => `- ${item}`), '');
+  }
+  if (report.emotionalTone) lines.push(`## ${translate('report.emotionalTone')}`, '', report.emotionalTone, '');
+  lines.push(`## ${translate('report.transcript')}`, '', report.transcript ? `> ${report.transcript}` : `_${translate('report.noTranscript')}_`, '');
+
+  return lines.join('\n');
+};
+
+const toPdf = async (report: Report) => {
+  // Loaded on demand, most sessions never export
+  const { jsPDF } = await import('jspdf');
+  const doc = new jsPDF({ unit: 'mm', format: 'a4' });
+  const margin = 18;
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+  const textWidth = pageWidth - margin * 2;
+  let y = margin;
+
+  const write = (text: string, { size = 10, style = 'normal', indent = 0, gap = 1.5, color = 51 } = {}) => {
+    doc.setFont('helvetica', style);
+    doc.setFontSize(size);
+    doc.setTextColor(color);
+    const lineHeight = size * 0.45;
+    for (const line of doc.splitTextToSize(text, textWidth - indent) as string[]) {
+      if (y + lineHeight > pageHeight - margin) {
+        doc.addPage();
+        y = margin;
+      }
+      doc.text(line, margin + indent, y);
+      y += lineHeight;
+    }
+    y += gap;
+  };
+  const heading = (text: string) => {
+    y += 3;
+    write(text, { size: 14, style: 'bold', gap: 2, color: 30 });
+  };
+  const list = (items: string[]) => items.forEach(item => write(`•  ${item}`, { indent: 4, gap: 0.8 }));
+
+  write(report.title, { size: 20, style: 'bold', color: 30 });
+  write(report.date, { size: 9, color: 120, gap: 4 });
+  write(translate('report.overallScore', { score: report.overallScore ?? '-' }), { size: 16, style: 'bold', gap: 3, color: 30 });
+  report.context.forEach(line => write(line, { size: 9, color: 90, gap: 0.8 }));
+
+  heading(translate('report.delivery'));
+  report.delivery.forEach(metric => write(`${metric.label}: ${metric.score}/${metric.max}`, { gap: 0.8 }));
+
+  heading(translate('report.engagement'));
+  for (const criterion of report.engagement) {
+    write(`${criterion.label}: ${criterion.score}/${criterion.max}`, { size: 11, style: 'bold', gap: 1 });
+    if (criterion.feedback) write(criterion.feedback);
+    if (criterion.strengths.length > 0) {
+      write(translate('report.strengths'), { style: 'bold', gap: 0.8 });
+      list(criterion.strengths);
+    }
+    if (criterion.improvements.length > 0) {
+      write(translate('report.improvements'), { style: 'bold', gap: 0.8 });
+      list(criterion.improvements);
+    }
+    y += 2;
+  }
+
+  if (report.overallFeedback) {
+    heading(translate('report.overallFeedback'));
+    write(report.overallFeedback);
+  }
+  if (report.keyMessages.length > 0) {
+    heading(translate('report.keyMessages'));
+    list(report.keyMessages);
+  }
+  if (report.emotionalTone) {
+    heading(translate('report.emotionalTone'));
+    write(report.emotionalTone);
+  }
+  heading(translate('report.transcript'));
+  write(report.transcript || translate('report.noTranscript'), { size: 9, color: 70 });
+
+  return doc.output('blob');
+};
+
+/**
+ * Export an evaluation as a PDF or Markdown report, or the raw result as JSON, and download it
+ */
+export const exportReport = async (format: ReportFormat, source: ReportSource) => {
+  const fileName = toFileName(source.name, 'pitch-evaluation');
+
+  switch (format) {
+    case 'pdf':
+      downloadBlob(await toPdf(buildReport(source)), `${fileName}.pdf`);
+      break;
+    case 'markdown':
+      downloadBlob(new Blob([toMarkdown(buildReport(source))], { type: 'text/markdown' }), `${fileName}.md`);
+      break;
+    case 'json':
+      downloadBlob(
+        new Blob([JSON.stringify({ name: source.name, timestamp: source.timestamp, overallScore: source.overallScore, result: source.result }, null, 2)], { type: 'application/json' }),
+        `${fileName}.json`
+      );
+      break;
+  }
+};
+
+export type { ReportFormat };
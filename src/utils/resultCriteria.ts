@@ -0,0 +1,38 @@
+import { translateName, type Locale, type MessageKey } from '../i18n';
+import type { CriterionAnalysis, DetailedAnalysis, EvaluationResultData, RubricCriterion } from '../types/evaluation';
+
+type ContentCriterion = Pick<RubricCriterion, 'key' | 'name' | 'weight' | 'scoreRange'>;
+
+export const DELIVERY_LABELS: Record<string, MessageKey> = {
+  pace: 'criterion.pace',
+  tone: 'criterion.tone',
+  clarity: 'criterion.clarity',
+  confidence: 'criterion.confidence',
+  enthusiasm: 'criterion.enthusiasm',
+  fillerWords: 'criterion.fillerWords'
+};
+
+// Content criteria for results saved before rubrics existed
+export const LEGACY_CONTENT_CRITERIA: ContentCriterion[] = [
+  { key: 'storytelling', name: 'Storytelling', weight: 2, scoreRange: { min: 1, max: 5 } },
+  { key: 'audienceConnection', name: 'Audience Connection', weight: 2, scoreRange: { min: 1, max: 5 } },
+  { key: 'persuasiveness', name: 'Persuasiveness', weight: 2, scoreRange: { min: 1, max: 5 } }
+];
+
+// Content criteria the result was scored on
+export const getContentCriteria = (result: EvaluationResultData): ContentCriterion[] =>
+  result.rubric
+    ? result.rubric.criteria.filter(criterion => criterion.type === 'content')
+    : LEGACY_CONTENT_CRITERIA;
+
+// Criterion name in the interface language; built-in criteria are translated, custom ones shown as named
+export const getCriterionName = (criterion: Pick<ContentCriterion, 'key' | 'name'>, locale?: Locale): string =>
+  translateName(`criterion.${criterion.key}`, criterion.name, locale);
+
+export const getCriterionAnalysis = (analysis: DetailedAnalysis | undefined, key: string): CriterionAnalysis | null => {
+  const entry = analysis?.[key];
+  if (!entry || typeof entry !== 'object' || !('feedback' in entry)) return null;
+  return entry as CriterionAnalysis;
+};
+
+export type { ContentCriterion };
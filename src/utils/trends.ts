@@ -0,0 +1,154 @@
+import type { EvaluationResultData } from '../types/evaluation';
+import { DELIVERY_LABELS, LEGACY_CONTENT_CRITERIA, getCriterionName } from './resultCriteria';
+import { translate } from '../i18n';
+
+// Evaluated recording as needed for trends
+interface TrendRecord {
+  id: string;
+  name: string;
+  timestamp: number;
+  result?: EvaluationResultData;
+  overallScore?: number;
+}
+
+type TrendGroup = 'overall' | 'delivery' | 'engagement';
+
+interface MetricDefinition {
+  key: string;
+  label: string;
+  group: TrendGroup;
+  max: number;
+  read: (record: TrendRecord) => number | undefined;
+}
+
+interface TrendPoint {
+  recordId: string;
+  name: string;
+  timestamp: number;
+  value: number;
+  movingAverage: number;
+}
+
+interface MetricTrend {
+  key: string;
+  label: string;
+  group: TrendGroup;
+  max: number;
+  points: TrendPoint[];
+  personalBest: TrendPoint | null;
+  latest: TrendPoint | null;
+  // Mean of the latest session minus the mean of the session before it (null with fewer than two sessions)
+  sessionChange: number | null;
+}
+
+interface TrendSummary {
+  recordCount: number;
+  sessionCount: number;
+  metrics: MetricTrend[];
+  gains: MetricTrend[];
+  regressions: MetricTrend[];
+}
+
+// Number of recordings averaged for the moving average line
+const MOVING_AVERAGE_WINDOW = 5;
+
+// A session is one calendar day of practice
+const sessionKey = (timestamp: number) => new Date(timestamp).toDateString();
+
+const average = (values: number[]) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+const round = (value: number) => Math.round(value * 100) / 100;
+
+/**
+ * Metrics found across the records: overall score, delivery metrics, then every engagement criterion
+ */
+export const collectMetrics = (records: TrendRecord[]): MetricDefinition[] => {
+  const metrics: MetricDefinition[] = [
+    { key: 'overallScore', label: translate('result.overallScore'), group: 'overall', max: 10, read: record => record.overallScore }
+  ];
+
+  for (const [key, label] of Object.entries(DELIVERY_LABELS)) {
+    metrics.push({ key: `delivery.${key}`, label: translate(label), group: 'delivery', max: 5, read: record => record.result?.delivery[key as keyof EvaluationResultData['delivery']] });
+  }
+
+  const engagement = new Map<string, { label: string; max: number }>();
+  for (const record of records) {
+    const criteria = record.result?.rubric?.criteria.filter(criterion => criterion.type === 'content');
+    for (const key of Object.keys(record.result?.engagement || {})) {
+      const criterion = criteria?.find(entry => entry.key === key) || LEGACY_CONTENT_CRITERIA.find(entry => entry.key === key);
+      if (!engagement.has(key)) {
+        engagement.set(key, {
+          label: criterion ? getCriterionName(criterion) : key,
+          max: criterion?.scoreRange?.max ?? 5
+        });
+      }
+    }
+  }
+  for (const [key, { label, max }] of engagement) {
+    metrics.push({ key: `engagement.${key}`, label, group: 'engagement', max, read: record => record.result?.engagement[key] });
+  }
+
+  return metrics;
+};
+
+/**
+ * Build per-metric trends (moving average, personal best, change since the previous session)
+ * from all evaluated recordings, oldest first
+ */
+export const buildTrends = (records: TrendRecord[]): TrendSummary => {
+  const evaluated = records
+    .filter(record => record.result)
+    .sort((a, b) => a.timestamp - b.timestamp);
+
+  const sessions = [...new Set(evaluated.map(record => sessionKey(record.timestamp)))];
+  const latestSession = sessions[sessions.length - 1];
+  const previousSession = sessions[sessions.length - 2];
+
+  const metrics: MetricTrend[] = collectMetrics(evaluated).map(({ key, label, group, max, read }) => {
+    const points: TrendPoint[] = [];
+    for (const record of evaluated) {
+      const value = read(record);
+      if (typeof value !== 'number' || !Number.isFinite(value)) continue;
+      const window = [...points.slice(-(MOVING_AVERAGE_WINDOW - 1)).map(point => point.value), value];
+      points.push({
+        recordId: record.id,
+        name: record.name,
+        timestamp: record.timestamp,
+        value,
+        movingAverage: round(average(window))
+      });
+    }
+
+    const sessionValues = (session: string | undefined) =>
+      points.filter(point => session && sessionKey(point.timestamp) === session).map(point => point.value);
+    const latestValues = sessionValues(latestSession);
+    const previousValues = sessionValues(previousSession);
+
+    return {
+      key,
+      label,
+      group,
+      max,
+      points,
+      personalBest: points.reduce<TrendPoint | null>((best, point) => (!best || point.value > best.value ? point : best), null),
+      latest: points[points.length - 1] || null,
+      sessionChange: latestValues.length > 0 && previousValues.length > 0
+        ? round(average(latestValues) - average(previousValues))
+        : null
+    };
+  }).filter(metric => metric.points.length > 0);
+
+  // Rank changes relative to each metric's scale so 0-10 and 1-5 scores compare fairly
+  const relativeChange = (metric: MetricTrend) => (metric.sessionChange ?? 0) / metric.max;
+  const changed = metrics.filter(metric => metric.sessionChange !== null && metric.sessionChange !== 0);
+
+  return {
+    recordCount: evaluated.length,
+    sessionCount: sessions.length,
+    metrics,
+    gains: changed.filter(metric => relativeChange(metric) > 0).sort((a, b) => relativeChange(b) - relativeChange(a)).slice(0, 3),
+    regressions: changed.filter(metric => relativeChange(metric) < 0).sort((a, b) => relativeChange(a) - relativeChange(b)).slice(0, 3)
+  };
+};
+
+export type { MetricDefinition, MetricTrend, TrendGroup, TrendPoint, TrendRecord, TrendSummary };
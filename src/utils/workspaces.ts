@@ -0,0 +1,100 @@
+import { apiBlob, apiRequest } from './api';
+import type { RemoteRecording } from './recordingSync';
+
+interface WorkspaceSummary {
+  id: string;
+  name: string;
+  ownerId: string;
+  role: 'owner' | 'member';
+  memberCount: number;
+  createdAt: number;
+}
+
+interface WorkspaceMember {
+  id: string;
+  name: string;
+  email: string;
+  role: 'owner' | 'member';
+  joinedAt: number;
+}
+
+interface Workspace {
+  id: string;
+  name: string;
+  ownerId: string;
+  createdAt: number;
+  members: WorkspaceMember[];
+}
+
+// What a read-only share link shows
+type SharedRecording = Pick<RemoteRecording, 'id' | 'name' | 'timestamp' | 'transcript' | 'result' | 'overallScore' | 'ownerName' | 'audio'>;
+
+const workspacePath = (id: string) => `/api/workspaces/${encodeURIComponent(id)}`;
+
+async function listWorkspaces(): Promise<WorkspaceSummary[]> {
+  const { workspaces } = await apiRequest<{ workspaces: WorkspaceSummary[] }>('/api/workspaces');
+  return workspaces;
+}
+
+async function createWorkspace(name: string): Promise<Workspace> {
+  return apiRequest<Workspace>('/api/workspaces', { method: 'POST', body: JSON.stringify({ name }) });
+}
+
+async function getWorkspace(id: string): Promise<Workspace> {
+  return apiRequest<Workspace>(workspacePath(id));
+}
+
+async function deleteWorkspace(id: string): Promise<void> {
+  await apiRequest<void>(workspacePath(id), { method: 'DELETE' });
+}
+
+async function addWorkspaceMember(id: string, email: string): Promise<Workspace> {
+  return apiRequest<Workspace>(`${workspacePath(id)}/members`, { method: 'POST', body: JSON.stringify({ email }) });
+}
+
+async function removeWorkspaceMember(id: string, userId: string): Promise<void> {
+  await apiRequest<void>(`${workspacePath(id)}/members/${encodeURIComponent(userId)}`, { method: 'DELETE' });
+}
+
+// Recordings members shared to the workspace (first 100, newest first)
+async function listWorkspaceRecordings(id: string): Promise<RemoteRecording[]> {
+  const { recordings } = await apiRequest<{ recordings: RemoteRecording[] }>(`${workspacePath(id)}/recordings?pageSize=100`);
+  return recordings;
+}
+
+// Share to a workspace (null keeps it private) and turn the read-only link on or off
+async function updateSharing(recordingId: string, sharing: { workspaceId?: string | null; link?: boolean }): Promise<RemoteRecording> {
+  return apiRequest<RemoteRecording>(`/api/recordings/${encodeURIComponent(recordingId)}/sharing`, {
+    method: 'PUT',
+    body: JSON.stringify(sharing)
+  });
+}
+
+const shareUrl = (token: string) => `${window.location.origin}/shared/${token}`;
+
+async function fetchSharedRecording(token: string): Promise<SharedRecording> {
+  return apiRequest<SharedRecording>(`/api/shared/${encodeURIComponent(token)}`);
+}
+
+// Object URL for a stored recording's audio, from a workspace or a share link
+async function fetchRecordingAudioUrl(source: { recordingId: string } | { token: string }): Promise<string> {
+  const blob = await apiBlob('token' in source
+    ? `/api/shared/${encodeURIComponent(source.token)}/audio`
+    : `/api/recordings/${encodeURIComponent(source.recordingId)}/audio`);
+  return URL.createObjectURL(blob);
+}
+
+export {
+  addWorkspaceMember,
+  createWorkspace,
+  deleteWorkspace,
+  fetchRecordingAudioUrl,
+  fetchSharedRecording,
+  getWorkspace,
+  listWorkspaceRecordings,
+  listWorkspaces,
+  removeWorkspaceMember,
+  shareUrl,
+  updateSharing
+};
+export type { SharedRecording, Workspace, WorkspaceMember, WorkspaceSummary };